@@ -0,0 +1,283 @@
+/*
+	Name: account/AccountSettings.js
+	Description: Settings section of the account page: change display name, email
+	             and password, or delete the account.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Accounts made by single sign-on confirm with their provider or a two-factor code - 10/19/2026
+	Errors: Shows the API message under the form that failed
+	Input:
+		- initialName, initialEmail: current account details
+		- passwordPolicy: description of the password rules
+		- hasPassword: false for accounts made by single sign-on
+		- mfaEnabled: whether two-factor authentication is on
+	Output:
+		- Account settings card on the account page
+*/
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import { Settings, Loader2, Trash2, KeyRound } from "lucide-react";
+
+const inputClass = "w-full border-2 border-[#00AEEF] focus:border-[#FF7A00] rounded-xl px-4 py-2 text-gray-700 focus:outline-none";
+const buttonClass = "flex items-center justify-center gap-2 px-4 py-2 bg-[#FF7A00] text-white border-4 border-[#FF7A00] rounded-2xl cursor-pointer shadow-[4px_4px_0_#00AEEF] hover:shadow-[6px_6px_0_#00AEEF] hover:scale-105 transition-all font-bold disabled:opacity-50 disabled:cursor-not-allowed";
+
+/*
+	Function: FormStatus
+	Description: Error or success line shown under a settings form.
+	Arguments:
+		status - { error } or { success } or null
+	Returns: JSX element or null
+*/
+function FormStatus({ status }) {
+	if (!status) return null;
+	if (status.error) return <p className="text-sm font-semibold text-red-600">{status.error}</p>;
+	return <p className="text-sm font-semibold text-green-600">{status.success}</p>;
+}
+
+/*
+	Function: ConfirmIdentity
+	Description: For accounts without a password: links to sign in with a linked
+	             provider again, and a two-factor code field when it is on.
+	Arguments:
+		providers - linked providers [{ id, name }]
+		mfaEnabled - show the code field
+		code, setCode - code field state
+	Returns: JSX element
+*/
+function ConfirmIdentity({ providers, mfaEnabled, code, setCode }) {
+	return (
+		<div className="text-sm font-semibold text-gray-700 flex flex-col gap-2">
+			<span>
+				Confirm it&apos;s you
+				<span className="block text-xs font-normal text-gray-500">
+					Your account has no password. Sign in with your provider again (good for 10 minutes){mfaEnabled ? " or enter a two-factor code" : ""}.
+				</span>
+			</span>
+			<div className="flex flex-wrap gap-2">
+				{providers.map(p => (
+					<a
+						key={p.id}
+						href={`/api/auth/oauth/start?provider=${encodeURIComponent(p.id)}&reauth=1&next=/account`}
+						className="flex items-center gap-1 px-3 py-1 text-sm font-bold text-[#FF7A00] border-2 border-[#FF7A00] rounded-xl hover:bg-[#FF7A00] hover:text-white transition-colors"
+					>
+						<KeyRound className="w-4 h-4" /> {p.name}
+					</a>
+				))}
+			</div>
+			{mfaEnabled && (
+				<input
+					className={inputClass}
+					placeholder="Two-factor code"
+					autoComplete="one-time-code"
+					value={code}
+					onChange={(e) => setCode(e.target.value)}
+				/>
+			)}
+		</div>
+	);
+}
+
+export default function AccountSettings({ initialName, initialEmail, passwordPolicy, hasPassword = true, mfaEnabled = false }) {
+	const router = useRouter();
+
+	// Accounts made by single sign-on confirm changes with a linked provider or a code
+	const [providers, setProviders] = useState([]);
+	const [code, setCode] = useState("");
+	useEffect(() => {
+		if (hasPassword) return;
+		fetch("/api/auth/oauth/providers")
+			.then(res => (res.ok ? res.json() : { providers: [] }))
+			.then(data => setProviders((data.providers || []).filter(p => p.linked)))
+			.catch(() => {});
+	}, [hasPassword]);
+	const proof = () => (hasPassword ? {} : code.trim() ? { code: code.trim() } : {});
+
+	// Profile form
+	const [name, setName] = useState(initialName || "");
+	const [email, setEmail] = useState(initialEmail || "");
+	const [profilePassword, setProfilePassword] = useState("");
+	const [profileStatus, setProfileStatus] = useState(null);
+
+	// Password form
+	const [currentPassword, setCurrentPassword] = useState("");
+	const [newPassword, setNewPassword] = useState("");
+	const [confirmPassword, setConfirmPassword] = useState("");
+	const [passwordStatus, setPasswordStatus] = useState(null);
+
+	// Delete form
+	const [deletePassword, setDeletePassword] = useState("");
+	const [deleteStatus, setDeleteStatus] = useState(null);
+
+	const [busy, setBusy] = useState(null); // "profile", "password" or "delete"
+
+	const emailChanged = email.trim().toLowerCase() !== (initialEmail || "").toLowerCase();
+
+	// Calls the profile API and returns the parsed body, or throws the API's message
+	const send = async (method, body) => {
+		const res = await fetch("/api/user/profile", {
+			method,
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify(body),
+		});
+		const data = await res.json().catch(() => ({}));
+		if (!res.ok) throw new Error(data.message || "Something went wrong");
+		return data;
+	};
+
+	const saveProfile = async (e) => {
+		e.preventDefault();
+		setBusy("profile");
+		setProfileStatus(null);
+		try {
+			const body = { name };
+			if (emailChanged) {
+				body.email = email;
+				if (hasPassword) body.current_password = profilePassword;
+				else Object.assign(body, proof());
+			}
+			const data = await send("PATCH", body);
+			setProfilePassword("");
+			setProfileStatus({
+				success: data.verification_sent
+					? `Saved. Check ${email.trim().toLowerCase()} for a link to verify your new email.`
+					: "Saved.",
+			});
+			router.refresh();
+		} catch (err) {
+			setProfileStatus({ error: err.message });
+		} finally {
+			setBusy(null);
+		}
+	};
+
+	const changePassword = async (e) => {
+		e.preventDefault();
+		setPasswordStatus(null);
+		if (newPassword !== confirmPassword) {
+			setPasswordStatus({ error: "Passwords do not match" });
+			return;
+		}
+		setBusy("password");
+		try {
+			await send("PATCH", hasPassword
+				? { current_password: currentPassword, new_password: newPassword }
+				: { new_password: newPassword, ...proof() });
+			setCurrentPassword("");
+			setCode("");
+			setNewPassword("");
+			setConfirmPassword("");
+			setPasswordStatus({ success: "Password changed. Your other devices have been signed out." });
+		} catch (err) {
+			setPasswordStatus({ error: err.message });
+		} finally {
+			setBusy(null);
+		}
+	};
+
+	const deleteAccount = async (e) => {
+		e.preventDefault();
+		if (!window.confirm("Delete your account? Your name and email are removed and you cannot log in again. This cannot be undone.")) {
+			return;
+		}
+		setBusy("delete");
+		setDeleteStatus(null);
+		try {
+			await send("DELETE", hasPassword ? { password: deletePassword } : proof());
+			window.location.href = "/";
+		} catch (err) {
+			setDeleteStatus({ error: err.message });
+			setBusy(null);
+		}
+	};
+
+	return (
+		<div className="bg-white rounded-2xl border-4 border-[#FF7A00] shadow-[6px_6px_0_#00AEEF] p-6 mb-6">
+			<h3 className="text-2xl font-extrabold text-[#FF7A00] drop-shadow-[2px_2px_#FFDA00] mb-4 flex items-center gap-2">
+				<Settings className="w-6 h-6" /> Settings
+			</h3>
+
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+				{/* Name and email */}
+				<form onSubmit={saveProfile} className="flex flex-col gap-3">
+					<h4 className="font-bold text-gray-800">Profile</h4>
+					<label className="text-sm font-semibold text-gray-700">
+						Display name
+						<input className={inputClass} value={name} onChange={(e) => setName(e.target.value)} maxLength={50} required />
+					</label>
+					<label className="text-sm font-semibold text-gray-700">
+						Email
+						<input type="email" className={inputClass} value={email} onChange={(e) => setEmail(e.target.value)} required />
+					</label>
+					{emailChanged && !hasPassword && (
+						<ConfirmIdentity providers={providers} mfaEnabled={mfaEnabled} code={code} setCode={setCode} />
+					)}
+					{emailChanged && hasPassword && (
+						<label className="text-sm font-semibold text-gray-700">
+							Current password
+							<input type="password" className={inputClass} value={profilePassword} onChange={(e) => setProfilePassword(e.target.value)} required />
+							<span className="block text-xs font-normal text-gray-500 mt-1">You will need to verify the new email before earning points again.</span>
+						</label>
+					)}
+					<FormStatus status={profileStatus} />
+					<button type="submit" disabled={busy !== null} className={buttonClass}>
+						{busy === "profile" && <Loader2 className="w-4 h-4 animate-spin" />}
+						Save Profile
+					</button>
+				</form>
+
+				{/* Password */}
+				<form onSubmit={changePassword} className="flex flex-col gap-3">
+					<h4 className="font-bold text-gray-800">{hasPassword ? "Change Password" : "Set a Password"}</h4>
+					{hasPassword ? (
+						<label className="text-sm font-semibold text-gray-700">
+							Current password
+							<input type="password" className={inputClass} value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} required />
+						</label>
+					) : (
+						<ConfirmIdentity providers={providers} mfaEnabled={mfaEnabled} code={code} setCode={setCode} />
+					)}
+					<label className="text-sm font-semibold text-gray-700">
+						New password
+						<input type="password" className={inputClass} value={newPassword} onChange={(e) => setNewPassword(e.target.value)} required />
+						<span className="block text-xs font-normal text-gray-500 mt-1">{passwordPolicy}</span>
+					</label>
+					<label className="text-sm font-semibold text-gray-700">
+						Confirm new password
+						<input type="password" className={inputClass} value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} required />
+					</label>
+					<FormStatus status={passwordStatus} />
+					<button type="submit" disabled={busy !== null} className={buttonClass}>
+						{busy === "password" && <Loader2 className="w-4 h-4 animate-spin" />}
+						{hasPassword ? "Change Password" : "Set Password"}
+					</button>
+				</form>
+			</div>
+
+			{/* Delete account */}
+			<form onSubmit={deleteAccount} className="mt-6 pt-6 border-t-4 border-dashed border-red-200 flex flex-col md:flex-row md:items-end gap-3">
+				<label className="flex-1 text-sm font-semibold text-gray-700">
+					Delete account
+					<span className="block text-xs font-normal text-gray-500 mb-1">Your leaderboard entries stay, shown as &quot;Deleted player&quot;.</span>
+					{hasPassword ? (
+						<input type="password" placeholder="Password" className={inputClass} value={deletePassword} onChange={(e) => setDeletePassword(e.target.value)} required />
+					) : (
+						<ConfirmIdentity providers={providers} mfaEnabled={mfaEnabled} code={code} setCode={setCode} />
+					)}
+				</label>
+				<button
+					type="submit"
+					disabled={busy !== null}
+					className="flex items-center justify-center gap-2 px-4 py-2 bg-white text-red-600 border-4 border-red-500 rounded-2xl cursor-pointer hover:bg-red-500 hover:text-white transition-all font-bold disabled:opacity-50 disabled:cursor-not-allowed"
+				>
+					{busy === "delete" ? <Loader2 className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+					Delete Account
+				</button>
+			</form>
+			<div className="mt-2">
+				<FormStatus status={deleteStatus} />
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,70 @@
+/*
+	Name: account/LinkedAccounts.js
+	Description: Shows which single sign-on providers are linked to the account and
+	             lets the user link another one.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Shows the ?error= message left by a failed link attempt
+	Input:
+		- User auth token (cookie)
+	Output:
+		- Linked accounts card on the account page (hidden when no provider is configured)
+*/
+"use client";
+
+import { useEffect, useState } from "react";
+import { KeyRound, CheckCircle2, Link2 } from "lucide-react";
+
+export default function LinkedAccounts() {
+	const [providers, setProviders] = useState([]);
+	const [error, setError] = useState("");
+
+	useEffect(() => {
+		// The oauth callback sends failed link attempts back here with ?error=
+		setError(new URLSearchParams(window.location.search).get("error") || "");
+
+		const loadProviders = async () => {
+			try {
+				const res = await fetch("/api/auth/oauth/providers");
+				if (!res.ok) return;
+				const data = await res.json();
+				setProviders(data.providers || []);
+			} catch (err) {
+				// ignore network errors, the card just stays hidden
+			}
+		};
+		loadProviders();
+	}, []);
+
+	if (providers.length === 0) return null;
+
+	return (
+		<div className="bg-white rounded-2xl border-4 border-[#FF7A00] shadow-[6px_6px_0_#00AEEF] p-6 mb-6">
+			<h3 className="text-2xl font-extrabold text-[#FF7A00] drop-shadow-[2px_2px_#FFDA00] mb-4">Linked Accounts</h3>
+
+			{error && <p className="mb-3 text-sm font-semibold text-red-600">{error}</p>}
+
+			<ul className="space-y-2">
+				{providers.map(p => (
+					<li key={p.id} className="flex items-center gap-3 p-3 bg-[#FFF6D8] border-2 border-[#FFDA00] rounded-xl">
+						<KeyRound className="w-5 h-5 text-[#00AEEF] flex-shrink-0" />
+						<div className="flex-1 font-semibold text-gray-800">{p.name}</div>
+						{p.linked ? (
+							<span className="flex items-center gap-1 text-sm font-bold text-green-600">
+								<CheckCircle2 className="w-4 h-4" /> Linked
+							</span>
+						) : (
+							<a
+								href={`/api/auth/oauth/start?provider=${encodeURIComponent(p.id)}&link=1&next=/account`}
+								className="flex items-center gap-1 px-3 py-1 text-sm font-bold text-[#FF7A00] border-2 border-[#FF7A00] rounded-xl hover:bg-[#FF7A00] hover:text-white transition-colors"
+							>
+								<Link2 className="w-4 h-4" /> Link
+							</a>
+						)}
+					</li>
+				))}
+			</ul>
+		</div>
+	);
+}
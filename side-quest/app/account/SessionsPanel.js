@@ -0,0 +1,151 @@
+/*
+	Name: account/SessionsPanel.js
+	Description: Lists the devices the user is signed in on and lets them sign out
+	             of one device or all of them.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Shows an inline message when the sessions API fails
+	Input:
+		- User auth token (cookie)
+	Output:
+		- Signed-in devices card on the account page
+*/
+"use client";
+
+import { useEffect, useState } from "react";
+import { Monitor, Smartphone, Loader2, LogOut } from "lucide-react";
+
+/*
+	Function: describeDevice
+	Description: Turns a user agent string into a short label like "Chrome on Windows".
+	Arguments:
+		userAgent - raw user agent string (may be null)
+	Returns: { label, mobile }
+*/
+function describeDevice(userAgent) {
+	if (!userAgent) return { label: "Unknown device", mobile: false };
+
+	let browser = "Browser";
+	if (/Edg\//.test(userAgent)) browser = "Edge";
+	else if (/OPR\//.test(userAgent)) browser = "Opera";
+	else if (/Firefox\//.test(userAgent)) browser = "Firefox";
+	else if (/Chrome\//.test(userAgent)) browser = "Chrome";
+	else if (/Safari\//.test(userAgent)) browser = "Safari";
+
+	let os = "Unknown OS";
+	if (/iPhone|iPad/.test(userAgent)) os = "iOS";
+	else if (/Android/.test(userAgent)) os = "Android";
+	else if (/Windows/.test(userAgent)) os = "Windows";
+	else if (/Mac OS X/.test(userAgent)) os = "macOS";
+	else if (/Linux/.test(userAgent)) os = "Linux";
+
+	return { label: `${browser} on ${os}`, mobile: /Mobi|iPhone|Android/.test(userAgent) };
+}
+
+export default function SessionsPanel() {
+	const [sessions, setSessions] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [busy, setBusy] = useState(null); // session_id being revoked, or "all"
+	const [error, setError] = useState("");
+
+	useEffect(() => {
+		const loadSessions = async () => {
+			try {
+				const res = await fetch("/api/auth/sessions");
+				const data = await res.json();
+				if (!res.ok) throw new Error(data.error || "Failed to load sessions");
+				setSessions(data.sessions);
+			} catch (err) {
+				setError(err.message);
+			} finally {
+				setLoading(false);
+			}
+		};
+		loadSessions();
+	}, []);
+
+	const revoke = async (body, key) => {
+		setBusy(key);
+		setError("");
+		try {
+			const res = await fetch("/api/auth/sessions", {
+				method: "DELETE",
+				headers: { "Content-Type": "application/json" },
+				body: JSON.stringify(body),
+			});
+			const data = await res.json();
+			if (!res.ok) throw new Error(data.error || "Failed to sign out");
+
+			// Signing this device out means the cookie is gone, so go back to login
+			const signedOutHere = body.all || sessions.some(s => s.current && s.session_id === body.session_id);
+			if (signedOutHere) {
+				window.location.href = "/login";
+				return;
+			}
+			setSessions(prev => prev.filter(s => s.session_id !== body.session_id));
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusy(null);
+		}
+	};
+
+	return (
+		<div className="bg-white rounded-2xl border-4 border-[#00AEEF] shadow-[6px_6px_0_#FF7A00] p-6 mb-6">
+			<div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
+				<h3 className="text-2xl font-extrabold text-[#FF7A00] drop-shadow-[2px_2px_#FFDA00]">Signed-in Devices</h3>
+				<button
+					onClick={() => revoke({ all: true }, "all")}
+					disabled={busy !== null || loading}
+					className="flex items-center justify-center gap-2 px-4 py-2 bg-[#FF7A00] text-white border-4 border-[#FF7A00] rounded-2xl cursor-pointer shadow-[4px_4px_0_#00AEEF] hover:shadow-[6px_6px_0_#00AEEF] hover:scale-105 transition-all font-bold disabled:opacity-50 disabled:cursor-not-allowed"
+				>
+					{busy === "all" ? <Loader2 className="w-4 h-4 animate-spin" /> : <LogOut className="w-4 h-4" />}
+					Sign out of all devices
+				</button>
+			</div>
+
+			{error && <p className="mb-3 text-sm font-semibold text-red-600">{error}</p>}
+
+			{loading ? (
+				<div className="flex justify-center py-4">
+					<Loader2 className="w-6 h-6 text-[#00AEEF] animate-spin" />
+				</div>
+			) : (
+				<ul className="space-y-2">
+					{sessions.map(s => {
+						const device = describeDevice(s.user_agent);
+						const Icon = device.mobile ? Smartphone : Monitor;
+						return (
+							<li key={s.session_id} className="flex items-center gap-3 p-3 bg-[#FFF6D8] border-2 border-[#FFDA00] rounded-xl">
+								<Icon className="w-5 h-5 text-[#00AEEF] flex-shrink-0" />
+								<div className="flex-1 min-w-0">
+									<div className="font-semibold text-gray-800">
+										{device.label}
+										{s.current && <span className="ml-2 text-xs font-bold text-green-600">This device</span>}
+									</div>
+									<div className="text-xs text-gray-500">
+										{s.ip_address ? `${s.ip_address} · ` : ""}
+										Last active {new Date(s.last_seen_at).toLocaleDateString('en-US', {
+											month: 'short',
+											day: 'numeric',
+											hour: '2-digit',
+											minute: '2-digit'
+										})}
+									</div>
+								</div>
+								<button
+									onClick={() => revoke({ session_id: s.session_id }, s.session_id)}
+									disabled={busy !== null}
+									className="px-3 py-1 text-sm font-bold text-[#FF7A00] border-2 border-[#FF7A00] rounded-xl hover:bg-[#FF7A00] hover:text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+								>
+									{busy === s.session_id ? <Loader2 className="w-4 h-4 animate-spin" /> : "Sign out"}
+								</button>
+							</li>
+						);
+					})}
+				</ul>
+			)}
+		</div>
+	);
+}
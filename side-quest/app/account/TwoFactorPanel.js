@@ -0,0 +1,233 @@
+/*
+	Name: account/TwoFactorPanel.js
+	Description: Sets up, checks and turns off two-factor authentication with an
+	             authenticator app, and shows recovery codes once when they are made.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Shows the API message under the form that failed
+	Input:
+		- next: page to continue to once this session is verified (optional)
+	Output:
+		- Two-factor card on the account page and on /account/two-factor
+*/
+"use client";
+
+import { useEffect, useState } from "react";
+import Image from "next/image";
+import { ShieldCheck, ShieldAlert, Loader2, Copy } from "lucide-react";
+
+const inputClass = "w-full border-2 border-[#00AEEF] focus:border-[#FF7A00] rounded-xl px-4 py-2 text-gray-700 focus:outline-none";
+const buttonClass = "flex items-center justify-center gap-2 px-4 py-2 bg-[#FF7A00] text-white border-4 border-[#FF7A00] rounded-2xl cursor-pointer shadow-[4px_4px_0_#00AEEF] hover:shadow-[6px_6px_0_#00AEEF] hover:scale-105 transition-all font-bold disabled:opacity-50 disabled:cursor-not-allowed";
+const secondaryButtonClass = "px-3 py-1 text-sm font-bold text-[#FF7A00] border-2 border-[#FF7A00] rounded-xl hover:bg-[#FF7A00] hover:text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed";
+
+/*
+	Function: RecoveryCodes
+	Description: Lists freshly made recovery codes with a copy button.
+	Arguments:
+		codes - array of recovery code strings
+		onDone - called when the user has saved them
+	Returns: JSX element
+*/
+function RecoveryCodes({ codes, onDone }) {
+	return (
+		<div className="p-4 bg-[#FFF6D8] border-2 border-[#FFDA00] rounded-xl">
+			<p className="text-sm font-semibold text-gray-800 mb-3">
+				Save these recovery codes somewhere safe. Each one works once if you lose your phone, and they will not be shown again.
+			</p>
+			<ul className="grid grid-cols-2 gap-2 font-mono text-gray-800 mb-3">
+				{codes.map(code => <li key={code}>{code}</li>)}
+			</ul>
+			<div className="flex gap-2">
+				<button onClick={() => navigator.clipboard?.writeText(codes.join("\n"))} className={secondaryButtonClass}>
+					<span className="flex items-center gap-1"><Copy className="w-4 h-4" /> Copy</span>
+				</button>
+				<button onClick={onDone} className={secondaryButtonClass}>I saved them</button>
+			</div>
+		</div>
+	);
+}
+
+export default function TwoFactorPanel({ next }) {
+	const [status, setStatus] = useState(null); // { enabled, verified, required, recovery_codes_left }
+	const [enrollment, setEnrollment] = useState(null); // { secret, qr } while setting up
+	const [recoveryCodes, setRecoveryCodes] = useState(null);
+	const [code, setCode] = useState("");
+	const [busy, setBusy] = useState(null); // "enroll", "enable", "verify", "codes" or "disable"
+	const [error, setError] = useState("");
+
+	const loadStatus = async () => {
+		try {
+			const res = await fetch("/api/auth/mfa");
+			const data = await res.json();
+			if (!res.ok) throw new Error(data.error || "Failed to load two-factor status");
+			setStatus(data);
+		} catch (err) {
+			setError(err.message);
+		}
+	};
+
+	useEffect(() => {
+		loadStatus();
+	}, []);
+
+	// Calls a two-factor API and returns the parsed body, or throws the API's message
+	const call = async (key, url, method, body) => {
+		setBusy(key);
+		setError("");
+		try {
+			const res = await fetch(url, {
+				method,
+				headers: { "Content-Type": "application/json" },
+				body: body ? JSON.stringify(body) : undefined,
+			});
+			const data = await res.json();
+			if (!res.ok) throw new Error(data.error || "Something went wrong");
+			return data;
+		} finally {
+			setBusy(null);
+		}
+	};
+
+	const run = (fn) => async (e) => {
+		e?.preventDefault();
+		try {
+			await fn();
+		} catch (err) {
+			setError(err.message);
+		}
+	};
+
+	const startSetup = run(async () => {
+		setEnrollment(await call("enroll", "/api/auth/mfa/enroll", "POST"));
+		setCode("");
+	});
+
+	const finishSetup = run(async () => {
+		const data = await call("enable", "/api/auth/mfa/enable", "POST", { code });
+		setEnrollment(null);
+		setCode("");
+		setRecoveryCodes(data.recovery_codes);
+		await loadStatus();
+	});
+
+	const verify = run(async () => {
+		await call("verify", "/api/auth/mfa/verify", "POST", { code });
+		setCode("");
+		if (next) {
+			window.location.href = next;
+			return;
+		}
+		await loadStatus();
+	});
+
+	const newCodes = run(async () => {
+		const data = await call("codes", "/api/auth/mfa/recovery-codes", "POST", { code });
+		setCode("");
+		setRecoveryCodes(data.recovery_codes);
+		await loadStatus();
+	});
+
+	const disable = run(async () => {
+		await call("disable", "/api/auth/mfa", "DELETE", { code });
+		setCode("");
+		await loadStatus();
+	});
+
+	// Once recovery codes are saved, an admin who came from /admin can go back
+	const doneWithCodes = () => {
+		setRecoveryCodes(null);
+		if (next) window.location.href = next;
+	};
+
+	const codeInput = (
+		<input
+			type="text"
+			inputMode="numeric"
+			autoComplete="one-time-code"
+			placeholder="6-digit code"
+			value={code}
+			onChange={(e) => setCode(e.target.value)}
+			className={inputClass}
+			required
+		/>
+	);
+
+	return (
+		<div className="bg-white rounded-2xl border-4 border-[#00AEEF] shadow-[6px_6px_0_#FF7A00] p-6 mb-6">
+			<h3 className="text-2xl font-extrabold text-[#FF7A00] drop-shadow-[2px_2px_#FFDA00] mb-4 flex items-center gap-2">
+				{status?.enabled ? <ShieldCheck className="w-6 h-6" /> : <ShieldAlert className="w-6 h-6" />}
+				Two-Factor Authentication
+			</h3>
+
+			{status?.required && !status.verified && (
+				<p className="mb-4 text-sm font-semibold text-gray-800 p-3 bg-[#FFF6D8] border-2 border-[#FFDA00] rounded-xl">
+					Admin accounts must use two-factor authentication before the admin tools will open.
+				</p>
+			)}
+
+			{!status ? (
+				<div className="flex justify-center py-4">
+					<Loader2 className="w-6 h-6 text-[#00AEEF] animate-spin" />
+				</div>
+			) : recoveryCodes ? (
+				<RecoveryCodes codes={recoveryCodes} onDone={doneWithCodes} />
+			) : enrollment ? (
+				// Step 2 of setup: scan the QR code and confirm with the first code
+				<form onSubmit={finishSetup} className="flex flex-col md:flex-row gap-6 items-center">
+					<Image src={enrollment.qr} alt="Authenticator QR code" width={176} height={176} unoptimized className="border-2 border-[#FFDA00] rounded-xl" />
+					<div className="flex-1 w-full space-y-3">
+						<p className="text-sm text-gray-700">
+							Scan the QR code with an authenticator app (Google Authenticator, Authy, 1Password...), or enter this key:
+						</p>
+						<p className="font-mono text-sm break-all text-gray-800 bg-gray-100 rounded-lg p-2">{enrollment.secret}</p>
+						{codeInput}
+						<button type="submit" disabled={busy !== null} className={buttonClass}>
+							{busy === "enable" && <Loader2 className="w-4 h-4 animate-spin" />}
+							Turn on
+						</button>
+					</div>
+				</form>
+			) : !status.enabled ? (
+				<div className="space-y-3">
+					<p className="text-sm text-gray-700">Protect your account with a code from your phone each time you log in.</p>
+					<button onClick={startSetup} disabled={busy !== null} className={buttonClass}>
+						{busy === "enroll" && <Loader2 className="w-4 h-4 animate-spin" />}
+						Set up two-factor
+					</button>
+				</div>
+			) : !status.verified ? (
+				// Turned on, but this session started before it was (or skipped it)
+				<form onSubmit={verify} className="space-y-3">
+					<p className="text-sm text-gray-700">Enter a code from your authenticator app to verify this device.</p>
+					{codeInput}
+					<button type="submit" disabled={busy !== null} className={buttonClass}>
+						{busy === "verify" && <Loader2 className="w-4 h-4 animate-spin" />}
+						Verify
+					</button>
+				</form>
+			) : (
+				<form onSubmit={(e) => e.preventDefault()} className="space-y-3">
+					<p className="text-sm text-gray-700">
+						Two-factor authentication is <strong className="text-green-600">on</strong>.
+						You have {status.recovery_codes_left} unused recovery code{status.recovery_codes_left === 1 ? "" : "s"}.
+					</p>
+					<p className="text-sm text-gray-700">Enter a current code to make new recovery codes{status.required ? "" : " or turn two-factor off"}.</p>
+					{codeInput}
+					<div className="flex flex-wrap gap-2">
+						<button onClick={newCodes} disabled={busy !== null || !code} className={secondaryButtonClass}>
+							{busy === "codes" ? <Loader2 className="w-4 h-4 animate-spin" /> : "New recovery codes"}
+						</button>
+						{!status.required && (
+							<button onClick={disable} disabled={busy !== null || !code} className={secondaryButtonClass}>
+								{busy === "disable" ? <Loader2 className="w-4 h-4 animate-spin" /> : "Turn off"}
+							</button>
+						)}
+					</div>
+				</form>
+			)}
+
+			{error && <p className="mt-3 text-sm font-semibold text-red-600">{error}</p>}
+		</div>
+	);
+}
@@ -0,0 +1,59 @@
+/*
+	Name: account/VerifyEmailBanner.js
+	Description: Reminds unverified users to verify their email and lets them
+	             resend the verification link.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Shows an inline message when the resend API fails
+	Input:
+		- email: the address the link is sent to
+	Output:
+		- Banner on the account page
+*/
+"use client";
+
+import { useState } from "react";
+import { MailWarning, Loader2 } from "lucide-react";
+
+export default function VerifyEmailBanner({ email }) {
+	const [sending, setSending] = useState(false);
+	const [sent, setSent] = useState(false);
+	const [error, setError] = useState("");
+
+	const resend = async () => {
+		setSending(true);
+		setError("");
+		try {
+			const res = await fetch("/api/auth/verify/resend", { method: "POST" });
+			const data = await res.json();
+			if (!res.ok) throw new Error(data.error || "Failed to send verification email");
+			setSent(true);
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setSending(false);
+		}
+	};
+
+	return (
+		<div className="bg-[#FFF6D8] rounded-2xl border-4 border-[#FFDA00] shadow-[6px_6px_0_#FF7A00] p-6 mb-6 flex flex-col md:flex-row items-center gap-4">
+			<MailWarning className="w-10 h-10 text-[#FF7A00] flex-shrink-0" />
+			<div className="flex-1 text-center md:text-left">
+				<p className="font-bold text-gray-800">Verify your email to start earning points</p>
+				<p className="text-sm text-gray-600">
+					{sent ? `We sent a new link to ${email}.` : `Check ${email} for the verification link.`}
+				</p>
+				{error && <p className="text-sm font-semibold text-red-600 mt-1">{error}</p>}
+			</div>
+			<button
+				onClick={resend}
+				disabled={sending || sent}
+				className="flex items-center gap-2 px-4 py-2 bg-white border-4 border-[#FF7A00] rounded-2xl cursor-pointer shadow-[4px_4px_0_#00AEEF] hover:shadow-[6px_6px_0_#00AEEF] hover:scale-105 transition-all font-bold text-[#FF7A00] disabled:opacity-50 disabled:cursor-not-allowed"
+			>
+				{sending && <Loader2 className="w-4 h-4 animate-spin" />}
+				{sent ? "Link sent" : "Resend link"}
+			</button>
+		</div>
+	);
+}
@@ -7,37 +7,32 @@
 		Added completed quests display – 10/26/2025
 		Added GeoThinkr stats + achievements – 2/19/2026
 		3/15/2026 – feat: display GeoThinkr achievements and stats on user profile
+		10/19/2026 – Use shared session helper
+		10/19/2026 – Signed-in devices list with sign out of all devices
+		10/19/2026 – Email verification reminder
+		10/19/2026 – Repeating quests count once toward the completion percentage
+		10/19/2026 – Account settings section
+		10/19/2026 – Linked single sign-on accounts
+		10/19/2026 – Two-factor authentication
 	Errors: N/A
 	Input: email, username, user information from server
 	Output: Account page showing user info
 */
 
 import { requireAuthOrRedirect } from "@/lib/requireAuth";
-import { cookies } from "next/headers";
-import { verifyToken } from "../../lib/auth";
 import { createAdminClient } from "../../lib/supabase/admin";
 import { CheckCircle2, MapPin, Trophy, Edit2, Coins, Target, Award, Eye, GraduationCap, Repeat, Flame, Shield, Compass, Lock } from "lucide-react";
 import Link from "next/link";
+import SessionsPanel from "./SessionsPanel";
+import VerifyEmailBanner from "./VerifyEmailBanner";
+import AccountSettings from "./AccountSettings";
+import LinkedAccounts from "./LinkedAccounts";
+import TwoFactorPanel from "./TwoFactorPanel";
+import { describePasswordPolicy } from "@/lib/passwordPolicy";
 
 export default async function AccountPage() {
-	// redirect if not authenticated
-	requireAuthOrRedirect();
-
-	// read token from cookie and verify
-	const cookieStore = await cookies();
-	const token = cookieStore.get("sid")?.value;
-	const user = token ? verifyToken(token) : null;
-
-	// If the user isn't logged in or the token fails verification,
-	// show a simple message prompting them to log in
-	if (!user) {
-		return (
-			<div className="max-w-4xl mx-auto p-8">
-				<h2 className="text-xl font-semibold">Not logged in</h2>
-				<p>Please <a href="/login" className="text-blue-600">login</a>.</p>
-			</div>
-		);
-	}
+	// redirect if not authenticated, otherwise get the signed-in user
+	const user = await requireAuthOrRedirect();
 
 	const supabase = createAdminClient();
 
@@ -109,6 +104,8 @@ export default async function AccountPage() {
 	// Organize completed quests by location
 	const completedByLocation = {};
 	let totalCompleted = 0;
+	// Repeating quests leave a completed row per period; count each quest once for the percentage
+	const completedQuestIds = new Set();
 
 	progress?.forEach(p => {
 		// normalize nested quest data
@@ -132,11 +129,12 @@ export default async function AccountPage() {
 			completed_at: p.completed_at
 		});
 		totalCompleted++;
+		completedQuestIds.add(quest.quest_id);
 	});
 
 	// calculate total quests and completion percentage
 	const totalQuests = allQuests?.length || 0;
-	const completionPercentage = totalQuests > 0 ? Math.round((totalCompleted / totalQuests) * 100) : 0;
+	const completionPercentage = totalQuests > 0 ? Math.round((completedQuestIds.size / totalQuests) * 100) : 0;
 
 	// If the user is authenticated, display their account info
 	// along with completed quests dashboard
@@ -164,6 +162,7 @@ export default async function AccountPage() {
 				{/* Account Info Section */}
 				<div className="mb-8 text-[#FF7A00]">
 					<h2 className="text-4xl font-extrabold text-[#FF7A00] drop-shadow-[2px_2px_#FFDA00] mb-4">Account</h2>
+					{!user.email_verified && <VerifyEmailBanner email={user.email} />}
 					<div className="bg-white rounded-2xl border-4 border-[#FF7A00] shadow-[8px_8px_0_#00AEEF] p-6 mb-6 flex flex-col md:flex-row items-center gap-6">
 					<div className="relative group">
 						<img
@@ -204,6 +203,20 @@ export default async function AccountPage() {
 						</div>
 					</div>
 				</div>
+
+				<AccountSettings
+					initialName={user.name}
+					initialEmail={user.email}
+					passwordPolicy={describePasswordPolicy()}
+					hasPassword={user.has_password}
+					mfaEnabled={user.mfa_enabled}
+				/>
+
+				<TwoFactorPanel />
+
+				<LinkedAccounts />
+
+				<SessionsPanel />
 			</div>
 
 			{/* Quest Progress Dashboard */}
@@ -0,0 +1,33 @@
+/*
+	Name: account/two-factor/page.js
+	Description: Two-factor authentication setup and check. Admins are sent here
+	             from /admin until their session has passed two-factor.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: ?next= page to return to once verified
+	Output: Two-factor card with a link back to the account page
+*/
+
+import Link from "next/link";
+import { requireAuthOrRedirect } from "@/lib/requireAuth";
+import { safeNextPath } from "@/lib/redirects";
+import TwoFactorPanel from "../TwoFactorPanel";
+
+export default async function TwoFactorPage({ searchParams }) {
+	await requireAuthOrRedirect();
+	const { next } = await searchParams;
+
+	return (
+		<div className="min-h-screen bg-gradient-to-br from-[#FFF6D8] via-yellow-50 to-orange-50">
+			<div className="max-w-2xl mx-auto p-8">
+				<h2 className="text-4xl font-extrabold text-[#FF7A00] drop-shadow-[2px_2px_#FFDA00] mb-4">Security</h2>
+				<TwoFactorPanel next={next ? safeNextPath(next) : null} />
+				<Link href="/account" className="text-[#00AEEF] font-semibold hover:underline">
+					Back to account
+				</Link>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,233 @@
+/*
+	Name: admin/CheckinCodes.js
+	Description: Issues, rotates and revokes QR check-in codes for a location's
+	             quests and exports them as a printable PNG or PDF sheet.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Shows an inline message when the API fails
+	Input: Locations list; codes from /api/admin/checkin-codes
+	Output: Collapsible section of the admin panel
+*/
+
+"use client";
+
+import Image from "next/image";
+import { useState } from "react";
+import { renderSheetPages, downloadPng, downloadPdf } from "./checkinSheet";
+
+export default function CheckinCodes({ locations = [] }) {
+	const [show, setShow] = useState(false);
+	const [locationId, setLocationId] = useState("");
+	const [rows, setRows] = useState(null);
+	const [expiresInDays, setExpiresInDays] = useState("");
+	const [busy, setBusy] = useState(false);
+	const [error, setError] = useState("");
+
+	const location = locations.find(l => l.location_id === locationId);
+	const withCodes = (rows || []).filter(r => r.code);
+
+	async function request(method, body) {
+		const res = await fetch("/api/admin/checkin-codes", {
+			method,
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify(body),
+		});
+		const data = await res.json().catch(() => ({}));
+		if (!res.ok) throw new Error(data.error || "Request failed");
+		return data;
+	}
+
+	async function load(id) {
+		setLocationId(id);
+		setRows(null);
+		setError("");
+		if (!id) return;
+		try {
+			const res = await fetch(`/api/admin/checkin-codes?location_id=${encodeURIComponent(id)}`);
+			const data = await res.json();
+			if (!res.ok) throw new Error(data.error || "Failed to load codes");
+			setRows(data);
+		} catch (err) {
+			setError(err.message);
+			setRows([]);
+		}
+	}
+
+	// Issue a code, or replace the live one so old printouts stop working
+	async function issue(row) {
+		if (row.code && !confirm("Replace this code? Printed copies of the old one will stop working.")) return;
+		setBusy(true);
+		setError("");
+		try {
+			const code = await request("POST", { quest_id: row.quest_id, expires_in_days: expiresInDays || null });
+			setRows(s => s.map(r => (r.quest_id === row.quest_id ? { ...r, code } : r)));
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusy(false);
+		}
+	}
+
+	async function issueMissing() {
+		setBusy(true);
+		setError("");
+		try {
+			for (const row of rows.filter(r => !r.code)) {
+				const code = await request("POST", { quest_id: row.quest_id, expires_in_days: expiresInDays || null });
+				setRows(s => s.map(r => (r.quest_id === row.quest_id ? { ...r, code } : r)));
+			}
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusy(false);
+		}
+	}
+
+	async function revoke(row) {
+		if (!confirm("Revoke this code? Scanning it will stop working.")) return;
+		setBusy(true);
+		setError("");
+		try {
+			await request("DELETE", { code_id: row.code.code_id });
+			setRows(s => s.map(r => (r.quest_id === row.quest_id ? { ...r, code: null } : r)));
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusy(false);
+		}
+	}
+
+	async function exportSheet(format) {
+		setBusy(true);
+		setError("");
+		try {
+			const pages = await renderSheetPages(location?.name || "Side Quest", withCodes.map(r => ({ text: r.text, qr: r.code.qr })));
+			const baseName = `checkin-${(location?.name || "codes").toLowerCase().replace(/[^a-z0-9]+/g, "-")}`;
+			if (format === "pdf") downloadPdf(pages, baseName);
+			else await downloadPng(pages, baseName);
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusy(false);
+		}
+	}
+
+	return (
+		<section className="bg-white rounded shadow p-3 md:p-4 overflow-x-auto">
+			<div className="flex items-center justify-between gap-2 mb-2">
+				<h2 className="text-lg font-medium">QR Check-ins</h2>
+				<button
+					type="button"
+					className="px-3 py-1 rounded border border-[#FF7A00] text-[#FF7A00] bg-white cursor-pointer text-sm"
+					onClick={() => setShow(v => !v)}
+				>
+					{show ? "Hide" : "Show"}
+				</button>
+			</div>
+
+			{show && (
+				<div className="space-y-3">
+					<div className="flex flex-wrap items-center gap-2">
+						<select
+							className="px-2 py-1 border rounded w-full md:w-64"
+							value={locationId}
+							onChange={e => load(e.target.value)}
+						>
+							<option value="">Select location</option>
+							{locations.map(l => (
+								<option key={l.location_id} value={l.location_id}>
+									{l.name}
+								</option>
+							))}
+						</select>
+						<label className="flex items-center gap-1 text-sm text-gray-700" title="Leave empty for codes that last until replaced">
+							Expire after
+							<input
+								type="number"
+								min="1"
+								className="px-2 py-1 border rounded w-20"
+								placeholder="never"
+								value={expiresInDays}
+								onChange={e => setExpiresInDays(e.target.value)}
+							/>
+							days
+						</label>
+					</div>
+
+					{error && <p className="text-sm text-red-600">{error}</p>}
+
+					{locationId && rows === null && <p className="text-sm text-gray-500">Loading...</p>}
+					{rows && rows.length === 0 && !error && <p className="text-sm text-gray-500">No quests at this location.</p>}
+
+					{rows && rows.length > 0 && (
+						<>
+							<div className="flex flex-wrap gap-2">
+								<button
+									className="bg-[#FF7A00] text-white px-3 py-1 rounded disabled:opacity-60 cursor-pointer text-sm"
+									onClick={issueMissing}
+									disabled={busy || rows.every(r => r.code)}
+								>
+									Create missing codes
+								</button>
+								<button
+									className="bg-[#00AEEF] text-white px-3 py-1 rounded disabled:opacity-60 cursor-pointer text-sm"
+									onClick={() => exportSheet("pdf")}
+									disabled={busy || withCodes.length === 0}
+								>
+									Download PDF sheet
+								</button>
+								<button
+									className="px-3 py-1 rounded border border-[#00AEEF] text-[#00AEEF] disabled:opacity-60 cursor-pointer text-sm"
+									onClick={() => exportSheet("png")}
+									disabled={busy || withCodes.length === 0}
+								>
+									Download PNG sheet
+								</button>
+							</div>
+
+							<div className="space-y-2">
+								{rows.map(r => (
+									<div key={r.quest_id} className="flex flex-wrap items-center gap-3 p-2 border rounded text-sm text-gray-700">
+										{r.code ? (
+											<Image src={r.code.qr} alt={`QR code for ${r.text}`} width={72} height={72} unoptimized />
+										) : (
+											<div className="w-[72px] h-[72px] rounded bg-gray-100 flex items-center justify-center text-xs text-gray-400">
+												No code
+											</div>
+										)}
+										<div className="flex-1 min-w-0">
+											<div className="font-medium">{r.text}</div>
+											<div className="text-xs text-gray-500">
+												{r.code
+													? `Created ${new Date(r.code.created_at).toLocaleDateString()}${r.code.expires_at ? ` · expires ${new Date(r.code.expires_at).toLocaleDateString()}` : ""}`
+													: "Not printed yet"}
+												{!r.requires_checkin && " · players can still check this quest off by hand"}
+											</div>
+										</div>
+										<button
+											className="px-2 py-1 rounded border cursor-pointer disabled:opacity-60"
+											onClick={() => issue(r)}
+											disabled={busy}
+										>
+											{r.code ? "Rotate" : "Create"}
+										</button>
+										{r.code && (
+											<button
+												className="text-red-600 px-2 py-1 rounded border cursor-pointer disabled:opacity-60"
+												onClick={() => revoke(r)}
+												disabled={busy}
+											>
+												Revoke
+											</button>
+										)}
+									</div>
+								))}
+							</div>
+						</>
+					)}
+				</div>
+			)}
+		</section>
+	);
+}
@@ -0,0 +1,88 @@
+/*
+	Name: admin/DependencyPicker.js
+	Description: Picks the quests that must be completed before a quest, at any
+	             location. Choices that would make a loop are greyed out.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: The API re-checks for loops and the panel shows its message
+	Input: The quest, all quests, location names and the current prerequisites
+	Output: Calls onChange with the new list of prerequisite quest ids
+*/
+
+"use client";
+
+import { useMemo, useState } from "react";
+import { findCycle } from "@/lib/questGraph";
+
+export default function DependencyPicker({ questId, quests = [], locById = {}, prerequisites = {}, onChange, disabled }) {
+	const [open, setOpen] = useState(false);
+	const [filter, setFilter] = useState("");
+	const selected = useMemo(() => prerequisites[questId] || [], [prerequisites, questId]);
+
+	// Every other quest, with whether picking it would make a loop
+	const options = useMemo(() => {
+		if (!open) return [];
+		const term = filter.trim().toLowerCase();
+		return quests
+			.filter(q => q.quest_id !== questId)
+			.map(q => ({
+				...q,
+				location: locById[q.location_id] ?? "Unassigned",
+				checked: selected.includes(q.quest_id),
+			}))
+			.filter(q => !term || q.text.toLowerCase().includes(term) || q.location.toLowerCase().includes(term))
+			.map(q => ({
+				...q,
+				loops: !q.checked && !!findCycle(prerequisites, questId, [...selected, q.quest_id]),
+			}))
+			.sort((a, b) => a.location.localeCompare(b.location) || a.text.localeCompare(b.text));
+	}, [open, filter, quests, questId, locById, prerequisites, selected]);
+
+	function toggle(id, checked) {
+		onChange(checked ? [...selected, id] : selected.filter(x => x !== id));
+	}
+
+	return (
+		<div className={open ? "w-full" : ""}>
+			<button
+				type="button"
+				className="px-2 py-1 rounded border text-xs text-gray-700 cursor-pointer"
+				onClick={() => setOpen(v => !v)}
+				title="Quests that must be completed first"
+			>
+				Requires ({selected.length})
+			</button>
+			{open && (
+				<div className="mt-2 p-2 border rounded space-y-2 text-xs text-gray-700">
+					<input
+						className="px-2 py-1 border rounded w-full md:w-64"
+						placeholder="Filter quests or locations"
+						value={filter}
+						onChange={e => setFilter(e.target.value)}
+					/>
+					<div className="max-h-56 overflow-y-auto space-y-1">
+						{options.map(q => (
+							<label
+								key={q.quest_id}
+								className={`flex items-center gap-2 ${q.loops ? "opacity-50 cursor-not-allowed" : "cursor-pointer"}`}
+								title={q.loops ? "This quest already needs the one being edited, so this would make a loop" : undefined}
+							>
+								<input
+									type="checkbox"
+									className={q.loops ? "cursor-not-allowed" : "cursor-pointer"}
+									checked={q.checked}
+									disabled={disabled || q.loops}
+									onChange={e => toggle(q.quest_id, e.target.checked)}
+								/>
+								<span className="text-gray-500">{q.location}</span>
+								<span>{q.text}</span>
+							</label>
+						))}
+						{options.length === 0 && <div className="text-gray-500">No other quests match.</div>}
+					</div>
+				</div>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,132 @@
+/*
+	Name: admin/GeofenceLog.js
+	Description: Table of rejected proof-of-presence attempts so staff can tell
+	             honest GPS drift (just outside the radius, poor accuracy) from
+	             spoofing (far away, perfect accuracy, many attempts).
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Shows an inline message when the API fails
+	Input: Rejections from /api/admin/geofence
+	Output: Collapsible section of the admin panel
+*/
+
+"use client";
+
+import { useState } from "react";
+
+// Short labels for geofence_rejections.reason
+const REASON_LABELS = {
+	missing: "No location sent",
+	invalid: "Invalid reading",
+	stale: "Old reading",
+	low_accuracy: "Weak GPS",
+	too_far: "Too far",
+	unmapped: "Location not mapped",
+};
+
+export default function GeofenceLog() {
+	const [rows, setRows] = useState(null);
+	const [show, setShow] = useState(false);
+	const [userFilter, setUserFilter] = useState(null); // { user_id, name }
+	const [error, setError] = useState("");
+
+	async function load(user = userFilter) {
+		setError("");
+		try {
+			const query = user ? `?user_id=${encodeURIComponent(user.user_id)}` : "";
+			const res = await fetch(`/api/admin/geofence${query}`);
+			const data = await res.json();
+			if (!res.ok) throw new Error(data.error || "Failed to load rejections");
+			setRows(data);
+		} catch (err) {
+			setError(err.message);
+		}
+	}
+
+	function toggle() {
+		if (!show && rows === null) load();
+		setShow(v => !v);
+	}
+
+	function filterBy(user) {
+		setUserFilter(user);
+		load(user);
+	}
+
+	return (
+		<section className="bg-white rounded shadow p-3 md:p-4 overflow-x-auto">
+			<div className="flex items-center justify-between gap-2 mb-2">
+				<h2 className="text-lg font-medium">Rejected Check-ins</h2>
+				<button
+					type="button"
+					className="px-3 py-1 rounded border border-[#FF7A00] text-[#FF7A00] bg-white cursor-pointer text-sm"
+					onClick={toggle}
+				>
+					{show ? "Hide" : "Show"}
+				</button>
+			</div>
+
+			{show && (
+				<>
+					{userFilter && (
+						<div className="text-sm text-gray-700 mb-2">
+							Showing attempts by {userFilter.name || userFilter.email}{" "}
+							<button className="text-[#00AEEF] underline cursor-pointer" onClick={() => filterBy(null)}>
+								show everyone
+							</button>
+						</div>
+					)}
+					{error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+					{rows === null ? (
+						<p className="text-sm text-gray-500">Loading...</p>
+					) : rows.length === 0 ? (
+						<p className="text-sm text-gray-500">No rejected check-ins.</p>
+					) : (
+						<table className="w-full text-sm text-gray-700">
+							<thead>
+								<tr className="text-left text-[#FF7A00]">
+									<th className="py-1 pr-2">When</th>
+									<th className="py-1 pr-2">Player</th>
+									<th className="py-1 pr-2">Quest</th>
+									<th className="py-1 pr-2">Reason</th>
+									<th className="py-1 pr-2">Distance</th>
+									<th className="py-1 pr-2">Accuracy</th>
+									<th className="py-1 pr-2">Reading</th>
+								</tr>
+							</thead>
+							<tbody>
+								{rows.map(r => (
+									<tr key={r.rejection_id} className="border-t">
+										<td className="py-1 pr-2 whitespace-nowrap">{new Date(r.created_at).toLocaleString()}</td>
+										<td className="py-1 pr-2">
+											{r.users ? (
+												<button className="text-[#00AEEF] underline cursor-pointer" onClick={() => filterBy(r.users)}>
+													{r.users.name || r.users.email}
+												</button>
+											) : "-"}
+										</td>
+										<td className="py-1 pr-2">
+											{r.quests?.text || "-"}
+											<div className="text-xs text-gray-500">{r.locations?.name}</div>
+										</td>
+										<td className="py-1 pr-2">{REASON_LABELS[r.reason] || r.reason}</td>
+										<td className="py-1 pr-2 whitespace-nowrap">
+											{r.distance_m !== null ? `${Math.round(r.distance_m)} m` : "-"}
+											{r.locations?.geofence_radius_m && <span className="text-xs text-gray-500"> / {r.locations.geofence_radius_m} m</span>}
+										</td>
+										<td className="py-1 pr-2 whitespace-nowrap">{r.accuracy_m !== null ? `±${Math.round(r.accuracy_m)} m` : "-"}</td>
+										<td className="py-1 pr-2 text-xs text-gray-500 whitespace-nowrap">
+											{r.latitude !== null ? `${r.latitude.toFixed(5)}, ${r.longitude.toFixed(5)}` : "-"}
+											{r.reading_at && <div>{new Date(r.reading_at).toLocaleTimeString()}</div>}
+										</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					)}
+				</>
+			)}
+		</section>
+	);
+}
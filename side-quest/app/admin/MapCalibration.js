@@ -0,0 +1,287 @@
+/*
+	Name: admin/MapCalibration.js
+	Description: Calibration tool for the street map. Admins click a spot on the
+	             campus map and enter its GPS position (or reuse a location that
+	             already has one); with three or more control points every
+	             location's pixel position can be turned into latitude / longitude.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Shows an inline message when the API refuses a change
+	Input: /api/admin/map-calibration
+	Output: Collapsible section of the admin panel
+*/
+
+"use client";
+
+import { useState } from "react";
+import Image from "next/image";
+import { CAMPUS_MAP, pixelToLatLng } from "@/lib/calibration";
+
+/*
+	Function: formatMeters
+	Description: Short distance label for residuals.
+	Arguments:
+		meters - number
+	Returns: string
+*/
+function formatMeters(meters) {
+	return meters < 10 ? `${meters.toFixed(1)} m` : `${Math.round(meters)} m`;
+}
+
+export default function MapCalibration({ onApplied }) {
+	const [show, setShow] = useState(false);
+	const [data, setData] = useState(null);
+	const [pending, setPending] = useState({ label: "", x: null, y: null, latitude: "", longitude: "" });
+	const [busy, setBusy] = useState(false);
+	const [error, setError] = useState("");
+
+	async function request(method, body) {
+		const res = await fetch("/api/admin/map-calibration", {
+			method,
+			headers: { "Content-Type": "application/json" },
+			body: body ? JSON.stringify(body) : undefined,
+		});
+		const json = await res.json().catch(() => ({}));
+		if (!res.ok) throw new Error(json.error || "Request failed");
+		return json;
+	}
+
+	async function run(method, body) {
+		setBusy(true);
+		setError("");
+		try {
+			const next = await request(method, body);
+			setData(next);
+			return next;
+		} catch (err) {
+			setError(err.message);
+			return null;
+		} finally {
+			setBusy(false);
+		}
+	}
+
+	function toggle() {
+		if (!show && data === null) run("GET");
+		setShow(v => !v);
+	}
+
+	function pickPixel(e) {
+		const rect = e.currentTarget.getBoundingClientRect();
+		const scale = rect.width / CAMPUS_MAP.width;
+		setPending(p => ({
+			...p,
+			x: Math.round((e.clientX - rect.left) / scale),
+			y: Math.round((e.clientY - rect.top) / scale),
+		}));
+	}
+
+	// A location placed by both pixel and GPS is a ready-made control point
+	function copyLocation(locationId) {
+		const loc = data?.locations.find(l => String(l.location_id) === locationId);
+		if (!loc) return;
+		setPending({
+			label: loc.name,
+			x: Number(loc.x_coordinate ?? 0),
+			y: Number(loc.y_coordinate ?? 0),
+			latitude: String(loc.latitude),
+			longitude: String(loc.longitude),
+		});
+	}
+
+	// Pasting "38.9575, -95.2502" into the latitude box fills both
+	function setLatitude(value) {
+		const [lat, lng] = value.split(",").map(s => s.trim());
+		setPending(p => (lng !== undefined ? { ...p, latitude: lat, longitude: lng } : { ...p, latitude: value }));
+	}
+
+	async function addPoint() {
+		const added = await run("POST", {
+			label: pending.label,
+			x_coordinate: pending.x,
+			y_coordinate: pending.y,
+			latitude: Number(pending.latitude),
+			longitude: Number(pending.longitude),
+		});
+		if (added) setPending({ label: "", x: null, y: null, latitude: "", longitude: "" });
+	}
+
+	async function apply(overwrite) {
+		if (overwrite && !confirm("Replace the GPS position of every location with the fitted one? This also moves their geofences.")) return;
+		const applied = await run("PUT", { overwrite });
+		if (applied) onApplied?.(applied.locations);
+	}
+
+	const fit = data?.fit;
+	const placed = (data?.locations || []).filter(l => l.latitude !== null && l.longitude !== null);
+	const missing = (data?.locations || []).length - placed.length;
+	const preview = fit?.ok && pending.x !== null ? pixelToLatLng(fit.transform, pending.x, pending.y) : null;
+	const dot = (x, y) => ({ left: `${(x / CAMPUS_MAP.width) * 100}%`, top: `${(y / CAMPUS_MAP.height) * 100}%` });
+
+	return (
+		<section className="bg-white rounded shadow p-3 md:p-4">
+			<div className="flex items-center justify-between gap-2 mb-2">
+				<h2 className="text-lg font-medium">Street Map Calibration</h2>
+				<button
+					type="button"
+					className="px-3 py-1 rounded border border-[#FF7A00] text-[#FF7A00] bg-white cursor-pointer text-sm"
+					onClick={toggle}
+				>
+					{show ? "Hide" : "Show"}
+				</button>
+			</div>
+
+			{show && (
+				<div className="space-y-3 text-sm">
+					<p className="text-xs text-gray-500">
+						Click a spot on the campus map you can also find on a real map (a building corner, a fountain), then enter its GPS position.
+						Spread at least three points around campus; more points average out small mistakes.
+					</p>
+					{error && <p className="text-sm text-red-600">{error}</p>}
+
+					<div className="flex flex-col lg:flex-row gap-4">
+						<div
+							className="relative border-4 border-gray-300 rounded cursor-crosshair overflow-hidden w-full lg:max-w-xl"
+							style={{ aspectRatio: `${CAMPUS_MAP.width}/${CAMPUS_MAP.height}` }}
+							onClick={pickPixel}
+						>
+							<Image src={CAMPUS_MAP.src} alt="Campus map" fill unoptimized draggable={false} className="object-contain select-none" />
+							{(data?.locations || []).map(l => (
+								<div
+									key={l.location_id}
+									className="absolute w-2 h-2 bg-blue-500/60 rounded-full -translate-x-1/2 -translate-y-1/2 pointer-events-none"
+									style={dot(Number(l.x_coordinate ?? 0), Number(l.y_coordinate ?? 0))}
+									title={l.name}
+								/>
+							))}
+							{(data?.points || []).map(p => (
+								<div
+									key={p.control_point_id}
+									className="absolute w-3 h-3 bg-[#FF7A00] border-2 border-white rotate-45 -translate-x-1/2 -translate-y-1/2 pointer-events-none"
+									style={dot(p.x_coordinate, p.y_coordinate)}
+								/>
+							))}
+							{pending.x !== null && (
+								<div
+									className="absolute w-4 h-4 bg-red-500 rounded-full border-2 border-white shadow-md -translate-x-1/2 -translate-y-1/2 pointer-events-none"
+									style={dot(pending.x, pending.y)}
+								/>
+							)}
+						</div>
+
+						<div className="flex-1 space-y-3">
+							<div className="flex flex-col gap-2">
+								<span className="font-medium">New control point</span>
+								{placed.length > 0 && (
+									<select
+										className="px-2 py-1 border rounded cursor-pointer"
+										value=""
+										onChange={e => copyLocation(e.target.value)}
+									>
+										<option value="">Copy from a location with a GPS position...</option>
+										{placed.map(l => (
+											<option key={l.location_id} value={l.location_id}>{l.name}</option>
+										))}
+									</select>
+								)}
+								<span className="text-xs text-gray-500">
+									{pending.x === null ? "Click the map to pick the pixel." : `Pixel ${pending.x}, ${pending.y}`}
+									{preview && ` · fit puts it at ${preview.latitude.toFixed(6)}, ${preview.longitude.toFixed(6)}`}
+								</span>
+								<input
+									className="px-2 py-1 border rounded"
+									placeholder="Label, e.g. Campanile"
+									value={pending.label}
+									onChange={e => setPending(p => ({ ...p, label: e.target.value }))}
+								/>
+								<div className="flex gap-2">
+									<input
+										className="px-2 py-1 border rounded w-full"
+										placeholder="Latitude"
+										value={pending.latitude}
+										onChange={e => setLatitude(e.target.value)}
+									/>
+									<input
+										className="px-2 py-1 border rounded w-full"
+										placeholder="Longitude"
+										value={pending.longitude}
+										onChange={e => setPending(p => ({ ...p, longitude: e.target.value }))}
+									/>
+								</div>
+								<button
+									type="button"
+									className="self-start bg-[#FF7A00] text-white px-3 py-1 rounded disabled:opacity-60 cursor-pointer"
+									onClick={addPoint}
+									disabled={busy || pending.x === null || pending.latitude === "" || pending.longitude === ""}
+								>
+									Add Control Point
+								</button>
+							</div>
+
+							<div>
+								<span className="font-medium">Control points</span>
+								{data === null ? (
+									<p className="text-gray-500">Loading...</p>
+								) : data.points.length === 0 ? (
+									<p className="text-gray-500">None yet.</p>
+								) : (
+									<ul className="divide-y">
+										{data.points.map((p, i) => (
+											<li key={p.control_point_id} className="py-1 flex items-center gap-2 text-xs">
+												<span className="flex-1">
+													{p.label || `Point ${i + 1}`} · {Math.round(p.x_coordinate)}, {Math.round(p.y_coordinate)} → {p.latitude.toFixed(6)}, {p.longitude.toFixed(6)}
+												</span>
+												{fit?.ok && (
+													<span className={fit.residuals[i] > 15 ? "text-red-600" : "text-gray-500"} title="How far the fit is from this point">
+														{formatMeters(fit.residuals[i])}
+													</span>
+												)}
+												<button
+													type="button"
+													className="px-2 rounded border text-red-600 cursor-pointer"
+													onClick={() => run("DELETE", { control_point_id: p.control_point_id })}
+													disabled={busy}
+												>
+													Remove
+												</button>
+											</li>
+										))}
+									</ul>
+								)}
+							</div>
+
+							{fit && (
+								<div className="space-y-2">
+									<p className={fit.ok ? "text-gray-700" : "text-gray-500"}>
+										{fit.ok ? `Fit is off by about ${formatMeters(fit.rmsMeters)} on average.` : fit.message}
+									</p>
+									{fit.ok && (
+										<div className="flex flex-wrap gap-2">
+											<button
+												type="button"
+												className="bg-[#00AEEF] text-white px-3 py-1 rounded disabled:opacity-60 cursor-pointer"
+												onClick={() => apply(false)}
+												disabled={busy || missing === 0}
+											>
+												Fill in {missing} missing GPS position{missing === 1 ? "" : "s"}
+											</button>
+											<button
+												type="button"
+												className="px-3 py-1 rounded border border-red-400 text-red-600 disabled:opacity-60 cursor-pointer"
+												onClick={() => apply(true)}
+												disabled={busy}
+											>
+												Overwrite all
+											</button>
+										</div>
+									)}
+								</div>
+							)}
+						</div>
+					</div>
+				</div>
+			)}
+		</section>
+	);
+}
@@ -0,0 +1,180 @@
+/*
+	Name: admin/MapPaths.js
+	Description: Draws the walkable paths between locations. Admins click one
+	             location on the campus map and then another to join them, or
+	             to remove the path if they are already joined. Players see the
+	             paths on the map and the route planner walks along them.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Shows an inline message when the API refuses a change
+	Input: Locations from the panel, /api/admin/map-paths
+	Output: Collapsible section of the admin panel
+*/
+
+"use client";
+
+import { useState } from "react";
+import Image from "next/image";
+import { CAMPUS_MAP } from "@/lib/calibration";
+
+export default function MapPaths({ locations = [] }) {
+	const [show, setShow] = useState(false);
+	const [paths, setPaths] = useState(null);
+	const [selected, setSelected] = useState(null);
+	const [busy, setBusy] = useState(false);
+	const [error, setError] = useState("");
+
+	async function request(method, body) {
+		const res = await fetch("/api/admin/map-paths", {
+			method,
+			headers: { "Content-Type": "application/json" },
+			body: body ? JSON.stringify(body) : undefined,
+		});
+		const json = await res.json().catch(() => ({}));
+		if (!res.ok) throw new Error(json.error || "Request failed");
+		return json;
+	}
+
+	async function run(method, body) {
+		setBusy(true);
+		setError("");
+		try {
+			const next = await request(method, body);
+			setPaths(next.paths);
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusy(false);
+		}
+	}
+
+	function toggle() {
+		if (!show && paths === null) run("GET");
+		setShow(v => !v);
+	}
+
+	// First click picks a location, the second joins it to the first (or unjoins them)
+	function pick(locationId) {
+		if (busy) return;
+		if (selected === null) {
+			setSelected(locationId);
+			return;
+		}
+		const from = selected;
+		setSelected(null);
+		if (from === locationId) return;
+		const existing = (paths || []).find(p =>
+			(p.from_location_id === from && p.to_location_id === locationId)
+			|| (p.from_location_id === locationId && p.to_location_id === from)
+		);
+		if (existing) run("DELETE", { path_id: existing.path_id });
+		else run("POST", { from_location_id: from, to_location_id: locationId });
+	}
+
+	const byId = Object.fromEntries(locations.map(l => [l.location_id, l]));
+	const pos = l => ({ x: Number(l.x_coordinate ?? 0), y: Number(l.y_coordinate ?? 0) });
+	const pct = (value, size) => `${(value / size) * 100}%`;
+
+	return (
+		<section className="bg-white rounded shadow p-3 md:p-4">
+			<div className="flex items-center justify-between gap-2 mb-2">
+				<h2 className="text-lg font-medium">Walking Paths</h2>
+				<button
+					type="button"
+					className="px-3 py-1 rounded border border-[#FF7A00] text-[#FF7A00] bg-white cursor-pointer text-sm"
+					onClick={toggle}
+				>
+					{show ? "Hide" : "Show"}
+				</button>
+			</div>
+
+			{show && (
+				<div className="space-y-3 text-sm">
+					<p className="text-xs text-gray-500">
+						Click a location, then another one you can walk to directly, to join them. Click two joined locations to remove their path.
+						Players see these paths on the map, and suggested routes only walk along them.
+					</p>
+					{error && <p className="text-sm text-red-600">{error}</p>}
+
+					<div className="flex flex-col lg:flex-row gap-4">
+						<div
+							className="relative border-4 border-gray-300 rounded overflow-hidden w-full lg:max-w-xl"
+							style={{ aspectRatio: `${CAMPUS_MAP.width}/${CAMPUS_MAP.height}` }}
+						>
+							<Image src={CAMPUS_MAP.src} alt="Campus map" fill unoptimized draggable={false} className="object-contain select-none" />
+							<svg
+								className="absolute inset-0 w-full h-full pointer-events-none"
+								viewBox={`0 0 ${CAMPUS_MAP.width} ${CAMPUS_MAP.height}`}
+								preserveAspectRatio="none"
+							>
+								{(paths || []).map(p => {
+									const a = byId[p.from_location_id];
+									const b = byId[p.to_location_id];
+									if (!a || !b) return null;
+									return (
+										<line
+											key={p.path_id}
+											x1={pos(a).x}
+											y1={pos(a).y}
+											x2={pos(b).x}
+											y2={pos(b).y}
+											stroke="#00AEEF"
+											strokeWidth="6"
+											strokeLinecap="round"
+										/>
+									);
+								})}
+							</svg>
+							{locations.map(l => (
+								<button
+									key={l.location_id}
+									type="button"
+									onClick={() => pick(l.location_id)}
+									title={l.name}
+									aria-pressed={selected === l.location_id}
+									className={`absolute w-4 h-4 rounded-full border-2 border-white shadow -translate-x-1/2 -translate-y-1/2 cursor-pointer ${
+										selected === l.location_id ? "bg-[#FF7A00] scale-150" : "bg-blue-600"
+									}`}
+									style={{ left: pct(pos(l).x, CAMPUS_MAP.width), top: pct(pos(l).y, CAMPUS_MAP.height) }}
+								/>
+							))}
+						</div>
+
+						<div className="flex-1 space-y-2">
+							<span className="text-xs text-gray-500">
+								{selected === null ? "Click a location to start a path." : `From ${byId[selected]?.name ?? "?"} to... (click it again to cancel)`}
+							</span>
+							<div>
+								<span className="font-medium">Paths</span>
+								{paths === null ? (
+									<p className="text-gray-500">Loading...</p>
+								) : paths.length === 0 ? (
+									<p className="text-gray-500">None yet. Until there are, routes go as the crow flies.</p>
+								) : (
+									<ul className="divide-y">
+										{paths.map(p => (
+											<li key={p.path_id} className="py-1 flex items-center gap-2 text-xs">
+												<span className="flex-1">
+													{byId[p.from_location_id]?.name ?? "?"} ↔ {byId[p.to_location_id]?.name ?? "?"}
+												</span>
+												<button
+													type="button"
+													className="px-2 rounded border text-red-600 cursor-pointer"
+													onClick={() => run("DELETE", { path_id: p.path_id })}
+													disabled={busy}
+												>
+													Remove
+												</button>
+											</li>
+										))}
+									</ul>
+								)}
+							</div>
+						</div>
+					</div>
+				</div>
+			)}
+		</section>
+	);
+}
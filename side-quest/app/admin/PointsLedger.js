@@ -0,0 +1,162 @@
+/*
+	Name: admin/PointsLedger.js
+	Description: Audit log of every change to players' points: quest rewards and
+	             take-backs, GeoThinkr guesses, admin grants and the opening
+	             balances carried over when the ledger was introduced.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Storyline bonuses - 10/19/2026
+	Errors: Shows an inline message when the API fails
+	Input: Transactions from /api/admin/points
+	Output: Collapsible section of the admin panel
+*/
+
+"use client";
+
+import { useState } from "react";
+
+// Labels for point_transactions.source
+const SOURCE_LABELS = {
+	opening_balance: "Opening balance",
+	quest: "Quest",
+	geothinkr: "GeoThinkr",
+	admin: "Admin",
+	storyline: "Storyline",
+};
+
+export default function PointsLedger() {
+	const [rows, setRows] = useState(null);
+	const [show, setShow] = useState(false);
+	const [email, setEmail] = useState("");
+	const [source, setSource] = useState("");
+	const [error, setError] = useState("");
+
+	async function load(filters = { email, source }) {
+		setError("");
+		try {
+			const params = new URLSearchParams();
+			if (filters.email.trim()) params.set("email", filters.email.trim());
+			if (filters.source) params.set("source", filters.source);
+			const query = params.toString() ? `?${params}` : "";
+			const res = await fetch(`/api/admin/points${query}`);
+			const data = await res.json();
+			if (!res.ok) throw new Error(data.error || "Failed to load point history");
+			setRows(data);
+		} catch (err) {
+			setError(err.message);
+		}
+	}
+
+	function toggle() {
+		if (!show && rows === null) load();
+		setShow(v => !v);
+	}
+
+	function filterBy(next) {
+		const filters = { email, source, ...next };
+		setEmail(filters.email);
+		setSource(filters.source);
+		load(filters);
+	}
+
+	// Balance of the player the table is filtered to
+	const first = rows?.[0]?.player;
+	const player = email.trim() && first?.email?.toLowerCase() === email.trim().toLowerCase() ? first : null;
+
+	return (
+		<section className="bg-white rounded shadow p-3 md:p-4 overflow-x-auto">
+			<div className="flex items-center justify-between gap-2 mb-2">
+				<h2 className="text-lg font-medium">Point History</h2>
+				<button
+					type="button"
+					className="px-3 py-1 rounded border border-[#FF7A00] text-[#FF7A00] bg-white cursor-pointer text-sm"
+					onClick={toggle}
+				>
+					{show ? "Hide" : "Show"}
+				</button>
+			</div>
+
+			{show && (
+				<>
+					<form
+						className="flex flex-col md:flex-row md:items-center gap-2 mb-2 text-sm"
+						onSubmit={e => {
+							e.preventDefault();
+							load();
+						}}
+					>
+						<input
+							className="border rounded px-2 py-1 w-full md:w-64"
+							placeholder="Player email"
+							value={email}
+							onChange={e => setEmail(e.target.value)}
+						/>
+						<select
+							className="border rounded px-2 py-1 cursor-pointer"
+							value={source}
+							onChange={e => filterBy({ source: e.target.value })}
+						>
+							<option value="">All sources</option>
+							{Object.entries(SOURCE_LABELS).map(([value, label]) => (
+								<option key={value} value={value}>{label}</option>
+							))}
+						</select>
+						<button type="submit" className="px-3 py-1 rounded border cursor-pointer">Search</button>
+						{email && (
+							<button type="button" className="text-[#00AEEF] underline cursor-pointer" onClick={() => filterBy({ email: "" })}>
+								show everyone
+							</button>
+						)}
+					</form>
+					{player && (
+						<div className="text-sm text-gray-700 mb-2">
+							{player.name || player.email} has {player.points ?? 0} points
+						</div>
+					)}
+					{error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+					{rows === null ? (
+						<p className="text-sm text-gray-500">Loading...</p>
+					) : rows.length === 0 ? (
+						<p className="text-sm text-gray-500">No point changes.</p>
+					) : (
+						<table className="w-full text-sm text-gray-700">
+							<thead>
+								<tr className="text-left text-[#FF7A00]">
+									<th className="py-1 pr-2">When</th>
+									<th className="py-1 pr-2">Player</th>
+									<th className="py-1 pr-2">Source</th>
+									<th className="py-1 pr-2 text-right">Points</th>
+									<th className="py-1 pr-2">Reason</th>
+									<th className="py-1 pr-2">By</th>
+								</tr>
+							</thead>
+							<tbody>
+								{rows.map(r => (
+									<tr key={r.transaction_id} className="border-t">
+										<td className="py-1 pr-2 whitespace-nowrap">{new Date(r.created_at).toLocaleString()}</td>
+										<td className="py-1 pr-2">
+											{r.player ? (
+												<button className="text-[#00AEEF] underline cursor-pointer" onClick={() => filterBy({ email: r.player.email })}>
+													{r.player.name || r.player.email}
+												</button>
+											) : "-"}
+										</td>
+										<td className="py-1 pr-2">
+											{SOURCE_LABELS[r.source] || r.source}
+											{r.reference_id && <div className="text-xs text-gray-500 font-mono">{r.reference_id.slice(0, 8)}</div>}
+										</td>
+										<td className={`py-1 pr-2 text-right font-medium ${r.amount < 0 ? "text-red-600" : "text-green-700"}`}>
+											{r.amount > 0 ? `+${r.amount}` : r.amount}
+										</td>
+										<td className="py-1 pr-2">{r.reason || "-"}</td>
+										<td className="py-1 pr-2">{r.admin ? r.admin.name || r.admin.email : "-"}</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					)}
+				</>
+			)}
+		</section>
+	);
+}
@@ -0,0 +1,192 @@
+/*
+	Name: admin/QuestContent.js
+	Description: Edits a quest's longer content: markdown description, hints,
+	             accessibility note and cover image, with a preview of how players
+	             will see it.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Only offer the allowed image types - 10/19/2026
+	Errors: Shows an inline message when an image upload fails; text is saved through the panel, which alerts on failure
+	Input: The quest row
+	Output: Calls onSave with changed text fields and onImageChange with the quest after an image change
+*/
+
+"use client";
+
+import { useState } from "react";
+import Image from "next/image";
+import QuestDetails from "../components/QuestDetails";
+import { MAX_DESCRIPTION_LENGTH, MAX_HINTS, MAX_HINT_LENGTH, MAX_ACCESSIBILITY_LENGTH, IMAGE_ACCEPT, hasQuestContent } from "@/lib/questContent";
+
+export default function QuestContent({ quest, onSave, onImageChange, disabled }) {
+	const [open, setOpen] = useState(false);
+	const [preview, setPreview] = useState(false);
+	const [description, setDescription] = useState(quest.description || "");
+	const [hints, setHints] = useState(quest.hints || []);
+	const [accessibility, setAccessibility] = useState(quest.accessibility_note || "");
+	const [uploading, setUploading] = useState(false);
+	const [error, setError] = useState("");
+
+	function save() {
+		onSave({ description, hints, accessibility_note: accessibility });
+	}
+
+	// Upload or remove the cover image; the API answers with the updated quest
+	async function changeImage(file) {
+		setError("");
+		setUploading(true);
+		try {
+			let res;
+			if (file) {
+				const formData = new FormData();
+				formData.append("quest_id", quest.quest_id);
+				formData.append("file", file);
+				res = await fetch("/api/admin/quests/image", { method: "POST", body: formData });
+			} else {
+				res = await fetch("/api/admin/quests/image", {
+					method: "DELETE",
+					headers: { "Content-Type": "application/json" },
+					body: JSON.stringify({ quest_id: quest.quest_id }),
+				});
+			}
+			const data = await res.json().catch(() => ({}));
+			if (!res.ok) throw new Error(data.error || "Image update failed");
+			onImageChange(data);
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setUploading(false);
+		}
+	}
+
+	return (
+		<div className={open ? "w-full" : ""}>
+			<button
+				type="button"
+				className="px-2 py-1 rounded border text-xs text-gray-700 cursor-pointer"
+				onClick={() => setOpen(v => !v)}
+				title="Description, hints, image and accessibility note"
+			>
+				{hasQuestContent(quest) ? "Details ✓" : "Add details"}
+			</button>
+			{open && (
+				<div className="mt-2 p-2 border rounded flex flex-col gap-2 text-xs text-gray-700">
+					<div className="flex items-center gap-2">
+						<span className="font-medium">Description</span>
+						<button
+							type="button"
+							className={`px-2 py-0.5 rounded border cursor-pointer ${!preview ? "bg-gray-100" : ""}`}
+							onClick={() => setPreview(false)}
+						>
+							Write
+						</button>
+						<button
+							type="button"
+							className={`px-2 py-0.5 rounded border cursor-pointer ${preview ? "bg-gray-100" : ""}`}
+							onClick={() => setPreview(true)}
+						>
+							Preview
+						</button>
+						<span className="ml-auto text-gray-500">{description.length}/{MAX_DESCRIPTION_LENGTH}</span>
+					</div>
+					{preview ? (
+						<div className="p-2 border rounded max-w-sm">
+							<QuestDetails
+								description={description}
+								imageUrl={quest.image_url}
+								hints={hints.filter(h => h.trim())}
+								accessibilityNote={accessibility.trim()}
+							/>
+						</div>
+					) : (
+						<textarea
+							className="px-2 py-1 border rounded font-mono min-h-24"
+							placeholder={"Markdown: **bold**, *italic*, - lists, [link](https://...)"}
+							value={description}
+							maxLength={MAX_DESCRIPTION_LENGTH}
+							onChange={e => setDescription(e.target.value)}
+						/>
+					)}
+
+					<span className="font-medium">Hints (shown one at a time)</span>
+					{hints.map((hint, i) => (
+						<div key={i} className="flex gap-1">
+							<input
+								className="flex-1 px-2 py-1 border rounded"
+								placeholder={`Hint ${i + 1}`}
+								value={hint}
+								maxLength={MAX_HINT_LENGTH}
+								onChange={e => setHints(h => h.map((x, j) => (j === i ? e.target.value : x)))}
+							/>
+							<button
+								type="button"
+								className="px-2 rounded border text-red-600 cursor-pointer"
+								onClick={() => setHints(h => h.filter((_, j) => j !== i))}
+								title="Remove hint"
+							>
+								×
+							</button>
+						</div>
+					))}
+					{hints.length < MAX_HINTS && (
+						<button type="button" className="self-start text-[#00AEEF] underline cursor-pointer" onClick={() => setHints(h => [...h, ""])}>
+							Add a hint
+						</button>
+					)}
+
+					<label className="flex flex-col gap-1">
+						<span className="font-medium">Accessibility note</span>
+						<input
+							className="px-2 py-1 border rounded"
+							placeholder="e.g. Step-free entrance on the east side; elevator to floor 2"
+							value={accessibility}
+							maxLength={MAX_ACCESSIBILITY_LENGTH}
+							onChange={e => setAccessibility(e.target.value)}
+						/>
+					</label>
+
+					<button
+						type="button"
+						className="self-start bg-[#FF7A00] text-white px-3 py-1 rounded disabled:opacity-60 cursor-pointer"
+						onClick={save}
+						disabled={disabled}
+					>
+						Save details
+					</button>
+
+					<div className="flex flex-wrap items-center gap-2 pt-2 border-t">
+						<span className="font-medium">Cover image</span>
+						{quest.image_url ? (
+							<Image src={quest.image_url} alt="" width={64} height={40} unoptimized className="w-16 h-10 object-cover rounded" />
+						) : (
+							<span className="text-gray-500">None</span>
+						)}
+						<input
+							type="file"
+							accept={IMAGE_ACCEPT}
+							className="text-xs"
+							disabled={uploading}
+							onChange={e => {
+								const file = e.target.files?.[0];
+								e.target.value = "";
+								if (file) changeImage(file);
+							}}
+						/>
+						{quest.image_url && (
+							<button
+								type="button"
+								className="text-red-600 px-2 py-0.5 rounded border cursor-pointer disabled:opacity-60"
+								onClick={() => changeImage(null)}
+								disabled={uploading}
+							>
+								Remove
+							</button>
+						)}
+						{uploading && <span className="text-gray-500">Uploading...</span>}
+						{error && <span className="text-red-600">{error}</span>}
+					</div>
+				</div>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,112 @@
+/*
+	Name: admin/QuestSchedule.js
+	Description: Sets when a quest runs and whether it repeats. Times are entered
+	             in the browser's time zone and saved as absolute times.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: The API rejects an end before the start and the panel shows its message
+	Input: The quest row (starts_at, ends_at, recurrence)
+	Output: Calls onChange with the changed schedule fields
+*/
+
+"use client";
+
+import { useState } from "react";
+import { RECURRENCES, RECURRENCE_LABELS } from "@/lib/questSchedule";
+
+/*
+	Function: toInputValue
+	Description: ISO time to the "YYYY-MM-DDTHH:mm" local time a datetime-local input takes.
+	Arguments:
+		iso - ISO string or null
+	Returns: string
+*/
+function toInputValue(iso) {
+	if (!iso) return "";
+	const date = new Date(iso);
+	const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+	return local.toISOString().slice(0, 16);
+}
+
+/*
+	Function: fromInputValue
+	Description: A datetime-local value back to an ISO time, or null when cleared.
+	Arguments:
+		value - "YYYY-MM-DDTHH:mm" or ""
+	Returns: ISO string or null
+*/
+function fromInputValue(value) {
+	return value ? new Date(value).toISOString() : null;
+}
+
+export default function QuestSchedule({ quest, onChange, disabled }) {
+	const [open, setOpen] = useState(false);
+
+	const summary = [
+		quest.recurrence && RECURRENCE_LABELS[quest.recurrence],
+		quest.starts_at && `from ${new Date(quest.starts_at).toLocaleDateString()}`,
+		quest.ends_at && `until ${new Date(quest.ends_at).toLocaleDateString()}`,
+	].filter(Boolean).join(", ");
+
+	// Only send a time that actually changed
+	function changeTime(key, value) {
+		const next = fromInputValue(value);
+		const current = quest[key] ? new Date(quest[key]).toISOString() : null;
+		if (next !== current) onChange({ [key]: next });
+	}
+
+	return (
+		<div className={open ? "w-full" : ""}>
+			<button
+				type="button"
+				className="px-2 py-1 rounded border text-xs text-gray-700 cursor-pointer"
+				onClick={() => setOpen(v => !v)}
+				title="When the quest runs and whether it repeats"
+			>
+				{summary ? `Schedule: ${summary}` : "Always on"}
+			</button>
+			{open && (
+				<div className="mt-2 p-2 border rounded flex flex-col md:flex-row md:items-end gap-2 text-xs text-gray-700">
+					<label className="flex flex-col gap-1">
+						Repeats
+						<select
+							className="px-2 py-1 border rounded cursor-pointer"
+							value={quest.recurrence || ""}
+							disabled={disabled}
+							onChange={e => onChange({ recurrence: e.target.value || null })}
+						>
+							<option value="">Once</option>
+							{RECURRENCES.map(r => (
+								<option key={r} value={r}>{RECURRENCE_LABELS[r]}</option>
+							))}
+						</select>
+					</label>
+					<label className="flex flex-col gap-1">
+						Starts
+						<input
+							type="datetime-local"
+							className="px-2 py-1 border rounded"
+							defaultValue={toInputValue(quest.starts_at)}
+							disabled={disabled}
+							onBlur={e => changeTime("starts_at", e.target.value)}
+						/>
+					</label>
+					<label className="flex flex-col gap-1">
+						Ends
+						<input
+							type="datetime-local"
+							className="px-2 py-1 border rounded"
+							defaultValue={toInputValue(quest.ends_at)}
+							disabled={disabled}
+							onBlur={e => changeTime("ends_at", e.target.value)}
+						/>
+					</label>
+					<span className="text-gray-500 md:pb-1">
+						Repeating quests reset at midnight campus time (weeks start Monday). Leave a time empty for no limit.
+					</span>
+				</div>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,302 @@
+/*
+	Name: admin/Storylines.js
+	Description: Authoring for storylines: ordered chains of quests across
+	             locations with a bonus and an achievement for finishing them.
+	             Drafts are hidden from players until published.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Shows an inline message when the API refuses a change (e.g. an order that makes a prerequisite loop)
+	Input: All quests and locations from the panel; storylines from /api/admin/storylines
+	Output: Collapsible section of the admin panel
+*/
+
+"use client";
+
+import { useState } from "react";
+import Markdown from "../components/Markdown";
+
+export default function Storylines({ quests = [], locations = [] }) {
+	const [show, setShow] = useState(false);
+	const [rows, setRows] = useState(null);
+	const [newTitle, setNewTitle] = useState("");
+	const [editing, setEditing] = useState(null);
+	const [busy, setBusy] = useState(false);
+	const [error, setError] = useState("");
+
+	const locById = Object.fromEntries(locations.map(l => [l.location_id, l.name]));
+	const questById = Object.fromEntries(quests.map(q => [q.quest_id, q]));
+	const questLabel = id => {
+		const quest = questById[id];
+		if (!quest) return "Deleted quest";
+		return `${quest.text} (${locById[quest.location_id] ?? "Unassigned"})`;
+	};
+
+	async function request(method, body) {
+		const res = await fetch("/api/admin/storylines", {
+			method,
+			headers: { "Content-Type": "application/json" },
+			body: body ? JSON.stringify(body) : undefined,
+		});
+		const data = await res.json().catch(() => ({}));
+		if (!res.ok) throw new Error(data.error || "Request failed");
+		return data;
+	}
+
+	async function load() {
+		setError("");
+		try {
+			setRows(await request("GET"));
+		} catch (err) {
+			setError(err.message);
+			setRows([]);
+		}
+	}
+
+	function toggle() {
+		if (!show && rows === null) load();
+		setShow(v => !v);
+	}
+
+	async function create() {
+		if (!newTitle.trim()) return;
+		setBusy(true);
+		setError("");
+		try {
+			const created = await request("POST", { title: newTitle, steps: [] });
+			setRows(s => [...(s || []), created]);
+			setNewTitle("");
+			setEditing({ ...created });
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusy(false);
+		}
+	}
+
+	async function save() {
+		setBusy(true);
+		setError("");
+		try {
+			const saved = await request("PUT", {
+				storyline_id: editing.storyline_id,
+				title: editing.title,
+				description: editing.description ?? "",
+				bonus_points: editing.bonus_points,
+				is_published: editing.is_published,
+				steps: editing.steps,
+			});
+			setRows(s => s.map(r => (r.storyline_id === saved.storyline_id ? saved : r)));
+			setEditing(null);
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusy(false);
+		}
+	}
+
+	async function remove(row) {
+		if (!confirm(`Delete "${row.title}"? Players who finished it keep their bonus and achievement.`)) return;
+		setBusy(true);
+		setError("");
+		try {
+			await request("DELETE", { storyline_id: row.storyline_id });
+			setRows(s => s.filter(r => r.storyline_id !== row.storyline_id));
+			if (editing?.storyline_id === row.storyline_id) setEditing(null);
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusy(false);
+		}
+	}
+
+	// Step list edits on the storyline being edited
+	function moveStep(index, by) {
+		setEditing(e => {
+			const steps = [...e.steps];
+			const [step] = steps.splice(index, 1);
+			steps.splice(index + by, 0, step);
+			return { ...e, steps };
+		});
+	}
+
+	const unused = editing
+		? quests
+			.filter(q => !editing.steps.includes(q.quest_id))
+			.sort((a, b) => questLabel(a.quest_id).localeCompare(questLabel(b.quest_id)))
+		: [];
+
+	return (
+		<section className="bg-white rounded shadow p-3 md:p-4">
+			<div className="flex items-center justify-between gap-2 mb-2">
+				<h2 className="text-lg font-medium">Storylines</h2>
+				<button
+					type="button"
+					className="px-3 py-1 rounded border border-[#FF7A00] text-[#FF7A00] bg-white cursor-pointer text-sm"
+					onClick={toggle}
+				>
+					{show ? "Hide" : "Show"}
+				</button>
+			</div>
+
+			{show && (
+				<div className="space-y-3 text-sm">
+					<p className="text-xs text-gray-500">
+						Each step unlocks once the step before it is done. Finishing every step pays the bonus once and earns the storyline&apos;s achievement.
+					</p>
+					<div className="flex flex-col md:flex-row gap-2">
+						<input
+							className="px-2 py-1 border rounded w-full md:w-72"
+							placeholder="New storyline title, e.g. History of Jayhawk Boulevard"
+							value={newTitle}
+							onChange={e => setNewTitle(e.target.value)}
+						/>
+						<button
+							type="button"
+							className="bg-[#FF7A00] text-white px-3 py-1 rounded disabled:opacity-60 cursor-pointer"
+							onClick={create}
+							disabled={busy || !newTitle.trim()}
+						>
+							Add Storyline
+						</button>
+					</div>
+					{error && <p className="text-sm text-red-600">{error}</p>}
+
+					{rows === null ? (
+						<p className="text-sm text-gray-500">Loading...</p>
+					) : rows.length === 0 ? (
+						<p className="text-sm text-gray-500">No storylines yet.</p>
+					) : (
+						rows.map(row => (
+							<div key={row.storyline_id} className="border rounded p-2">
+								<div className="flex flex-wrap items-center gap-2">
+									<span className="font-medium">{row.title}</span>
+									<span className={`text-xs px-1.5 rounded ${row.is_published ? "bg-green-100 text-green-700" : "bg-gray-100 text-gray-600"}`}>
+										{row.is_published ? "Published" : "Draft"}
+									</span>
+									<span className="text-xs text-gray-500">{row.steps.length} steps · +{row.bonus_points} pts</span>
+									<div className="ml-auto flex gap-2">
+										<button
+											type="button"
+											className="px-2 py-1 rounded border text-xs cursor-pointer"
+											onClick={() => setEditing(editing?.storyline_id === row.storyline_id ? null : { ...row })}
+										>
+											{editing?.storyline_id === row.storyline_id ? "Cancel" : "Edit"}
+										</button>
+										<button
+											type="button"
+											className="px-2 py-1 rounded border text-xs text-red-600 cursor-pointer"
+											onClick={() => remove(row)}
+											disabled={busy}
+										>
+											Delete
+										</button>
+									</div>
+								</div>
+
+								{editing?.storyline_id === row.storyline_id && (
+									<div className="mt-2 flex flex-col gap-2 text-xs text-gray-700">
+										<input
+											className="px-2 py-1 border rounded"
+											value={editing.title}
+											onChange={e => setEditing(s => ({ ...s, title: e.target.value }))}
+										/>
+										<textarea
+											className="px-2 py-1 border rounded font-mono min-h-20"
+											placeholder="Story intro in markdown, shown on the storylines page"
+											value={editing.description ?? ""}
+											onChange={e => setEditing(s => ({ ...s, description: e.target.value }))}
+										/>
+										{editing.description?.trim() && (
+											<div className="p-2 border rounded bg-gray-50">
+												<span className="block text-gray-500 mb-1">Preview</span>
+												<Markdown source={editing.description} />
+											</div>
+										)}
+										<div className="flex flex-wrap items-center gap-4">
+											<label className="flex items-center gap-1">
+												Bonus points:
+												<input
+													type="number"
+													min={0}
+													className="px-2 py-1 border rounded w-20"
+													value={editing.bonus_points}
+													onChange={e => setEditing(s => ({ ...s, bonus_points: Number(e.target.value) }))}
+												/>
+											</label>
+											<label className="flex items-center gap-1 cursor-pointer">
+												<input
+													type="checkbox"
+													className="cursor-pointer"
+													checked={editing.is_published}
+													onChange={e => setEditing(s => ({ ...s, is_published: e.target.checked }))}
+												/>
+												Published
+											</label>
+										</div>
+
+										<span className="font-medium">Steps</span>
+										{editing.steps.length === 0 && <span className="text-gray-500">No steps yet.</span>}
+										<ol className="space-y-1">
+											{editing.steps.map((questId, i) => (
+												<li key={questId} className="flex items-center gap-2">
+													<span className="w-5 text-right text-gray-500">{i + 1}.</span>
+													<span className="flex-1">{questLabel(questId)}</span>
+													<button
+														type="button"
+														className="px-1.5 rounded border cursor-pointer disabled:opacity-40"
+														onClick={() => moveStep(i, -1)}
+														disabled={i === 0}
+														title="Move up"
+													>
+														↑
+													</button>
+													<button
+														type="button"
+														className="px-1.5 rounded border cursor-pointer disabled:opacity-40"
+														onClick={() => moveStep(i, 1)}
+														disabled={i === editing.steps.length - 1}
+														title="Move down"
+													>
+														↓
+													</button>
+													<button
+														type="button"
+														className="px-1.5 rounded border text-red-600 cursor-pointer"
+														onClick={() => setEditing(s => ({ ...s, steps: s.steps.filter(id => id !== questId) }))}
+														title="Remove step"
+													>
+														×
+													</button>
+												</li>
+											))}
+										</ol>
+										<select
+											className="px-2 py-1 border rounded cursor-pointer md:w-96"
+											value=""
+											onChange={e => e.target.value && setEditing(s => ({ ...s, steps: [...s.steps, e.target.value] }))}
+										>
+											<option value="">Add a step...</option>
+											{unused.map(q => (
+												<option key={q.quest_id} value={q.quest_id}>{questLabel(q.quest_id)}</option>
+											))}
+										</select>
+
+										<button
+											type="button"
+											className="self-start bg-[#FF7A00] text-white px-3 py-1 rounded disabled:opacity-60 cursor-pointer"
+											onClick={save}
+											disabled={busy}
+										>
+											Save Storyline
+										</button>
+									</div>
+								)}
+							</div>
+						))
+					)}
+				</div>
+			)}
+		</section>
+	);
+}
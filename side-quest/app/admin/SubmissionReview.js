@@ -0,0 +1,185 @@
+/*
+	Name: admin/SubmissionReview.js
+	Description: Review queue for photo proofs. Approving a photo completes the
+	             quest for the player and awards its points.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Shows an inline message when the API fails
+	Input: Submissions from /api/admin/submissions
+	Output: Collapsible section of the admin panel
+*/
+
+"use client";
+
+import Image from "next/image";
+import { useState } from "react";
+
+const STATUS_LABELS = {
+	pending: "Waiting for review",
+	approved: "Approved",
+	rejected: "Rejected",
+};
+
+export default function SubmissionReview() {
+	const [rows, setRows] = useState(null);
+	const [show, setShow] = useState(false);
+	const [status, setStatus] = useState("pending");
+	const [notes, setNotes] = useState({}); // { [submission_id]: note typed by the reviewer }
+	const [busyId, setBusyId] = useState(null);
+	const [error, setError] = useState("");
+
+	async function load(nextStatus = status) {
+		setError("");
+		setRows(null);
+		try {
+			const res = await fetch(`/api/admin/submissions?status=${nextStatus}`);
+			const data = await res.json();
+			if (!res.ok) throw new Error(data.error || "Failed to load submissions");
+			setRows(data);
+		} catch (err) {
+			setError(err.message);
+			setRows([]);
+		}
+	}
+
+	function toggle() {
+		if (!show && rows === null) load();
+		setShow(v => !v);
+	}
+
+	function changeStatus(nextStatus) {
+		setStatus(nextStatus);
+		load(nextStatus);
+	}
+
+	// Approve or reject, then drop the row from the pending queue
+	async function review(submission, decision) {
+		setBusyId(submission.submission_id);
+		setError("");
+		try {
+			const res = await fetch("/api/admin/submissions", {
+				method: "PATCH",
+				headers: { "Content-Type": "application/json" },
+				body: JSON.stringify({
+					submission_id: submission.submission_id,
+					status: decision,
+					note: notes[submission.submission_id] || "",
+				}),
+			});
+			const data = await res.json().catch(() => ({}));
+			if (!res.ok) throw new Error(data.error || "Failed to save review");
+			setRows(s => s.filter(r => r.submission_id !== submission.submission_id));
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusyId(null);
+		}
+	}
+
+	return (
+		<section className="bg-white rounded shadow p-3 md:p-4">
+			<div className="flex items-center justify-between gap-2 mb-2">
+				<h2 className="text-lg font-medium">Photo Proofs</h2>
+				<div className="flex items-center gap-2">
+					{show && (
+						<select
+							className="px-2 py-1 border rounded text-sm"
+							value={status}
+							onChange={e => changeStatus(e.target.value)}
+						>
+							{Object.entries(STATUS_LABELS).map(([value, label]) => (
+								<option key={value} value={value}>{label}</option>
+							))}
+						</select>
+					)}
+					<button
+						type="button"
+						className="px-3 py-1 rounded border border-[#FF7A00] text-[#FF7A00] bg-white cursor-pointer text-sm"
+						onClick={toggle}
+					>
+						{show ? "Hide" : "Show"}
+					</button>
+				</div>
+			</div>
+
+			{show && (
+				<>
+					{error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+					{rows === null ? (
+						<p className="text-sm text-gray-500">Loading...</p>
+					) : rows.length === 0 ? (
+						<p className="text-sm text-gray-500">No photos here.</p>
+					) : (
+						<div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+							{rows.map(r => {
+								const quest = Array.isArray(r.quests) ? r.quests[0] : r.quests;
+								const location = Array.isArray(quest?.locations) ? quest.locations[0] : quest?.locations;
+								return (
+									<div key={r.submission_id} className="border rounded p-2 space-y-2 text-sm text-gray-700">
+										{r.image_url ? (
+											<a href={r.image_url} target="_blank" rel="noreferrer">
+												<Image
+													src={r.image_url}
+													alt={`Proof for ${quest?.text || "quest"}`}
+													width={400}
+													height={300}
+													className="w-full h-48 object-cover rounded"
+													unoptimized
+												/>
+											</a>
+										) : (
+											<div className="w-full h-48 rounded bg-gray-100 flex items-center justify-center text-gray-500">
+												Image unavailable
+											</div>
+										)}
+										<div>
+											<div className="font-medium">{quest?.text || "Deleted quest"}</div>
+											<div className="text-xs text-gray-500">
+												{location?.name} · {quest?.reward_points || 100} pts
+											</div>
+											<div className="text-xs text-gray-500">
+												{r.users?.name || r.users?.email} · {new Date(r.created_at).toLocaleString()}
+											</div>
+										</div>
+										{r.status === "pending" ? (
+											<>
+												<input
+													className="w-full px-2 py-1 border rounded text-xs"
+													placeholder="Note to player (optional)"
+													value={notes[r.submission_id] || ""}
+													onChange={e => setNotes(n => ({ ...n, [r.submission_id]: e.target.value }))}
+												/>
+												<div className="flex gap-2">
+													<button
+														className="flex-1 bg-green-600 text-white px-3 py-1 rounded disabled:opacity-60 cursor-pointer"
+														onClick={() => review(r, "approved")}
+														disabled={busyId === r.submission_id}
+													>
+														Approve
+													</button>
+													<button
+														className="flex-1 text-red-600 px-3 py-1 rounded border disabled:opacity-60 cursor-pointer"
+														onClick={() => review(r, "rejected")}
+														disabled={busyId === r.submission_id}
+													>
+														Reject
+													</button>
+												</div>
+											</>
+										) : (
+											<div className="text-xs text-gray-500">
+												{STATUS_LABELS[r.status]} {r.reviewed_at && new Date(r.reviewed_at).toLocaleString()}
+												{r.review_note && <div>Note: {r.review_note}</div>}
+											</div>
+										)}
+									</div>
+								);
+							})}
+						</div>
+					)}
+				</>
+			)}
+		</section>
+	);
+}
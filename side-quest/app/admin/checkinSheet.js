@@ -0,0 +1,226 @@
+/*
+	Name: admin/checkinSheet.js
+	Description: Lays out a location's QR check-in codes on printable Letter pages
+	             and saves them as PNG images or a PDF, entirely in the browser.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Rejects when a QR image fails to load
+	Input: Location name and [{ text, qr }] where qr is a PNG data URL
+	Output: File downloads
+*/
+
+// US Letter at 150 dpi; the PDF page is the same size in points (612 x 792)
+const PAGE_WIDTH = 1275;
+const PAGE_HEIGHT = 1650;
+const PDF_WIDTH = 612;
+const PDF_HEIGHT = 792;
+// Six codes per page, big enough to scan from a few steps away
+const COLUMNS = 2;
+const ROWS = 3;
+const MARGIN = 75;
+const HEADER_HEIGHT = 120;
+
+/*
+	Function: loadImage
+	Description: Decodes a data URL into an image the canvas can draw.
+	Arguments:
+		src - image URL
+	Returns: Promise of HTMLImageElement
+*/
+function loadImage(src) {
+	return new Promise((resolve, reject) => {
+		const img = new window.Image();
+		img.onload = () => resolve(img);
+		img.onerror = () => reject(new Error("Could not load QR image"));
+		img.src = src;
+	});
+}
+
+/*
+	Function: wrapText
+	Description: Splits text into lines that fit a width, at most maxLines with an
+	             ellipsis when it runs over.
+	Arguments:
+		ctx - canvas context with the font already set
+		text - text to wrap
+		width - maximum line width in pixels
+		maxLines - line limit
+	Returns: array of lines
+*/
+function wrapText(ctx, text, width, maxLines) {
+	const lines = [];
+	let line = "";
+	for (const word of text.split(/\s+/)) {
+		const next = line ? `${line} ${word}` : word;
+		if (ctx.measureText(next).width <= width || !line) {
+			line = next;
+		} else {
+			lines.push(line);
+			line = word;
+		}
+	}
+	if (line) lines.push(line);
+	if (lines.length > maxLines) {
+		lines.length = maxLines;
+		lines[maxLines - 1] = `${lines[maxLines - 1].replace(/\s*\S*$/, "")}…`;
+	}
+	return lines;
+}
+
+/*
+	Function: renderSheetPages
+	Description: Draws the codes onto as many pages as needed, each with the
+	             location name on top and dashed lines to cut the codes apart.
+	Arguments:
+		title - location name
+		codes - [{ text, qr }]
+	Returns: Promise of an array of canvases, one per page
+*/
+export async function renderSheetPages(title, codes) {
+	const images = await Promise.all(codes.map(c => loadImage(c.qr)));
+	const perPage = COLUMNS * ROWS;
+	const cellWidth = (PAGE_WIDTH - MARGIN * 2) / COLUMNS;
+	const cellHeight = (PAGE_HEIGHT - MARGIN * 2 - HEADER_HEIGHT) / ROWS;
+	const textHeight = 90;
+	const qrSize = Math.min(cellWidth, cellHeight - textHeight) - 40;
+	const pageCount = Math.max(1, Math.ceil(codes.length / perPage));
+
+	const pages = [];
+	for (let p = 0; p < pageCount; p++) {
+		const canvas = document.createElement("canvas");
+		canvas.width = PAGE_WIDTH;
+		canvas.height = PAGE_HEIGHT;
+		const ctx = canvas.getContext("2d");
+
+		ctx.fillStyle = "#ffffff";
+		ctx.fillRect(0, 0, PAGE_WIDTH, PAGE_HEIGHT);
+
+		// Header
+		ctx.fillStyle = "#FF7A00";
+		ctx.textAlign = "center";
+		ctx.textBaseline = "top";
+		ctx.font = "bold 48px sans-serif";
+		ctx.fillText(title, PAGE_WIDTH / 2, MARGIN, PAGE_WIDTH - MARGIN * 2);
+		ctx.fillStyle = "#374151";
+		ctx.font = "28px sans-serif";
+		const subtitle = pageCount > 1 ? `Scan to check in · Side Quest · page ${p + 1} of ${pageCount}` : "Scan to check in · Side Quest";
+		ctx.fillText(subtitle, PAGE_WIDTH / 2, MARGIN + 60);
+
+		codes.slice(p * perPage, (p + 1) * perPage).forEach((code, i) => {
+			const x = MARGIN + (i % COLUMNS) * cellWidth;
+			const y = MARGIN + HEADER_HEIGHT + Math.floor(i / COLUMNS) * cellHeight;
+
+			// Cut lines
+			ctx.strokeStyle = "#9ca3af";
+			ctx.setLineDash([12, 10]);
+			ctx.lineWidth = 2;
+			ctx.strokeRect(x, y, cellWidth, cellHeight);
+			ctx.setLineDash([]);
+
+			ctx.drawImage(images[p * perPage + i], x + (cellWidth - qrSize) / 2, y + 20, qrSize, qrSize);
+
+			ctx.fillStyle = "#111827";
+			ctx.font = "26px sans-serif";
+			wrapText(ctx, code.text, cellWidth - 40, 2).forEach((line, l) => {
+				ctx.fillText(line, x + cellWidth / 2, y + 30 + qrSize + l * 34);
+			});
+		});
+		pages.push(canvas);
+	}
+	return pages;
+}
+
+/*
+	Function: download
+	Description: Saves a Blob as a file.
+	Arguments:
+		blob - file contents
+		fileName - suggested name
+	Returns: nothing
+*/
+function download(blob, fileName) {
+	const url = URL.createObjectURL(blob);
+	const a = document.createElement("a");
+	a.href = url;
+	a.download = fileName;
+	document.body.appendChild(a);
+	a.click();
+	a.remove();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/*
+	Function: downloadPng
+	Description: Saves each page as a PNG.
+	Arguments:
+		pages - canvases from renderSheetPages
+		baseName - file name without extension
+	Returns: Promise that resolves once every file is handed to the browser
+*/
+export async function downloadPng(pages, baseName) {
+	for (let i = 0; i < pages.length; i++) {
+		const blob = await new Promise(resolve => pages[i].toBlob(resolve, "image/png"));
+		download(blob, pages.length > 1 ? `${baseName}-${i + 1}.png` : `${baseName}.png`);
+	}
+}
+
+/*
+	Function: downloadPdf
+	Description: Saves the pages as one PDF. Each page is embedded as a JPEG
+	             (PDF reads JPEG data directly), so no PDF library is needed.
+	Arguments:
+		pages - canvases from renderSheetPages
+		baseName - file name without extension
+	Returns: nothing
+*/
+export function downloadPdf(pages, baseName) {
+	const encoder = new TextEncoder();
+	const chunks = [];
+	const offsets = [];
+	let length = 0;
+	const push = part => {
+		const bytes = typeof part === "string" ? encoder.encode(part) : part;
+		chunks.push(bytes);
+		length += bytes.length;
+	};
+	const startObject = n => {
+		offsets[n] = length;
+		push(`${n} 0 obj\n`);
+	};
+
+	// Objects: 1 catalog, 2 page tree, then page / contents / image for each page
+	const objectCount = 2 + pages.length * 3;
+	push("%PDF-1.4\n");
+	push(new Uint8Array([37, 226, 227, 207, 211, 10])); // binary marker comment
+
+	startObject(1);
+	push("<< /Type /Catalog /Pages 2 0 R >>\nendobj\n");
+	startObject(2);
+	const kids = pages.map((_, i) => `${3 + i * 3} 0 R`).join(" ");
+	push(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>\nendobj\n`);
+
+	pages.forEach((canvas, i) => {
+		const pageObj = 3 + i * 3;
+		const jpeg = Uint8Array.from(atob(canvas.toDataURL("image/jpeg", 0.92).split(",")[1]), c => c.charCodeAt(0));
+		const content = `q ${PDF_WIDTH} 0 0 ${PDF_HEIGHT} 0 0 cm /Im0 Do Q`;
+
+		startObject(pageObj);
+		push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_WIDTH} ${PDF_HEIGHT}] /Resources << /XObject << /Im0 ${pageObj + 2} 0 R >> >> /Contents ${pageObj + 1} 0 R >>\nendobj\n`);
+		startObject(pageObj + 1);
+		push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+		startObject(pageObj + 2);
+		push(`<< /Type /XObject /Subtype /Image /Width ${canvas.width} /Height ${canvas.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`);
+		push(jpeg);
+		push("\nendstream\nendobj\n");
+	});
+
+	const xrefOffset = length;
+	push(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+	for (let n = 1; n <= objectCount; n++) {
+		push(`${String(offsets[n]).padStart(10, "0")} 00000 n \n`);
+	}
+	push(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+	download(new Blob(chunks, { type: "application/pdf" }), `${baseName}.pdf`);
+}
@@ -4,34 +4,29 @@
 	Programmers: Alejandro Sandoval, Pashia Vang
 	Date: 11/23/2025
 	Revisions: 2/24/2026 - Admin Panel for GeoThinkr and Points
+		10/19/2026 - Shared role-based guard, non-staff never reach the panel
+		10/19/2026 - Load GPS geofence settings for locations
+		10/19/2026 - Load quest prerequisites
 	Errors: N/A
 	Input: A user account.
-	Output: If user is admin, show admin panel. Otherwise, redirect to homepage.
+	Output: If user has a staff role, show admin panel. Otherwise, redirect to homepage.
 */
 
-import { cookies } from "next/headers";
-import { redirect } from "next/navigation";
 import { createAdminClient } from "@/lib/supabase/admin";
-import { verifyToken } from "@/lib/auth";
+import { requireAdminOrRedirect } from "@/lib/requireAuth";
+import { STAFF_ROLES } from "@/lib/roles";
 import AdminPanel from "./panel";
 
 export default async function AdminPage() {
 	// 1. Security Check
-	// The "sid" cookie is retrieved to access the session data.
-    // It's run through verifyToken to ensure the session is valid
-	const cookieStore = await cookies();
-	const token = cookieStore.get("sid")?.value;
-	const decoded = token ? verifyToken(token) : null;
-
-	// The request is stopped if no valid token is found.
-    // The user is then redirected to the login screen.
-	if (!decoded) return redirect("/login");
+	// The shared admin guard verifies the "sid" session and looks the user up
+	// in the database. Signed-out users are sent to the login screen and
+	// anyone without a staff role is sent back to the homepage.
+	const staffUser = await requireAdminOrRedirect(STAFF_ROLES);
 
 	// 2. Identify the User
-    // The user ID is required to track who modifies the data.
-    // Multiple fields are checked to ensure compatibility with token formats.	
-	const userId = decoded.id ?? decoded.user_id ?? decoded.sub ?? null;
-	if (!userId) return redirect("/login");
+    // The role decides which sections of the panel are editable.
+	const role = staffUser.role;
 
 	// 3. Database Access
     // The Admin Client is initialized to bypass row-level security.
@@ -44,7 +39,7 @@ export default async function AdminPage() {
     // Map locations are retrieved and sorted by ID for consistency.
 	const { data: locations = [], error: locErr } = await supabase
 		.from("locations")
-		.select("location_id, name, type, x_coordinate, y_coordinate")
+		.select("location_id, name, type, x_coordinate, y_coordinate, latitude, longitude, geofence_radius_m, require_presence")
 		.order("location_id", { ascending: true });
 	
 	// Existing quests are fetched for the management table.
@@ -53,6 +48,11 @@ export default async function AdminPage() {
 		.select("*")
 		.order("location_id", { ascending: true });
 
+	// Quest prerequisites for the dependency picker.
+	const { data: dependencies = [], error: depErr } = await supabase
+		.from("quest_dependencies")
+		.select("quest_id, prerequisite_id");
+
 	// load geothinkr photos
 	const { data: geoPhotos = [], error: geoErr } = await supabase
 		.from("geothinkr_photos")
@@ -60,11 +60,11 @@ export default async function AdminPage() {
 		.order("created_at", { ascending: false });
 
 	// Any database request failure is logged to the console.
-	if (locErr || qErr) {
-		console.error("Admin page load error:", locErr || qErr);
+	if (locErr || qErr || depErr) {
+		console.error("Admin page load error:", locErr || qErr || depErr);
 	}
 
 	// 5. Showing the Dashboard
     // Data is passed into the AdminPanel component for the interface.
-	return <AdminPanel initialLocations={locations} initialQuests={quests} initialGeoPhotos={geoPhotos} />;
+	return <AdminPanel role={role} initialLocations={locations} initialQuests={quests} initialDependencies={dependencies} initialGeoPhotos={geoPhotos} />;
 }
\ No newline at end of file
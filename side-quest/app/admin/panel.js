@@ -7,6 +7,18 @@
 		2/24/2026 – Admin Panel for GeoThinkr and Points
 		3/15/2026 – Fixed buttons not changing cursor
 		3/29/2026 – Made admin panel responsive for mobile
+		10/19/2026 – Hide sections the signed-in staff role cannot use
+		10/19/2026 – GPS geofence settings for locations and quests, rejected check-in log
+		10/19/2026 – Photo-proof quests and review queue
+		10/19/2026 – QR check-in quests and printable code sheets
+		10/19/2026 – Quest prerequisite picker with loop detection
+		10/19/2026 – Manual grants take a reason and are sent once; point history log
+		10/19/2026 – Quest start/end times and recurrence
+		10/19/2026 – Quest category, difficulty and tags; difficulty sets the default reward
+		10/19/2026 – Quest description, hints, accessibility note and cover image
+		10/19/2026 – Storyline authoring
+		10/19/2026 – Street map calibration from map pixels to GPS
+		10/19/2026 – Walking paths between locations
 	Errors: N/A
 	Input: Lists of quests and locations.
 	Output: An editable interface for editing the lists of quests and locations.
@@ -16,17 +28,36 @@
 "use client";
 
 import { useState, useMemo } from "react";
+import { ROLES, CONTENT_ROLES, MODERATION_ROLES, hasRole } from "@/lib/roles";
+import GeofenceLog from "./GeofenceLog";
+import SubmissionReview from "./SubmissionReview";
+import CheckinCodes from "./CheckinCodes";
+import Storylines from "./Storylines";
+import MapCalibration from "./MapCalibration";
+import MapPaths from "./MapPaths";
+import DependencyPicker from "./DependencyPicker";
+import PointsLedger from "./PointsLedger";
+import QuestSchedule from "./QuestSchedule";
+import QuestContent from "./QuestContent";
+import { CATEGORIES, CATEGORY_LABELS, DIFFICULTIES, DIFFICULTY_LABELS, defaultReward } from "@/lib/questTags";
+import { prerequisiteMap } from "@/lib/questGraph";
 
-export default function AdminPanel({ initialLocations = [], initialQuests = [], initialGeoPhotos = [] }) {
+export default function AdminPanel({ role = ROLES.PLAYER, initialLocations = [], initialQuests = [], initialDependencies = [], initialGeoPhotos = [] }) {
 	// 1. Constants & State Management
     // Map dimensions are used to scale coordinates between the original image and the UI.
 	const MAP_WIDTH_ORIGINAL = 1669;
 	const MAP_HEIGHT_ORIGINAL = 1535;
 	const ADMIN_MAP_WIDTH = 800;
 
+	// The API enforces the same rules; these flags only hide controls that would be rejected.
+	const canEditContent = hasRole(role, CONTENT_ROLES);
+	const canModerate = hasRole(role, MODERATION_ROLES);
+	const isAdmin = role === ROLES.ADMIN;
+
 	// State holds all data in the browser so the UI updates instantly.
 	const [locations, setLocations] = useState(initialLocations);
 	const [quests, setQuests] = useState(initialQuests);
+	const [prerequisites, setPrerequisites] = useState(() => prerequisiteMap(initialDependencies)); // { quest_id: [prerequisite_id] }
 	const [geoPhotos, setGeoPhotos] = useState(initialGeoPhotos);
 
 	// Status trackers show when app is saving to the database.
@@ -36,7 +67,8 @@ export default function AdminPanel({ initialLocations = [], initialQuests = [],
 	const [pointsSaving, setPointsSaving] = useState(false);
 	const [showLocations, setShowLocations] = useState(false);
 	const [showQuests, setShowQuests] = useState(false);
-	const [manualPoints, setManualPoints] = useState({ email: "", amount: 100 });
+	// key makes retries of the same grant count once; a new one is made after each success
+	const [manualPoints, setManualPoints] = useState(() => ({ email: "", amount: 100, reason: "", key: crypto.randomUUID() }));
 
 	// Empty forms ready for admin to fill out.
 	const [newLoc, setNewLoc] = useState({ name: "", type: "", x_coordinate: 0, y_coordinate: 0 });
@@ -44,7 +76,10 @@ export default function AdminPanel({ initialLocations = [], initialQuests = [],
 		text: "",
 		location_id: locations[0]?.location_id ?? null,
 		is_multiplayer: false,
-		reward_points: 100
+		category: "",
+		difficulty: "",
+		tags: "",
+		reward_points: defaultReward(null)
 	});
 	const [newGeoPhoto, setNewGeoPhoto] = useState({
 		file: null,
@@ -70,7 +105,10 @@ export default function AdminPanel({ initialLocations = [], initialQuests = [],
 		});
 		if (!res.ok) {
 			const err = await res.text().catch(() => res.statusText);
-			throw new Error(err || "Error with api");
+			// Admin routes answer { error }; show that rather than the raw JSON
+			let message = err;
+			try { message = JSON.parse(err).error || err; } catch {}
+			throw new Error(message || "Error with api");
 		}
 		return res.json().catch(() => null);
 	}
@@ -103,6 +141,7 @@ export default function AdminPanel({ initialLocations = [], initialQuests = [],
 			setLocations(s => s.map(l => (l.location_id === id ? { ...l, ...changes, ...(updated || {}) } : l)));
 		} catch (err) {
 			console.error(err);
+			alert("Could not save location: " + err.message);
 		} finally {
 			setLocSaving(false);
 		}
@@ -138,7 +177,10 @@ export default function AdminPanel({ initialLocations = [], initialQuests = [],
 				text: "",
 				location_id: locations[0]?.location_id ?? null,
 				is_multiplayer: false,
-				reward_points: 100
+				category: "",
+				difficulty: "",
+				tags: "",
+				reward_points: defaultReward(null)
 			});
 		} catch (err) {
 			console.error(err);
@@ -155,6 +197,20 @@ export default function AdminPanel({ initialLocations = [], initialQuests = [],
 			setQuests(s => s.map(q => (q.quest_id === id ? { ...q, ...changes, ...(updated || {}) } : q)));
 		} catch (err) {
 			console.error(err);
+			alert("Could not save quest: " + err.message);
+		} finally {
+			setQuestSaving(false);
+		}
+	}
+	// Edit prerequisites. The API refuses loops the picker didn't catch.
+	async function updateDependencies(id, ids) {
+		setQuestSaving(true);
+		try {
+			const updated = await api("quests", "PUT", { quest_id: id, dependencies: ids });
+			setPrerequisites(p => ({ ...p, [id]: updated?.dependencies ?? ids }));
+		} catch (err) {
+			console.error(err);
+			alert("Could not save prerequisites: " + err.message);
 		} finally {
 			setQuestSaving(false);
 		}
@@ -166,6 +222,12 @@ export default function AdminPanel({ initialLocations = [], initialQuests = [],
 		try {
 			await api(`quests`, "DELETE", { quest_id: id });
 			setQuests(s => s.filter(q => q.quest_id !== id));
+			// Its prerequisite rows are deleted with it
+			setPrerequisites(p => Object.fromEntries(
+				Object.entries(p)
+					.filter(([questId]) => questId !== id)
+					.map(([questId, ids]) => [questId, ids.filter(x => x !== id)])
+			));
 		} catch (err) {
 			console.error(err);
 		} finally {
@@ -238,7 +300,9 @@ export default function AdminPanel({ initialLocations = [], initialQuests = [],
 				headers: { "Content-Type": "application/json" },
 				body: JSON.stringify({
 					user_email: manualPoints.email,
-					points: manualPoints.amount
+					points: manualPoints.amount,
+					reason: manualPoints.reason,
+					idempotency_key: manualPoints.key
 				})
 			});
 			if (!res.ok) {
@@ -246,9 +310,10 @@ export default function AdminPanel({ initialLocations = [], initialQuests = [],
 				throw new Error(txt);
 			}
 			const data = await res.json();
-			alert(`Success! User now has ${data.new_points} points.`);
-			// Clear email after success?
-			// setManualPoints(p => ({ ...p, email: "" })); 
+			setManualPoints(p => ({ ...p, reason: "", key: crypto.randomUUID() }));
+			alert(data.applied
+				? `Success! User now has ${data.new_points} points.`
+				: `These points were already awarded. User has ${data.new_points} points.`);
 		} catch (err) {
 			alert("Failed: " + err.message);
 		} finally {
@@ -279,248 +344,418 @@ export default function AdminPanel({ initialLocations = [], initialQuests = [],
 
 			{/* LOCATIONS */}
 			{/* New location: */}
-			<section className="bg-white rounded shadow p-3 md:p-4 overflow-x-auto">
-				<div className="mb-4">
-					<div className="flex items-center justify-between gap-2 mb-2">
-						<h2 className="text-lg font-medium">Locations</h2>
-						<button
-							type="button"
-							className="w-9 h-9 rounded border border-[#FF7A00] text-[#FF7A00] bg-white cursor-pointer flex items-center justify-center"
-							onClick={() => setShowLocations(v => !v)}
-							aria-label={showLocations ? "Collapse locations" : "Expand locations"}
-							title={`${showLocations ? "Collapse" : "Expand"} locations (${locations.length})`}
-						>
-							<svg
-								className={`w-5 h-5 transition-transform ${showLocations ? "rotate-90" : "rotate-0"}`}
-								viewBox="0 0 24 24"
-								fill="none"
-								stroke="currentColor"
-								strokeWidth="2.5"
-								strokeLinecap="round"
-								strokeLinejoin="round"
+			{canEditContent && (
+				<section className="bg-white rounded shadow p-3 md:p-4 overflow-x-auto">
+					<div className="mb-4">
+						<div className="flex items-center justify-between gap-2 mb-2">
+							<h2 className="text-lg font-medium">Locations</h2>
+							<button
+								type="button"
+								className="w-9 h-9 rounded border border-[#FF7A00] text-[#FF7A00] bg-white cursor-pointer flex items-center justify-center"
+								onClick={() => setShowLocations(v => !v)}
+								aria-label={showLocations ? "Collapse locations" : "Expand locations"}
+								title={`${showLocations ? "Collapse" : "Expand"} locations (${locations.length})`}
 							>
-								<path d="M9 6l6 6-6 6" />
-							</svg>
-						</button>
-					</div>
-					<div className="flex flex-wrap gap-2 items-center">
-						<input
-							className="px-2 py-1 border rounded w-full md:w-48"
-							placeholder="Name"
-							value={newLoc.name}
-							onChange={e => setNewLoc(n => ({ ...n, name: e.target.value }))}
-						/>
-						<input
-							className="px-2 py-1 border rounded w-full md:w-32"
-							placeholder="Type"
-							value={newLoc.type}
-							onChange={e => setNewLoc(n => ({ ...n, type: e.target.value }))}
-						/>
-						<input
-							type="number"
-							className="px-2 py-1 border rounded w-20"
-							value={newLoc.x_coordinate}
-							onChange={e => setNewLoc(n => ({ ...n, x_coordinate: Number(e.target.value) }))}
-						/>
-						<input
-							type="number"
-							className="px-2 py-1 border rounded w-20"
-							value={newLoc.y_coordinate}
-							onChange={e => setNewLoc(n => ({ ...n, y_coordinate: Number(e.target.value) }))}
-						/>
-						<button
-							className="bg-[#FF7A00] text-white px-3 py-1 rounded disabled:opacity-60 cursor-pointer"
-							onClick={addLocation}
-							disabled={locSaving}
-						>
-							Add
-						</button>
-					</div>
-				</div>
-				{/* Existing locations: */}
-				{showLocations && (
-					<div className="space-y-2">
-						{locations.map(loc => (
-							<div key={loc.location_id} className="flex flex-wrap items-center gap-2">
-								<input
-									className="px-2 py-1 border rounded w-full md:w-80"
-									value={loc.name}
-									onChange={e => setLocations(s => s.map(l => (l.location_id === loc.location_id ? { ...l, name: e.target.value } : l)))}
-									onBlur={e => updateLocation(loc.location_id, { name: e.target.value })}
-								/>
-								<input
-									className="px-2 py-1 border rounded w-24 md:w-28"
-									value={loc.type ?? ""}
-									onChange={e => setLocations(s => s.map(l => (l.location_id === loc.location_id ? { ...l, type: e.target.value } : l)))}
-									onBlur={e => updateLocation(loc.location_id, { type: e.target.value })}
-								/>
-								<input
-									type="number"
-									className="px-2 py-1 border rounded w-20"
-									value={loc.x_coordinate ?? 0}
-									onChange={e => setLocations(s => s.map(l => (l.location_id === loc.location_id ? { ...l, x_coordinate: Number(e.target.value) } : l)))}
-									onBlur={e => updateLocation(loc.location_id, { x_coordinate: Number(e.target.value) })}
-								/>
-								<input
-									type="number"
-									className="px-2 py-1 border rounded w-20"
-									value={loc.y_coordinate ?? 0}
-									onChange={e => setLocations(s => s.map(l => (l.location_id === loc.location_id ? { ...l, y_coordinate: Number(e.target.value) } : l)))}
-									onBlur={e => updateLocation(loc.location_id, { y_coordinate: Number(e.target.value) })}
-								/>
-								<button
-									className="text-red-600 px-2 py-1 rounded border cursor-pointer"
-									onClick={() => deleteLocation(loc.location_id)}
-									disabled={locSaving}
-									title="Delete location"
+								<svg
+									className={`w-5 h-5 transition-transform ${showLocations ? "rotate-90" : "rotate-0"}`}
+									viewBox="0 0 24 24"
+									fill="none"
+									stroke="currentColor"
+									strokeWidth="2.5"
+									strokeLinecap="round"
+									strokeLinejoin="round"
 								>
-									Delete
-								</button>
-							</div>
-						))}
+									<path d="M9 6l6 6-6 6" />
+								</svg>
+							</button>
+						</div>
+						<div className="flex flex-wrap gap-2 items-center">
+							<input
+								className="px-2 py-1 border rounded w-full md:w-48"
+								placeholder="Name"
+								value={newLoc.name}
+								onChange={e => setNewLoc(n => ({ ...n, name: e.target.value }))}
+							/>
+							<input
+								className="px-2 py-1 border rounded w-full md:w-32"
+								placeholder="Type"
+								value={newLoc.type}
+								onChange={e => setNewLoc(n => ({ ...n, type: e.target.value }))}
+							/>
+							<input
+								type="number"
+								className="px-2 py-1 border rounded w-20"
+								value={newLoc.x_coordinate}
+								onChange={e => setNewLoc(n => ({ ...n, x_coordinate: Number(e.target.value) }))}
+							/>
+							<input
+								type="number"
+								className="px-2 py-1 border rounded w-20"
+								value={newLoc.y_coordinate}
+								onChange={e => setNewLoc(n => ({ ...n, y_coordinate: Number(e.target.value) }))}
+							/>
+							<button
+								className="bg-[#FF7A00] text-white px-3 py-1 rounded disabled:opacity-60 cursor-pointer"
+								onClick={addLocation}
+								disabled={locSaving}
+							>
+								Add
+							</button>
+						</div>
 					</div>
-				)}
-			</section>
+					{/* Existing locations: */}
+					{showLocations && (
+						<div className="space-y-2">
+							{locations.map(loc => (
+								<div key={loc.location_id} className="flex flex-wrap items-center gap-2">
+									<input
+										className="px-2 py-1 border rounded w-full md:w-80"
+										value={loc.name}
+										onChange={e => setLocations(s => s.map(l => (l.location_id === loc.location_id ? { ...l, name: e.target.value } : l)))}
+										onBlur={e => updateLocation(loc.location_id, { name: e.target.value })}
+									/>
+									<input
+										className="px-2 py-1 border rounded w-24 md:w-28"
+										value={loc.type ?? ""}
+										onChange={e => setLocations(s => s.map(l => (l.location_id === loc.location_id ? { ...l, type: e.target.value } : l)))}
+										onBlur={e => updateLocation(loc.location_id, { type: e.target.value })}
+									/>
+									<input
+										type="number"
+										className="px-2 py-1 border rounded w-20"
+										value={loc.x_coordinate ?? 0}
+										onChange={e => setLocations(s => s.map(l => (l.location_id === loc.location_id ? { ...l, x_coordinate: Number(e.target.value) } : l)))}
+										onBlur={e => updateLocation(loc.location_id, { x_coordinate: Number(e.target.value) })}
+									/>
+									<input
+										type="number"
+										className="px-2 py-1 border rounded w-20"
+										value={loc.y_coordinate ?? 0}
+										onChange={e => setLocations(s => s.map(l => (l.location_id === loc.location_id ? { ...l, y_coordinate: Number(e.target.value) } : l)))}
+										onBlur={e => updateLocation(loc.location_id, { y_coordinate: Number(e.target.value) })}
+									/>
+									{/* GPS position and geofence, used when proof of presence is on */}
+									<input
+										type="number"
+										step="any"
+										className="px-2 py-1 border rounded w-28"
+										placeholder="Latitude"
+										value={loc.latitude ?? ""}
+										onChange={e => setLocations(s => s.map(l => (l.location_id === loc.location_id ? { ...l, latitude: e.target.value === "" ? null : Number(e.target.value) } : l)))}
+										onBlur={() => updateLocation(loc.location_id, { latitude: loc.latitude ?? null, longitude: loc.longitude ?? null })}
+									/>
+									<input
+										type="number"
+										step="any"
+										className="px-2 py-1 border rounded w-28"
+										placeholder="Longitude"
+										value={loc.longitude ?? ""}
+										onChange={e => setLocations(s => s.map(l => (l.location_id === loc.location_id ? { ...l, longitude: e.target.value === "" ? null : Number(e.target.value) } : l)))}
+										onBlur={() => updateLocation(loc.location_id, { latitude: loc.latitude ?? null, longitude: loc.longitude ?? null })}
+									/>
+									<label className="flex items-center gap-1 text-xs text-gray-700" title="Geofence radius in meters">
+										<input
+											type="number"
+											className="px-2 py-1 border rounded w-16"
+											value={loc.geofence_radius_m ?? 75}
+											onChange={e => setLocations(s => s.map(l => (l.location_id === loc.location_id ? { ...l, geofence_radius_m: Number(e.target.value) } : l)))}
+											onBlur={e => updateLocation(loc.location_id, { geofence_radius_m: Number(e.target.value) })}
+										/>
+										m
+									</label>
+									<label className="flex items-center gap-1 text-xs text-gray-700 cursor-pointer" title="Every quest here needs the player's GPS position inside the radius">
+										<input
+											type="checkbox"
+											className="cursor-pointer"
+											checked={loc.require_presence || false}
+											onChange={e => updateLocation(loc.location_id, { require_presence: e.target.checked })}
+										/>
+										GPS
+									</label>
+									<button
+										className="text-red-600 px-2 py-1 rounded border cursor-pointer"
+										onClick={() => deleteLocation(loc.location_id)}
+										disabled={locSaving}
+										title="Delete location"
+									>
+										Delete
+									</button>
+								</div>
+							))}
+						</div>
+					)}
+				</section>
+			)}
 
 			{/* QUESTS */}
 			{/* New quest: */}
-			<section className="bg-white rounded shadow p-3 md:p-4 overflow-x-auto">
-				<div className="mb-4">
-					<div className="flex items-center justify-between gap-2 mb-2">
-						<h2 className="text-lg font-medium">Quests</h2>
-						<button
-							type="button"
-							className="w-9 h-9 rounded border border-[#FF7A00] text-[#FF7A00] bg-white cursor-pointer flex items-center justify-center"
-							onClick={() => setShowQuests(v => !v)}
-							aria-label={showQuests ? "Collapse quests" : "Expand quests"}
-							title={`${showQuests ? "Collapse" : "Expand"} quests (${questsSorted.length})`}
-						>
-							<svg
-								className={`w-5 h-5 transition-transform ${showQuests ? "rotate-90" : "rotate-0"}`}
-								viewBox="0 0 24 24"
-								fill="none"
-								stroke="currentColor"
-								strokeWidth="2.5"
-								strokeLinecap="round"
-								strokeLinejoin="round"
-							>
-								<path d="M9 6l6 6-6 6" />
-							</svg>
-						</button>
-					</div>
-					<div className="flex flex-col gap-2">
-						<div className="flex flex-wrap items-center gap-2">
-							<select
-								className="px-2 py-1 border rounded w-full md:w-auto"
-								value={newQuest.location_id ?? ""}
-								onChange={e => setNewQuest(q => ({ ...q, location_id: e.target.value }))}
-							>
-								<option value="">Select location</option>
-								{locations.map(l => (
-									<option key={l.location_id} value={l.location_id}>
-										{l.name}
-									</option>
-								))}
-							</select>
-							<input
-								className="px-2 py-1 border rounded w-full md:w-64"
-								placeholder="Quest text"
-								value={newQuest.text}
-								onChange={e => setNewQuest(q => ({ ...q, text: e.target.value }))}
-							/>
-						</div>
-						<div className="flex flex-wrap items-center gap-2 md:gap-4">
-							<label className="flex items-center gap-1 text-sm text-gray-700 cursor-pointer">
-								<input
-									type="checkbox"
-									className="cursor-pointer"
-									checked={newQuest.is_multiplayer || false}
-									onChange={e => setNewQuest(q => ({ ...q, is_multiplayer: e.target.checked }))}
-								/>
-								Multiplayer (One Winner)
-							</label>
-							<label className="flex items-center gap-1 text-sm text-gray-700">
-								Points:
-								<input
-									type="number"
-									className="px-2 py-1 border rounded w-16"
-									value={newQuest.reward_points}
-									onChange={e => setNewQuest(q => ({ ...q, reward_points: Number(e.target.value) }))}
-								/>
-							</label>
+			{canEditContent && (
+				<section className="bg-white rounded shadow p-3 md:p-4 overflow-x-auto">
+					<div className="mb-4">
+						<div className="flex items-center justify-between gap-2 mb-2">
+							<h2 className="text-lg font-medium">Quests</h2>
 							<button
-								className="md:ml-auto bg-[#FF7A00] text-white px-3 py-1 rounded disabled:opacity-60 cursor-pointer w-full md:w-auto"
-								onClick={addQuest}
-								disabled={questSaving}
+								type="button"
+								className="w-9 h-9 rounded border border-[#FF7A00] text-[#FF7A00] bg-white cursor-pointer flex items-center justify-center"
+								onClick={() => setShowQuests(v => !v)}
+								aria-label={showQuests ? "Collapse quests" : "Expand quests"}
+								title={`${showQuests ? "Collapse" : "Expand"} quests (${questsSorted.length})`}
 							>
-								Add Quest
+								<svg
+									className={`w-5 h-5 transition-transform ${showQuests ? "rotate-90" : "rotate-0"}`}
+									viewBox="0 0 24 24"
+									fill="none"
+									stroke="currentColor"
+									strokeWidth="2.5"
+									strokeLinecap="round"
+									strokeLinejoin="round"
+								>
+									<path d="M9 6l6 6-6 6" />
+								</svg>
 							</button>
 						</div>
-					</div>
-				</div>
-				{/* Existing quests: */}
-				{showQuests && (
-					<div className="space-y-2">
-						{questsSorted.map(q => (
-							<div key={q.quest_id} className="flex flex-wrap items-center gap-2">
+						<div className="flex flex-col gap-2">
+							<div className="flex flex-wrap items-center gap-2">
 								<select
-									className="px-2 py-1 border rounded w-full md:w-44"
-									value={q.location_id ?? ""}
-									onChange={e => updateQuest(q.quest_id, { location_id: e.target.value })}
+									className="px-2 py-1 border rounded w-full md:w-auto"
+									value={newQuest.location_id ?? ""}
+									onChange={e => setNewQuest(q => ({ ...q, location_id: e.target.value }))}
 								>
-									<option value="">Unassigned</option>
+									<option value="">Select location</option>
 									{locations.map(l => (
 										<option key={l.location_id} value={l.location_id}>
 											{l.name}
 										</option>
 									))}
 								</select>
-
 								<input
-									className="px-2 py-1 border rounded w-full md:flex-1"
-									value={q.text}
-									onChange={e => setQuests(s => s.map(x => (x.quest_id === q.quest_id ? { ...x, text: e.target.value } : x)))}
-									onBlur={e => updateQuest(q.quest_id, { text: e.target.value })}
+									className="px-2 py-1 border rounded w-full md:w-64"
+									placeholder="Quest text"
+									value={newQuest.text}
+									onChange={e => setNewQuest(q => ({ ...q, text: e.target.value }))}
 								/>
+							</div>
+							<div className="flex flex-wrap items-center gap-2">
+								<select
+									className="px-2 py-1 border rounded w-full md:w-auto"
+									value={newQuest.category}
+									onChange={e => setNewQuest(q => ({ ...q, category: e.target.value }))}
+								>
+									<option value="">No category</option>
+									{CATEGORIES.map(c => (
+										<option key={c} value={c}>{CATEGORY_LABELS[c]}</option>
+									))}
+								</select>
+								<select
+									className="px-2 py-1 border rounded w-full md:w-auto"
+									value={newQuest.difficulty}
+									onChange={e => {
+										// The difficulty fills in its usual reward; it can still be changed below
+										const difficulty = e.target.value;
+										setNewQuest(q => ({ ...q, difficulty, reward_points: defaultReward(difficulty) }));
+									}}
+								>
+									<option value="">No difficulty</option>
+									{DIFFICULTIES.map(d => (
+										<option key={d} value={d}>{DIFFICULTY_LABELS[d]} ({defaultReward(d)} pts)</option>
+									))}
+								</select>
+								<input
+									className="px-2 py-1 border rounded w-full md:w-64"
+									placeholder="Tags, comma separated"
+									value={newQuest.tags}
+									onChange={e => setNewQuest(q => ({ ...q, tags: e.target.value }))}
+								/>
+							</div>
+							<div className="flex flex-wrap items-center gap-2 md:gap-4">
+								<label className="flex items-center gap-1 text-sm text-gray-700 cursor-pointer">
+									<input
+										type="checkbox"
+										className="cursor-pointer"
+										checked={newQuest.is_multiplayer || false}
+										onChange={e => setNewQuest(q => ({ ...q, is_multiplayer: e.target.checked }))}
+									/>
+									Multiplayer (One Winner)
+								</label>
+								<label className="flex items-center gap-1 text-sm text-gray-700">
+									Points:
+									<input
+										type="number"
+										className="px-2 py-1 border rounded w-16"
+										value={newQuest.reward_points}
+										onChange={e => setNewQuest(q => ({ ...q, reward_points: Number(e.target.value) }))}
+									/>
+								</label>
+								<button
+									className="md:ml-auto bg-[#FF7A00] text-white px-3 py-1 rounded disabled:opacity-60 cursor-pointer w-full md:w-auto"
+									onClick={addQuest}
+									disabled={questSaving}
+								>
+									Add Quest
+								</button>
+							</div>
+						</div>
+					</div>
+					{/* Existing quests: */}
+					{showQuests && (
+						<div className="space-y-2">
+							{questsSorted.map(q => (
+								<div key={q.quest_id} className="flex flex-wrap items-center gap-2">
+									<select
+										className="px-2 py-1 border rounded w-full md:w-44"
+										value={q.location_id ?? ""}
+										onChange={e => updateQuest(q.quest_id, { location_id: e.target.value })}
+									>
+										<option value="">Unassigned</option>
+										{locations.map(l => (
+											<option key={l.location_id} value={l.location_id}>
+												{l.name}
+											</option>
+										))}
+									</select>
 
-								<div className="flex items-center text-xs gap-2">
-									<label className="flex items-center gap-1 cursor-pointer">
+									<input
+										className="px-2 py-1 border rounded w-full md:flex-1"
+										value={q.text}
+										onChange={e => setQuests(s => s.map(x => (x.quest_id === q.quest_id ? { ...x, text: e.target.value } : x)))}
+										onBlur={e => updateQuest(q.quest_id, { text: e.target.value })}
+									/>
+
+									<div className="flex items-center text-xs gap-2">
+										<label className="flex items-center gap-1 cursor-pointer">
+											<input
+												type="checkbox"
+												checked={q.is_multiplayer || false}
+												className="cursor-pointer"
+												onChange={e => {
+													const val = e.target.checked;
+													setQuests(s => s.map(x => (x.quest_id === q.quest_id ? { ...x, is_multiplayer: val } : x)));
+													updateQuest(q.quest_id, { is_multiplayer: val });
+												}}
+											/>
+											Multi
+										</label>
+										<label className="flex items-center gap-1 cursor-pointer" title="Needs the player's GPS position inside the location's radius">
+											<input
+												type="checkbox"
+												checked={q.require_presence || false}
+												className="cursor-pointer"
+												onChange={e => updateQuest(q.quest_id, { require_presence: e.target.checked })}
+											/>
+											GPS
+										</label>
+										<label className="flex items-center gap-1 cursor-pointer" title="Players upload a photo and get points once staff approve it">
+											<input
+												type="checkbox"
+												checked={q.requires_proof || false}
+												className="cursor-pointer"
+												onChange={e => updateQuest(q.quest_id, { requires_proof: e.target.checked })}
+											/>
+											Photo
+										</label>
+										<label className="flex items-center gap-1 cursor-pointer" title="Completed only by scanning the quest's QR code">
+											<input
+												type="checkbox"
+												checked={q.requires_checkin || false}
+												className="cursor-pointer"
+												onChange={e => updateQuest(q.quest_id, { requires_checkin: e.target.checked })}
+											/>
+											QR
+										</label>
+										<select
+											className="border px-1 py-0.5 rounded cursor-pointer"
+											value={q.category || ""}
+											onChange={e => updateQuest(q.quest_id, { category: e.target.value || null })}
+											title="Category"
+										>
+											<option value="">Category</option>
+											{CATEGORIES.map(c => (
+												<option key={c} value={c}>{CATEGORY_LABELS[c]}</option>
+											))}
+										</select>
+										<select
+											className="border px-1 py-0.5 rounded cursor-pointer"
+											value={q.difficulty || ""}
+											onChange={e => updateQuest(q.quest_id, { difficulty: e.target.value || null })}
+											title="Difficulty. Changing it moves the reward to the new default unless a custom reward was set."
+										>
+											<option value="">Difficulty</option>
+											{DIFFICULTIES.map(d => (
+												<option key={d} value={d}>{DIFFICULTY_LABELS[d]}</option>
+											))}
+										</select>
 										<input
-											type="checkbox"
-											checked={q.is_multiplayer || false}
-											className="cursor-pointer"
+											type="number"
+											className="w-16 border px-1 rounded"
+											value={q.reward_points || 100}
 											onChange={e => {
-												const val = e.target.checked;
-												setQuests(s => s.map(x => (x.quest_id === q.quest_id ? { ...x, is_multiplayer: val } : x)));
-												updateQuest(q.quest_id, { is_multiplayer: val });
+												const val = Number(e.target.value);
+												setQuests(s => s.map(x => (x.quest_id === q.quest_id ? { ...x, reward_points: val } : x)));
 											}}
+											onBlur={e => updateQuest(q.quest_id, { reward_points: Number(e.target.value) })}
 										/>
-										Multi
-									</label>
+										<button
+											className="text-red-600 px-2 py-1 rounded border cursor-pointer"
+											onClick={() => deleteQuest(q.quest_id)}
+											disabled={questSaving}
+											title="Delete quest"
+										>
+											Delete
+										</button>
+									</div>
 									<input
-										type="number"
-										className="w-16 border px-1 rounded"
-										value={q.reward_points || 100}
-										onChange={e => {
-											const val = Number(e.target.value);
-											setQuests(s => s.map(x => (x.quest_id === q.quest_id ? { ...x, reward_points: val } : x)));
+										className="px-2 py-1 border rounded text-xs w-full md:w-56"
+										placeholder="Tags, comma separated"
+										defaultValue={(q.tags || []).join(", ")}
+										onBlur={e => {
+											if (e.target.value !== (q.tags || []).join(", ")) updateQuest(q.quest_id, { tags: e.target.value });
 										}}
-										onBlur={e => updateQuest(q.quest_id, { reward_points: Number(e.target.value) })}
+										disabled={questSaving}
 									/>
-									<button
-										className="text-red-600 px-2 py-1 rounded border cursor-pointer"
-										onClick={() => deleteQuest(q.quest_id)}
+									<DependencyPicker
+										questId={q.quest_id}
+										quests={quests}
+										locById={locById}
+										prerequisites={prerequisites}
+										onChange={ids => updateDependencies(q.quest_id, ids)}
 										disabled={questSaving}
-										title="Delete quest"
-									>
-										Delete
-									</button>
+									/>
+									<QuestSchedule
+										quest={q}
+										onChange={changes => updateQuest(q.quest_id, changes)}
+										disabled={questSaving}
+									/>
+									<QuestContent
+										quest={q}
+										onSave={changes => updateQuest(q.quest_id, changes)}
+										onImageChange={updated => setQuests(s => s.map(x => (x.quest_id === q.quest_id ? { ...x, ...updated } : x)))}
+										disabled={questSaving}
+									/>
 								</div>
-							</div>
-						))}
-					</div>
-				)}
-			</section>
+							))}
+						</div>
+					)}
+				</section>
+			)}
+
+			{/* QR CHECK-INS */}
+			{canEditContent && <CheckinCodes locations={locations} />}
+
+			{/* STORYLINES */}
+			{canEditContent && <Storylines quests={quests} locations={locations} />}
+
+			{/* STREET MAP CALIBRATION */}
+			{canEditContent && (
+				<MapCalibration
+					onApplied={rows => setLocations(s => s.map(l => {
+						const row = rows.find(r => r.location_id === l.location_id);
+						return row ? { ...l, latitude: row.latitude, longitude: row.longitude } : l;
+					}))}
+				/>
+			)}
+
+			{/* WALKING PATHS */}
+			{canEditContent && <MapPaths locations={locations} />}
 
 			{/* GEOTHINKR */}
 			<section className="bg-white rounded shadow p-3 md:p-4">
@@ -531,75 +766,79 @@ export default function AdminPanel({ initialLocations = [], initialQuests = [],
 				<div className="grid grid-cols-1 lg:grid-cols-2 gap-4 md:gap-8">
 					{/* Form Side */}
 					<div className="space-y-4">
-						<div className="space-y-2">
-							<label className="block text-sm font-medium">1. Choose Photo</label>
-							<input
-								id="geo-file-input"
-								type="file"
-								accept="image/*"
-								onChange={e => setNewGeoPhoto(p => ({ ...p, file: e.target.files[0] }))}
-								className="block w-full text-sm border rounded p-2"
-							/>
-						</div>
-						<div className="space-y-2">
-							<label className="block text-sm font-medium">2. Location Name</label>
-							<input
-								value={newGeoPhoto.name}
-								onChange={e => setNewGeoPhoto(p => ({ ...p, name: e.target.value }))}
-								placeholder="e.g. Wesco Hall"
-								className="block w-full text-sm border rounded p-2"
-							/>
-						</div>
-						<div className="space-y-2">
-							<label className="block text-sm font-medium">3. Category</label>
-							<select
-								value={newGeoPhoto.category}
-								onChange={e => setNewGeoPhoto(p => ({ ...p, category: e.target.value }))}
-								className="block w-full text-sm border rounded p-2"
-							>
-								<option value="landmark">Landmark</option>
-								<option value="building">Building</option>
-								<option value="nature">Nature</option>
-								<option value="statue">Statue</option>
-								<option value="other">Other</option>
-							</select>
-						</div>
-						<div className="space-y-2">
-							<label className="block text-sm font-medium">4. Difficulty</label>
-							<select
-								value={newGeoPhoto.difficulty}
-								onChange={e => setNewGeoPhoto(p => ({ ...p, difficulty: e.target.value }))}
-								className="block w-full text-sm border rounded p-2"
-							>
-								<option value="easy">Easy</option>
-								<option value="medium">Medium</option>
-								<option value="hard">Hard</option>
-							</select>
-						</div>
-						<div className="flex items-center gap-2">
-							<input
-								type="checkbox"
-								className="cursor-pointer"
-								id="geo-verified"
-								checked={newGeoPhoto.verified}
-								onChange={e => setNewGeoPhoto(p => ({ ...p, verified: e.target.checked }))}
-							/>
-							<label htmlFor="geo-verified" className="text-sm font-medium">Verified (visible in gameplay)</label>
-						</div>
-						<div className="space-y-2">
-							<label className="block text-sm font-medium">5. Click on Map</label>
-							<div className="text-xs text-gray-500">
-								Selected Coords: {Math.round(newGeoPhoto.x)}, {Math.round(newGeoPhoto.y)}
-							</div>
-						</div>
+						{canEditContent && (
+							<>
+								<div className="space-y-2">
+									<label className="block text-sm font-medium">1. Choose Photo</label>
+									<input
+										id="geo-file-input"
+										type="file"
+										accept="image/*"
+										onChange={e => setNewGeoPhoto(p => ({ ...p, file: e.target.files[0] }))}
+										className="block w-full text-sm border rounded p-2"
+									/>
+								</div>
+								<div className="space-y-2">
+									<label className="block text-sm font-medium">2. Location Name</label>
+									<input
+										value={newGeoPhoto.name}
+										onChange={e => setNewGeoPhoto(p => ({ ...p, name: e.target.value }))}
+										placeholder="e.g. Wesco Hall"
+										className="block w-full text-sm border rounded p-2"
+									/>
+								</div>
+								<div className="space-y-2">
+									<label className="block text-sm font-medium">3. Category</label>
+									<select
+										value={newGeoPhoto.category}
+										onChange={e => setNewGeoPhoto(p => ({ ...p, category: e.target.value }))}
+										className="block w-full text-sm border rounded p-2"
+									>
+										<option value="landmark">Landmark</option>
+										<option value="building">Building</option>
+										<option value="nature">Nature</option>
+										<option value="statue">Statue</option>
+										<option value="other">Other</option>
+									</select>
+								</div>
+								<div className="space-y-2">
+									<label className="block text-sm font-medium">4. Difficulty</label>
+									<select
+										value={newGeoPhoto.difficulty}
+										onChange={e => setNewGeoPhoto(p => ({ ...p, difficulty: e.target.value }))}
+										className="block w-full text-sm border rounded p-2"
+									>
+										<option value="easy">Easy</option>
+										<option value="medium">Medium</option>
+										<option value="hard">Hard</option>
+									</select>
+								</div>
+								<div className="flex items-center gap-2">
+									<input
+										type="checkbox"
+										className="cursor-pointer"
+										id="geo-verified"
+										checked={newGeoPhoto.verified}
+										onChange={e => setNewGeoPhoto(p => ({ ...p, verified: e.target.checked }))}
+									/>
+									<label htmlFor="geo-verified" className="text-sm font-medium">Verified (visible in gameplay)</label>
+								</div>
+								<div className="space-y-2">
+									<label className="block text-sm font-medium">5. Click on Map</label>
+									<div className="text-xs text-gray-500">
+										Selected Coords: {Math.round(newGeoPhoto.x)}, {Math.round(newGeoPhoto.y)}
+									</div>
+								</div>
 
-						<button
-							onClick={addGeoPhoto}
-							disabled={geoSaving}
-							className="bg-[#00AEEF] text-white px-4 py-2 rounded font-bold hover:bg-[#008CC1] disabled:opacity-50 w-full cursor-pointer"
-						>
-							{geoSaving ? "Uploading..." : "Add GeoThinkr Photo"}
-						</button>
+								<button
+									onClick={addGeoPhoto}
+									disabled={geoSaving}
+									className="bg-[#00AEEF] text-white px-4 py-2 rounded font-bold hover:bg-[#008CC1] disabled:opacity-50 w-full cursor-pointer"
+								>
+									{geoSaving ? "Uploading..." : "Add GeoThinkr Photo"}
+								</button>
+							</>
+						)}
 
 						<div className="border-t pt-4">
 							<h3 className="font-medium mb-2">Existing Photos ({geoPhotos.length})</h3>
@@ -641,84 +880,106 @@ export default function AdminPanel({ initialLocations = [], initialQuests = [],
 					</div>
 
 					{/* Map Side */}
-					<div>
-						<div className="text-sm font-medium mb-2">Internal Map (Click to set location)</div>
-						<div
-							className="relative border-4 border-gray-300 rounded cursor-crosshair overflow-hidden"
-							style={{ width: '100%', maxWidth: ADMIN_MAP_WIDTH, aspectRatio: `${MAP_WIDTH_ORIGINAL}/${MAP_HEIGHT_ORIGINAL}` }}
-							onClick={(e) => {
-								const rect = e.currentTarget.getBoundingClientRect();
-								const clickX = e.clientX - rect.left;
-								const clickY = e.clientY - rect.top;
-								// Convert to original scale using actual rendered size
-								const currentScale = rect.width / MAP_WIDTH_ORIGINAL;
-								const originalX = clickX / currentScale;
-								const originalY = clickY / currentScale;
-								setNewGeoPhoto(p => ({ ...p, x: originalX, y: originalY }));
-							}}
-						>
-							<img
-								src="/map.png"
-								style={{ width: '100%', height: '100%', objectFit: 'contain' }}
-								draggable={false}
-							/>
-							{/* Marker */}
-							{newGeoPhoto.x > 0 && (
-								<div
-									className="absolute w-4 h-4 bg-red-500 rounded-full border-2 border-white shadow-md transform -translate-x-1/2 -translate-y-1/2 pointer-events-none"
-									style={{
-										left: `${(newGeoPhoto.x / MAP_WIDTH_ORIGINAL) * 100}%`,
-										top: `${(newGeoPhoto.y / MAP_HEIGHT_ORIGINAL) * 100}%`
-									}}
-								/>
-							)}
-							{/* Show existing markers faintly */}
-							{geoPhotos.map(p => (
-								<div
-									key={p.photo_id}
-									className="absolute w-2 h-2 bg-blue-500/50 rounded-full pointer-events-none"
-									style={{
-										left: `${(p.x_coordinate / MAP_WIDTH_ORIGINAL) * 100}%`,
-										top: `${(p.y_coordinate / MAP_HEIGHT_ORIGINAL) * 100}%`
-									}}
+					{canEditContent && (
+						<div>
+							<div className="text-sm font-medium mb-2">Internal Map (Click to set location)</div>
+							<div
+								className="relative border-4 border-gray-300 rounded cursor-crosshair overflow-hidden"
+								style={{ width: '100%', maxWidth: ADMIN_MAP_WIDTH, aspectRatio: `${MAP_WIDTH_ORIGINAL}/${MAP_HEIGHT_ORIGINAL}` }}
+								onClick={(e) => {
+									const rect = e.currentTarget.getBoundingClientRect();
+									const clickX = e.clientX - rect.left;
+									const clickY = e.clientY - rect.top;
+									// Convert to original scale using actual rendered size
+									const currentScale = rect.width / MAP_WIDTH_ORIGINAL;
+									const originalX = clickX / currentScale;
+									const originalY = clickY / currentScale;
+									setNewGeoPhoto(p => ({ ...p, x: originalX, y: originalY }));
+								}}
+							>
+								<img
+									src="/map.png"
+									style={{ width: '100%', height: '100%', objectFit: 'contain' }}
+									draggable={false}
 								/>
-							))}
+								{/* Marker */}
+								{newGeoPhoto.x > 0 && (
+									<div
+										className="absolute w-4 h-4 bg-red-500 rounded-full border-2 border-white shadow-md transform -translate-x-1/2 -translate-y-1/2 pointer-events-none"
+										style={{
+											left: `${(newGeoPhoto.x / MAP_WIDTH_ORIGINAL) * 100}%`,
+											top: `${(newGeoPhoto.y / MAP_HEIGHT_ORIGINAL) * 100}%`
+										}}
+									/>
+								)}
+								{/* Show existing markers faintly */}
+								{geoPhotos.map(p => (
+									<div
+										key={p.photo_id}
+										className="absolute w-2 h-2 bg-blue-500/50 rounded-full pointer-events-none"
+										style={{
+											left: `${(p.x_coordinate / MAP_WIDTH_ORIGINAL) * 100}%`,
+											top: `${(p.y_coordinate / MAP_HEIGHT_ORIGINAL) * 100}%`
+										}}
+									/>
+								))}
+							</div>
 						</div>
-					</div>
+					)}
 				</div>
 			</section>
 
+			{/* PHOTO PROOFS */}
+			{canModerate && <SubmissionReview />}
+
+			{/* REJECTED CHECK-INS */}
+			{canModerate && <GeofenceLog />}
+
 			{/* MANUAL POINTS */}
-			<section className="bg-white rounded shadow p-3 md:p-4">
-				<h2 className="text-lg font-medium mb-4">Award Points Manually</h2>
-				<div className="flex flex-col md:flex-row md:items-end gap-3 md:gap-4">
-					<div className="space-y-1">
-						<label className="text-sm font-medium">User Email</label>
-						<input
-							className="block border rounded px-3 py-2 w-full md:w-64"
-							placeholder="user@ku.edu"
-							value={manualPoints.email}
-							onChange={e => setManualPoints(p => ({ ...p, email: e.target.value }))}
-						/>
-					</div>
-					<div className="space-y-1">
-						<label className="text-sm font-medium">Amount</label>
-						<input
-							type="number"
-							className="block border rounded px-3 py-2 w-full md:w-32"
-							value={manualPoints.amount}
-							onChange={e => setManualPoints(p => ({ ...p, amount: parseInt(e.target.value) }))}
-						/>
+			{isAdmin && (
+				<section className="bg-white rounded shadow p-3 md:p-4">
+					<h2 className="text-lg font-medium mb-4">Award Points Manually</h2>
+					<div className="flex flex-col md:flex-row md:items-end gap-3 md:gap-4">
+						<div className="space-y-1">
+							<label className="text-sm font-medium">User Email</label>
+							<input
+								className="block border rounded px-3 py-2 w-full md:w-64"
+								placeholder="user@ku.edu"
+								value={manualPoints.email}
+								onChange={e => setManualPoints(p => ({ ...p, email: e.target.value }))}
+							/>
+						</div>
+						<div className="space-y-1">
+							<label className="text-sm font-medium">Amount</label>
+							<input
+								type="number"
+								className="block border rounded px-3 py-2 w-full md:w-32"
+								value={manualPoints.amount}
+								onChange={e => setManualPoints(p => ({ ...p, amount: parseInt(e.target.value) }))}
+							/>
+						</div>
+						<div className="space-y-1">
+							<label className="text-sm font-medium">Reason</label>
+							<input
+								className="block border rounded px-3 py-2 w-full md:w-64"
+								placeholder="Shown in the point history"
+								value={manualPoints.reason}
+								onChange={e => setManualPoints(p => ({ ...p, reason: e.target.value }))}
+							/>
+						</div>
+						<button
+							onClick={awardPoints}
+							disabled={pointsSaving}
+							className="bg-green-600 text-white px-4 py-2 rounded font-bold hover:bg-green-700 disabled:opacity-50 cursor-pointer w-full md:w-auto"
+						>
+							{pointsSaving ? "Sending..." : "Award Points"}
+						</button>
 					</div>
-					<button
-						onClick={awardPoints}
-						disabled={pointsSaving}
-						className="bg-green-600 text-white px-4 py-2 rounded font-bold hover:bg-green-700 disabled:opacity-50 cursor-pointer w-full md:w-auto"
-					>
-						{pointsSaving ? "Sending..." : "Award Points"}
-					</button>
-				</div>
-			</section>
+				</section>
+			)}
+
+			{/* POINT HISTORY */}
+			{isAdmin && <PointsLedger />}
 		</div>
 	);
 }
@@ -0,0 +1,116 @@
+/*
+	Name: checkin-codes/route.js
+	Description: API endpoint for printable QR check-in codes
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: 400 Bad input, 401 Unauthorized, 403 Forbidden, 404 Quest not found, 500 Database failure
+	Input:
+		GET: ?location_id= for every quest at a location with its live code
+		POST: { quest_id, expires_in_days } issues a code, replacing the old one
+		DELETE: { code_id } revokes a code
+	Output: Codes with their check-in URL and a QR image (PNG data URL)
+*/
+
+import { NextResponse } from "next/server";
+import { createAdminClient } from "@/lib/supabase/admin";
+import { requireAdmin, authErrorResponse } from "@/lib/session";
+import { CONTENT_ROLES } from "@/lib/roles";
+import { absoluteUrl } from "@/lib/redirects";
+import { checkinPath, checkinQr, issueCheckinCode, revokeCheckinCode } from "@/lib/checkin";
+
+// Longest expiry the panel offers; codes without one last until rotated
+const MAX_EXPIRY_DAYS = 365;
+
+/*
+	Function: describeCode
+	Description: Turns a code row into what the panel shows and prints. The
+	             secret stays on the server; only the signed link leaves it.
+	Arguments:
+		request - incoming request, for the site origin
+		code - checkin_codes row
+	Returns: { code_id, created_at, expires_at, url, qr }
+*/
+async function describeCode(request, code) {
+	const url = absoluteUrl(request, checkinPath(code));
+	return {
+		code_id: code.code_id,
+		created_at: code.created_at,
+		expires_at: code.expires_at,
+		url,
+		qr: await checkinQr(url),
+	};
+}
+
+export async function GET(request) {
+	try {
+		await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const { searchParams } = new URL(request.url);
+	const locationId = searchParams.get("location_id");
+	if (!locationId) return NextResponse.json({ error: "Missing location_id" }, { status: 400 });
+
+	const supabase = createAdminClient();
+	const { data: quests, error } = await supabase
+		.from("quests")
+		.select("quest_id, text, requires_checkin, checkin_codes ( code_id, quest_id, secret, created_at, expires_at, revoked_at )")
+		.eq("location_id", locationId)
+		.is("checkin_codes.revoked_at", null)
+		.order("quest_id");
+	if (error) return NextResponse.json({ error: error.message }, { status: 500 });
+
+	const rows = await Promise.all((quests || []).map(async q => {
+		const code = q.checkin_codes?.[0];
+		return {
+			quest_id: q.quest_id,
+			text: q.text,
+			requires_checkin: q.requires_checkin,
+			code: code ? await describeCode(request, code) : null,
+		};
+	}));
+	return NextResponse.json(rows);
+}
+
+export async function POST(request) {
+	let admin;
+	try {
+		admin = await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const { quest_id, expires_in_days } = await request.json().catch(() => ({}));
+	if (!quest_id) return NextResponse.json({ error: "Missing quest_id" }, { status: 400 });
+
+	let expiresAt = null;
+	if (expires_in_days !== undefined && expires_in_days !== null && expires_in_days !== "") {
+		const days = Number(expires_in_days);
+		if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+			return NextResponse.json({ error: `expires_in_days must be a whole number from 1 to ${MAX_EXPIRY_DAYS}` }, { status: 400 });
+		}
+		expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+	}
+
+	const result = await issueCheckinCode(quest_id, { createdBy: admin.id, expiresAt });
+	if (!result.ok) return NextResponse.json({ error: result.message }, { status: result.status });
+	return NextResponse.json(await describeCode(request, result.code), { status: 201 });
+}
+
+export async function DELETE(request) {
+	try {
+		await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const { code_id } = await request.json().catch(() => ({}));
+	if (!code_id) return NextResponse.json({ error: "Missing code_id" }, { status: 400 });
+
+	if (!(await revokeCheckinCode(code_id))) {
+		return NextResponse.json({ error: "Code not found or already revoked" }, { status: 404 });
+	}
+	return NextResponse.json({ success: true });
+}
@@ -0,0 +1,47 @@
+/*
+	Name: geofence/route.js
+	Description: API endpoint for reviewing rejected proof-of-presence attempts
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: 401 Unauthorized, 403 Forbidden, 500 Database failure
+	Input: Optional ?user_id= to see one player's attempts
+	Output: The latest rejections with the player, quest and location names
+*/
+
+import { NextResponse } from "next/server";
+import { createAdminClient } from "@/lib/supabase/admin";
+import { requireAdmin, authErrorResponse } from "@/lib/session";
+import { MODERATION_ROLES } from "@/lib/roles";
+
+// Enough to spot patterns without paging
+const LIMIT = 200;
+
+export async function GET(request) {
+	try {
+		await requireAdmin(request, MODERATION_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const { searchParams } = new URL(request.url);
+	const userId = searchParams.get("user_id");
+
+	const supabase = createAdminClient();
+	let query = supabase
+		.from("geofence_rejections")
+		.select(`
+			rejection_id, reason, latitude, longitude, accuracy_m, distance_m,
+			reading_at, ip_address, user_agent, created_at,
+			users ( user_id, name, email ),
+			quests ( quest_id, text ),
+			locations ( location_id, name, geofence_radius_m )
+		`)
+		.order("created_at", { ascending: false })
+		.limit(LIMIT);
+	if (userId) query = query.eq("user_id", userId);
+
+	const { data, error } = await query;
+	if (error) return NextResponse.json({ error: error.message }, { status: 500 });
+	return NextResponse.json(data);
+}
@@ -5,6 +5,7 @@
 	Date: 2/09/2026
 	Revisions:
 		3/15/2026 – feat: add admin interface for GeoThinkr photo management
+		10/19/2026 – Role-based authorization for all handlers
 	Errors: N/A
 	Input: Admin operations.
 	Output: Commits and queries to the database.
@@ -12,8 +13,16 @@
 
 import { NextResponse } from "next/server";
 import { createAdminClient } from "@/lib/supabase/admin";
+import { requireAdmin, authErrorResponse } from "@/lib/session";
+import { CONTENT_ROLES, MODERATION_ROLES } from "@/lib/roles";
+
+export async function GET(req) {
+	try {
+		await requireAdmin(req, MODERATION_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
 
-export async function GET() {
 	const supabase = createAdminClient();
 	const { data, error } = await supabase
 		.from("geothinkr_photos")
@@ -25,6 +34,12 @@ export async function GET() {
 }
 
 export async function POST(req) {
+	try {
+		await requireAdmin(req, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
 	const formData = await req.formData();
 	const file = formData.get("file");
 	const x = formData.get("x");
@@ -91,6 +106,12 @@ export async function POST(req) {
 	Returns: Updated photo record or error
 */
 export async function PATCH(req) {
+	try {
+		await requireAdmin(req, MODERATION_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
 	const body = await req.json().catch(() => ({}));
 	const { id, ...updates } = body;
 	if (!id) return NextResponse.json({ error: "Missing ID" }, { status: 400 });
@@ -117,6 +138,12 @@ export async function PATCH(req) {
 }
 
 export async function DELETE(req) {
+	try {
+		await requireAdmin(req, MODERATION_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
 	const body = await req.json().catch(() => ({}));
 	const { id } = body;
 	if (!id) return NextResponse.json({ error: "Missing ID" }, { status: 400 });
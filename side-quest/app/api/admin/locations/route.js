@@ -3,7 +3,7 @@
 	Description: API endpoint for editing locations
 	Programmers: Alejandro Sandoval
 	Date: 11/23/2025
-	Revisions: N/A
+	Revisions: Role-based authorization for all handlers - 10/19/2026, GPS position, geofence radius and proof of presence - 10/19/2026
 	Errors: N/A
 	Input: Location information
 	Output: Commits and queries to the database.
@@ -11,8 +11,54 @@
 
 import { NextResponse } from "next/server";
 import { createAdminClient } from "@/lib/supabase/admin";
+import { requireAdmin, authErrorResponse } from "@/lib/session";
+import { STAFF_ROLES, CONTENT_ROLES } from "@/lib/roles";
+import { isValidCoordinate } from "@/lib/geofence";
+
+// Smaller than a GPS fix can resolve, or bigger than campus, is almost certainly a typo
+const MIN_RADIUS_M = 10;
+const MAX_RADIUS_M = 2000;
+
+/*
+	Function: geofenceFields
+	Description: Validates the GPS fields of a location. Latitude and longitude
+	             go together and may both be null to clear the position.
+	Arguments:
+		body - request body
+	Returns: { fields } with only the fields that were sent, or { error }
+*/
+function geofenceFields(body) {
+	const { latitude, longitude, geofence_radius_m, require_presence } = body;
+	const fields = {};
+
+	if (latitude !== undefined || longitude !== undefined) {
+		if (latitude === null && longitude === null) {
+			fields.latitude = null;
+			fields.longitude = null;
+		} else if (!isValidCoordinate(latitude, longitude)) {
+			return { error: "latitude and longitude must be numbers within -90..90 and -180..180" };
+		} else {
+			fields.latitude = latitude;
+			fields.longitude = longitude;
+		}
+	}
+	if (geofence_radius_m !== undefined) {
+		if (!Number.isInteger(geofence_radius_m) || geofence_radius_m < MIN_RADIUS_M || geofence_radius_m > MAX_RADIUS_M) {
+			return { error: `geofence_radius_m must be a whole number of meters between ${MIN_RADIUS_M} and ${MAX_RADIUS_M}` };
+		}
+		fields.geofence_radius_m = geofence_radius_m;
+	}
+	if (require_presence !== undefined) fields.require_presence = !!require_presence;
+	return { fields };
+}
+
+export async function GET(request) {
+	try {
+		await requireAdmin(request, STAFF_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
 
-export async function GET() {
 	// Get all locations
 	const supabase = createAdminClient();
 	const { data, error } = await supabase.from("locations").select("*").order("location_id");
@@ -21,16 +67,24 @@ export async function GET() {
 }
 
 export async function POST(request) {
+	try {
+		await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
 	// Add new location
 	const supabase = createAdminClient();
 	const body = await request.json().catch(() => ({}));
 	const { name, type, x_coordinate, y_coordinate } = body;
 	if (!name) return NextResponse.json({ error: "Missing name" }, { status: 400 }); // Must have name
+	const geofence = geofenceFields(body);
+	if (geofence.error) return NextResponse.json({ error: geofence.error }, { status: 400 });
 
 	// Commit
 	const { data, error } = await supabase
 	.from("locations")
-	.insert([{ name, type: type ?? null, x_coordinate: x_coordinate ?? 0, y_coordinate: y_coordinate ?? 0 }])
+	.insert([{ name, type: type ?? null, x_coordinate: x_coordinate ?? 0, y_coordinate: y_coordinate ?? 0, ...geofence.fields }])
 	.select()
 	.single();
 
@@ -39,6 +93,12 @@ export async function POST(request) {
 }
 
 export async function PUT(request) {
+	try {
+		await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
 	// Update a location
 	const supabase = createAdminClient();
 	const body = await request.json().catch(() => ({}));
@@ -51,6 +111,9 @@ export async function PUT(request) {
 	if (type !== undefined) updates.type = type;
 	if (x_coordinate !== undefined) updates.x_coordinate = x_coordinate;
 	if (y_coordinate !== undefined) updates.y_coordinate = y_coordinate;
+	const geofence = geofenceFields(body);
+	if (geofence.error) return NextResponse.json({ error: geofence.error }, { status: 400 });
+	Object.assign(updates, geofence.fields);
 
 	// Commit
 	const { data, error } = await supabase
@@ -65,6 +128,12 @@ export async function PUT(request) {
 }
 
 export async function DELETE(request) {
+	try {
+		await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
 	// Delete a location
 	const supabase = createAdminClient();
 	const body = await request.json().catch(() => ({}));
@@ -0,0 +1,155 @@
+/*
+	Name: map-calibration/route.js
+	Description: API endpoint for calibrating the campus map against GPS. Control
+	             points pair a pixel on map.png with a GPS position; the fit turns
+	             each location's x_coordinate / y_coordinate into latitude / longitude
+	             for the street map and geofencing.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: 400 Bad input or not enough control points to apply, 401 Unauthorized, 403 Forbidden, 500 Database failure
+	Input:
+		GET: Control points, the fit and where it puts each location
+		POST: { label, x_coordinate, y_coordinate, latitude, longitude } adds a control point
+		PUT: { overwrite } writes the fitted position to locations without one, or to all of them
+		DELETE: { control_point_id } removes a control point
+	Output: { points, fit: { ok, rmsMeters, residuals } or { ok: false, message }, locations }
+*/
+
+import { NextResponse } from "next/server";
+import { createAdminClient } from "@/lib/supabase/admin";
+import { requireAdmin, authErrorResponse } from "@/lib/session";
+import { CONTENT_ROLES } from "@/lib/roles";
+import { isValidCoordinate } from "@/lib/geofence";
+import { CAMPUS_MAP, fitCalibration, pixelToLatLng } from "@/lib/calibration";
+
+// ~1 cm; more digits than that is noise
+const round = value => Math.round(value * 1e7) / 1e7;
+
+/*
+	Function: loadCalibration
+	Description: Loads the control points and locations, fits the points and
+	             works out where the fit puts each location.
+	Returns: { ok: true, points, fit, locations } or { ok: false, status, message }
+*/
+async function loadCalibration() {
+	const supabase = createAdminClient();
+	const [{ data: points, error: pointError }, { data: locations, error: locationError }] = await Promise.all([
+		supabase
+			.from("map_control_points")
+			.select("control_point_id, label, x_coordinate, y_coordinate, latitude, longitude, created_at")
+			.order("created_at", { ascending: true }),
+		supabase
+			.from("locations")
+			.select("location_id, name, x_coordinate, y_coordinate, latitude, longitude")
+			.order("location_id", { ascending: true }),
+	]);
+	const error = pointError || locationError;
+	if (error) return { ok: false, status: 500, message: error.message };
+
+	const fit = fitCalibration(points || []);
+	return {
+		ok: true,
+		points: points || [],
+		fit: fit.ok
+			? { ok: true, rmsMeters: fit.rmsMeters, residuals: fit.residuals, transform: fit.transform }
+			: { ok: false, message: fit.message },
+		locations: (locations || []).map(l => {
+			const fitted = fit.ok ? pixelToLatLng(fit.transform, Number(l.x_coordinate ?? 0), Number(l.y_coordinate ?? 0)) : null;
+			return { ...l, fitted: fitted && { latitude: round(fitted.latitude), longitude: round(fitted.longitude) } };
+		}),
+	};
+}
+
+/*
+	Function: respond
+	Description: Sends the current calibration, or the error loading it.
+	Arguments:
+		status - HTTP status on success
+	Returns: NextResponse
+*/
+async function respond(status = 200) {
+	const result = await loadCalibration();
+	if (!result.ok) return NextResponse.json({ error: result.message }, { status: result.status });
+	const { points, fit, locations } = result;
+	return NextResponse.json({ points, fit, locations }, { status });
+}
+
+export async function GET(request) {
+	try {
+		await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+	return respond();
+}
+
+export async function POST(request) {
+	let admin;
+	try {
+		admin = await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const body = await request.json().catch(() => ({}));
+	const x = Number(body.x_coordinate);
+	const y = Number(body.y_coordinate);
+	const latitude = Number(body.latitude);
+	const longitude = Number(body.longitude);
+	const label = String(body.label ?? "").trim().slice(0, 80) || null;
+	if (!Number.isFinite(x) || !Number.isFinite(y) || x < 0 || y < 0 || x > CAMPUS_MAP.width || y > CAMPUS_MAP.height) {
+		return NextResponse.json({ error: `x_coordinate and y_coordinate must be on the map (0..${CAMPUS_MAP.width}, 0..${CAMPUS_MAP.height})` }, { status: 400 });
+	}
+	if (!isValidCoordinate(latitude, longitude)) {
+		return NextResponse.json({ error: "latitude and longitude must be numbers within -90..90 and -180..180" }, { status: 400 });
+	}
+
+	const supabase = createAdminClient();
+	const { error } = await supabase
+		.from("map_control_points")
+		.insert([{ label, x_coordinate: x, y_coordinate: y, latitude, longitude, created_by: admin.id }]);
+	if (error) return NextResponse.json({ error: error.message }, { status: 500 });
+	return respond(201);
+}
+
+export async function PUT(request) {
+	try {
+		await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	// Locations already placed by hand keep their position unless overwrite is set
+	const { overwrite } = await request.json().catch(() => ({}));
+	const result = await loadCalibration();
+	if (!result.ok) return NextResponse.json({ error: result.message }, { status: result.status });
+	if (!result.fit.ok) return NextResponse.json({ error: result.fit.message }, { status: 400 });
+
+	const targets = result.locations.filter(l => overwrite || l.latitude === null || l.longitude === null);
+	const supabase = createAdminClient();
+	for (const location of targets) {
+		const { error } = await supabase
+			.from("locations")
+			.update({ latitude: location.fitted.latitude, longitude: location.fitted.longitude })
+			.eq("location_id", location.location_id);
+		if (error) return NextResponse.json({ error: error.message }, { status: 500 });
+	}
+	return respond();
+}
+
+export async function DELETE(request) {
+	try {
+		await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const { control_point_id } = await request.json().catch(() => ({}));
+	if (!control_point_id) return NextResponse.json({ error: "Missing control_point_id" }, { status: 400 });
+
+	const supabase = createAdminClient();
+	const { error } = await supabase.from("map_control_points").delete().eq("control_point_id", control_point_id);
+	if (error) return NextResponse.json({ error: error.message }, { status: 500 });
+	return respond();
+}
@@ -0,0 +1,93 @@
+/*
+	Name: map-paths/route.js
+	Description: API endpoint for the walkable paths between locations. The
+	             map draws them and the route planner walks along them.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: 400 Bad input, 401 Unauthorized, 403 Forbidden, 404 Location not found, 409 Path already there, 500 Database failure
+	Input:
+		GET: Every path
+		POST: { from_location_id, to_location_id } adds a path (either order)
+		DELETE: { path_id } removes a path
+	Output: { paths: [{ path_id, from_location_id, to_location_id }] }
+*/
+
+import { NextResponse } from "next/server";
+import { createAdminClient } from "@/lib/supabase/admin";
+import { requireAdmin, authErrorResponse } from "@/lib/session";
+import { CONTENT_ROLES } from "@/lib/roles";
+
+/*
+	Function: respond
+	Description: Sends every path, or the error loading them.
+	Arguments:
+		status - HTTP status on success
+	Returns: NextResponse
+*/
+async function respond(status = 200) {
+	const supabase = createAdminClient();
+	const { data, error } = await supabase
+		.from("map_paths")
+		.select("path_id, from_location_id, to_location_id")
+		.order("created_at", { ascending: true });
+	if (error) return NextResponse.json({ error: error.message }, { status: 500 });
+	return NextResponse.json({ paths: data || [] }, { status });
+}
+
+export async function GET(request) {
+	try {
+		await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+	return respond();
+}
+
+export async function POST(request) {
+	let admin;
+	try {
+		admin = await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const body = await request.json().catch(() => ({}));
+	const a = String(body.from_location_id ?? "").toLowerCase();
+	const b = String(body.to_location_id ?? "").toLowerCase();
+	if (!a || !b) return NextResponse.json({ error: "Missing from_location_id or to_location_id" }, { status: 400 });
+	if (a === b) return NextResponse.json({ error: "A path needs two different locations" }, { status: 400 });
+
+	const supabase = createAdminClient();
+	const { data: found, error: findError } = await supabase
+		.from("locations")
+		.select("location_id")
+		.in("location_id", [a, b]);
+	if (findError) return NextResponse.json({ error: findError.message }, { status: 500 });
+	if ((found || []).length !== 2) return NextResponse.json({ error: "Location not found" }, { status: 404 });
+
+	// Stored once per pair, smaller id first (the table checks this)
+	const [from, to] = a < b ? [a, b] : [b, a];
+	const { error } = await supabase
+		.from("map_paths")
+		.insert([{ from_location_id: from, to_location_id: to, created_by: admin.id }]);
+	if (error?.code === "23505") return NextResponse.json({ error: "Those locations are already joined" }, { status: 409 });
+	if (error) return NextResponse.json({ error: error.message }, { status: 500 });
+	return respond(201);
+}
+
+export async function DELETE(request) {
+	try {
+		await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const { path_id } = await request.json().catch(() => ({}));
+	if (!path_id) return NextResponse.json({ error: "Missing path_id" }, { status: 400 });
+
+	const supabase = createAdminClient();
+	const { error } = await supabase.from("map_paths").delete().eq("path_id", path_id);
+	if (error) return NextResponse.json({ error: error.message }, { status: 500 });
+	return respond();
+}
@@ -3,38 +3,98 @@
 	Description: API endpoint for adding points to user's account.
 	Programmers: Aidan Barnard
 	Date: 2/09/2026
-	Revisions: N/A
-	Errors: N/A
-	Input: How many points to add to user's account.
-	Output: Point actions.
+	Revisions: Use shared session guard, token never carried is_admin - 10/19/2026, Grants go through the points ledger, GET audit log - 10/19/2026
+	Errors: 400 Bad input, 401 Unauthorized, 403 Forbidden, 404 User not found, 500 Database failure
+	Input:
+		GET: Optional ?email= and ?source= to narrow the ledger
+		POST: { user_email, points, reason?, idempotency_key? } - points may be negative to correct a mistake.
+		      Sending the same idempotency_key again changes nothing.
+	Output:
+		GET: The latest point transactions with the player and the admin who made them
+		POST: { success, applied, new_points }
 */
 
 import { NextResponse } from "next/server";
+import { randomUUID } from "crypto";
 import { createAdminClient } from "@/lib/supabase/admin";
-import { verifyToken } from "@/lib/auth";
+import { requireAdmin, authErrorResponse } from "@/lib/session";
+import { awardPoints, POINT_SOURCES } from "@/lib/points";
 
-export async function POST(req) {
-	const cookie = req.headers.get("cookie") || "";
-	const match = cookie.split(";").map(s => s.trim()).find(s => s.startsWith("sid="));
-	const token = match?.split("=")[1];
-	const user = token ? verifyToken(token) : null;
+// Enough to audit recent activity without paging
+const LIMIT = 200;
+
+export async function GET(req) {
+	// Only full admins hand out points, so only they audit them
+	try {
+		await requireAdmin(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const { searchParams } = new URL(req.url);
+	const email = searchParams.get("email")?.trim();
+	const source = searchParams.get("source");
+
+	if (source && !POINT_SOURCES.includes(source)) {
+		return NextResponse.json({ error: "Unknown source" }, { status: 400 });
+	}
+
+	const supabase = createAdminClient();
 
-	if (!user || !user.is_admin) {
-		return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+	let userId = null;
+	if (email) {
+		const { data: targetUser } = await supabase
+			.from("users")
+			.select("user_id")
+			.eq("email", email)
+			.maybeSingle();
+		if (!targetUser) return NextResponse.json({ error: "User not found" }, { status: 404 });
+		userId = targetUser.user_id;
 	}
 
-	const { user_email, points } = await req.json().catch(() => ({}));
+	let query = supabase
+		.from("point_transactions")
+		.select(`
+			transaction_id, amount, source, reference_id, reason, created_at,
+			player:users!point_transactions_user_id_fkey ( user_id, name, email, points ),
+			admin:users!point_transactions_created_by_fkey ( name, email )
+		`)
+		.order("created_at", { ascending: false })
+		.limit(LIMIT);
+	if (userId) query = query.eq("user_id", userId);
+	if (source) query = query.eq("source", source);
+
+	const { data, error } = await query;
+	if (error) return NextResponse.json({ error: error.message }, { status: 500 });
+	return NextResponse.json(data);
+}
+
+export async function POST(req) {
+	// Only full admins may hand out points
+	let admin;
+	try {
+		admin = await requireAdmin(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const { user_email, points, reason, idempotency_key } = await req.json().catch(() => ({}));
 
 	if (!user_email || points === undefined) {
 		return NextResponse.json({ error: "Missing user_email or points" }, { status: 400 });
 	}
 
+	const amount = parseInt(points);
+	if (!Number.isInteger(amount) || amount === 0) {
+		return NextResponse.json({ error: "Points must be a whole number other than 0" }, { status: 400 });
+	}
+
 	const supabase = createAdminClient();
 
 	// Find user by email
 	const { data: targetUser, error: userError } = await supabase
 		.from("users")
-		.select("user_id, points")
+		.select("user_id")
 		.eq("email", user_email)
 		.single();
 
@@ -42,11 +102,24 @@ export async function POST(req) {
 		return NextResponse.json({ error: "User not found" }, { status: 404 });
 	}
 
-	// Update points
-	await supabase.rpc('increment_points', {
-		user_id: targetUser.user_id,
-		amount: parseInt(points)
+	// The panel sends one key per grant so a double click or retry only pays once
+	const key = typeof idempotency_key === "string" && idempotency_key ? idempotency_key : randomUUID();
+	const result = await awardPoints({
+		userId: targetUser.user_id,
+		amount,
+		source: "admin",
+		idempotencyKey: `admin:${admin.id}:${key}`,
+		reason,
+		createdBy: admin.id,
 	});
+	if (!result.ok) return NextResponse.json({ error: result.message }, { status: result.status });
+
+	// Read back the balance the ledger trigger just updated
+	const { data: updated } = await supabase
+		.from("users")
+		.select("points")
+		.eq("user_id", targetUser.user_id)
+		.single();
 
-	return NextResponse.json({ success: true, new_points: (targetUser.points || 0) + parseInt(points) });
+	return NextResponse.json({ success: true, applied: result.applied, new_points: updated?.points ?? null });
 }
@@ -0,0 +1,130 @@
+/*
+	Name: quests/image/route.js
+	Description: API endpoint for a quest's cover image. Images go in the public
+	             quest-images bucket, like GeoThinkr photos; replacing or removing
+	             one deletes the old file.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Only JPEG, PNG, WebP and GIF, checked by type and extension - 10/19/2026
+	Errors: 400 missing quest_id or not a JPEG, PNG, WebP or GIF image, 404 unknown quest, 413 image too large, 500 storage or database failure
+	Input: POST multipart form with quest_id and file. DELETE JSON { quest_id }.
+	Output: The updated quest row
+*/
+
+import { randomBytes } from "crypto";
+import { NextResponse } from "next/server";
+import { createAdminClient } from "@/lib/supabase/admin";
+import { requireAdmin, authErrorResponse } from "@/lib/session";
+import { CONTENT_ROLES } from "@/lib/roles";
+import { QUEST_IMAGE_BUCKET, MAX_IMAGE_BYTES, imageExtension } from "@/lib/questContent";
+
+/*
+	Function: removeImage
+	Description: Deletes an old cover image. A leftover file is only wasted space,
+	             so failures are logged rather than returned.
+	Arguments:
+		supabase - admin client
+		path - file in the bucket, or null
+	Returns: nothing
+*/
+async function removeImage(supabase, path) {
+	if (!path) return;
+	const { error } = await supabase.storage.from(QUEST_IMAGE_BUCKET).remove([path]);
+	if (error) console.error("Failed to remove quest image:", error);
+}
+
+export async function POST(req) {
+	try {
+		await requireAdmin(req, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const formData = await req.formData();
+	const questId = formData.get("quest_id");
+	const file = formData.get("file");
+	if (!questId) return NextResponse.json({ error: "Missing quest_id" }, { status: 400 });
+	if (!file || typeof file === "string") {
+		return NextResponse.json({ error: "Choose an image file" }, { status: 400 });
+	}
+	const fileExt = imageExtension(file);
+	if (!fileExt) {
+		return NextResponse.json({ error: "Images must be JPEG, PNG, WebP or GIF" }, { status: 400 });
+	}
+	if (file.size > MAX_IMAGE_BYTES) {
+		return NextResponse.json({ error: "Image is too large (5 MB max)" }, { status: 413 });
+	}
+
+	const supabase = createAdminClient();
+	const { data: quest, error: questError } = await supabase
+		.from("quests")
+		.select("quest_id, image_path")
+		.eq("quest_id", questId)
+		.maybeSingle();
+	if (questError) return NextResponse.json({ error: questError.message }, { status: 500 });
+	if (!quest) return NextResponse.json({ error: "Quest not found" }, { status: 404 });
+
+	// Upload to storage under a new name so cached copies of the old image don't linger
+	const path = `${quest.quest_id}/${Date.now()}_${randomBytes(4).toString("hex")}.${fileExt}`;
+	const buffer = Buffer.from(await file.arrayBuffer());
+
+	const { error: uploadError } = await supabase.storage
+		.from(QUEST_IMAGE_BUCKET)
+		.upload(path, buffer, {
+			contentType: file.type,
+			upsert: false
+		});
+	if (uploadError) {
+		return NextResponse.json({ error: "Upload failed: " + uploadError.message }, { status: 500 });
+	}
+
+	const { data: { publicUrl } } = supabase.storage
+		.from(QUEST_IMAGE_BUCKET)
+		.getPublicUrl(path);
+
+	const { data, error } = await supabase
+		.from("quests")
+		.update({ image_url: publicUrl, image_path: path })
+		.eq("quest_id", quest.quest_id)
+		.select()
+		.single();
+	if (error) {
+		await removeImage(supabase, path);
+		return NextResponse.json({ error: error.message }, { status: 500 });
+	}
+
+	await removeImage(supabase, quest.image_path);
+	return NextResponse.json(data);
+}
+
+export async function DELETE(req) {
+	try {
+		await requireAdmin(req, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const body = await req.json().catch(() => ({}));
+	const { quest_id } = body;
+	if (!quest_id) return NextResponse.json({ error: "Missing quest_id" }, { status: 400 });
+
+	const supabase = createAdminClient();
+	const { data: quest, error: questError } = await supabase
+		.from("quests")
+		.select("quest_id, image_path")
+		.eq("quest_id", quest_id)
+		.maybeSingle();
+	if (questError) return NextResponse.json({ error: questError.message }, { status: 500 });
+	if (!quest) return NextResponse.json({ error: "Quest not found" }, { status: 404 });
+
+	const { data, error } = await supabase
+		.from("quests")
+		.update({ image_url: null, image_path: null })
+		.eq("quest_id", quest_id)
+		.select()
+		.single();
+	if (error) return NextResponse.json({ error: error.message }, { status: 500 });
+
+	await removeImage(supabase, quest.image_path);
+	return NextResponse.json(data);
+}
@@ -3,16 +3,98 @@
 	Description: API endpoint for editing quests
 	Programmers: Alejandro Sandoval
 	Date: 11/23/2025
-	Revisions: N/A
-	Errors: N/A
-	Input: Quest information
+	Revisions: Role-based authorization for all handlers - 10/19/2026, Per-quest proof of presence - 10/19/2026, Photo-proof quests - 10/19/2026, QR check-in quests - 10/19/2026, Prerequisites with loop detection - 10/19/2026, Start/end times and recurrence - 10/19/2026, Category, difficulty, tags and reward points - 10/19/2026, Description, hints and accessibility note - 10/19/2026
+	Errors: 400 when a schedule is invalid (bad time, unknown recurrence, ends before it starts) or a label is (unknown category or difficulty, bad tags, bad reward) or content is too long, 409 when new prerequisites would make a loop
+	Input: Quest information. PUT may include dependencies: [quest_id, ...] to replace its prerequisites.
+	       starts_at and ends_at are ISO times or null, recurrence is "daily", "weekly", "semester" or null.
+	       category, difficulty and tags (array or "a, b") as in lib/questTags.js. Without reward_points the
+	       reward follows the difficulty, unless an admin already set a custom one.
+	       description (markdown), hints (list) and accessibility_note as in lib/questContent.js.
+	       Cover images are set through /api/admin/quests/image.
 	Output: Commits and queries to the database.
 */
 
 import { NextResponse } from "next/server";
 import { createAdminClient } from "@/lib/supabase/admin";
+import { requireAdmin, authErrorResponse } from "@/lib/session";
+import { STAFF_ROLES, CONTENT_ROLES } from "@/lib/roles";
+import { setPrerequisites } from "@/lib/dependencies";
+import { RECURRENCES } from "@/lib/questSchedule";
+import { CATEGORIES, DIFFICULTIES, defaultReward, normalizeTags } from "@/lib/questTags";
+import { QUEST_IMAGE_BUCKET, normalizeContent } from "@/lib/questContent";
+
+/*
+	Function: scheduleUpdates
+	Description: Validates the schedule fields that were sent.
+	Arguments:
+		body - request body with optional starts_at, ends_at, recurrence
+	Returns: { updates } with only the fields that were sent, or { error }
+*/
+function scheduleUpdates({ starts_at, ends_at, recurrence }) {
+	const updates = {};
+	for (const [key, value] of [["starts_at", starts_at], ["ends_at", ends_at]]) {
+		if (value === undefined) continue;
+		if (value === null || value === "") {
+			updates[key] = null;
+		} else if (Number.isNaN(new Date(value).getTime())) {
+			return { error: `${key} must be a date and time` };
+		} else {
+			updates[key] = new Date(value).toISOString();
+		}
+	}
+	if (recurrence !== undefined) {
+		if (recurrence !== null && recurrence !== "" && !RECURRENCES.includes(recurrence)) {
+			return { error: `recurrence must be one of ${RECURRENCES.join(", ")}` };
+		}
+		updates.recurrence = recurrence || null;
+	}
+	if (updates.starts_at && updates.ends_at && updates.ends_at <= updates.starts_at) {
+		return { error: "A quest has to end after it starts" };
+	}
+	return { updates };
+}
+
+/*
+	Function: labelUpdates
+	Description: Validates the category, difficulty, tags and reward that were sent.
+	Arguments:
+		body - request body with optional category, difficulty, tags, reward_points
+	Returns: { updates } with only the fields that were sent, or { error }
+*/
+function labelUpdates({ category, difficulty, tags, reward_points }) {
+	const updates = {};
+	if (category !== undefined) {
+		if (category !== null && category !== "" && !CATEGORIES.includes(category)) {
+			return { error: `category must be one of ${CATEGORIES.join(", ")}` };
+		}
+		updates.category = category || null;
+	}
+	if (difficulty !== undefined) {
+		if (difficulty !== null && difficulty !== "" && !DIFFICULTIES.includes(difficulty)) {
+			return { error: `difficulty must be one of ${DIFFICULTIES.join(", ")}` };
+		}
+		updates.difficulty = difficulty || null;
+	}
+	if (tags !== undefined) {
+		const result = normalizeTags(tags);
+		if (result.error) return { error: result.error };
+		updates.tags = result.tags;
+	}
+	if (reward_points !== undefined) {
+		const points = Number(reward_points);
+		if (!Number.isInteger(points) || points <= 0) return { error: "reward_points must be a whole number above 0" };
+		updates.reward_points = points;
+	}
+	return { updates };
+}
+
+export async function GET(request) {
+	try {
+		await requireAdmin(request, STAFF_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
 
-export async function GET() {
 	// Get quests
 	const supabase = createAdminClient();
 	const { data, error } = await supabase
@@ -25,18 +107,30 @@ export async function GET() {
 }
 
 export async function POST(request) {
+	try {
+		await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
 	// Add a quest
 	const supabase = createAdminClient();
 	const body = await request.json().catch(() => ({}));
-	const { text, location_id } = body;
+	const { text, location_id, require_presence, requires_proof, requires_checkin } = body;
 	// Must have required fields
 	if (!text) return NextResponse.json({ error: "Missing text" }, { status: 400 });
 	if (location_id === undefined || location_id === null) return NextResponse.json({ error: "Missing location_id" }, { status: 400 });
+	const schedule = scheduleUpdates(body);
+	if (schedule.error) return NextResponse.json({ error: schedule.error }, { status: 400 });
+	const labels = labelUpdates(body);
+	if (labels.error) return NextResponse.json({ error: labels.error }, { status: 400 });
+	// The difficulty sets the reward unless one was given
+	const reward_points = labels.updates.reward_points ?? defaultReward(labels.updates.difficulty);
 
 	// commit
 	const { data, error } = await supabase
 	.from("quests")
-	.insert([{ text, location_id }])
+	.insert([{ text, location_id, require_presence: !!require_presence, requires_proof: !!requires_proof, requires_checkin: !!requires_checkin, ...schedule.updates, ...labels.updates, reward_points }])
 	.select()
 	.single();
 
@@ -45,15 +139,51 @@ export async function POST(request) {
 }
 
 export async function PUT(request) {
+	try {
+		await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
 	// Edit an existing quest
 	const supabase = createAdminClient();
 	const body = await request.json().catch(() => ({}));
-	const { quest_id, text, location_id } = body; // Must have required fields
+	const { quest_id, text, location_id, require_presence, requires_proof, requires_checkin, dependencies } = body; // Must have required fields
 	if (quest_id === undefined || quest_id === null) return NextResponse.json({ error: "Missing quest_id" }, { status: 400 });
 	// Conditionally update fields.
 	const updates = {};
 	if (text !== undefined) updates.text = text;
 	if (location_id !== undefined) updates.location_id = location_id;
+	if (require_presence !== undefined) updates.require_presence = !!require_presence;
+	if (requires_proof !== undefined) updates.requires_proof = !!requires_proof;
+	if (requires_checkin !== undefined) updates.requires_checkin = !!requires_checkin;
+	const schedule = scheduleUpdates(body);
+	if (schedule.error) return NextResponse.json({ error: schedule.error }, { status: 400 });
+	Object.assign(updates, schedule.updates);
+	const labels = labelUpdates(body);
+	if (labels.error) return NextResponse.json({ error: labels.error }, { status: 400 });
+	Object.assign(updates, labels.updates);
+	const content = normalizeContent(body);
+	if (content.error) return NextResponse.json({ error: content.error }, { status: 400 });
+	Object.assign(updates, content.updates);
+	// A new difficulty moves the reward along with it, unless an admin set a custom reward
+	if (labels.updates.difficulty !== undefined && labels.updates.reward_points === undefined) {
+		const { data: current, error: currentError } = await supabase
+		.from("quests")
+		.select("difficulty, reward_points")
+		.eq("quest_id", quest_id)
+		.single();
+		if (currentError) return NextResponse.json({ error: currentError.message }, { status: 500 });
+		if (!current.reward_points || current.reward_points === defaultReward(current.difficulty)) {
+			updates.reward_points = defaultReward(labels.updates.difficulty);
+		}
+	}
+	// Prerequisites live in quest_dependencies and are checked for loops first
+	if (dependencies !== undefined) {
+		const result = await setPrerequisites(quest_id, dependencies);
+		if (!result.ok) return NextResponse.json({ error: result.message, cycle: result.cycle }, { status: result.status });
+		if (Object.keys(updates).length === 0) return NextResponse.json({ quest_id, dependencies: result.prerequisites });
+	}
 	// Commit
 	const { data, error } = await supabase
 	.from("quests")
@@ -62,18 +192,32 @@ export async function PUT(request) {
 	.select()
 	.single();
 
+	// 23514: quests_schedule_check, the new end is before the start already saved
+	if (error?.code === "23514") return NextResponse.json({ error: "A quest has to end after it starts" }, { status: 400 });
 	if (error) return NextResponse.json({ error: error.message }, { status: 500 });
 	return NextResponse.json(data);
 }
 
 export async function DELETE(request) {
+	try {
+		await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
 	// Delete a quest
 	const supabase = createAdminClient();
 	const body = await request.json().catch(() => ({}));
 	const { quest_id } = body;
 	if (quest_id === undefined || quest_id === null) return NextResponse.json({ error: "Missing quest_id" }, { status: 400 });
 	// Commit
-	const { error } = await supabase.from("quests").delete().eq("quest_id", quest_id);
+	const { data: deleted, error } = await supabase.from("quests").delete().eq("quest_id", quest_id).select("image_path");
 	if (error) return NextResponse.json({ error: error.message }, { status: 500 });
+	// The cover image goes with the quest
+	const imagePaths = (deleted || []).map(q => q.image_path).filter(Boolean);
+	if (imagePaths.length > 0) {
+		const { error: removeError } = await supabase.storage.from(QUEST_IMAGE_BUCKET).remove(imagePaths);
+		if (removeError) console.error("Failed to remove quest image:", removeError);
+	}
 	return NextResponse.json({ success: true });
 }
\ No newline at end of file
@@ -0,0 +1,190 @@
+/*
+	Name: storylines/route.js
+	Description: API endpoint for authoring storylines: ordered quest chains with
+	             a bonus and an achievement for finishing them.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: 400 bad fields or steps, 404 unknown storyline, 409 when the order would make a prerequisite loop
+	Input: POST { title, description, bonus_points, steps: [quest_id], is_published }.
+	       PUT { storyline_id, ...any of those }. DELETE { storyline_id }.
+	Output: Storylines with steps in order
+*/
+
+import { NextResponse } from "next/server";
+import { createAdminClient } from "@/lib/supabase/admin";
+import { requireAdmin, authErrorResponse } from "@/lib/session";
+import { STAFF_ROLES, CONTENT_ROLES } from "@/lib/roles";
+import { MAX_TITLE_LENGTH, loadStorylines, checkStorylineSteps, saveStorylineSteps, storylineAchievementKey } from "@/lib/storylines";
+import { MAX_DESCRIPTION_LENGTH } from "@/lib/questContent";
+
+/*
+	Function: storylineUpdates
+	Description: Validates the storyline fields that were sent.
+	Arguments:
+		body - request body with optional title, description, bonus_points, is_published
+	Returns: { updates } with only the fields that were sent, or { error }
+*/
+function storylineUpdates({ title, description, bonus_points, is_published }) {
+	const updates = {};
+	if (title !== undefined) {
+		const text = String(title ?? "").trim();
+		if (!text) return { error: "Missing title" };
+		if (text.length > MAX_TITLE_LENGTH) return { error: `Titles can be at most ${MAX_TITLE_LENGTH} characters` };
+		updates.title = text;
+	}
+	if (description !== undefined) {
+		const text = String(description ?? "").trim();
+		if (text.length > MAX_DESCRIPTION_LENGTH) return { error: `Descriptions can be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+		updates.description = text || null;
+	}
+	if (bonus_points !== undefined) {
+		const points = Number(bonus_points);
+		if (!Number.isInteger(points) || points < 0) return { error: "bonus_points must be a whole number, 0 or more" };
+		updates.bonus_points = points;
+	}
+	if (is_published !== undefined) updates.is_published = !!is_published;
+	return { updates };
+}
+
+/*
+	Function: achievementFields
+	Description: Name and description of a storyline's achievement.
+	Arguments:
+		title - storyline title
+	Returns: { name, description }
+*/
+function achievementFields(title) {
+	return { name: title, description: `Finished the "${title}" storyline` };
+}
+
+export async function GET(request) {
+	try {
+		await requireAdmin(request, STAFF_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const result = await loadStorylines();
+	if (!result.ok) return NextResponse.json({ error: result.message }, { status: result.status });
+	return NextResponse.json(result.storylines);
+}
+
+export async function POST(request) {
+	try {
+		await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const body = await request.json().catch(() => ({}));
+	const fields = storylineUpdates({ ...body, title: body.title ?? "" });
+	if (fields.error) return NextResponse.json({ error: fields.error }, { status: 400 });
+	const steps = body.steps ?? [];
+	// Loops are refused even for drafts, so publishing later can't fail on them
+	const check = await checkStorylineSteps(null, steps);
+	if (!check.ok) return NextResponse.json({ error: check.message, cycle: check.cycle }, { status: check.status });
+
+	const supabase = createAdminClient();
+	const { data: storyline, error } = await supabase
+		.from("storylines")
+		.insert([fields.updates])
+		.select()
+		.single();
+	if (error) return NextResponse.json({ error: error.message }, { status: 500 });
+
+	// Every storyline comes with an achievement for finishing it
+	const { data: achievement, error: achievementError } = await supabase
+		.from("achievements")
+		.insert([{ key: storylineAchievementKey(storyline.storyline_id), icon: "storyline", ...achievementFields(storyline.title) }])
+		.select("achievement_id")
+		.single();
+	if (achievementError) console.error("Failed to create storyline achievement:", achievementError);
+
+	const saved = await saveStorylineSteps(storyline.storyline_id, check.steps);
+	if (!saved.ok) return NextResponse.json({ error: saved.message }, { status: saved.status });
+
+	let achievementId = null;
+	if (achievement) {
+		await supabase.from("storylines").update({ achievement_id: achievement.achievement_id }).eq("storyline_id", storyline.storyline_id);
+		achievementId = achievement.achievement_id;
+	}
+	return NextResponse.json({ ...storyline, achievement_id: achievementId, steps: saved.steps }, { status: 201 });
+}
+
+export async function PUT(request) {
+	try {
+		await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const body = await request.json().catch(() => ({}));
+	const { storyline_id, steps } = body;
+	if (!storyline_id) return NextResponse.json({ error: "Missing storyline_id" }, { status: 400 });
+	const fields = storylineUpdates(body);
+	if (fields.error) return NextResponse.json({ error: fields.error }, { status: 400 });
+
+	const supabase = createAdminClient();
+	const { data: current, error: currentError } = await supabase
+		.from("storylines")
+		.select("storyline_id, achievement_id, storyline_steps ( position, quest_id )")
+		.eq("storyline_id", storyline_id)
+		.maybeSingle();
+	if (currentError) return NextResponse.json({ error: currentError.message }, { status: 500 });
+	if (!current) return NextResponse.json({ error: "Storyline not found" }, { status: 404 });
+
+	// Check the order that will be in place, whether the steps or only the publish flag changed
+	const currentSteps = [...(current.storyline_steps || [])].sort((a, b) => a.position - b.position).map(s => s.quest_id);
+	const check = await checkStorylineSteps(storyline_id, steps ?? currentSteps);
+	if (!check.ok) return NextResponse.json({ error: check.message, cycle: check.cycle }, { status: check.status });
+	if (steps !== undefined) {
+		const saved = await saveStorylineSteps(storyline_id, check.steps);
+		if (!saved.ok) return NextResponse.json({ error: saved.message }, { status: saved.status });
+	}
+
+	const { data, error } = await supabase
+		.from("storylines")
+		.update({ ...fields.updates, updated_at: new Date().toISOString() })
+		.eq("storyline_id", storyline_id)
+		.select()
+		.single();
+	if (error) return NextResponse.json({ error: error.message }, { status: 500 });
+
+	// Keep the achievement's name in step with the title
+	if (fields.updates.title && current.achievement_id) {
+		await supabase.from("achievements").update(achievementFields(fields.updates.title)).eq("achievement_id", current.achievement_id);
+	}
+	return NextResponse.json({ ...data, steps: check.steps });
+}
+
+export async function DELETE(request) {
+	try {
+		await requireAdmin(request, CONTENT_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const body = await request.json().catch(() => ({}));
+	const { storyline_id } = body;
+	if (!storyline_id) return NextResponse.json({ error: "Missing storyline_id" }, { status: 400 });
+
+	const supabase = createAdminClient();
+	const { data: deleted, error } = await supabase
+		.from("storylines")
+		.delete()
+		.eq("storyline_id", storyline_id)
+		.select("achievement_id");
+	if (error) return NextResponse.json({ error: error.message }, { status: 500 });
+
+	// Players who earned the achievement keep it; otherwise it goes with the storyline
+	const achievementId = deleted?.[0]?.achievement_id;
+	if (achievementId) {
+		const { count } = await supabase
+			.from("user_achievements")
+			.select("achievement_id", { count: "exact", head: true })
+			.eq("achievement_id", achievementId);
+		if (count === 0) await supabase.from("achievements").delete().eq("achievement_id", achievementId);
+	}
+	return NextResponse.json({ success: true });
+}
@@ -0,0 +1,71 @@
+/*
+	Name: submissions/route.js
+	Description: API endpoint for reviewing photo proofs. Approving one completes
+	             the quest for the player and awards its points.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: 400 Bad input, 401 Unauthorized, 403 Forbidden, 409 Already reviewed or
+	        quest already claimed, 500 Database failure
+	Input:
+		GET: Optional ?status=pending|approved|rejected (default pending)
+		PATCH: { submission_id, status: "approved" | "rejected", note }
+	Output: Submissions with the player, quest, location and a temporary image_url
+*/
+
+import { NextResponse } from "next/server";
+import { createAdminClient } from "@/lib/supabase/admin";
+import { requireAdmin, authErrorResponse } from "@/lib/session";
+import { MODERATION_ROLES } from "@/lib/roles";
+import { SUBMISSION_STATUSES, signedProofUrls, reviewSubmission } from "@/lib/submissions";
+
+// One screen of review work; the oldest pending photos come first
+const LIMIT = 100;
+
+export async function GET(request) {
+	try {
+		await requireAdmin(request, MODERATION_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const { searchParams } = new URL(request.url);
+	const status = searchParams.get("status") || "pending";
+	if (!SUBMISSION_STATUSES.includes(status)) {
+		return NextResponse.json({ error: "Unknown status" }, { status: 400 });
+	}
+
+	const supabase = createAdminClient();
+	const { data, error } = await supabase
+		.from("quest_submissions")
+		.select(`
+			submission_id, status, storage_path, review_note, reviewed_at, created_at,
+			users!quest_submissions_user_id_fkey ( user_id, name, email ),
+			quests ( quest_id, text, reward_points, locations ( name ) )
+		`)
+		.eq("status", status)
+		// Pending: oldest first so nobody waits forever. Reviewed: newest first.
+		.order("created_at", { ascending: status === "pending" })
+		.limit(LIMIT);
+
+	if (error) return NextResponse.json({ error: error.message }, { status: 500 });
+	return NextResponse.json(await signedProofUrls(data));
+}
+
+export async function PATCH(request) {
+	let reviewer;
+	try {
+		reviewer = await requireAdmin(request, MODERATION_ROLES);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const { submission_id, status, note } = await request.json().catch(() => ({}));
+	if (!submission_id) {
+		return NextResponse.json({ error: "Missing submission_id" }, { status: 400 });
+	}
+
+	const result = await reviewSubmission(submission_id, reviewer.id, status, note);
+	if (!result.ok) return NextResponse.json({ error: result.message }, { status: result.status });
+	return NextResponse.json(result.submission);
+}
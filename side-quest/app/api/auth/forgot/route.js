@@ -0,0 +1,81 @@
+/*
+	Name: Forgot password API endpoint
+	Description: Emails a one-time password reset link to the account owner.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Normalize email before lookup - 10/19/2026, Rate limits - 10/19/2026, Reset links use APP_URL only - 10/19/2026
+	Errors: 400 Missing email, 429 Too many requests from one IP (with Retry-After)
+	Input:
+		HTTP POST request containing JSON body: { email }
+
+	Output:
+		Always JSON { ok: true }, whether or not the email belongs to an account,
+		so this endpoint cannot be used to find out who has signed up
+*/
+
+import { createAdminClient } from "../../../../lib/supabase/admin";
+import { issueAuthToken, TOKEN_PURPOSES } from "../../../../lib/authTokens";
+import { sendMail } from "../../../../lib/mailer";
+import { passwordResetEmail } from "../../../../lib/mailer/templates";
+import { emailLink } from "../../../../lib/redirects";
+import { normalizeEmail } from "../../../../lib/email";
+import { createRateLimiter, retryAfterHeaders } from "../../../../lib/rateLimit";
+import { clientIp } from "../../../../lib/requestInfo";
+
+// Reset links work for one hour
+const RESET_TTL_MINUTES = 60;
+
+const ipLimiter = createRateLimiter({ name: "forgot-ip", limit: 5, windowMs: 15 * 60 * 1000 });
+// Keeps anyone from flooding one inbox with reset emails
+const emailLimiter = createRateLimiter({ name: "forgot-email", limit: 3, windowMs: 60 * 60 * 1000 });
+
+export async function POST(req) {
+	const ipLimit = await ipLimiter.check(clientIp(req));
+	if (!ipLimit.allowed) {
+		return new Response(
+			JSON.stringify({ message: "Too many requests. Try again later." }),
+			{ status: 429, headers: { ...retryAfterHeaders(ipLimit), "Content-Type": "application/json" } }
+		);
+	}
+
+	// Parse the incoming request body (expected JSON: { email })
+	const body = await req.json().catch(() => ({}));
+	const email = normalizeEmail(body.email);
+
+	if (!email) {
+		return new Response(
+			JSON.stringify({ message: "Email is required" }),
+			{ status: 400, headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	const supabase = createAdminClient();
+	const { data: user } = await supabase
+		.from("users")
+		.select("user_id, name, email")
+		.eq("email", email)
+		.maybeSingle();
+
+	// Over the per-email limit we quietly skip the email; answering differently
+	// would reveal the account exists
+	const emailLimit = user ? await emailLimiter.check(email) : null;
+
+	if (user && emailLimit.allowed) {
+		try {
+			const token = await issueAuthToken(user.user_id, TOKEN_PURPOSES.PASSWORD_RESET, RESET_TTL_MINUTES * 60 * 1000);
+			const link = emailLink(`/reset-password?token=${encodeURIComponent(token)}`);
+			await sendMail({
+				to: user.email,
+				...passwordResetEmail({ name: user.name, link, expiresInMinutes: RESET_TTL_MINUTES }),
+			});
+		} catch (err) {
+			// Log and still answer ok, otherwise a failure would reveal the account exists
+			console.error("Failed to send password reset email:", err);
+		}
+	}
+
+	return new Response(JSON.stringify({ ok: true }), {
+		status: 200,
+		headers: { "Content-Type": "application/json" },
+	});
+}
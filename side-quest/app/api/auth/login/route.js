@@ -3,26 +3,64 @@
 	Description: Logs a user in upon request.
 	Programmers: Alejandro Sandoval, Pashia Vang
 	Date: 10/25/2025
-	Revisions: Integrated Supabase - 11/06/2025
-	Errors: N/A
+	Revisions: Integrated Supabase - 11/06/2025, Session token built by lib/session - 10/19/2026, Sign-in recorded in the sessions table - 10/19/2026, Normalize email before lookup - 10/19/2026, Rate limits and lockout after repeated failures - 10/19/2026, Two-factor step for users who turned it on - 10/19/2026
+	Errors: 401 Invalid credentials, 429 Too many attempts (with Retry-After)
 	Input: 
 		HTTP POST request containing JSON body: { email, password }
 		
 	Output:
 		On success: JSON { ok: true } and a session cookie ("sid") set in the response
+		With two-factor on: JSON { mfa_required: true } and an "mfa_pending" cookie; the
+		                    session is created by /api/auth/mfa/verify once the code is right
 		On failure: JSON { message: "Invalid credentials" } with HTTP 401 status
 */
 
 import { createAdminClient } from "../../../../lib/supabase/admin";
 import bcrypt from "bcryptjs";
-import { signPayload } from "../../../../lib/auth";
+import { createSessionCookie } from "../../../../lib/session";
+import { normalizeEmail } from "../../../../lib/email";
+import { createRateLimiter, createLockout, retryAfterHeaders } from "../../../../lib/rateLimit";
+import { clientIp } from "../../../../lib/requestInfo";
+import { mfaPendingCookie } from "../../../../lib/mfa";
+
+// Caps total attempts from one address and against one account,
+// whether or not the password was right
+const ipLimiter = createRateLimiter({ name: "login-ip", limit: 20, windowMs: 15 * 60 * 1000 });
+const emailLimiter = createRateLimiter({ name: "login-email", limit: 10, windowMs: 15 * 60 * 1000 });
+
+// Every 5 wrong passwords lock the account for 30s, 1m, 2m, ... up to an hour
+const failedLogins = createLockout({ name: "login" });
+
+/*
+	Function: tooManyAttempts
+	Description: Builds the 429 response for a rate limit or lockout.
+	Arguments:
+		result - limiter or lockout result with retryAfter in seconds
+	Returns: Response
+*/
+function tooManyAttempts(result) {
+	const minutes = Math.ceil(result.retryAfter / 60);
+	return new Response(
+		JSON.stringify({ message: `Too many login attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.` }),
+		{ status: 429, headers: { ...retryAfterHeaders(result), "Content-Type": "application/json" } }
+	);
+}
 
 export async function POST(req) {
 	// Parse the incoming request body (expected JSON: { email, password })
 	const body = await req.json();
-	const { email, password } = body;
+	const { password } = body;
+	const email = normalizeEmail(body.email);
 	const supabase = createAdminClient();
 
+	// Throttle before touching bcrypt, which is the expensive part
+	const ipLimit = await ipLimiter.check(clientIp(req));
+	if (!ipLimit.allowed) return tooManyAttempts(ipLimit);
+	const emailLimit = await emailLimiter.check(email);
+	if (!emailLimit.allowed) return tooManyAttempts(emailLimit);
+	const lock = await failedLogins.check(email);
+	if (lock.locked) return tooManyAttempts(lock);
+
 	// Find user by email
 	const { data: user, error } = await supabase
 		.from("users")
@@ -30,8 +68,11 @@ export async function POST(req) {
 		.eq("email", email)
 		.single();
 	
-	// If no user exists or Supabase returns an error, reject login
+	// If no user exists or Supabase returns an error, reject login.
+	// Unknown emails count as failures too so lockouts do not reveal which accounts exist.
 	if (error || !user) {
+		const failure = await failedLogins.fail(email);
+		if (failure.locked) return tooManyAttempts(failure);
 		return new Response(
 			JSON.stringify({ message: "Invalid credentials" }),
 			{ status: 401, headers: { "Content-Type": "application/json" } }
@@ -41,22 +82,27 @@ export async function POST(req) {
 	// Verify password
 	const isValid = await bcrypt.compare(password, user.password_hash);
 	if (!isValid) {
+		const failure = await failedLogins.fail(email);
+		if (failure.locked) return tooManyAttempts(failure);
 		return new Response(
 			JSON.stringify({ message: "Invalid credentials" }),
 			{ status: 401, headers: { "Content-Type": "application/json" } }
 		);
 	}
 
-	// Create session token
-	const token = signPayload({
-		id: user.user_id,
-		email: user.email,
-		name: user.name,
-		// expire in 30 days
-		exp: Date.now() + 1000 * 60 * 60 * 24 * 30
-	});
-	// Set cookie for the session token
-	const cookie = `sid=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${60 * 60 * 24 * 30}`;
+	// A successful login clears the failure history
+	await failedLogins.reset(email);
+
+	// Password was right, but the authenticator code is still needed before a session exists
+	if (user.totp_enabled_at) {
+		return new Response(JSON.stringify({ mfa_required: true }), {
+			status: 200,
+			headers: { "Set-Cookie": mfaPendingCookie(user.user_id), "Content-Type": "application/json" },
+		});
+	}
+
+	// Create session token and the cookie that carries it
+	const cookie = await createSessionCookie(user, req);
 	// Return success response and attach the cookie in headers
 	return new Response(JSON.stringify({ ok: true }), {
 		status: 200,
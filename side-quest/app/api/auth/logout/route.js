@@ -3,15 +3,23 @@
 	Description: Logs a user out upon request
 	Programmers: Alejandro Sandoval, Pashia Vang
 	Date: 10/25/2025
-	Revisions: Integrated Supabase - 11/06/2025
+	Revisions: Integrated Supabase - 11/06/2025, Use shared session cookie helper - 10/19/2026, Revoke the server-side session - 10/19/2026
 	Errors: N/A
 	Input: User logout request via session cookie
 	Output: Print message and user redirected to login page
 */
 
-export async function POST() {
+import { getSession, revokeSession, clearedSessionCookie } from "../../../../lib/session";
+
+export async function POST(req) {
+	// Revoke the session row so this token stops working even if it was copied
+	const session = await getSession(req);
+	if (session) {
+		await revokeSession(session.user.id, session.session.session_id);
+	}
+
 	// Overwrite the session cookie (sid) with an expired one to clear authentication
-	const expire = `sid=deleted; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+	const expire = clearedSessionCookie();
 	
 	// Return redirect response to login page after clearing session
 	return new Response(null, {
@@ -0,0 +1,54 @@
+/*
+	Name: Two-factor enable API endpoint
+	Description: Finishes two-factor setup once the user types the code their
+	             authenticator app shows, and hands out their recovery codes.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: 401 Unauthorized, 400 Wrong code or setup not started, 409 Already turned on,
+	        429 Too many wrong codes, 500 Database failure
+
+	Input:
+		POST: JSON { code } (6 digits from the authenticator app)
+
+	Output:
+		POST: { ok: true, recovery_codes } (shown once; only hashes are stored)
+*/
+
+import { NextResponse } from "next/server";
+import { requireSession, authErrorResponse, markSessionMfaVerified } from "../../../../../lib/session";
+import { enableTotp } from "../../../../../lib/mfa";
+import { retryAfterHeaders } from "../../../../../lib/rateLimit";
+
+export async function POST(req) {
+	let current;
+	try {
+		current = await requireSession(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+	const { user, session } = current;
+
+	if (user.mfa_enabled) {
+		return NextResponse.json({ error: "Two-factor authentication is already turned on" }, { status: 409 });
+	}
+
+	const { code } = await req.json().catch(() => ({}));
+
+	try {
+		const result = await enableTotp(user.id, code);
+		if (result.locked) {
+			return NextResponse.json({ error: "Too many wrong codes. Try again later." }, { status: 429, headers: retryAfterHeaders(result) });
+		}
+		if (!result.ok) {
+			return NextResponse.json({ error: "That code is not valid. Check your phone's clock and try again." }, { status: 400 });
+		}
+
+		// The user just proved they hold the second factor, so this session counts as verified
+		await markSessionMfaVerified(session.session_id);
+		return NextResponse.json({ ok: true, recovery_codes: result.recoveryCodes });
+	} catch (err) {
+		console.error("Error enabling two-factor:", err);
+		return NextResponse.json({ error: "Failed to turn on two-factor authentication" }, { status: 500 });
+	}
+}
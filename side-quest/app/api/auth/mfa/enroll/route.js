@@ -0,0 +1,40 @@
+/*
+	Name: Two-factor enrollment API endpoint
+	Description: Starts two-factor setup by creating a new authenticator secret
+	             and the QR code for it. Setup finishes at /api/auth/mfa/enable.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: 401 Unauthorized, 409 Already turned on, 500 Database failure
+
+	Input:
+		POST: Authenticated request (session cookie "sid")
+
+	Output:
+		POST: { secret, uri, qr } where qr is a PNG data URL of the otpauth:// uri
+*/
+
+import { NextResponse } from "next/server";
+import { requireUser, authErrorResponse } from "../../../../../lib/session";
+import { startTotpEnrollment } from "../../../../../lib/mfa";
+
+export async function POST(req) {
+	let user;
+	try {
+		user = await requireUser(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	// Replacing a working secret would lock the user out of their own app
+	if (user.mfa_enabled) {
+		return NextResponse.json({ error: "Two-factor authentication is already turned on" }, { status: 409 });
+	}
+
+	try {
+		return NextResponse.json(await startTotpEnrollment(user));
+	} catch (err) {
+		console.error("Error starting two-factor setup:", err);
+		return NextResponse.json({ error: "Failed to start two-factor setup" }, { status: 500 });
+	}
+}
@@ -0,0 +1,50 @@
+/*
+	Name: Recovery codes API endpoint
+	Description: Replaces the signed-in user's recovery codes with a new set,
+	             for when they run low or think the old ones leaked.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: 401 Unauthorized, 400 Wrong code or not enabled, 429 Too many wrong codes,
+	        500 Database failure
+
+	Input:
+		POST: JSON { code } (authenticator or recovery code)
+
+	Output:
+		POST: { recovery_codes } (the old codes stop working)
+*/
+
+import { NextResponse } from "next/server";
+import { requireUser, authErrorResponse } from "../../../../../lib/session";
+import { attemptSecondFactor, generateRecoveryCodes } from "../../../../../lib/mfa";
+import { retryAfterHeaders } from "../../../../../lib/rateLimit";
+
+export async function POST(req) {
+	let user;
+	try {
+		user = await requireUser(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	if (!user.mfa_enabled) {
+		return NextResponse.json({ error: "Two-factor authentication is not turned on" }, { status: 400 });
+	}
+
+	const { code } = await req.json().catch(() => ({}));
+	const result = await attemptSecondFactor(user.id, code);
+	if (result.locked) {
+		return NextResponse.json({ error: "Too many wrong codes. Try again later." }, { status: 429, headers: retryAfterHeaders(result) });
+	}
+	if (!result.ok) {
+		return NextResponse.json({ error: "That code is not valid" }, { status: 400 });
+	}
+
+	try {
+		return NextResponse.json({ recovery_codes: await generateRecoveryCodes(user.id) });
+	} catch (err) {
+		console.error("Error replacing recovery codes:", err);
+		return NextResponse.json({ error: "Failed to create new recovery codes" }, { status: 500 });
+	}
+}
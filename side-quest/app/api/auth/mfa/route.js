@@ -0,0 +1,77 @@
+/*
+	Name: Two-factor API endpoint
+	Description: Reports the signed-in user's two-factor authentication status and
+	             turns it off.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Admin by role or by is_admin - 10/19/2026
+	Errors: 401 Unauthorized, 400 Wrong code or not enabled, 403 Admins cannot turn it off,
+	        429 Too many wrong codes, 500 Database failure
+
+	Input:
+		GET: Authenticated request (session cookie "sid")
+		DELETE: JSON { code } (authenticator or recovery code)
+
+	Output:
+		GET: { enabled, verified, required, recovery_codes_left }
+		DELETE: { ok: true }
+*/
+
+import { NextResponse } from "next/server";
+import { requireSession, authErrorResponse } from "../../../../lib/session";
+import { countRecoveryCodes, attemptSecondFactor, disableTotp } from "../../../../lib/mfa";
+import { retryAfterHeaders } from "../../../../lib/rateLimit";
+import { ROLES } from "../../../../lib/roles";
+
+export async function GET(req) {
+	let current;
+	try {
+		current = await requireSession(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const { user, session } = current;
+	return NextResponse.json({
+		enabled: user.mfa_enabled,
+		// Whether this session passed the second factor
+		verified: user.mfa_enabled && !!session.mfa_verified_at,
+		// Admins must use it before the admin tools serve them
+		required: user.role === ROLES.ADMIN,
+		recovery_codes_left: user.mfa_enabled ? await countRecoveryCodes(user.id) : 0,
+	});
+}
+
+export async function DELETE(req) {
+	let current;
+	try {
+		current = await requireSession(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+	const { user } = current;
+
+	if (!user.mfa_enabled) {
+		return NextResponse.json({ error: "Two-factor authentication is not turned on" }, { status: 400 });
+	}
+	if (user.role === ROLES.ADMIN) {
+		return NextResponse.json({ error: "Admins must keep two-factor authentication on" }, { status: 403 });
+	}
+
+	const { code } = await req.json().catch(() => ({}));
+	const result = await attemptSecondFactor(user.id, code);
+	if (result.locked) {
+		return NextResponse.json({ error: "Too many wrong codes. Try again later." }, { status: 429, headers: retryAfterHeaders(result) });
+	}
+	if (!result.ok) {
+		return NextResponse.json({ error: "That code is not valid" }, { status: 400 });
+	}
+
+	try {
+		await disableTotp(user.id);
+		return NextResponse.json({ ok: true });
+	} catch (err) {
+		console.error("Error disabling two-factor:", err);
+		return NextResponse.json({ error: "Failed to turn off two-factor authentication" }, { status: 500 });
+	}
+}
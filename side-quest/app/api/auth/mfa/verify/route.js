@@ -0,0 +1,89 @@
+/*
+	Name: Two-factor verify API endpoint
+	Description: Second step of login for users with two-factor turned on. Also
+	             lets a signed-in user verify an existing session (e.g. an admin
+	             whose session started before they set up two-factor).
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: 401 No pending login and not signed in, 400 Wrong code or not enabled,
+	        429 Too many wrong codes
+
+	Input:
+		POST: JSON { code } (authenticator or recovery code), plus either the
+		      "mfa_pending" cookie from /api/auth/login or a session cookie "sid"
+
+	Output:
+		POST: { ok: true } and, when finishing a login, the session cookie set
+*/
+
+import { NextResponse } from "next/server";
+import { createAdminClient } from "../../../../../lib/supabase/admin";
+import {
+	getSession,
+	createSessionCookie,
+	markSessionMfaVerified,
+} from "../../../../../lib/session";
+import { attemptSecondFactor, readMfaPending, clearedMfaPendingCookie } from "../../../../../lib/mfa";
+import { retryAfterHeaders } from "../../../../../lib/rateLimit";
+
+/*
+	Function: checkCode
+	Description: Checks the code and builds the error response when it is wrong.
+	Arguments:
+		userId - users.user_id
+		code - code typed by the user
+	Returns: null when the code is right, otherwise the response to send back
+*/
+async function checkCode(userId, code) {
+	const result = await attemptSecondFactor(userId, code);
+	if (result.locked) {
+		return NextResponse.json({ error: "Too many wrong codes. Try again later." }, { status: 429, headers: retryAfterHeaders(result) });
+	}
+	if (!result.ok) {
+		return NextResponse.json({ error: "That code is not valid" }, { status: 400 });
+	}
+	return null;
+}
+
+export async function POST(req) {
+	const { code } = await req.json().catch(() => ({}));
+
+	// 1. Finishing a login: the password was right, now the second factor
+	const pendingUserId = readMfaPending(req);
+	if (pendingUserId) {
+		const supabase = createAdminClient();
+		const { data: user } = await supabase
+			.from("users")
+			.select("*")
+			.eq("user_id", pendingUserId)
+			.is("deleted_at", null)
+			.maybeSingle();
+		if (!user?.totp_enabled_at) {
+			return NextResponse.json({ error: "Log in again" }, { status: 401 });
+		}
+
+		const failed = await checkCode(user.user_id, code);
+		if (failed) return failed;
+
+		const response = NextResponse.json({ ok: true });
+		response.headers.append("Set-Cookie", await createSessionCookie(user, req, { mfa: true }));
+		response.headers.append("Set-Cookie", clearedMfaPendingCookie());
+		return response;
+	}
+
+	// 2. Step-up: already signed in, verifying this session
+	const current = await getSession(req);
+	if (!current) {
+		return NextResponse.json({ error: "Log in again" }, { status: 401 });
+	}
+	if (!current.user.mfa_enabled) {
+		return NextResponse.json({ error: "Two-factor authentication is not turned on" }, { status: 400 });
+	}
+
+	const failed = await checkCode(current.user.id, code);
+	if (failed) return failed;
+
+	await markSessionMfaVerified(current.session.session_id);
+	return NextResponse.json({ ok: true });
+}
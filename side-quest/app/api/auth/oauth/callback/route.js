@@ -0,0 +1,110 @@
+/*
+	Name: OAuth callback API endpoint
+	Description: Finishes an OIDC sign-in: checks the state cookie, swaps the code
+	             for a verified ID token, finds or links the user and starts the
+	             same "sid" session as password login.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Two-factor step for users who turned it on - 10/19/2026, Check the return path again before redirecting - 10/19/2026, Re-sign-in to confirm the signed-in user - 10/19/2026
+	Errors: Any failure redirects to /login?error= (or /account?error= when linking)
+	Input:
+		GET query from the provider: code, state (or error)
+		oauth_state cookie from the start endpoint
+	Output: Redirect to the page the user started from with the session cookie set
+*/
+
+import { NextResponse } from "next/server";
+import { getProvider } from "../../../../../lib/oauth/providers";
+import { exchangeCode, OidcError } from "../../../../../lib/oauth/oidc";
+import { resolveIdentityUser, confirmIdentity } from "../../../../../lib/oauth/identities";
+import { readStateCookie, clearedStateCookie } from "../../../../../lib/oauth/state";
+import { absoluteUrl, safeNextPath } from "../../../../../lib/redirects";
+import { getSession, createSessionCookie, markSessionReauthenticated } from "../../../../../lib/session";
+import { mfaPendingCookie } from "../../../../../lib/mfa";
+
+/*
+	Function: fail
+	Description: Redirects back with an error message and drops the state cookie.
+	Arguments:
+		req - incoming request
+		page - "/login" or "/account"
+		message - error shown to the user
+	Returns: NextResponse
+*/
+function fail(req, page, message) {
+	const response = NextResponse.redirect(absoluteUrl(req, `${page}?error=${encodeURIComponent(message)}`));
+	response.headers.append("Set-Cookie", clearedStateCookie());
+	return response;
+}
+
+export async function GET(req) {
+	const { searchParams } = new URL(req.url);
+	const saved = readStateCookie(req);
+	const errorPage = saved?.link || saved?.reauth ? "/account" : "/login";
+
+	// The state must match the one we sent, otherwise this callback was not started by this browser
+	if (!saved || !searchParams.get("state") || searchParams.get("state") !== saved.state) {
+		return fail(req, "/login", "Sign-in expired, please try again");
+	}
+
+	const provider = getProvider(saved.provider);
+	if (!provider) return fail(req, errorPage, "Unknown sign-in provider");
+
+	// The user cancelled or the provider refused
+	if (searchParams.get("error") || !searchParams.get("code")) {
+		return fail(req, errorPage, `${provider.name} sign-in was cancelled`);
+	}
+
+	let user;
+	try {
+		const claims = await exchangeCode(provider, {
+			code: searchParams.get("code"),
+			redirectUri: absoluteUrl(req, "/api/auth/oauth/callback"),
+			verifier: saved.verifier,
+			nonce: saved.nonce,
+		});
+
+		// Linking adds the identity to whoever is signed in right now
+		const session = saved.link || saved.reauth ? await getSession(req) : null;
+		if (saved.link && !session) return fail(req, "/login", "Log in before linking an account");
+		if (saved.reauth && !session) return fail(req, "/login", "Log in again to continue");
+
+		if (saved.reauth) {
+			// Confirming who the signed-in user is: the session stays, it just gets stamped
+			await confirmIdentity(provider, claims, session.user.id);
+			await markSessionReauthenticated(session.session.session_id);
+		} else {
+			user = await resolveIdentityUser(provider, claims, session?.user || null);
+		}
+	} catch (err) {
+		if (err instanceof OidcError) {
+			console.warn(`${provider.id} sign-in rejected:`, err.message);
+			return fail(req, errorPage, err.message);
+		}
+		console.error(`${provider.id} sign-in failed:`, err);
+		return fail(req, errorPage, "Sign-in failed, please try again");
+	}
+
+	// Checked again on the way out, in case the start endpoint ever lets one through
+	const next = safeNextPath(saved.next, saved.link || saved.reauth ? "/account" : "/map");
+
+	if (saved.reauth) {
+		const response = NextResponse.redirect(absoluteUrl(req, next));
+		response.headers.append("Set-Cookie", clearedStateCookie());
+		return response;
+	}
+
+	// SSO stands in for the password, not the second factor
+	if (user.totp_enabled_at) {
+		const response = NextResponse.redirect(absoluteUrl(req, `/login?mfa=1&next=${encodeURIComponent(next)}`));
+		response.headers.append("Set-Cookie", mfaPendingCookie(user.user_id));
+		response.headers.append("Set-Cookie", clearedStateCookie());
+		return response;
+	}
+
+	// Same session cookie as password login, so the rest of the app does not care how the user signed in
+	const response = NextResponse.redirect(absoluteUrl(req, next));
+	response.headers.append("Set-Cookie", await createSessionCookie(user, req, { reauthenticated: true }));
+	response.headers.append("Set-Cookie", clearedStateCookie());
+	return response;
+}
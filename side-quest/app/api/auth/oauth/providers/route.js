@@ -0,0 +1,36 @@
+/*
+	Name: OAuth providers API endpoint
+	Description: Lists the single sign-on providers that are configured, and for a
+	             signed-in user which of them are already linked to the account.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: Optional session cookie
+	Output: JSON { providers: [{ id, name, linked }] }
+*/
+
+import { createAdminClient } from "../../../../../lib/supabase/admin";
+import { getProviders } from "../../../../../lib/oauth/providers";
+import { getSession } from "../../../../../lib/session";
+
+export async function GET(req) {
+	const providers = getProviders();
+	const session = providers.length ? await getSession(req) : null;
+
+	// Which providers this user has already linked
+	let linked = new Set();
+	if (session) {
+		const supabase = createAdminClient();
+		const { data } = await supabase
+			.from("user_identities")
+			.select("provider")
+			.eq("user_id", session.user.id);
+		linked = new Set((data || []).map(row => row.provider));
+	}
+
+	const body = {
+		providers: providers.map(p => ({ id: p.id, name: p.name, linked: linked.has(p.id) })),
+	};
+	return new Response(JSON.stringify(body), { status: 200, headers: { "Content-Type": "application/json" } });
+}
@@ -0,0 +1,56 @@
+/*
+	Name: OAuth start API endpoint
+	Description: Sends the user to an OIDC provider (e.g. university SSO) to sign in.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: reauth=1 to confirm the signed-in user - 10/19/2026
+	Errors: Unknown provider or provider outage redirect back to /login?error=
+	Input:
+		GET query: provider (id from lib/oauth/providers), next (page to return to),
+		           link=1 to add the identity to the signed-in account,
+		           reauth=1 to confirm the signed-in user before account changes
+	Output: Redirect to the provider with the state cookie set
+*/
+
+import { NextResponse } from "next/server";
+import { getProvider } from "../../../../../lib/oauth/providers";
+import { buildAuthorizationUrl, randomToken } from "../../../../../lib/oauth/oidc";
+import { stateCookie } from "../../../../../lib/oauth/state";
+import { absoluteUrl, safeNextPath } from "../../../../../lib/redirects";
+
+export async function GET(req) {
+	const { searchParams } = new URL(req.url);
+	const provider = getProvider(searchParams.get("provider"));
+	const link = searchParams.get("link") === "1";
+	const reauth = !link && searchParams.get("reauth") === "1";
+
+	if (!provider) {
+		return NextResponse.redirect(absoluteUrl(req, "/login?error=Unknown+sign-in+provider"));
+	}
+
+	// Values the callback checks to make sure the response belongs to this request
+	const values = {
+		provider: provider.id,
+		state: randomToken(),
+		nonce: randomToken(),
+		verifier: randomToken(),
+		next: safeNextPath(searchParams.get("next"), link || reauth ? "/account" : "/map"),
+		link,
+		reauth,
+	};
+
+	let authorizationUrl;
+	try {
+		authorizationUrl = await buildAuthorizationUrl(provider, {
+			redirectUri: absoluteUrl(req, "/api/auth/oauth/callback"),
+			...values,
+		});
+	} catch (err) {
+		console.error(`Failed to start ${provider.id} sign-in:`, err);
+		return NextResponse.redirect(absoluteUrl(req, `/login?error=${encodeURIComponent(`${provider.name} is unavailable right now`)}`));
+	}
+
+	const response = NextResponse.redirect(authorizationUrl);
+	response.headers.set("Set-Cookie", stateCookie(values));
+	return response;
+}
@@ -0,0 +1,75 @@
+/*
+	Name: Reset password API endpoint
+	Description: Sets a new password using a one-time reset token, then signs the
+	             account out everywhere.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Shared password policy - 10/19/2026
+	Errors: 400 Missing fields or password fails the policy, 400 Invalid or expired link, 500 Update failure
+	Input:
+		HTTP POST request containing JSON body: { token, password }
+
+	Output:
+		On success: JSON { ok: true }; the user must log in again with the new password
+		On failure: JSON { message } with an error status
+*/
+
+import { createAdminClient } from "../../../../lib/supabase/admin";
+import bcrypt from "bcryptjs";
+import { consumeAuthToken, TOKEN_PURPOSES } from "../../../../lib/authTokens";
+import { revokeAllSessions, clearedSessionCookie } from "../../../../lib/session";
+import { validatePassword } from "../../../../lib/passwordPolicy";
+
+export async function POST(req) {
+	// Parse the incoming request body (expected JSON: { token, password })
+	const body = await req.json().catch(() => ({}));
+	const { token, password } = body;
+
+	if (!token || !password) {
+		return new Response(
+			JSON.stringify({ message: "Token and password are required" }),
+			{ status: 400, headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	// Check the password before spending the token, so a typo does not burn the link
+	const passwordError = validatePassword(password);
+	if (passwordError) {
+		return new Response(
+			JSON.stringify({ message: passwordError }),
+			{ status: 400, headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	const userId = await consumeAuthToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+	if (!userId) {
+		return new Response(
+			JSON.stringify({ message: "This reset link is invalid or has expired" }),
+			{ status: 400, headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	// Hash and store the new password
+	const password_hash = await bcrypt.hash(password, 10);
+	const supabase = createAdminClient();
+	const { error } = await supabase
+		.from("users")
+		.update({ password_hash })
+		.eq("user_id", userId);
+
+	if (error) {
+		console.error("Error resetting password:", error);
+		return new Response(
+			JSON.stringify({ message: "Failed to reset password" }),
+			{ status: 500, headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	// Whoever had the old password may still be signed in somewhere
+	await revokeAllSessions(userId);
+
+	return new Response(JSON.stringify({ ok: true }), {
+		status: 200,
+		headers: { "Set-Cookie": clearedSessionCookie(), "Content-Type": "application/json" },
+	});
+}
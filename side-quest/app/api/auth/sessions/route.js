@@ -0,0 +1,95 @@
+/*
+	Name: Sessions API endpoint
+	Description: Lists the signed-in user's active sessions and revokes them,
+	             one device at a time or all at once.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: 401 Unauthorized, 400 Bad request, 404 Session not found, 500 Database failure
+
+	Input:
+		GET: Authenticated request (session cookie "sid")
+		DELETE: JSON { session_id } to revoke one session, or { all: true } to sign out of all devices
+
+	Output:
+		GET: { sessions: [{ session_id, user_agent, ip_address, created_at, last_seen_at, current }] }
+		DELETE: { ok: true, revoked } (the session cookie is cleared when the current session is revoked)
+*/
+
+import { NextResponse } from "next/server";
+import {
+	requireSession,
+	authErrorResponse,
+	listSessions,
+	revokeSession,
+	revokeAllSessions,
+	clearedSessionCookie,
+} from "../../../../lib/session";
+
+export async function GET(req) {
+	let current;
+	try {
+		current = await requireSession(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	try {
+		const sessions = await listSessions(current.user.id);
+		return NextResponse.json({
+			sessions: sessions.map((s) => ({
+				session_id: s.session_id,
+				user_agent: s.user_agent,
+				ip_address: s.ip_address,
+				created_at: s.created_at,
+				last_seen_at: s.last_seen_at,
+				current: s.session_id === current.session.session_id,
+			})),
+		});
+	} catch (err) {
+		console.error("Error listing sessions:", err);
+		return NextResponse.json({ error: "Failed to load sessions" }, { status: 500 });
+	}
+}
+
+export async function DELETE(req) {
+	let current;
+	try {
+		current = await requireSession(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const body = await req.json().catch(() => ({}));
+	const { session_id, all } = body;
+
+	if (!all && !session_id) {
+		return NextResponse.json({ error: "session_id or all is required" }, { status: 400 });
+	}
+
+	try {
+		let revoked;
+		let signedOut;
+
+		if (all) {
+			// Sign out of all devices, including this one
+			revoked = await revokeAllSessions(current.user.id);
+			signedOut = true;
+		} else {
+			const found = await revokeSession(current.user.id, session_id);
+			if (!found) {
+				return NextResponse.json({ error: "Session not found" }, { status: 404 });
+			}
+			revoked = 1;
+			signedOut = session_id === current.session.session_id;
+		}
+
+		const response = NextResponse.json({ ok: true, revoked });
+		// This browser's token is dead now, so drop the cookie as well
+		if (signedOut) response.headers.set("Set-Cookie", clearedSessionCookie());
+		return response;
+	} catch (err) {
+		console.error("Error revoking sessions:", err);
+		return NextResponse.json({ error: "Failed to revoke sessions" }, { status: 500 });
+	}
+}
@@ -3,20 +3,37 @@
 	Description: Creates a new user account.
 	Programmers: Pashia Vang
 	Date: 10/25/2025
-	Revisions: N/A
-	Errors: N/A
+	Revisions: Session token built by lib/session - 10/19/2026, Sign-in recorded in the sessions table - 10/19/2026, Email validation and verification email - 10/19/2026, Per-IP signup rate limit - 10/19/2026, Shared password policy - 10/19/2026
+	Errors: 400 Invalid input, 409 Email taken, 429 Too many signups (with Retry-After), 500 Insert failure
 	Input: User’s name, email, and password from signup form
 	Output: New user account created and session cookie set for authentication
 */
 
 import { createAdminClient } from "../../../../lib/supabase/admin";
 import bcrypt from "bcryptjs";
-import { signPayload } from "../../../../lib/auth";
+import { createSessionCookie } from "../../../../lib/session";
+import { normalizeEmail, validateEmail } from "../../../../lib/email";
+import { validatePassword } from "../../../../lib/passwordPolicy";
+import { sendVerificationEmail } from "../../../../lib/emailVerification";
+import { createRateLimiter, retryAfterHeaders } from "../../../../lib/rateLimit";
+import { clientIp } from "../../../../lib/requestInfo";
+
+// Stops one address from mass-creating accounts
+const signupLimiter = createRateLimiter({ name: "signup-ip", limit: 5, windowMs: 60 * 60 * 1000 });
 
 export async function POST(req) {
+	const limit = await signupLimiter.check(clientIp(req));
+	if (!limit.allowed) {
+		return new Response(
+			JSON.stringify({ message: "Too many accounts created from this network. Try again later." }),
+			{ status: 429, headers: { ...retryAfterHeaders(limit), "Content-Type": "application/json" } }
+		);
+	}
+
 	// Parse request body to extract user-provided data
 	const body = await req.json();
-	const { name, email, password } = body;
+	const { name, password } = body;
+	const email = normalizeEmail(body.email);
 	// Initialize Supabase admin client for database operations
 	const supabase = createAdminClient();
 
@@ -28,6 +45,23 @@ export async function POST(req) {
 		);
 	}
 
+	// Reject malformed addresses and, if an allowlist is set, other domains
+	const emailError = validateEmail(email);
+	if (emailError) {
+		return new Response(
+			JSON.stringify({ message: emailError }),
+			{ status: 400, headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	const passwordError = validatePassword(password, email);
+	if (passwordError) {
+		return new Response(
+			JSON.stringify({ message: passwordError }),
+			{ status: 400, headers: { "Content-Type": "application/json" } }
+		);
+	}
+
 	// Check if user already exists
 	const { data: existingUser } = await supabase
 		.from("users")
@@ -66,17 +100,16 @@ export async function POST(req) {
 		);
 	}
 
-	// Create session token
-	const token = signPayload({
-		id: user.user_id,
-		email: user.email,
-		name: user.name,
-		// expire in 30 days
-		exp: Date.now() + 1000 * 60 * 60 * 24 * 30
-	});
+	// New accounts can browse right away but earn no points until the email is verified.
+	// A mail failure should not undo the signup; the user can resend from their account page.
+	try {
+		await sendVerificationEmail(user);
+	} catch (err) {
+		console.error("Failed to send verification email:", err);
+	}
 
-	// Store the session token and welcome state cookie
-	const sessionCookie = `sid=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${60 * 60 * 24 * 30}`;
+	// Create session token and store it alongside the welcome state cookie
+	const sessionCookie = await createSessionCookie(user, req);
 	const welcomeCookie = `welcome_new=1; Path=/; HttpOnly; SameSite=Lax; Max-Age=${60 * 60 * 24 * 30}`;
 
 	const headers = new Headers({ "Content-Type": "application/json" });
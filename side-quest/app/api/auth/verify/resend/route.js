@@ -0,0 +1,37 @@
+/*
+	Name: Resend verification email API endpoint
+	Description: Sends a new verification link to the signed-in user. Older links
+	             stop working once a new one is sent.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: 401 Unauthorized, 400 Already verified, 500 Mail failure
+	Input: Authenticated POST request (session cookie "sid")
+	Output: JSON { ok: true }
+*/
+
+import { NextResponse } from "next/server";
+import { requireUser, authErrorResponse } from "../../../../../lib/session";
+import { sendVerificationEmail } from "../../../../../lib/emailVerification";
+
+export async function POST(req) {
+	let user;
+	try {
+		user = await requireUser(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	if (user.email_verified) {
+		return NextResponse.json({ error: "Email is already verified" }, { status: 400 });
+	}
+
+	try {
+		await sendVerificationEmail(user);
+	} catch (err) {
+		console.error("Failed to send verification email:", err);
+		return NextResponse.json({ error: "Failed to send verification email" }, { status: 500 });
+	}
+
+	return NextResponse.json({ ok: true });
+}
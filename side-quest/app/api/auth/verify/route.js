@@ -0,0 +1,35 @@
+/*
+	Name: Verify email API endpoint
+	Description: Redeems the link from the verification email and marks the
+	             account's email as verified.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: 400 Invalid or expired link
+	Input:
+		HTTP POST request containing JSON body: { token }
+
+	Output:
+		On success: JSON { ok: true }
+		On failure: JSON { message } with HTTP 400 status
+*/
+
+import { verifyEmailToken } from "../../../../lib/emailVerification";
+
+export async function POST(req) {
+	// Parse the incoming request body (expected JSON: { token })
+	const body = await req.json().catch(() => ({}));
+
+	const userId = await verifyEmailToken(body.token);
+	if (!userId) {
+		return new Response(
+			JSON.stringify({ message: "This verification link is invalid or has expired" }),
+			{ status: 400, headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	return new Response(JSON.stringify({ ok: true }), {
+		status: 200,
+		headers: { "Content-Type": "application/json" },
+	});
+}
@@ -0,0 +1,89 @@
+/*
+	Name: Check-in API endpoint
+	Description: Completes a quest from a scanned QR code. The code is the proof
+	             the player was there, so no GPS reading is needed.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Enforce quest prerequisites - 10/19/2026, Time-limited and repeating quests - 10/19/2026, Report storylines it finishes - 10/19/2026
+	Errors: 400 Invalid code, 401 Unauthorized, 403 Email not verified, 404 Quest not found,
+	        409 Quest already claimed, not running or prerequisites not done, 410 Code revoked or expired, 429 Too many scans,
+	        500 Database failure
+	Input: POST JSON { code } - the token from the /checkin/<code> link
+	Output: { success, already_completed, quest, location, storylines_completed }
+*/
+
+import { requireVerifiedUser, authErrorResponse } from "../../../lib/session";
+import { createAdminClient } from "../../../lib/supabase/admin";
+import { createRateLimiter, retryAfterHeaders } from "../../../lib/rateLimit";
+import { resolveCheckinCode } from "../../../lib/checkin";
+import { saveQuestProgress } from "../../../lib/progress";
+import { isQuestActive, isCurrentProgress } from "../../../lib/questSchedule";
+
+// Far more than anyone scans by hand; stops scripts replaying a shared code list
+const checkinLimiter = createRateLimiter({ name: "checkin", limit: 30, windowMs: 10 * 60 * 1000 });
+
+export async function POST(req) {
+	let user;
+	try {
+		user = await requireVerifiedUser(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const limit = await checkinLimiter.check(user.id);
+	if (!limit.allowed) {
+		return new Response(
+			JSON.stringify({ message: "Too many check-ins. Try again later." }),
+			{ status: 429, headers: { ...retryAfterHeaders(limit), "Content-Type": "application/json" } }
+		);
+	}
+
+	const { code } = await req.json().catch(() => ({}));
+	const resolved = await resolveCheckinCode(code);
+	if (!resolved.ok) {
+		return new Response(
+			JSON.stringify({ message: resolved.message }),
+			{ status: resolved.status, headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	const { quest } = resolved;
+	const location = Array.isArray(quest.locations) ? quest.locations[0] : quest.locations;
+	const details = { quest: quest.text, location: location?.name ?? null };
+
+	// Codes stay up after an event ends, so check the quest is still running
+	if (!isQuestActive(quest)) {
+		return new Response(
+			JSON.stringify({ message: "This quest isn't running right now.", code: "QUEST_INACTIVE", ...details }),
+			{ status: 409, headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	// Scanning again is harmless, but must not pay out twice (repeating quests: this period)
+	const supabase = createAdminClient();
+	const { data: existingProgress } = await supabase
+		.from("progress")
+		.select("completed, period_start")
+		.eq("user_id", user.id)
+		.eq("quest_id", quest.quest_id)
+		.eq("completed", true);
+	if (existingProgress?.some(p => isCurrentProgress(p, quest))) {
+		return new Response(
+			JSON.stringify({ success: true, already_completed: true, ...details }),
+			{ status: 200, headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	const result = await saveQuestProgress(user.id, quest, true);
+	if (!result.ok) {
+		return new Response(
+			JSON.stringify({ message: result.message, code: result.code, quests: result.quests, error: result.error }),
+			{ status: result.status, headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	return new Response(
+		JSON.stringify({ success: true, already_completed: false, ...details, storylines_completed: result.storylines }),
+		{ status: 200, headers: { "Content-Type": "application/json" } }
+	);
+}
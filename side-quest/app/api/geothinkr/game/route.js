@@ -7,8 +7,12 @@
 	Revisions: Integrated scoring + history tracking - 11/06/2025,
 	           Added difficulty filter, hints, verified filter, achievements - 2/19/2026,
 	           Added exclude param for multi-round sessions - 2/19/2026,
-	           Added speed bonus for timed mode - 03/29/2026
-	Errors: 401 Unauthorized, 404 Not found, 409 Already played, 500 Server error
+	           Added speed bonus for timed mode - 03/29/2026,
+	           Use shared session helper - 10/19/2026,
+	           Guesses require a verified email - 10/19/2026,
+	           Per-user guess rate limit - 10/19/2026,
+	           Points go through the ledger, one transaction per guess - 10/19/2026
+	Errors: 401 Unauthorized, 403 Email not verified, 429 Too many guesses, 404 Not found, 409 Already played, 500 Server error
 
 	Input:
 		GET: Authenticated request (session cookie "sid")
@@ -21,20 +25,11 @@
 
 import { NextResponse } from "next/server";
 import { createAdminClient } from "@/lib/supabase/admin";
-import { verifyToken } from "@/lib/auth";
+import { requireUser, requireVerifiedUser, authErrorResponse } from "@/lib/session";
+import { createRateLimiter, retryAfterHeaders } from "@/lib/rateLimit";
+import { awardPoints } from "@/lib/points";
 
-/*
-	Function: getUser
-	Description: Extracts and verifies the user from the session cookie.
-	Arguments: req - incoming request
-	Returns: user object or null
-*/
-function getUser(req) {
-	const cookie = req.headers.get("cookie") || "";
-	const match = cookie.split(";").map(s => s.trim()).find(s => s.startsWith("sid="));
-	const token = match?.split("=")[1];
-	return token ? verifyToken(token) : null;
-}
+const guessLimiter = createRateLimiter({ name: "geothinkr-guess", limit: 30, windowMs: 60 * 1000 });
 
 /*
 	Function: getScoringThresholds
@@ -148,8 +143,12 @@ async function checkAndAwardAchievements(supabase, userId, latestTier, hintsUsed
 	Returns: JSON with photo data
 */
 export async function GET(req) {
-	const user = getUser(req);
-	if (!user) return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+	let user;
+	try {
+		user = await requireUser(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
 
 	const supabase = createAdminClient();
 
@@ -198,8 +197,22 @@ export async function GET(req) {
 	Returns: JSON with result data including achievements earned
 */
 export async function POST(req) {
-	const user = getUser(req);
-	if (!user) return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+	let user;
+	try {
+		// Guesses award points, so unverified accounts can only browse
+		user = await requireVerifiedUser(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	// A round takes a few seconds at least, so anything faster is scripted
+	const limit = await guessLimiter.check(user.id);
+	if (!limit.allowed) {
+		return NextResponse.json(
+			{ error: "Too many guesses. Slow down and try again shortly.", code: "RATE_LIMITED" },
+			{ status: 429, headers: retryAfterHeaders(limit) }
+		);
+	}
 
 	const body = await req.json().catch(() => ({}));
 	const { photo_id, x, y, hints_used = 0, difficulty = "easy", time_remaining, time_limit } = body;
@@ -266,20 +279,34 @@ export async function POST(req) {
 		: 0;
 	const points = afterHints + speedBonus;
 
-	// Award points if > 0
-	if (points > 0) {
-		await supabase.rpc('increment_points', {
+	// Record history
+	const { data: historyRow, error: historyError } = await supabase
+		.from("geothinkr_history")
+		.insert([{
 			user_id: user.id,
-			amount: points
-		});
+			photo_id: photo_id,
+			points_awarded: points
+		}])
+		.select("history_id")
+		.single();
+
+	if (historyError || !historyRow) {
+		console.error("Failed to record guess:", historyError);
+		return NextResponse.json({ error: "Failed to record guess" }, { status: 500 });
 	}
 
-	// Record history
-	await supabase.from("geothinkr_history").insert([{
-		user_id: user.id,
-		photo_id: photo_id,
-		points_awarded: points
-	}]);
+	// Award points through the ledger, once per history row
+	if (points > 0) {
+		const award = await awardPoints({
+			userId: user.id,
+			amount: points,
+			source: "geothinkr",
+			referenceId: historyRow.history_id,
+			idempotencyKey: `geothinkr:${historyRow.history_id}`,
+			reason: tier,
+		});
+		if (!award.ok) return NextResponse.json({ error: award.message }, { status: award.status });
+	}
 
 	// Check and award achievements
 	const achievementsEarned = await checkAndAwardAchievements(supabase, user.id, tier, hints_used);
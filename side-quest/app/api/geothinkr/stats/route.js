@@ -3,7 +3,7 @@
 	Description: Returns GeoThinkr statistics for the authenticated user.
 	Programmers: Pashia Vang
 	Date: 2/19/2026
-	Revisions: N/A
+	Revisions: Use shared session helper - 10/19/2026
 	Errors: 401 Unauthorized, 500 Server error
 	Input: GET request with authenticated session cookie
 	Output: JSON { total_games, spot_ons, total_points, accuracy_percent }
@@ -11,20 +11,7 @@
 
 import { NextResponse } from "next/server";
 import { createAdminClient } from "@/lib/supabase/admin";
-import { verifyToken } from "@/lib/auth";
-
-/*
-	Function: getUser
-	Description: Extracts and verifies the user from the session cookie.
-	Arguments: req - incoming request
-	Returns: user object or null
-*/
-function getUser(req) {
-	const cookie = req.headers.get("cookie") || "";
-	const match = cookie.split(";").map(s => s.trim()).find(s => s.startsWith("sid="));
-	const token = match?.split("=")[1];
-	return token ? verifyToken(token) : null;
-}
+import { requireUser, authErrorResponse } from "@/lib/session";
 
 /*
 	Function: GET
@@ -33,8 +20,12 @@ function getUser(req) {
 	Returns: JSON with total_games, spot_ons, total_points, accuracy_percent
 */
 export async function GET(req) {
-	const user = getUser(req);
-	if (!user) return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+	let user;
+	try {
+		user = await requireUser(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
 
 	const supabase = createAdminClient();
 
@@ -3,14 +3,45 @@
 	Description: An endpoint to get all map data.
 	Programmers: Alejandro Sandoval
 	Date: 11/23/2025
-	Revisions: N/A
+	Revisions: Which quests need proof of presence - 10/19/2026, Which quests need a photo proof - 10/19/2026, Which quests need a QR scan - 10/19/2026, Prerequisites from quest_dependencies - 10/19/2026, Only running quests, with their next deadline - 10/19/2026, Quest category, difficulty and tags - 10/19/2026, Description, hints, image and accessibility note - 10/19/2026, Storyline steps as prerequisites, published storylines - 10/19/2026, GPS position of locations for the street map - 10/19/2026, Walkable paths between locations - 10/19/2026, Open multiplayer quests and GeoThinkr photos per location - 10/19/2026
 	Errors: N/A
 	Input: A request for map data.
-	Output: A mapData object of all quests and locations.
+	Output: A mapData object of all quests, locations, quest prerequisites, storylines and walkable paths.
 */
 
 import { NextResponse } from "next/server";
 import { createAdminClient } from "@/lib/supabase/admin";
+import { isQuestActive, questDeadline } from "@/lib/questSchedule";
+import { loadStorylines } from "@/lib/storylines";
+
+// A GeoThinkr photo belongs to the closest location within this many map pixels
+const PHOTO_RADIUS_PX = 150;
+
+/*
+	Function: countPhotos
+	Description: How many verified GeoThinkr photos were taken at each location.
+	             Only counts leave the server, never where a photo was taken.
+	Arguments:
+		locations - rows with location_id, x_coordinate, y_coordinate
+		photos - rows with x_coordinate, y_coordinate
+	Returns: { [location_id]: count }
+*/
+function countPhotos(locations, photos) {
+	const counts = {};
+	for (const photo of photos) {
+		let best = null;
+		let bestDistance = PHOTO_RADIUS_PX;
+		for (const location of locations) {
+			const distance = Math.hypot(
+				Number(location.x_coordinate ?? 0) - Number(photo.x_coordinate),
+				Number(location.y_coordinate ?? 0) - Number(photo.y_coordinate)
+			);
+			if (distance <= bestDistance) [best, bestDistance] = [location, distance];
+		}
+		if (best) counts[best.location_id] = (counts[best.location_id] || 0) + 1;
+	}
+	return counts;
+}
 
 export async function GET() {
 	// Handle GET request
@@ -20,21 +51,44 @@ export async function GET() {
 		// Get all locations from db
 		const { data: locations, error: locErr } = await supabase
 			.from("locations")
-			.select("location_id, name, type, x_coordinate, y_coordinate")
+			.select("location_id, name, type, x_coordinate, y_coordinate, latitude, longitude, require_presence")
 			.order("location_id", { ascending: true });
 		// Get all quests from database
 		const { data: quests, error: qErr } = await supabase
 			.from("quests")
-			.select("quest_id, location_id, text, dependency")
+			.select("quest_id, location_id, text, require_presence, requires_proof, requires_checkin, starts_at, ends_at, recurrence, category, difficulty, tags, description, hints, image_url, accessibility_note, is_multiplayer, winner_id")
 			.order("location_id", { ascending: true })
 			.order("quest_id", { ascending: true });
+		// Get all prerequisites (a quest can need several, at any location; storyline steps need the step before)
+		const { data: dependencies, error: depErr } = await supabase
+			.from("quest_prerequisites")
+			.select("quest_id, prerequisite_id");
+		// Get published storylines with their steps in order
+		const story = await loadStorylines({ publishedOnly: true });
+		// Get the walkable paths admins drew between locations
+		const { data: paths, error: pathErr } = await supabase
+			.from("map_paths")
+			.select("from_location_id, to_location_id");
+		// Get where the GeoThinkr photos were taken, to count them per location
+		const { data: photos, error: photoErr } = await supabase
+			.from("geothinkr_photos")
+			.select("x_coordinate, y_coordinate")
+			.eq("verified", true);
 		// Handle error
-		if (locErr || qErr) {
-			const msg = locErr?.message || qErr?.message || "Failed to load map data";
+		if (locErr || qErr || depErr || pathErr || photoErr || !story.ok) {
+			const msg = locErr?.message || qErr?.message || depErr?.message || pathErr?.message || photoErr?.message || story.message || "Failed to load map data";
 			return NextResponse.json({ error: msg }, { status: 500 });
 		}
+		// Hide quests that haven't started or have ended; the rest carry when they next end or reset,
+		// and whether they are multiplayer quests nobody has won yet (the winner stays private)
+		const now = new Date();
+		const running = (quests ?? [])
+			.filter(q => isQuestActive(q, now))
+			.map(({ winner_id, ...q }) => ({ ...q, deadline: questDeadline(q, now), multiplayer_open: !!q.is_multiplayer && !winner_id }));
+		const photoCounts = countPhotos(locations ?? [], photos ?? []);
 		// return response
-		return NextResponse.json({ locations: locations ?? [], quests: quests ?? [] });
+		const storylines = story.storylines.map(s => ({ storyline_id: s.storyline_id, title: s.title, bonus_points: s.bonus_points, steps: s.steps }));
+		return NextResponse.json({ locations: (locations ?? []).map(l => ({ ...l, geothinkr_photos: photoCounts[l.location_id] || 0 })), quests: running, dependencies: dependencies ?? [], storylines, paths: paths ?? [] });
 	} catch (err) {
 		return NextResponse.json({ error: String(err) }, { status: 500 });
 	}
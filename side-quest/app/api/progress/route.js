@@ -1,40 +1,29 @@
 /*
 	Name: Progress API endpoint
-	Description: Gets and saves user quest progress.
+	Description: Gets and saves user quest progress. Kept for older clients that
+	             look quests up by location name and text; new code uses /api/v2/progress.
 	Programmers: Pashia Vang
 	Date: 11/06/2025
-	Revisions: Comment engineering - Aiden 11/23/2025
-	Errors: N/A
-	Input:  User authentication cookie and quest progress data  
+	Revisions: Comment engineering - Aiden 11/23/2025, Use shared session helper - 10/19/2026, Unverified emails cannot save progress - 10/19/2026, GPS proof of presence for geofenced quests - 10/19/2026, Photo-proof quests are completed by staff approval - 10/19/2026, QR check-in quests are completed by scanning - 10/19/2026, Enforce quest prerequisites - 10/19/2026, POST is now a shim over the quest_id batch API - 10/19/2026, GET returns this period's row for repeating quests - 10/19/2026
+	Errors: 401 Unauthorized, 403 Email not verified or not at the location (POST), 409 Quest not running, needs a photo proof or a QR scan, prerequisites not done, dependents still done or quest already claimed (POST)
+	Input:  User authentication cookie and quest progress data
+	        POST may include position: { latitude, longitude, accuracy, timestamp } from
+	        navigator.geolocation, required when the quest or its location needs proof of presence
 	Output:  Updated or retrieved quest progress information
 */
 
-import { verifyToken } from "../../../lib/auth";
+import { requireUser, requireVerifiedUser, authErrorResponse } from "../../../lib/session";
 import { createAdminClient } from "../../../lib/supabase/admin";
-
-// Helper function to get user from request
-function getUserFromRequest(req) {
-	// Read the raw cookie header (if present) and find the `sid` cookie.
-	// The code expects a session token stored as `sid=<token>`.
-	const cookie = req.headers.get("cookie") || "";
-	const match = cookie.split(";").map(s => s.trim()).find(s => s.startsWith("sid="));
-
-	// Extract the token value and verify it. `verifyToken` returns the
-	// decoded user object on success or null/throws on failure depending
-	// on implementation in `lib/auth`.
-	const token = match?.split("=")[1];
-	return token ? verifyToken(token) : null;
-}
+import { applyProgressUpdates } from "../../../lib/progress";
+import { isCurrentProgress } from "../../../lib/questSchedule";
 
 // GET: Retrieve all progress for the current user
 export async function GET(req) {
-	const user = getUserFromRequest(req);
-
-	if (!user) {
-		return new Response(
-			JSON.stringify({ message: "Unauthorized" }),
-			{ status: 401, headers: { "Content-Type": "application/json" } }
-		);
+	let user;
+	try {
+		user = await requireUser(req);
+	} catch (err) {
+		return authErrorResponse(err);
 	}
 
 	const supabase = createAdminClient();
@@ -47,10 +36,12 @@ export async function GET(req) {
 			quest_id,
 			completed,
 			completed_at,
+			period_start,
 			quests (
 				quest_id,
 				text,
 				location_id,
+				recurrence,
 				locations (
 					location_id,
 					name
@@ -70,6 +61,7 @@ export async function GET(req) {
 	// the DB representation into a simpler, deterministic map for the
 	// client UI: { [locationName]: { [questText]: { completed, completed_at, quest_id }}}.
 	const progressMap = {};
+	const now = new Date();
 	progress?.forEach(p => {
 		// Depending on how the relationship was returned, `p.quests` may be
 		// an array (when using `.select()` with relationships) or a single
@@ -77,6 +69,9 @@ export async function GET(req) {
 		const quest = Array.isArray(p.quests) ? p.quests[0] : p.quests;
 		if (!quest) return;
 
+		// Repeating quests keep a row per period; only the current one counts
+		if (!isCurrentProgress(p, quest, now)) return;
+
 		// Same for nested `locations` relationship.
 		const location = Array.isArray(quest.locations) ? quest.locations[0] : quest.locations;
 		if (!location) return;
@@ -103,19 +98,18 @@ export async function GET(req) {
 	);
 }
 
-// POST: Save or update quest progress
+// POST: Save or update quest progress. Completing quests awards points,
+// so the user must have verified their email first.
 export async function POST(req) {
-	const user = getUserFromRequest(req);
-
-	if (!user) {
-		return new Response(
-			JSON.stringify({ message: "Unauthorized" }),
-			{ status: 401, headers: { "Content-Type": "application/json" } }
-		);
+	let user;
+	try {
+		user = await requireVerifiedUser(req);
+	} catch (err) {
+		return authErrorResponse(err);
 	}
 
 	const body = await req.json();
-	const { location_name, quest_text, completed } = body;
+	const { location_name, quest_text, completed, position } = body;
 
 	if (!location_name || !quest_text || typeof completed !== "boolean") {
 		return new Response(
@@ -143,7 +137,7 @@ export async function POST(req) {
 	// Then find the quest_id by location_id and quest text
 	const { data: quest, error: questError } = await supabase
 		.from("quests")
-		.select("quest_id, is_multiplayer, reward_points")
+		.select("quest_id")
 		.eq("location_id", location.location_id)
 		.eq("text", quest_text)
 		.single();
@@ -155,112 +149,18 @@ export async function POST(req) {
 		);
 	}
 
-	// Check if progress record already exists
-	const { data: existingProgress } = await supabase
-		.from("progress")
-		.select("progress_id")
-		.eq("user_id", user.id)
-		.eq("quest_id", quest.quest_id)
-		.single();
-
-	const now = new Date().toISOString();
-	const progressData = {
-		user_id: user.id,
-		quest_id: quest.quest_id,
-		completed: completed,
-		updated_at: now
-	};
-
-	if (completed) {
-		progressData.completed_at = now;
-	} else {
-		progressData.completed_at = null;
-	}
-
-	let result;
-	if (existingProgress) {
-		// Update existing progress
-		const { data, error } = await supabase
-			.from("progress")
-			.update(progressData)
-			.eq("progress_id", existingProgress.progress_id)
-			.select()
-			.single();
-
-		result = { data, error };
-	} else {
-		// Insert new progress
-		const { data, error } = await supabase
-			.from("progress")
-			.insert([progressData])
-			.select()
-			.single();
-
-		result = { data, error };
-	}
-
-	// Send error response if something went wrong. The client will see a notification.
-	if (result.error) {
-		return new Response(
-			JSON.stringify({ message: "Failed to save progress", error: result.error.message }),
-			{ status: 500, headers: { "Content-Type": "application/json" } }
-		);
-	}
-
-	// Try to claim quest (handles multiplayer logic)
-	// If it's a multiplayer quest, this RPC returns false if already claimed.
-	// If it's a normal quest, it returns true immediately.
-	const { data: claimSuccess, error: claimError } = await supabase.rpc('claim_quest', {
-		p_quest_id: quest.quest_id,
-		p_user_id: user.id
-	});
-
-	if (claimError) {
-		console.error("RPC Error:", claimError);
-		// If RPC fails (e.g. function doesn't exist), fall back to normal flow below
-	} else if (claimSuccess === false) {
-		// Only happens if multiplayer quest is already won by someone else
+	// From here on this is a one-item /api/v2/progress batch
+	const result = await applyProgressUpdates(req, user.id, [{ quest_id: quest.quest_id, completed, position }]);
+	if (!result.ok) {
 		return new Response(
-			JSON.stringify({ message: "This quest has already been claimed by another player!" }),
-			{ status: 409, headers: { "Content-Type": "application/json" } }
+			JSON.stringify({ message: result.message, code: result.code, reason: result.reason, quests: result.quests, error: result.error }),
+			{ status: result.status, headers: { "Content-Type": "application/json" } }
 		);
 	}
 
-	// Calculate points to award (default 100 if not specified in quest)
-	const pointsToAward = quest.reward_points || 100;
-
-	// Award points if completing the quest for the first time
-	// Note: If claim_quest RPC succeeded for a multiplayer quest, points are ALREADY awarded by the RPC.
-	// We need to avoid double counting.
-	const isMultiplayer = quest.is_multiplayer;
-
-	if (!isMultiplayer && completed && (!existingProgress || !existingProgress.completed)) {
-		// Increment points for NORMAL quests
-		const { error: pointsError } = await supabase.rpc('increment_points', {
-			user_id: user.id,
-			amount: pointsToAward
-		});
-
-		// Fallback to direct update if RPC doesn't exist
-		if (pointsError) {
-			const { data: userData } = await supabase
-				.from('users')
-				.select('points')
-				.eq('user_id', user.id)
-				.single();
-
-			const currentPoints = userData?.points || 0;
-			await supabase
-				.from('users')
-				.update({ points: currentPoints + pointsToAward })
-				.eq('user_id', user.id);
-		}
-	}
-
 	// Success.
 	return new Response(
-		JSON.stringify({ success: true, progress: result.data }),
+		JSON.stringify({ success: true, progress: result.progress[0] }),
 		{ status: 200, headers: { "Content-Type": "application/json" } }
 	);
 }
-
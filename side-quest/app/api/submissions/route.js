@@ -0,0 +1,186 @@
+/*
+	Name: Quest Submissions API endpoint
+	Description: Players upload a photo as evidence for quests that need one, and
+	             see whether their photos are still waiting for review.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Locked quests can't take photos yet - 10/19/2026, Keyed by quest_id like /api/v2/progress - 10/19/2026, Time-limited and repeating quests - 10/19/2026
+	Errors: 400 Bad input or quest doesn't need a photo, 401 Unauthorized,
+	        403 Email not verified or not at the location, 404 Quest not found,
+	        409 Already completed, not running, prerequisites not done or already waiting for review, 413 File too large,
+	        429 Too many uploads, 500 Upload or database failure
+
+	Input:
+		GET: Authenticated request
+		POST: Authenticated multipart form-data with file, quest_id
+		      and position (JSON string) when the quest needs proof of presence
+
+	Output:
+		GET: { submissions: { [quest_id]: { status, review_note, created_at } } }
+		POST: { submission }
+*/
+
+import { requireUser, requireVerifiedUser, authErrorResponse } from "../../../lib/session";
+import { createAdminClient } from "../../../lib/supabase/admin";
+import { createRateLimiter, retryAfterHeaders } from "../../../lib/rateLimit";
+import { presenceRequired, checkPresence, logGeofenceRejection } from "../../../lib/geofence";
+import { uploadProof, removeProofs } from "../../../lib/submissions";
+import { missingPrerequisites, listQuestNames } from "../../../lib/dependencies";
+import { isQuestActive, isCurrentProgress } from "../../../lib/questSchedule";
+
+// Same budget as avatar uploads; every submission stores a photo
+const proofLimiter = createRateLimiter({ name: "proof", limit: 10, windowMs: 10 * 60 * 1000 });
+
+/*
+	Function: json
+	Description: JSON response in the same shape as /api/progress.
+	Arguments:
+		body - object to send
+		status - HTTP status
+		headers - extra headers
+	Returns: Response
+*/
+function json(body, status, headers = {}) {
+	return new Response(JSON.stringify(body), {
+		status,
+		headers: { ...headers, "Content-Type": "application/json" },
+	});
+}
+
+// GET: The latest submission for each quest the user sent a photo for
+export async function GET(req) {
+	let user;
+	try {
+		user = await requireUser(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const supabase = createAdminClient();
+	const { data, error } = await supabase
+		.from("quest_submissions")
+		.select("quest_id, status, review_note, created_at")
+		.eq("user_id", user.id)
+		.order("created_at", { ascending: true });
+
+	if (error) {
+		return json({ message: "Failed to fetch submissions", error: error.message }, 500);
+	}
+
+	// Keyed like GET /api/v2/progress. Rows are oldest first, so the latest one wins.
+	const submissions = {};
+	data?.forEach(s => {
+		submissions[s.quest_id] = {
+			status: s.status,
+			review_note: s.review_note,
+			created_at: s.created_at,
+		};
+	});
+
+	return json({ submissions }, 200);
+}
+
+// POST: Upload a photo for staff to review. Points are awarded on approval.
+export async function POST(req) {
+	let user;
+	try {
+		user = await requireVerifiedUser(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const limit = await proofLimiter.check(user.id);
+	if (!limit.allowed) {
+		return json({ message: "Too many uploads. Try again later." }, 429, retryAfterHeaders(limit));
+	}
+
+	const formData = await req.formData().catch(() => null);
+	if (!formData) return json({ message: "Expected a multipart form" }, 400);
+
+	const questId = formData.get("quest_id");
+	if (typeof questId !== "string" || !questId) {
+		return json({ message: "Missing required field: quest_id" }, 400);
+	}
+
+	let position = null;
+	try {
+		position = formData.get("position") ? JSON.parse(formData.get("position")) : null;
+	} catch {
+		position = null;
+	}
+
+	const supabase = createAdminClient();
+
+	const { data: quest } = await supabase
+		.from("quests")
+		.select("quest_id, require_presence, requires_proof, starts_at, ends_at, recurrence, locations ( location_id, name, latitude, longitude, geofence_radius_m, require_presence )")
+		.eq("quest_id", questId)
+		.maybeSingle();
+	const location = Array.isArray(quest?.locations) ? quest.locations[0] : quest?.locations;
+	if (!quest || !location) return json({ message: "Quest not found" }, 404);
+
+	if (!quest.requires_proof) {
+		return json({ message: "This quest doesn't need a photo. Check it off instead." }, 400);
+	}
+
+	if (!isQuestActive(quest)) {
+		return json({ message: "This quest isn't running right now.", code: "QUEST_INACTIVE" }, 409);
+	}
+
+	const { data: progress } = await supabase
+		.from("progress")
+		.select("completed, period_start")
+		.eq("user_id", user.id)
+		.eq("quest_id", quest.quest_id)
+		.eq("completed", true);
+	if (progress?.some(p => isCurrentProgress(p, quest))) {
+		return json({ message: "You already completed this quest" }, 409);
+	}
+
+	const missing = await missingPrerequisites(user.id, quest.quest_id);
+	if (missing.length) {
+		return json({ message: `Complete ${listQuestNames(missing)} first.`, code: "PREREQUISITES_INCOMPLETE", quests: missing }, 409);
+	}
+
+	// Checked before uploading so a duplicate never reaches storage
+	const { data: pending } = await supabase
+		.from("quest_submissions")
+		.select("submission_id")
+		.eq("user_id", user.id)
+		.eq("quest_id", quest.quest_id)
+		.eq("status", "pending")
+		.maybeSingle();
+	if (pending) {
+		return json({ message: "Your photo for this quest is still waiting for review" }, 409);
+	}
+
+	// A photo doesn't replace being there when the quest is geofenced
+	if (presenceRequired(quest, location)) {
+		const presence = checkPresence(location, position);
+		if (!presence.ok) {
+			await logGeofenceRejection(req, { userId: user.id, quest, location, reading: position, result: presence });
+			return json({ message: presence.message, code: "NOT_AT_LOCATION", reason: presence.reason }, 403);
+		}
+	}
+
+	const upload = await uploadProof(user.id, formData.get("file"));
+	if (!upload.ok) return json({ message: upload.message }, upload.status);
+
+	const { data: submission, error } = await supabase
+		.from("quest_submissions")
+		.insert({ user_id: user.id, quest_id: quest.quest_id, storage_path: upload.path })
+		.select("submission_id, status, created_at")
+		.single();
+
+	if (error) {
+		await removeProofs([upload.path]);
+		// 23505: the one-pending-per-quest index caught a double submit
+		if (error.code === "23505") {
+			return json({ message: "Your photo for this quest is still waiting for review" }, 409);
+		}
+		console.error("Failed to save submission:", error);
+		return json({ message: "Failed to save submission" }, 500);
+	}
+
+	return json({ submission }, 201);
+}
@@ -3,8 +3,8 @@
 	Description: Uploads a user avatar to Supabase storage and updates the user's profile picture URL.
 	Programmers: Liam Aga
 	Date: 2/15/2026
-	Revisions: Initial upload integration - 2/15/2026
-	Errors: 400 No file, 401 Unauthorized, 500 Upload or update failure
+	Revisions: Initial upload integration - 2/15/2026, Use shared session helper - 10/19/2026, Per-user upload rate limit - 10/19/2026
+	Errors: 400 No file, 401 Unauthorized, 429 Too many uploads, 500 Upload or update failure
 
 	Input:
 		POST: Authenticated multipart form-data with file
@@ -13,18 +13,27 @@
 		POST: { url }
 */
 
-import { verifyToken } from "../../../lib/auth";
+import { requireUser, authErrorResponse } from "../../../lib/session";
 import { createAdminClient } from "../../../lib/supabase/admin";
+import { createRateLimiter, retryAfterHeaders } from "../../../lib/rateLimit";
 
-export async function POST(req) {
-	const cookie = req.headers.get("cookie") || "";
-	const match = cookie.split(";").map(s => s.trim()).find(s => s.startsWith("sid="));
-	const token = match?.split("=")[1];
+// Every upload writes a new file to storage, so cap how fast one user can do it
+const uploadLimiter = createRateLimiter({ name: "upload", limit: 10, windowMs: 10 * 60 * 1000 });
 
-	const userPayload = token ? verifyToken(token) : null;
+export async function POST(req) {
+	let user;
+	try {
+		user = await requireUser(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
 
-	if (!userPayload) {
-		return new Response(JSON.stringify({ message: "Unauthorized" }), { status: 401 });
+	const limit = await uploadLimiter.check(user.id);
+	if (!limit.allowed) {
+		return new Response(
+			JSON.stringify({ message: "Too many uploads. Try again later." }),
+			{ status: 429, headers: { ...retryAfterHeaders(limit), "Content-Type": "application/json" } }
+		);
 	}
 
 	const formData = await req.formData();
@@ -36,7 +45,7 @@ export async function POST(req) {
 
 	const supabase = createAdminClient();
 	const fileExt = file.name.split('.').pop();
-	const fileName = `${userPayload.id}_${Date.now()}.${fileExt}`;
+	const fileName = `${user.id}_${Date.now()}.${fileExt}`;
 
 	// Convert file to buffer for upload
 	const arrayBuffer = await file.arrayBuffer();
@@ -62,7 +71,7 @@ export async function POST(req) {
 	const { error: updateError } = await supabase
 		.from("users")
 		.update({ profile_picture_url: publicUrl })
-		.eq("user_id", userPayload.id);
+		.eq("user_id", user.id);
 
 	if (updateError) {
 		console.error("Profile update error:", updateError);
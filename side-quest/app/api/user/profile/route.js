@@ -1,73 +1,314 @@
 /*
 	Name: User Profile API endpoint
-	Description: Retrieves and updates authenticated user profile information.
+	Description: Retrieves and updates authenticated user profile information, and
+	             lets users change their account settings or delete their account.
 	Programmers: Liam Aga
 	Date: 2/15/2026
-	Revisions: Initial profile fetch and update - 2/15/2026
-	Errors: 401 Unauthorized, 404 User not found, 500 Update failure
+	Revisions: Initial profile fetch and update - 2/15/2026, Use shared session helper - 10/19/2026,
+	           Account settings (name, email, password) and account deletion - 10/19/2026,
+	           Deleting an account removes its two-factor secret and recovery codes - 10/19/2026,
+	           Deleting an account removes its quest proof photos - 10/19/2026,
+	           Deleting an account unlinks its sign-in providers - 10/19/2026,
+	           Single sign-on accounts confirm with a provider sign-in or two-factor code - 10/19/2026
+	Errors: 400 Invalid input, 401 Unauthorized or wrong current password or code, 403 Provider sign-in needed, 404 User not found,
+	        409 Email taken, 429 Too many wrong passwords, 500 Update failure
 
 	Input:
 		GET: Authenticated request (session cookie "sid")
-		PATCH: JSON { profile_picture_url }
+		PATCH: JSON with any of { profile_picture_url, name, email, new_password }.
+		       Changing email or password also needs { current_password }, or for
+		       accounts made by single sign-on a recent provider sign-in or { code }.
+		DELETE: JSON { password } (single sign-on accounts: as above, { code })
 
 	Output:
-		GET: { user }
-		PATCH: { ok: true }
+		GET: { user, password_policy }
+		PATCH: { ok: true, verification_sent }
+		DELETE: { ok: true } and the session cookie cleared
 */
 
-import { verifyToken } from "../../../../lib/auth";
+import { randomBytes } from "crypto";
+import bcrypt from "bcryptjs";
+import {
+	requireUser,
+	requireSession,
+	authErrorResponse,
+	revokeAllSessions,
+	clearedSessionCookie,
+} from "../../../../lib/session";
 import { createAdminClient } from "../../../../lib/supabase/admin";
+import { normalizeEmail, validateEmail } from "../../../../lib/email";
+import { validatePassword, describePasswordPolicy } from "../../../../lib/passwordPolicy";
+import { sendVerificationEmail } from "../../../../lib/emailVerification";
+import { createLockout, retryAfterHeaders } from "../../../../lib/rateLimit";
+import { ROLES } from "../../../../lib/roles";
+import { removeProofs } from "../../../../lib/submissions";
+import { attemptSecondFactor } from "../../../../lib/mfa";
 
-export async function PATCH(req) {
-	const cookie = req.headers.get("cookie") || "";
-	const match = cookie.split(";").map(s => s.trim()).find(s => s.startsWith("sid="));
-	const token = match?.split("=")[1];
+const MAX_NAME_LENGTH = 50;
+
+// Same backoff as login, so settings can't be used to guess a signed-in user's password
+const wrongPasswords = createLockout({ name: "settings-password" });
 
-	const userPayload = token ? verifyToken(token) : null;
+// How long signing in with a provider again counts as confirming an account without a password
+const REAUTH_WINDOW_MS = 10 * 60 * 1000;
+
+/*
+	Function: checkCurrentPassword
+	Description: Confirms the password the user typed matches their account.
+	Arguments:
+		userId - users.user_id
+		password - password typed by the user
+	Returns: null when it matches, otherwise the Response to send back
+*/
+async function checkCurrentPassword(userId, password) {
+	const lock = await wrongPasswords.check(userId);
+	if (lock.locked) {
+		return new Response(
+			JSON.stringify({ message: "Too many wrong passwords. Try again later." }),
+			{ status: 429, headers: retryAfterHeaders(lock) }
+		);
+	}
 
-	if (!userPayload) {
-		return new Response(JSON.stringify({ message: "Unauthorized" }), { status: 401 });
+	if (!password) {
+		return new Response(JSON.stringify({ message: "Current password is required" }), { status: 400 });
 	}
 
+	const supabase = createAdminClient();
+	const { data } = await supabase
+		.from("users")
+		.select("password_hash")
+		.eq("user_id", userId)
+		.single();
+
+	if (!data || !(await bcrypt.compare(password, data.password_hash))) {
+		const failure = await wrongPasswords.fail(userId);
+		if (failure.locked) {
+			return new Response(
+				JSON.stringify({ message: "Too many wrong passwords. Try again later." }),
+				{ status: 429, headers: retryAfterHeaders(failure) }
+			);
+		}
+		return new Response(JSON.stringify({ message: "Current password is incorrect" }), { status: 401 });
+	}
+
+	await wrongPasswords.reset(userId);
+	return null;
+}
+
+/*
+	Function: checkAccountOwner
+	Description: Confirms the signed-in user before changes that take over the
+	             account. Accounts with a password type it. Accounts made by
+	             single sign-on have none, so they either signed in with their
+	             provider again in the last few minutes or enter a two-factor code.
+	Arguments:
+		current - { session, user } from requireSession
+		proof - { password, code } from the request body
+	Returns: null when confirmed, otherwise the Response to send back
+*/
+async function checkAccountOwner({ session, user }, { password, code }) {
+	if (user.has_password) return checkCurrentPassword(user.id, password);
+
+	const reauthenticatedAt = session.reauthenticated_at ? new Date(session.reauthenticated_at).getTime() : 0;
+	if (Date.now() - reauthenticatedAt <= REAUTH_WINDOW_MS) return null;
+
+	if (user.mfa_enabled && code) {
+		const result = await attemptSecondFactor(user.id, code);
+		if (result.locked) {
+			return new Response(
+				JSON.stringify({ message: "Too many wrong codes. Try again later." }),
+				{ status: 429, headers: retryAfterHeaders(result) }
+			);
+		}
+		if (!result.ok) {
+			return new Response(JSON.stringify({ message: "That code is not valid" }), { status: 401 });
+		}
+		return null;
+	}
+
+	return new Response(JSON.stringify({
+		message: user.mfa_enabled
+			? "Enter a two-factor code, or sign in with your provider again to confirm it's you"
+			: "Sign in with your provider again to confirm it's you",
+		code: "REAUTH_REQUIRED",
+	}), { status: 403 });
+}
+
+export async function PATCH(req) {
+	let session;
+	try {
+		session = await requireSession(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+	const { user } = session;
+
 	const body = await req.json();
-	const { profile_picture_url } = body;
+	const { profile_picture_url, current_password, new_password, code } = body;
 
 	const supabase = createAdminClient();
+	const updates = {};
+
+	if (profile_picture_url !== undefined) {
+		updates.profile_picture_url = profile_picture_url;
+	}
+
+	if (body.name !== undefined) {
+		const name = typeof body.name === "string" ? body.name.trim() : "";
+		if (!name || name.length > MAX_NAME_LENGTH) {
+			return new Response(JSON.stringify({ message: `Name must be 1 to ${MAX_NAME_LENGTH} characters` }), { status: 400 });
+		}
+		updates.name = name;
+	}
+
+	// Email and password changes take over the account, so both need the current password
+	// (or another proof for accounts without one)
+	const email = body.email !== undefined ? normalizeEmail(body.email) : null;
+	const emailChanged = email !== null && email !== user.email;
+	if (emailChanged || new_password !== undefined) {
+		const failure = await checkAccountOwner(session, { password: current_password, code });
+		if (failure) return failure;
+	}
+
+	if (emailChanged) {
+		const emailError = validateEmail(email);
+		if (emailError) {
+			return new Response(JSON.stringify({ message: emailError }), { status: 400 });
+		}
+
+		const { data: existing } = await supabase
+			.from("users")
+			.select("user_id")
+			.eq("email", email)
+			.maybeSingle();
+		if (existing) {
+			return new Response(JSON.stringify({ message: "User with this email already exists" }), { status: 409 });
+		}
+
+		// The new address has to be verified before the account earns points again
+		updates.email = email;
+		updates.email_verified_at = null;
+	}
+
+	if (new_password !== undefined) {
+		const passwordError = validatePassword(new_password, email || user.email);
+		if (passwordError) {
+			return new Response(JSON.stringify({ message: passwordError }), { status: 400 });
+		}
+		updates.password_hash = await bcrypt.hash(new_password, 10);
+		// A single sign-on account can log in with a password from now on
+		updates.has_password = true;
+	}
+
+	if (Object.keys(updates).length === 0) {
+		return new Response(JSON.stringify({ message: "Nothing to update" }), { status: 400 });
+	}
 
 	const { error } = await supabase
 		.from("users")
-		.update({ profile_picture_url })
-		.eq("user_id", userPayload.id);
+		.update(updates)
+		.eq("user_id", user.id);
 
 	if (error) {
 		console.error("Error updating profile:", error);
 		return new Response(JSON.stringify({ message: "Failed to update profile" }), { status: 500 });
 	}
 
-	return new Response(JSON.stringify({ ok: true }), { status: 200 });
-}
+	// A new password signs out every other device; this one stays signed in
+	if (updates.password_hash) {
+		await revokeAllSessions(user.id, { exceptSessionId: session.session.session_id });
+	}
 
-export async function GET(req) {
-	const cookie = req.headers.get("cookie") || "";
-	const match = cookie.split(";").map(s => s.trim()).find(s => s.startsWith("sid="));
-	const token = match?.split("=")[1];
+	let verificationSent = false;
+	if (emailChanged) {
+		try {
+			await sendVerificationEmail({ user_id: user.id, name: updates.name || user.name, email });
+			verificationSent = true;
+		} catch (err) {
+			console.error("Failed to send verification email:", err);
+		}
+	}
 
-	const userPayload = token ? verifyToken(token) : null;
+	return new Response(JSON.stringify({ ok: true, verification_sent: verificationSent }), { status: 200 });
+}
 
-	if (!userPayload) {
-		return new Response(JSON.stringify({ message: "Unauthorized" }), { status: 401 });
+export async function GET(req) {
+	let user;
+	try {
+		user = await requireUser(req);
+	} catch (err) {
+		return authErrorResponse(err);
 	}
 
 	const supabase = createAdminClient();
-	const { data: user, error } = await supabase
+	const { data: profile, error } = await supabase
 		.from("users")
-		.select("profile_picture_url, name, email")
-		.eq("user_id", userPayload.id)
+		.select("profile_picture_url, name, email, email_verified_at, has_password")
+		.eq("user_id", user.id)
 		.single();
 
 	if (error) {
 		return new Response(JSON.stringify({ message: "User not found" }), { status: 404 });
 	}
 
-	return new Response(JSON.stringify({ user }), { status: 200 });
+	return new Response(JSON.stringify({ user: profile, password_policy: describePasswordPolicy() }), { status: 200 });
+}
+
+export async function DELETE(req) {
+	let current;
+	try {
+		current = await requireSession(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+	const { user } = current;
+
+	const body = await req.json().catch(() => ({}));
+	const failure = await checkAccountOwner(current, { password: body.password, code: body.code });
+	if (failure) return failure;
+
+	// Anonymize instead of deleting the row: progress, GeoThinkr history and
+	// achievements stay on the leaderboards under a placeholder name, and
+	// multiplayer quests keep their winner. The random password hash means
+	// nobody can log in to the account again.
+	const supabase = createAdminClient();
+	const { error } = await supabase
+		.from("users")
+		.update({
+			name: "Deleted player",
+			email: `deleted-${user.id}@deleted.invalid`,
+			password_hash: await bcrypt.hash(randomBytes(32).toString("hex"), 10),
+			profile_picture_url: null,
+			email_verified_at: null,
+			totp_secret: null,
+			totp_enabled_at: null,
+			is_admin: false,
+			role: ROLES.PLAYER,
+			deleted_at: new Date().toISOString(),
+		})
+		.eq("user_id", user.id);
+
+	if (error) {
+		console.error("Error deleting account:", error);
+		return new Response(JSON.stringify({ message: "Failed to delete account" }), { status: 500 });
+	}
+
+	// Outstanding reset or verification links must not reach the anonymized account
+	await supabase.from("auth_tokens").delete().eq("user_id", user.id);
+	await supabase.from("mfa_recovery_codes").delete().eq("user_id", user.id);
+	// Unlink sign-in providers so signing in with one again starts a fresh account
+	await supabase.from("user_identities").delete().eq("user_id", user.id);
+	// Proof photos can show the player, so they go too. Completed quests stay.
+	const { data: proofs } = await supabase
+		.from("quest_submissions")
+		.delete()
+		.eq("user_id", user.id)
+		.select("storage_path");
+	await removeProofs((proofs || []).map(p => p.storage_path));
+	await revokeAllSessions(user.id);
+
+	return new Response(JSON.stringify({ ok: true }), {
+		status: 200,
+		headers: { "Set-Cookie": clearedSessionCookie() },
+	});
 }
@@ -0,0 +1,107 @@
+/*
+	Name: Progress API endpoint (v2)
+	Description: Gets and saves user quest progress by quest_id. Unlike /api/progress,
+	             renaming a quest doesn't break clients, quests with the same text
+	             can't collide, and several changes can be saved at once.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: GET returns this period's row for repeating quests - 10/19/2026, POST reports storylines it finishes - 10/19/2026
+	Errors: 400 Bad input, 401 Unauthorized, 403 Email not verified or not at the location (POST),
+	        404 Quest not found, 409 Quest not running, needs a photo or a QR scan, prerequisites not done,
+	        dependents still done or quest already claimed (POST), 500 Database failure
+	Input:
+		GET: Authenticated request
+		POST: JSON { updates: [{ quest_id, completed, position }] }, saved in order in one
+		      transaction. position is { latitude, longitude, accuracy, timestamp } from
+		      navigator.geolocation, required when the quest or its location needs proof of presence.
+	Output:
+		GET: { progress: { [quest_id]: { completed, completed_at, location_id } } }
+		POST: { success, progress: { [quest_id]: { completed, completed_at } }, storylines_completed: [{ storyline_id, title, bonus_points }] }
+		      or { message, code, quest_id, ... } for the first change that was refused
+*/
+
+import { requireUser, requireVerifiedUser, authErrorResponse } from "../../../../lib/session";
+import { createAdminClient } from "../../../../lib/supabase/admin";
+import { applyProgressUpdates } from "../../../../lib/progress";
+import { isCurrentProgress } from "../../../../lib/questSchedule";
+
+/*
+	Function: json
+	Description: JSON response in the same shape as /api/progress.
+	Arguments:
+		body - object to send
+		status - HTTP status
+	Returns: Response
+*/
+function json(body, status) {
+	return new Response(JSON.stringify(body), {
+		status,
+		headers: { "Content-Type": "application/json" },
+	});
+}
+
+// GET: All progress for the current user, keyed by quest_id
+export async function GET(req) {
+	let user;
+	try {
+		user = await requireUser(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const supabase = createAdminClient();
+	const { data, error } = await supabase
+		.from("progress")
+		.select("quest_id, completed, completed_at, period_start, quests ( location_id, recurrence )")
+		.eq("user_id", user.id);
+
+	if (error) {
+		return json({ message: "Failed to fetch progress", error: error.message }, 500);
+	}
+
+	// Repeating quests keep a row per period; only the current one counts
+	const progress = {};
+	const now = new Date();
+	data?.forEach(p => {
+		const quest = Array.isArray(p.quests) ? p.quests[0] : p.quests;
+		if (!isCurrentProgress(p, quest, now)) return;
+		progress[p.quest_id] = {
+			completed: p.completed,
+			completed_at: p.completed_at,
+			location_id: quest?.location_id ?? null,
+		};
+	});
+
+	return json({ progress }, 200);
+}
+
+// POST: Save a batch of changes. Completing quests awards points,
+// so the user must have verified their email first.
+export async function POST(req) {
+	let user;
+	try {
+		user = await requireVerifiedUser(req);
+	} catch (err) {
+		return authErrorResponse(err);
+	}
+
+	const body = await req.json().catch(() => ({}));
+	const result = await applyProgressUpdates(req, user.id, body?.updates);
+	if (!result.ok) {
+		return json({
+			message: result.message,
+			code: result.code,
+			reason: result.reason,
+			quest_id: result.quest_id,
+			quests: result.quests,
+			error: result.error,
+		}, result.status);
+	}
+
+	const progress = {};
+	result.progress.forEach(p => {
+		progress[p.quest_id] = { completed: p.completed, completed_at: p.completed_at };
+	});
+
+	return json({ success: true, progress, storylines_completed: result.storylines }, 200);
+}
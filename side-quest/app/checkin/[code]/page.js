@@ -0,0 +1,107 @@
+/*
+	Name: checkin/[code]/page.js
+	Description: Page a printed QR code opens. Checks the player in as soon as it
+	             loads, sending signed-out players to log in first.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Show storylines the check-in finished - 10/19/2026
+	Errors: Shows the API message when the code is invalid, replaced or expired
+	Input: Signed check-in token from the URL
+	Output: Confirmation that the quest is complete
+*/
+
+"use client";
+import { useEffect, useRef, useState } from "react";
+import { useParams, useRouter } from "next/navigation";
+import Link from "next/link";
+import { motion } from "framer-motion";
+import { CheckCircle2, Loader2, XCircle } from "lucide-react";
+
+export default function CheckinPage() {
+	const { code } = useParams();
+	const router = useRouter();
+	// "pending" while the request is in flight, then "done" or "failed"
+	const [status, setStatus] = useState("pending");
+	const [result, setResult] = useState(null);
+	const [err, setErr] = useState("");
+	const started = useRef(false);
+
+	// Check in once on load; guard against the effect running twice in development
+	useEffect(() => {
+		if (started.current) return;
+		started.current = true;
+		(async () => {
+			try {
+				const res = await fetch("/api/checkin", {
+					method: "POST",
+					headers: { "Content-Type": "application/json" },
+					body: JSON.stringify({ code }),
+				});
+				if (res.status === 401) {
+					// Come straight back here after logging in
+					router.replace(`/login?next=${encodeURIComponent(`/checkin/${code}`)}`);
+					return;
+				}
+				const payload = await res.json().catch(() => ({}));
+				if (res.ok) {
+					setResult(payload);
+					setStatus("done");
+				} else {
+					setErr(payload?.message || payload?.error || "Check-in failed");
+					setStatus("failed");
+				}
+			} catch (e) {
+				setErr("Check-in failed");
+				setStatus("failed");
+			}
+		})();
+	}, [code, router]);
+
+	return (
+		<div className="min-h-[calc(100vh-80px)] flex items-center justify-center bg-[#FFF6D8] py-10">
+			<motion.div
+				initial={{ scale: 0.9, opacity: 0 }}
+				animate={{ scale: 1, opacity: 1 }}
+				transition={{ duration: 0.6, ease: "easeOut" }}
+				className="w-full md:w-[400px] bg-white border-4 border-[#FF7A00] rounded-3xl p-8 shadow-[8px_8px_0_#00AEEF] flex flex-col items-center gap-4 text-center"
+			>
+				<h2 className="text-3xl font-bold text-[#FF7A00]">Check In</h2>
+
+				{status === "pending" && <Loader2 className="w-12 h-12 text-[#00AEEF] animate-spin" />}
+
+				{status === "done" && (
+					<>
+						<CheckCircle2 className="w-12 h-12 text-green-600" />
+						<p className="text-gray-700">
+							{result?.already_completed ? "You already completed" : "Quest completed:"}{" "}
+							<span className="font-semibold">&quot;{result?.quest}&quot;</span>
+							{result?.location && <> at {result.location}</>}
+							{result?.already_completed ? "." : "!"}
+						</p>
+						{result?.storylines_completed?.map(s => (
+							<p key={s.storyline_id} className="text-[#00AEEF] font-semibold">
+								Storyline finished: {s.title}{s.bonus_points > 0 && ` (+${s.bonus_points} points)`}
+							</p>
+						))}
+						<Link
+							href="/map"
+							className="bg-[#FF7A00] hover:bg-[#FF9500] hover:scale-105 text-white font-bold text-lg py-3 px-6 rounded-xl shadow-md transition-all duration-200"
+						>
+							Go to Map
+						</Link>
+					</>
+				)}
+
+				{status === "failed" && (
+					<>
+						<XCircle className="w-12 h-12 text-red-500" />
+						<div className="text-red-600 text-sm bg-red-50 p-3 rounded-xl border border-red-200">{err}</div>
+						<Link href="/map" className="text-[#00AEEF] font-semibold hover:underline">
+							Back to the map
+						</Link>
+					</>
+				)}
+			</motion.div>
+		</div>
+	);
+}
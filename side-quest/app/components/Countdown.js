@@ -0,0 +1,34 @@
+/*
+	Name: Countdown.js
+	Description: Live "Ends in" / "Resets in" text for time-limited and repeating quests.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: A deadline from questDeadline ({ at, kind })
+	Output: Small text that ticks down every second
+*/
+
+"use client";
+
+import { useEffect, useState } from "react";
+import { formatCountdown } from "@/lib/questSchedule";
+
+export default function Countdown({ at, kind, className = "" }) {
+	const [now, setNow] = useState(() => Date.now());
+
+	useEffect(() => {
+		const timer = setInterval(() => setNow(Date.now()), 1000);
+		return () => clearInterval(timer);
+	}, []);
+
+	const left = new Date(at).getTime() - now;
+	if (left <= 0) {
+		return <span className={className}>{kind === "resets" ? "Resetting now" : "Ended"}</span>;
+	}
+	return (
+		<span className={className}>
+			{kind === "resets" ? "Resets" : "Ends"} in {formatCountdown(left)}
+		</span>
+	);
+}
@@ -0,0 +1,90 @@
+/*
+	Name: Markdown.js
+	Description: Renders quest descriptions written in markdown. Everything goes
+	             through React elements (never innerHTML), and lib/markdown.js has
+	             already dropped unsafe links.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: Markdown text
+	Output: Headings, paragraphs, lists and links
+*/
+
+import { Fragment } from "react";
+import { parseMarkdown } from "@/lib/markdown";
+
+const HEADING_CLASSES = {
+	1: "text-base font-bold",
+	2: "text-sm font-bold",
+	3: "text-sm font-semibold",
+};
+
+/*
+	Function: renderInline
+	Description: Inline nodes to React elements.
+	Arguments:
+		nodes - from parseInline
+	Returns: array of elements
+*/
+function renderInline(nodes) {
+	return nodes.map((node, i) => {
+		switch (node.type) {
+			case "strong":
+				return <strong key={i}>{renderInline(node.children)}</strong>;
+			case "em":
+				return <em key={i}>{renderInline(node.children)}</em>;
+			case "code":
+				return <code key={i} className="px-1 rounded bg-gray-100 dark:bg-gray-700 font-mono text-[0.9em]">{node.text}</code>;
+			case "link": {
+				const external = !node.href.startsWith("/");
+				return (
+					<a
+						key={i}
+						href={node.href}
+						className="text-[#00AEEF] underline"
+						{...(external ? { target: "_blank", rel: "noopener noreferrer nofollow" } : {})}
+					>
+						{renderInline(node.children)}
+					</a>
+				);
+			}
+			default:
+				return <Fragment key={i}>{node.text}</Fragment>;
+		}
+	});
+}
+
+export default function Markdown({ source, className = "" }) {
+	const blocks = parseMarkdown(source);
+	if (blocks.length === 0) return null;
+
+	return (
+		<div className={`space-y-2 break-words ${className}`}>
+			{blocks.map((block, i) => {
+				if (block.type === "heading") {
+					const Tag = `h${block.level + 2}`;
+					return <Tag key={i} className={HEADING_CLASSES[block.level]}>{renderInline(block.children)}</Tag>;
+				}
+				if (block.type === "list") {
+					const List = block.ordered ? "ol" : "ul";
+					return (
+						<List key={i} className={`pl-5 ${block.ordered ? "list-decimal" : "list-disc"}`}>
+							{block.items.map((item, j) => <li key={j}>{renderInline(item)}</li>)}
+						</List>
+					);
+				}
+				return (
+					<p key={i}>
+						{block.lines.map((line, j) => (
+							<Fragment key={j}>
+								{j > 0 && <br />}
+								{renderInline(line)}
+							</Fragment>
+						))}
+					</p>
+				);
+			})}
+		</div>
+	);
+}
@@ -0,0 +1,470 @@
+/*
+	Name: PanZoomViewport.js
+	Description: Pan and zoom viewport shared by the quest map and the GeoThinkr
+	             guess map. Drag or flick to pan (with inertia), pinch or scroll to
+	             zoom toward the fingers / cursor, arrow keys and +/- when focused,
+	             and an optional minimap. Zoom and pan stay within limits.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: Content size, zoom limits, starting view, the content and an overlay to draw
+	Output: The viewport. Its ref offers panBy, zoomBy, reset and setView.
+*/
+
+"use client";
+
+import { useRef, useState, useEffect, useCallback, useImperativeHandle } from "react";
+
+export const PAN_STEP = 120;      // arrow keys, in screen pixels
+export const ZOOM_STEP = 1.5;     // +/- keys and buttons
+const WHEEL_SPEED = 0.0015;       // zoom per wheel pixel
+const PINCH_WHEEL_SPEED = 0.01;   // trackpad pinches arrive as ctrl+wheel with small deltas
+const TAP_SLOP = 5;               // pixels a press can wander and still be a tap
+const VELOCITY_WINDOW_MS = 100;   // flick speed is measured over the last moments of a drag
+const FRICTION = 0.94;            // fraction of speed kept per 16 ms frame
+const MIN_FLING = 0.02;           // pixels per ms; slower than this stops
+const MINIMAP_WIDTH = 140;
+
+// Presses on these start their own action, not a pan
+const INTERACTIVE = "button, a, input, select, textarea, label, [role='button']";
+
+/*
+	Function: limitView
+	Description: Keeps a view inside the zoom limits and the pan limits.
+	             "center" keeps the middle of the viewport over the content;
+	             "cover" keeps the content covering the viewport where it can.
+	Arguments:
+		view - { x, y, zoom }
+		o - current settings { contentWidth, contentHeight, minZoom, maxZoom, clamp, base, size }
+	Returns: limited { x, y, zoom }
+*/
+function limitView(view, o) {
+	const zoom = Math.max(o.minZoom, Math.min(o.maxZoom, view.zoom));
+	const k = o.base * zoom;
+	const axis = (pos, viewport, content) => {
+		const scaled = content * k;
+		if (o.clamp === "cover") {
+			return scaled <= viewport ? (viewport - scaled) / 2 : Math.max(viewport - scaled, Math.min(0, pos));
+		}
+		return Math.max(viewport / 2 - scaled, Math.min(viewport / 2, pos));
+	};
+	return { x: axis(view.x, o.size.width, o.contentWidth), y: axis(view.y, o.size.height, o.contentHeight), zoom };
+}
+
+/*
+	Function: centeredView
+	Description: View with a content point in the middle of the viewport.
+	Arguments:
+		target - { center, zoom }, either may be left out (content middle, zoom 1)
+		o - current settings
+	Returns: { x, y, zoom }
+*/
+function centeredView(target, o) {
+	const zoom = Math.max(o.minZoom, Math.min(o.maxZoom, target?.zoom ?? 1));
+	const center = target?.center ?? { x: o.contentWidth / 2, y: o.contentHeight / 2 };
+	const k = o.base * zoom;
+	return { x: o.size.width / 2 - center.x * k, y: o.size.height / 2 - center.y * k, zoom };
+}
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+/*
+	Component: PanZoomViewport
+	Arguments:
+		ref - gets { panBy(dx, dy), zoomBy(factor), reset(), setView({ center, zoom }) }
+		contentWidth, contentHeight - size of the content at zoom 1 when not fitting
+		minZoom, maxZoom - zoom limits
+		fit - zoom 1 fits the whole content in the viewport instead of 1 screen pixel per content pixel
+		initialView - { center, zoom } shown first and on reset
+		resetKey - changing it goes back to initialView
+		clamp - "center" or "cover", see limitView
+		disabled - ignore gestures and keys
+		zoomControls - show +/- buttons
+		minimap - content for the minimap (drawn to fill it), or null for none
+		label - accessible name
+		onTap(point, event) - press without a drag, with the content point under it
+		onViewChange(view) - { x, y, zoom, scale } after every change
+		children - content, drawn in content coordinates and scaled with the zoom
+		overlay(view) - drawn unscaled in screen coordinates on top, for markers that keep their size;
+		                view is { x, y, zoom, scale, width, height } (content point p is at x + p.x * scale)
+*/
+export default function PanZoomViewport({
+	ref,
+	contentWidth,
+	contentHeight,
+	minZoom = 0.5,
+	maxZoom = 3,
+	fit = false,
+	initialView = null,
+	resetKey = null,
+	clamp = "center",
+	disabled = false,
+	zoomControls = false,
+	minimap = null,
+	label = "Map",
+	onTap,
+	onViewChange,
+	className = "",
+	style,
+	children,
+	overlay,
+}) {
+	const containerRef = useRef(null);
+	const [size, setSize] = useState({ width: 0, height: 0 });
+	const [view, setViewState] = useState({ x: 0, y: 0, zoom: initialView?.zoom ?? 1 });
+	const [dragging, setDragging] = useState(false);
+	const viewRef = useRef(view);
+	const pointersRef = useRef(new Map());
+	const gestureRef = useRef(null);
+	const inertiaRef = useRef(null);
+	const suppressClickRef = useRef(false);
+	const startedRef = useRef(false);
+	const resetKeyRef = useRef(resetKey);
+
+	// Zoom 1 either means 1:1 or "whole content fits"
+	const base = fit && size.width && size.height
+		? Math.min(size.width / contentWidth, size.height / contentHeight)
+		: 1;
+
+	// Latest props for handlers that outlive a render (wheel listener, animation frames)
+	const latest = useRef(null);
+	useEffect(() => {
+		latest.current = { contentWidth, contentHeight, minZoom, maxZoom, clamp, base, size, initialView, disabled, onTap, onViewChange };
+	});
+
+	const apply = useCallback(next => {
+		const o = latest.current;
+		const limited = limitView(next, o);
+		viewRef.current = limited;
+		setViewState(limited);
+		o.onViewChange?.({ ...limited, scale: o.base * limited.zoom });
+		return limited;
+	}, []);
+
+	const zoomAt = useCallback((factor, px, py) => {
+		const o = latest.current;
+		const v = viewRef.current;
+		const k = o.base * v.zoom;
+		const zoom = Math.max(o.minZoom, Math.min(o.maxZoom, v.zoom * factor));
+		const k2 = o.base * zoom;
+		// The content point under (px, py) stays there
+		apply({ x: px - ((px - v.x) / k) * k2, y: py - ((py - v.y) / k) * k2, zoom });
+	}, [apply]);
+
+	const stopInertia = useCallback(() => {
+		if (inertiaRef.current) cancelAnimationFrame(inertiaRef.current);
+		inertiaRef.current = null;
+	}, []);
+
+	const panBy = useCallback((dx, dy) => {
+		stopInertia();
+		const v = viewRef.current;
+		apply({ ...v, x: v.x + dx, y: v.y + dy });
+	}, [apply, stopInertia]);
+
+	const zoomBy = useCallback(factor => {
+		stopInertia();
+		const { size } = latest.current;
+		zoomAt(factor, size.width / 2, size.height / 2);
+	}, [zoomAt, stopInertia]);
+
+	const setView = useCallback(target => {
+		stopInertia();
+		apply(centeredView(target, latest.current));
+	}, [apply, stopInertia]);
+
+	const reset = useCallback(() => setView(latest.current.initialView), [setView]);
+
+	useImperativeHandle(ref, () => ({ panBy, zoomBy, reset, setView }), [panBy, zoomBy, reset, setView]);
+
+	// Track the viewport size
+	useEffect(() => {
+		const el = containerRef.current;
+		if (!el) return;
+		const measure = () => setSize({ width: el.clientWidth, height: el.clientHeight });
+		measure();
+		const observer = new ResizeObserver(measure);
+		observer.observe(el);
+		return () => observer.disconnect();
+	}, []);
+
+	// Show the initial view once the size is known and whenever resetKey changes;
+	// otherwise just keep the view within limits after a resize
+	useEffect(() => {
+		if (!size.width || !size.height) return;
+		if (!startedRef.current || resetKeyRef.current !== resetKey) {
+			startedRef.current = true;
+			resetKeyRef.current = resetKey;
+			reset();
+		} else {
+			apply(viewRef.current);
+		}
+	}, [size.width, size.height, resetKey, reset, apply]);
+
+	// Wheel zoom toward the cursor; registered by hand so it can cancel page scrolling
+	useEffect(() => {
+		const el = containerRef.current;
+		if (!el) return;
+		const onWheel = e => {
+			if (latest.current.disabled) return;
+			e.preventDefault();
+			stopInertia();
+			const delta = e.deltaY * (e.deltaMode === 1 ? 16 : 1);
+			const rect = el.getBoundingClientRect();
+			zoomAt(Math.exp(-delta * (e.ctrlKey ? PINCH_WHEEL_SPEED : WHEEL_SPEED)), e.clientX - rect.left, e.clientY - rect.top);
+		};
+		el.addEventListener("wheel", onWheel, { passive: false });
+		return () => el.removeEventListener("wheel", onWheel);
+	}, [zoomAt, stopInertia]);
+
+	useEffect(() => stopInertia, [stopInertia]);
+
+	/*
+		Function: fling
+		Description: Keeps panning after a flick, slowing down until it stops or hits a limit.
+		Arguments:
+			vx, vy - speed in pixels per ms
+	*/
+	function fling(vx, vy) {
+		let last = performance.now();
+		const step = now => {
+			const dt = Math.min(now - last, 64);
+			last = now;
+			const decay = FRICTION ** (dt / 16);
+			vx *= decay;
+			vy *= decay;
+			if (Math.hypot(vx, vy) < MIN_FLING) {
+				inertiaRef.current = null;
+				return;
+			}
+			const v = viewRef.current;
+			const wanted = { x: v.x + vx * dt, y: v.y + vy * dt };
+			const next = apply({ ...v, ...wanted });
+			if (next.x !== wanted.x) vx = 0;
+			if (next.y !== wanted.y) vy = 0;
+			inertiaRef.current = requestAnimationFrame(step);
+		};
+		inertiaRef.current = requestAnimationFrame(step);
+	}
+
+	function pointFor(e) {
+		const rect = containerRef.current.getBoundingClientRect();
+		return { x: e.clientX - rect.left, y: e.clientY - rect.top, t: e.timeStamp };
+	}
+
+	// One pointer drags, two pinch; moved says whether a drag can still be a tap
+	function startGesture(moved) {
+		const points = [...pointersRef.current.values()];
+		if (points.length === 1) {
+			gestureRef.current = { type: "drag", moved, start: points[0], last: points[0], samples: [points[0]] };
+		} else if (points.length >= 2) {
+			const [a, b] = points;
+			gestureRef.current = {
+				type: "pinch",
+				distance: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+				mid: midpoint(a, b),
+				view: viewRef.current,
+			};
+		} else {
+			gestureRef.current = null;
+		}
+		setDragging(points.length > 0 && moved);
+	}
+
+	function onPointerDown(e) {
+		if (disabled) return;
+		if (e.pointerType === "mouse" && e.button !== 0) return;
+		if (e.target.closest?.(INTERACTIVE)) return;
+		stopInertia();
+		pointersRef.current.set(e.pointerId, pointFor(e));
+		try { // Keep receiving moves when the pointer leaves the viewport
+			containerRef.current.setPointerCapture(e.pointerId);
+		} catch {}
+		startGesture(pointersRef.current.size > 1);
+	}
+
+	function onPointerMove(e) {
+		if (!pointersRef.current.has(e.pointerId)) return;
+		const p = pointFor(e);
+		pointersRef.current.set(e.pointerId, p);
+		const g = gestureRef.current;
+		if (!g) return;
+
+		if (g.type === "drag") {
+			if (!g.moved && Math.hypot(p.x - g.start.x, p.y - g.start.y) < TAP_SLOP) return;
+			if (!g.moved) setDragging(true);
+			g.moved = true;
+			const v = viewRef.current;
+			apply({ ...v, x: v.x + p.x - g.last.x, y: v.y + p.y - g.last.y });
+			g.last = p;
+			g.samples = [...g.samples.filter(s => p.t - s.t < VELOCITY_WINDOW_MS), p];
+			return;
+		}
+
+		// Pinch: zoom by the change in finger distance around the first midpoint, and follow the midpoint
+		const [a, b] = [...pointersRef.current.values()];
+		const mid = midpoint(a, b);
+		const o = latest.current;
+		const k = o.base * g.view.zoom;
+		const zoom = Math.max(o.minZoom, Math.min(o.maxZoom, g.view.zoom * (Math.hypot(a.x - b.x, a.y - b.y) / g.distance)));
+		const k2 = o.base * zoom;
+		apply({
+			x: mid.x - ((g.mid.x - g.view.x) / k) * k2,
+			y: mid.y - ((g.mid.y - g.view.y) / k) * k2,
+			zoom,
+		});
+	}
+
+	function onPointerUp(e) {
+		if (!pointersRef.current.has(e.pointerId)) return;
+		const g = gestureRef.current;
+		const p = pointFor(e);
+		pointersRef.current.delete(e.pointerId);
+		try {
+			containerRef.current.releasePointerCapture(e.pointerId);
+		} catch {
+			// ignore release errors
+		}
+		// A finger lifted from a pinch: carry on dragging with the other one
+		if (pointersRef.current.size > 0) {
+			startGesture(true);
+			return;
+		}
+		startGesture(false);
+		if (!g) return;
+		if (g.type === "pinch" || g.moved) {
+			suppressClickRef.current = true;
+			const first = g.samples?.[0];
+			const last = g.samples?.[g.samples.length - 1];
+			if (e.type === "pointerup" && first && last && p.t - last.t < VELOCITY_WINDOW_MS && last.t > first.t) {
+				fling((last.x - first.x) / (last.t - first.t), (last.y - first.y) / (last.t - first.t));
+			}
+			return;
+		}
+		if (e.type === "pointerup" && onTap) {
+			const v = viewRef.current;
+			const k = base * v.zoom;
+			onTap({ x: (p.x - v.x) / k, y: (p.y - v.y) / k }, e);
+		}
+	}
+
+	function onKeyDown(e) {
+		if (disabled || e.target !== e.currentTarget) return;
+		const actions = {
+			ArrowUp: () => panBy(0, PAN_STEP),
+			ArrowDown: () => panBy(0, -PAN_STEP),
+			ArrowLeft: () => panBy(PAN_STEP, 0),
+			ArrowRight: () => panBy(-PAN_STEP, 0),
+			"+": () => zoomBy(ZOOM_STEP),
+			"=": () => zoomBy(ZOOM_STEP),
+			"-": () => zoomBy(1 / ZOOM_STEP),
+			"0": () => reset(),
+		};
+		const action = actions[e.key];
+		if (!action) return;
+		e.preventDefault();
+		action();
+	}
+
+	// Click or drag on the minimap to look there
+	function onMinimapPointer(e) {
+		e.stopPropagation();
+		if (e.type === "pointerdown") {
+			try {
+				e.currentTarget.setPointerCapture(e.pointerId);
+			} catch {}
+		} else if (!e.buttons) {
+			return;
+		}
+		const rect = e.currentTarget.getBoundingClientRect();
+		setView({
+			center: {
+				x: ((e.clientX - rect.left) / rect.width) * contentWidth,
+				y: ((e.clientY - rect.top) / rect.height) * contentHeight,
+			},
+			zoom: viewRef.current.zoom,
+		});
+	}
+
+	const scale = base * view.zoom;
+	const shown = { ...view, scale, width: size.width, height: size.height };
+	const minimapHeight = (MINIMAP_WIDTH * contentHeight) / contentWidth;
+
+	return (
+		<div
+			ref={containerRef}
+			className={`relative overflow-hidden outline-none focus-visible:ring-4 focus-visible:ring-[#00AEEF]/60 ${className}`}
+			style={{ touchAction: "none", cursor: dragging ? "grabbing" : undefined, ...style }}
+			tabIndex={0}
+			role="application"
+			aria-label={`${label}. Drag or use the arrow keys to move, + and - to zoom, 0 to reset.`}
+			onPointerDownCapture={() => { suppressClickRef.current = false; }}
+			onPointerDown={onPointerDown}
+			onPointerMove={onPointerMove}
+			onPointerUp={onPointerUp}
+			onPointerCancel={onPointerUp}
+			onClickCapture={e => {
+				// Releasing a drag over a marker isn't a click on it
+				if (!suppressClickRef.current) return;
+				suppressClickRef.current = false;
+				e.stopPropagation();
+			}}
+			onKeyDown={onKeyDown}
+		>
+			{/* Content, scaled with the zoom */}
+			<div
+				className="absolute top-0 left-0 origin-top-left"
+				style={{ width: contentWidth, height: contentHeight, transform: `translate(${view.x}px, ${view.y}px) scale(${scale})` }}
+			>
+				{children}
+			</div>
+
+			{overlay?.(shown)}
+
+			{zoomControls && (
+				<div className="absolute right-2 bottom-2 z-30 flex flex-col gap-1">
+					<button
+						type="button"
+						onClick={() => zoomBy(ZOOM_STEP)}
+						disabled={disabled || view.zoom >= maxZoom}
+						title="Zoom in"
+						className="w-8 h-8 bg-white/90 text-gray-800 font-bold rounded-md shadow cursor-pointer disabled:opacity-50"
+					>
+						+
+					</button>
+					<button
+						type="button"
+						onClick={() => zoomBy(1 / ZOOM_STEP)}
+						disabled={disabled || view.zoom <= minZoom}
+						title="Zoom out"
+						className="w-8 h-8 bg-white/90 text-gray-800 font-bold rounded-md shadow cursor-pointer disabled:opacity-50"
+					>
+						−
+					</button>
+				</div>
+			)}
+
+			{minimap && size.width > 0 && (
+				<div
+					className="absolute left-2 bottom-2 z-30 rounded border-2 border-white bg-white/80 shadow overflow-hidden cursor-pointer"
+					style={{ width: MINIMAP_WIDTH, height: minimapHeight }}
+					onPointerDown={onMinimapPointer}
+					onPointerMove={onMinimapPointer}
+					aria-hidden="true"
+				>
+					{minimap}
+					<div
+						className="absolute border-2 border-[#FF7A00] bg-[#FF7A00]/10 pointer-events-none"
+						style={{
+							left: `${(-view.x / scale / contentWidth) * 100}%`,
+							top: `${(-view.y / scale / contentHeight) * 100}%`,
+							width: `${(size.width / scale / contentWidth) * 100}%`,
+							height: `${(size.height / scale / contentHeight) * 100}%`,
+						}}
+					/>
+				</div>
+			)}
+		</div>
+	);
+}
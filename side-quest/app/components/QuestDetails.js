@@ -0,0 +1,65 @@
+/*
+	Name: QuestDetails.js
+	Description: A quest's longer content: cover image, markdown description,
+	             accessibility note and hints revealed one at a time. Used in the
+	             map's quest list, the quest log and the admin preview.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: description, imageUrl, hints, accessibilityNote
+	Output: The rendered content
+*/
+
+"use client";
+
+import { useState } from "react";
+import Image from "next/image";
+import { Accessibility, Lightbulb } from "lucide-react";
+import Markdown from "./Markdown";
+
+export default function QuestDetails({ description, imageUrl, hints = [], accessibilityNote, className = "" }) {
+	// How many hints the player has asked for
+	const [shownHints, setShownHints] = useState(0);
+
+	return (
+		<div className={`flex flex-col gap-2 text-xs text-gray-700 dark:text-gray-200 ${className}`}>
+			{imageUrl && (
+				<Image
+					src={imageUrl}
+					alt=""
+					width={480}
+					height={270}
+					unoptimized
+					className="w-full h-auto max-h-40 object-cover rounded"
+				/>
+			)}
+			{description && <Markdown source={description} />}
+			{accessibilityNote && (
+				<div className="flex items-start gap-1.5 p-1.5 rounded bg-blue-50 dark:bg-blue-900/20 text-blue-900 dark:text-blue-100">
+					<Accessibility className="w-4 h-4 flex-shrink-0" aria-label="Accessibility" />
+					<span>{accessibilityNote}</span>
+				</div>
+			)}
+			{hints.length > 0 && (
+				<div className="flex flex-col gap-1">
+					{hints.slice(0, shownHints).map((hint, i) => (
+						<div key={i} className="flex items-start gap-1.5 p-1.5 rounded bg-yellow-50 dark:bg-yellow-900/20">
+							<Lightbulb className="w-4 h-4 flex-shrink-0 text-[#FF7A00]" />
+							<span><span className="font-semibold">Hint {i + 1}:</span> {hint}</span>
+						</div>
+					))}
+					{shownHints < hints.length && (
+						<button
+							type="button"
+							className="self-start text-[#00AEEF] underline cursor-pointer"
+							onClick={() => setShownHints(n => n + 1)}
+						>
+							{shownHints === 0 ? "Need a hint?" : `Another hint (${hints.length - shownHints} left)`}
+						</button>
+					)}
+				</div>
+			)}
+		</div>
+	);
+}
@@ -4,7 +4,8 @@
 	Programmers: Alejandro Sandoval, Pashia Vang
 	Date: 10/25/2025
 	Revisions: Add notifications - 11/06/2025, Add conditional admin page - 11/23/2025,
-		Fix navbar width and overflow at mid-range viewports - 03/29/2026
+		Fix navbar width and overflow at mid-range viewports - 03/29/2026,
+		Show admin tab to moderators and content editors - 10/19/2026
 	Errors: N/A
 	Input: User object (name, email) from parent component
 	Output: Navigation toolbar with links, login/logout buttons, and notifications
@@ -98,8 +99,8 @@ export default function ToolbarClient({ user }) {
 				<Link href="/quests" className="group flex items-center gap-1.5 px-2 xl:px-3 py-2 rounded-lg hover:bg-white/10 hover:text-[#FFDA00] transition-all duration-200 whitespace-nowrap"> <Compass className="w-4 h-4 xl:w-5 xl:h-5 flex-shrink-0" /> Quests</Link>
 				<Link href="/leaderboard" className="group flex items-center gap-1.5 px-2 xl:px-3 py-2 rounded-lg hover:bg-white/10 hover:text-[#FFDA00] transition-all duration-200 whitespace-nowrap"> <Trophy className="w-4 h-4 xl:w-5 xl:h-5 flex-shrink-0" /> <span className="hidden xl:inline">Leaderboard</span><span className="xl:hidden">Board</span></Link>
 				<Link href="/shop" className="group flex items-center gap-1.5 px-2 xl:px-3 py-2 rounded-lg hover:bg-white/10 hover:text-[#FFDA00] transition-all duration-200 whitespace-nowrap"> <ShoppingBag className="w-4 h-4 xl:w-5 xl:h-5 flex-shrink-0" /> Shop</Link>
-				{/* Admin tab is only visible if user is admin*/}
-				{user?.is_admin && (
+				{/* Admin tab is only visible to staff (admins, moderators, content editors) */}
+				{user?.is_staff && (
 					<Link href="/admin" className="group flex items-center gap-1.5 px-2 xl:px-3 py-2 rounded-lg hover:bg-white/10 hover:text-[#FFDA00] transition-all duration-200 whitespace-nowrap"> <Brain className="w-4 h-4 xl:w-5 xl:h-5 flex-shrink-0" /> Admin</Link>
 				)}
 			</div>
@@ -158,8 +159,8 @@ export default function ToolbarClient({ user }) {
 						<Link href="/quests" className={`px-3 py-2 rounded-md ${isDark ? "hover:bg-white/10" : "hover:bg-gray-100"}`}>Quests</Link>
 						<Link href="/leaderboard" className={`px-3 py-2 rounded-md ${isDark ? "hover:bg-white/10" : "hover:bg-gray-100"}`}>Leaderboard</Link>
 						<Link href="/shop" className={`px-3 py-2 rounded-md ${isDark ? "hover:bg-white/10" : "hover:bg-gray-100"}`}>Shop</Link>
-						{/* Admin tab is only visible if user is admin*/}
-						{user?.is_admin && (
+						{/* Admin tab is only visible to staff (admins, moderators, content editors) */}
+						{user?.is_staff && (
 							<Link href="/admin" className={`px-3 py-2 rounded-md font-medium ${isDark ? "hover:bg-white/10" : "hover:bg-gray-100"}`}>Admin</Link>
 						)}
 						<div className={`mt-2 pt-2 border-t ${isDark ? "border-white/10" : ""}`}>
@@ -0,0 +1,101 @@
+/*
+	Name: forgot-password/page.js
+	Description: Page to request a password reset email.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: Email address typed by the user
+	Output: Confirmation that a reset link was sent if the account exists
+*/
+
+"use client";
+import { useState } from "react";
+import Link from "next/link";
+import { motion } from "framer-motion";
+import { Mail } from "lucide-react";
+
+export default function ForgotPasswordPage() {
+	// Local state for the form field, submit status and error handling
+	const [email, setEmail] = useState("");
+	const [sent, setSent] = useState(false);
+	const [submitting, setSubmitting] = useState(false);
+	const [err, setErr] = useState("");
+
+	// Ask the backend to email a reset link
+	async function submit(e) {
+		e.preventDefault();
+		setErr("");
+		setSubmitting(true);
+		try {
+			const res = await fetch("/api/auth/forgot", {
+				method: "POST",
+				headers: { "Content-Type": "application/json" },
+				body: JSON.stringify({ email }),
+			});
+			if (res.ok) {
+				setSent(true);
+			} else {
+				const payload = await res.json();
+				setErr(payload?.message || "Something went wrong");
+			}
+		} catch (e) {
+			setErr("Something went wrong");
+		} finally {
+			setSubmitting(false);
+		}
+	}
+
+	return (
+		<div className="min-h-[calc(100vh-80px)] flex items-center justify-center bg-[#FFF6D8] py-10">
+			<motion.div
+				initial={{ scale: 0.9, opacity: 0 }}
+				animate={{ scale: 1, opacity: 1 }}
+				transition={{ duration: 0.6, ease: "easeOut" }}
+				className="w-full md:w-[400px] bg-white border-4 border-[#FF7A00] rounded-3xl p-8 shadow-[8px_8px_0_#00AEEF]"
+			>
+				<h2 className="text-3xl font-bold text-center text-[#FF7A00] mb-6">
+					Forgot Password
+				</h2>
+				{sent ? (
+					// Same message whether or not the account exists
+					<div className="flex flex-col items-center gap-4 text-center">
+						<Mail className="w-12 h-12 text-[#00AEEF]" />
+						<p className="text-gray-700">
+							If an account exists for <strong>{email}</strong>, we sent a link to reset your password. It expires in one hour.
+						</p>
+					</div>
+				) : (
+					<form onSubmit={submit} className="flex flex-col gap-4">
+						<p className="text-sm text-gray-700">
+							Enter the email you signed up with and we will send you a link to choose a new password.
+						</p>
+						<input
+							type="email"
+							placeholder="Email"
+							value={email}
+							onChange={(e) => setEmail(e.target.value)}
+							className="border-2 border-[#00AEEF] focus:border-[#FF7A00] rounded-xl px-4 py-3 text-gray-700 focus:outline-none"
+							required
+						/>
+						{err && <div className="text-red-600 text-sm bg-red-50 p-3 rounded-xl border border-red-200">{err}</div>}
+						<button
+							type="submit"
+							disabled={submitting}
+							className="bg-[#FF7A00] hover:bg-[#FF9500] hover:scale-105 text-white font-bold text-lg py-3 rounded-xl shadow-md mt-2 cursor-pointer transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+						>
+							Send Reset Link
+						</button>
+					</form>
+				)}
+
+				<p className="text-center text-sm text-gray-700 mt-4">
+					Remembered it?{" "}
+					<Link href="/login" className="text-[#00AEEF] font-semibold hover:underline">
+						Back to login
+					</Link>
+				</p>
+			</motion.div>
+		</div>
+	);
+}
@@ -8,7 +8,9 @@
 	           Added timer, multi-round game, and end-game summary - 2/19/2026,
 	           Added speed bonus for timed mode - 03/29/2026,
 	           Added share score feature - 03/29/2026,
-	           Made game interface responsive for mobile - 03/29/2026
+	           Made game interface responsive for mobile - 03/29/2026,
+	           Explain when an unverified email or rate limit blocks a guess - 10/19/2026,
+	           Pinch, scroll and keyboard zoom with a minimap through the shared viewport - 10/19/2026
 	Errors: N/A
 	Input:
 		- User auth token (cookie)
@@ -20,13 +22,17 @@
 "use client";
 
 import { useState, useEffect, useRef, useCallback } from "react";
+import Image from "next/image";
 import { Trophy, Lightbulb, RefreshCw, X, HelpCircle, Eye, Clock, Share2, Check } from "lucide-react";
+import PanZoomViewport from "../components/PanZoomViewport";
 
 const TOTAL_ROUNDS = 5;
 
-const DEFAULT_ZOOM = 2.3;
-const DEFAULT_PAN_X = -410;
-const DEFAULT_PAN_Y = -180;
+const MAP_WIDTH_ORIGINAL = 1669;
+const MAP_HEIGHT_ORIGINAL = 1535;
+
+// Each round starts zoomed in on the middle of campus
+const DEFAULT_VIEW = { center: { x: 860, y: 552 }, zoom: 2.3 };
 
 // Notebook-dot grid + sticker shapes background, matching the rest of the app.
 function BackgroundPattern() {
@@ -76,7 +82,6 @@ export default function GeoThinkrPage() {
 	const [hint1Revealed, setHint1Revealed] = useState(false);
 	const [hint2Revealed, setHint2Revealed] = useState(false);
 	const [copied, setCopied] = useState(false);
-	const mapRef = useRef(null);
 
 	// Multi-round state
 	const [currentRound, setCurrentRound] = useState(1);
@@ -87,12 +92,9 @@ export default function GeoThinkrPage() {
 	const [timeLimit, setTimeLimit] = useState(null); // null=unlimited, 30, 60, or 90
 	const [timeRemaining, setTimeRemaining] = useState(null);
 
-	// Map zoom and pan state
-	const [mapZoom, setMapZoom] = useState(DEFAULT_ZOOM);
-	const [mapPanX, setMapPanX] = useState(DEFAULT_PAN_X);
-	const [mapPanY, setMapPanY] = useState(DEFAULT_PAN_Y);
-	const [isDragging, setIsDragging] = useState(false);
-	const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
+	// Map zoom (the viewport owns pan and zoom; this copy decides whether to show the minimap)
+	const viewportRef = useRef(null);
+	const [mapZoom, setMapZoom] = useState(DEFAULT_VIEW.zoom);
 	const [showAccuracyOverlay, setShowAccuracyOverlay] = useState(false);
 
 	// Refs for stale closure avoidance in timer callback
@@ -102,15 +104,7 @@ export default function GeoThinkrPage() {
 	const difficultyRef = useRef(null);
 	const timeLimitRef = useRef(null);
 	const timeRemainingRef = useRef(null);
-	const mapContainerRef = useRef(null);
 	const submitGuessRef = useRef(null);
-	const mapZoomRef = useRef(DEFAULT_ZOOM);
-	const mapPanXRef = useRef(DEFAULT_PAN_X);
-	const mapPanYRef = useRef(DEFAULT_PAN_Y);
-	const isDraggingRef = useRef(false);
-
-	const MAP_WIDTH_ORIGINAL = 1669;
-	const MAP_HEIGHT_ORIGINAL = 1535;
 
 	// Keep refs in sync with state
 	useEffect(() => { guessRef.current = guess; }, [guess]);
@@ -119,10 +113,6 @@ export default function GeoThinkrPage() {
 	useEffect(() => { difficultyRef.current = difficulty; }, [difficulty]);
 	useEffect(() => { timeLimitRef.current = timeLimit; }, [timeLimit]);
 	useEffect(() => { timeRemainingRef.current = timeRemaining; }, [timeRemaining]);
-	useEffect(() => { mapZoomRef.current = mapZoom; }, [mapZoom]);
-	useEffect(() => { mapPanXRef.current = mapPanX; }, [mapPanX]);
-	useEffect(() => { mapPanYRef.current = mapPanY; }, [mapPanY]);
-	useEffect(() => { isDraggingRef.current = isDragging; }, [isDragging]);
 
 	/*
 		Function: getMapZoom
@@ -155,9 +145,7 @@ export default function GeoThinkrPage() {
 		setHintsUsed(0);
 		setHint1Revealed(false);
 		setHint2Revealed(false);
-		setMapZoom(DEFAULT_ZOOM);
-		setMapPanX(DEFAULT_PAN_X);
-		setMapPanY(DEFAULT_PAN_Y);
+		viewportRef.current?.reset();
 		try {
 			let url = "/api/geothinkr/game";
 			if (excludeIds.length > 0) {
@@ -213,10 +201,10 @@ export default function GeoThinkrPage() {
 	/*
 		Function: submitGuess
 		Description: Submits a guess to the API and records the round result.
-		Arguments: x, y - original map coordinates; displayX, displayY - display coordinates
+		Arguments: x, y - original map coordinates
 		Returns: void (updates state with result)
 	*/
-	async function submitGuess(x, y, displayX, displayY) {
+	async function submitGuess(x, y) {
 		const currentPhoto = photoRef.current;
 		if (!currentPhoto) return;
 
@@ -235,33 +223,32 @@ export default function GeoThinkrPage() {
 				})
 			});
 
+			if (res.status === 403 || res.status === 429) {
+				// Unverified email (guesses would award points) or guessing too fast
+				const { error } = await res.json().catch(() => ({}));
+				alert(error || "You can't submit guesses yet");
+				return;
+			}
 			if (!res.ok) throw new Error("Failed to submit guess");
 			const data = await res.json();
 
-			const mapContainer = mapContainerRef.current;
-			const rect = mapContainer ? mapContainer.getBoundingClientRect() : null;
-			const scaleX = rect ? rect.width / MAP_WIDTH_ORIGINAL : 1;
-			const scaleY = rect ? rect.height / MAP_HEIGHT_ORIGINAL : 1;
+			// Everything is kept in original map coordinates; the viewport scales it
 			const { spotOnRadius, closeRadius } = getScoringThresholds(difficultyRef.current || "easy");
 
 			const resultData = {
 				...data,
-				displayCorrectX: data.correct_x * scaleX,
-				displayCorrectY: data.correct_y * scaleY,
-				displaySpotOnRadiusX: spotOnRadius * scaleX,
-				displaySpotOnRadiusY: spotOnRadius * scaleY,
-				displayCloseRadiusX: closeRadius * scaleX,
-				displayCloseRadiusY: closeRadius * scaleY,
-				displayGuessX: displayX,
-				displayGuessY: displayY
+				displayCorrectX: data.correct_x,
+				displayCorrectY: data.correct_y,
+				displaySpotOnRadius: spotOnRadius,
+				displayCloseRadius: closeRadius,
+				displayGuessX: x,
+				displayGuessY: y
 			};
 
 			setResult(resultData);
 			setShowAccuracyOverlay(false);
 			// Reset zoom levels so you can see all pins
-			setMapZoom(1);
-			setMapPanX(0);
-			setMapPanY(0);
+			viewportRef.current?.setView({ zoom: 1 });
 
 			// Record round result
 			setRoundResults(prev => [...prev, {
@@ -285,124 +272,16 @@ export default function GeoThinkrPage() {
 	// Keep submitGuess ref in sync
 	submitGuessRef.current = submitGuess;
 
-	const handleMapWheel = useCallback((e) => {
-		// Check if panning is allowed
-		if (gameState !== 'playing') return;
-		e.preventDefault();
-		const zoomStep = 0.1;
-		const minZoom = 1;
-		const maxZoom = 3;
-		// Decide if zooming in or out
-		const direction = e.deltaY > 0 ? -1 : 1;
-		const oldZoom = mapZoomRef.current
-		const newZoom = Math.max(minZoom, Math.min(maxZoom, mapZoomRef.current + zoomStep*direction));
-
-		// When zooming with center origin, adjust pan to keep center point centered
-		const containerEl = mapContainerRef.current;
-		if (containerEl && newZoom !== oldZoom) {
-			const rect = containerEl.getBoundingClientRect();
-			const containerWidth = rect.width;
-			const containerHeight = rect.height;
-			
-			// Calculate what map point is currently at the center of the viewport
-			const mapCenterX = (containerWidth / 2 - mapPanXRef.current) / oldZoom;
-			const mapCenterY = (containerHeight / 2 - mapPanYRef.current) / oldZoom;
-			
-			// After zooming, adjust pan so this same point remains at viewport center
-			const newPanX = containerWidth / 2 - mapCenterX * newZoom;
-			const newPanY = containerHeight / 2 - mapCenterY * newZoom;
-			
-			setMapPanX(newPanX);
-			setMapPanY(newPanY);
-		}
-		setMapZoom(newZoom);
-	}, [gameState]);
-
-	const handleMapDragStart = useCallback((e) => {
-		if (gameState !== 'playing') return;
-		// Move with right mouse button
-		if (e.button === 2) {
-			e.preventDefault();
-			setIsDragging(true);
-			setDragStart({ x: e.clientX - mapPanXRef.current, y: e.clientY - mapPanYRef.current });
-		}
-	}, [gameState]);
-
-	const handleMapDragMove = useCallback((e) => {
-		if (!isDraggingRef.current) return;
-
-		const containerEl = mapContainerRef.current;
-		if (!containerEl) return;
-
-		const rect = containerEl.getBoundingClientRect();
-		const containerWidth = rect.width;
-		const containerHeight = rect.height;
-		const scaledMapWidth = MAP_WIDTH_ORIGINAL * mapZoomRef.current;
-		const scaledMapHeight = MAP_HEIGHT_ORIGINAL * mapZoomRef.current;
-		// For center origin, pan limits are symmetric
-		const maxPanX = Math.max(0, (scaledMapWidth - containerWidth) / 2);
-		const maxPanY = Math.max(0, (scaledMapHeight - containerHeight) / 2);
-
-		// get new pan position
-		let newPanX = e.clientX - dragStart.x;
-		let newPanY = e.clientY - dragStart.y;
-		newPanX = Math.max(-maxPanX, Math.min(maxPanX, newPanX));
-		newPanY = Math.max(-maxPanY, Math.min(maxPanY, newPanY));
-
-		setMapPanX(newPanX);
-		setMapPanY(newPanY);
-	}, [dragStart]);
-
-	const handleMapDragEnd = useCallback((e) => {
-		// Move with right mouse button
-		if (e.button == 2) {
-			setIsDragging(false);
-		}
-	}, []);
-
-	useEffect(() => {
-		// Listen to mouse dragging events
-		const container = mapContainerRef.current;
-		if (!container) return;
-
-		container.addEventListener('wheel', handleMapWheel, { passive: false });
-		container.addEventListener('mousedown', handleMapDragStart);
-		document.addEventListener('mousemove', handleMapDragMove);
-		document.addEventListener('mouseup', handleMapDragEnd);
-		return () => {
-			container.removeEventListener('wheel', handleMapWheel);
-			container.removeEventListener('mousedown', handleMapDragStart);
-			document.removeEventListener('mousemove', handleMapDragMove);
-			document.removeEventListener('mouseup', handleMapDragEnd);
-		};
-	}, [handleMapWheel, handleMapDragStart, handleMapDragMove, handleMapDragEnd]);
-
 	/*
-		Function: handleMapClick
-		Description: Processes the user's click on the map, submits guess to API.
-		Arguments: e - click event
+		Function: handleMapTap
+		Description: Processes the user's tap on the map, submits guess to API.
+		Arguments: point - original map coordinates under the tap, from the viewport
 		Returns: void (updates state with result)
 	*/
-	async function handleMapClick(e) {
-		if (gameState !== 'playing' || !photo || isDraggingRef.current) return;
-
-		const rect = e.currentTarget.getBoundingClientRect();
-		const clickX = e.clientX - rect.left;
-		const clickY = e.clientY - rect.top;
-
-		// Adjust for zoom and pan
-		const adjustedClickX = (clickX - mapPanXRef.current) / mapZoomRef.current;
-		const adjustedClickY = (clickY - mapPanYRef.current) / mapZoomRef.current;
-
-		const scaleX = rect.width / MAP_WIDTH_ORIGINAL;
-		const scaleY = rect.height / MAP_HEIGHT_ORIGINAL;
-
-		const originalX = adjustedClickX / scaleX;
-		const originalY = adjustedClickY / scaleY;
-
-		setGuess({ x: clickX, y: clickY, originalX, originalY, mapWidth: rect.width, mapHeight: rect.height });
-
-		await submitGuess(originalX, originalY, adjustedClickX, adjustedClickY);
+	async function handleMapTap(point) {
+		if (gameState !== 'playing' || !photo) return;
+		setGuess({ x: point.x, y: point.y });
+		await submitGuess(point.x, point.y);
 	}
 
 	/*
@@ -413,7 +292,7 @@ export default function GeoThinkrPage() {
 	*/
 	const handleTimeUp = useCallback(() => {
 		// Auto-submit at (0,0) — scoring naturally gives 0 points
-		submitGuessRef.current(0, 0, 0, 0);
+		submitGuessRef.current(0, 0);
 	}, []);
 
 	/*
@@ -463,9 +342,7 @@ export default function GeoThinkrPage() {
 		setResult(null);
 		setGuess(null);
 		setPhoto(null);
-		setMapZoom(1);
-		setMapPanX(0);
-		setMapPanY(0);
+		viewportRef.current?.setView({ zoom: 1 });
 		setGameState('menu');
 	}
 
@@ -810,126 +687,140 @@ export default function GeoThinkrPage() {
 				{/* Map Side */}
 				<div className="bg-white rounded-2xl border-4 border-[#00AEEF] shadow-[8px_8px_0_#FF7A00] p-2 relative overflow-hidden flex flex-col items-center justify-center">
 					<div
-						className={`relative rounded-xl overflow-hidden border-4 border-gray-200 group shadow-inner ${
-							isDragging ? 'cursor-grabbing' : 'cursor-crosshair'
-						}`}
+						className="relative rounded-xl overflow-hidden border-4 border-gray-200 group shadow-inner"
 						style={{ aspectRatio: `${MAP_WIDTH_ORIGINAL/MAP_HEIGHT_ORIGINAL}`, width: '100%', maxWidth: '600px' }}
 					>
-						<div
-							ref={(el) => { mapRef.current = el; mapContainerRef.current = el; }}
-							className="relative w-full h-full overflow-hidden"
-							onClick={handleMapClick}
-							onContextMenu={(e) => e.preventDefault()}
+						<PanZoomViewport
+							ref={viewportRef}
+							className="w-full h-full cursor-crosshair"
+							label="Guess map"
+							contentWidth={MAP_WIDTH_ORIGINAL}
+							contentHeight={MAP_HEIGHT_ORIGINAL}
+							fit
+							clamp="cover"
+							minZoom={1}
+							maxZoom={3}
+							initialView={DEFAULT_VIEW}
+							disabled={gameState !== 'playing'}
+							zoomControls={gameState === 'playing'}
+							minimap={gameState === 'playing' && mapZoom > 1 ? (
+								<Image src="/map.png" alt="" fill unoptimized draggable={false} className="object-fill select-none" />
+							) : null}
+							onTap={handleMapTap}
+							onViewChange={v => setMapZoom(v.zoom)}
+							overlay={v => {
+								// Original map coordinates to viewport pixels
+								const sx = x => v.x + x * v.scale;
+								const sy = y => v.y + y * v.scale;
+								return (
+									<>
+										{/* Zoom level indicator */}
+										{v.zoom > 1 && (
+											<div className="absolute top-2 right-2 bg-black/70 text-white px-3 py-1 rounded-full text-xs font-bold pointer-events-none">
+												{`${Math.round(v.zoom * 100)}%`}
+											</div>
+										)}
+
+										{/* Hover effect prompt */}
+										{gameState === 'playing' && (
+											<div className="absolute top-4 left-1/2 -translate-x-1/2 bg-white/90 backdrop-blur px-4 py-2 rounded-full shadow-lg font-bold text-gray-700 pointer-events-none opacity-0 group-hover:opacity-100 transition-opacity z-10 whitespace-nowrap">
+												{v.zoom > 1 ? 'Tap to guess · Drag to pan' : 'Click where you think this is!'}
+											</div>
+										)}
+
+										{/* Result Visualization */}
+										{result && (
+											<>
+												{showAccuracyOverlay && (
+													<>
+														{/* Circles showing how close your guess needs to be */}
+														<svg className="absolute inset-0 pointer-events-none w-full h-full" style={{ zIndex: 8 }}>
+															<circle
+																cx={sx(result.displayCorrectX)}
+																cy={sy(result.displayCorrectY)}
+																r={result.displayCloseRadius * v.scale}
+																fill="rgba(245, 158, 11, 0.18)"
+																stroke="rgba(217, 119, 6, 0.7)"
+																strokeWidth="2"
+															/>
+															<circle
+																cx={sx(result.displayCorrectX)}
+																cy={sy(result.displayCorrectY)}
+																r={result.displaySpotOnRadius * v.scale}
+																fill="rgba(34, 197, 94, 0.26)"
+																stroke="rgba(22, 163, 74, 0.9)"
+																strokeWidth="2"
+															/>
+														</svg>
+
+														<div className="absolute left-2 bottom-2 z-20 bg-white/92 backdrop-blur rounded-lg border border-gray-200 px-2 py-1 text-[10px] md:text-xs font-semibold text-gray-700 pointer-events-none">
+															<div className="flex items-center gap-2">
+																<span className="inline-block w-3 h-3 rounded-full bg-green-500/70 border border-green-700/70" />
+																<span>Correct</span>
+															</div>
+															<div className="flex items-center gap-2 mt-0.5">
+																<span className="inline-block w-3 h-3 rounded-full bg-amber-400/70 border border-amber-700/70" />
+																<span>Close</span>
+															</div>
+														</div>
+													</>
+												)}
+
+												{/* Line connecting them */}
+												<svg className="absolute inset-0 pointer-events-none w-full h-full" style={{ zIndex: 10 }}>
+													<line
+														x1={sx(result.displayGuessX)}
+														y1={sy(result.displayGuessY)}
+														x2={sx(result.displayCorrectX)}
+														y2={sy(result.displayCorrectY)}
+														stroke="#FF7A00"
+														strokeWidth="3"
+														strokeDasharray="5,5"
+													/>
+												</svg>
+
+												{/* User Guess */}
+												<div
+													className={`absolute w-6 h-6 rounded-full border-4 border-white shadow-lg flex items-center justify-center transform -translate-x-1/2 -translate-y-1/2 z-20 ${
+														result.tier === 'Spot-on!' ? 'bg-green-500' :
+														result.tier === 'Close enough' ? 'bg-amber-500' :
+														'bg-red-500'
+													}`}
+													style={{
+														left: sx(result.displayGuessX),
+														top: sy(result.displayGuessY)
+													}}
+												>
+													<X className="w-4 h-4 text-white" />
+												</div>
+
+												{/* Location */}
+												<div
+													className="absolute w-8 h-8 bg-green-500 rounded-full border-4 border-white shadow-lg flex items-center justify-center transform -translate-x-1/2 -translate-y-1/2 z-20 animate-bounce"
+													onMouseEnter={() => setShowAccuracyOverlay(true)}
+													onMouseLeave={() => setShowAccuracyOverlay(false)}
+													style={{
+														left: sx(result.displayCorrectX),
+														top: sy(result.displayCorrectY)
+													}}
+												>
+													<Lightbulb className="w-5 h-5 text-white" />
+												</div>
+											</>
+										)}
+									</>
+								);
+							}}
 						>
-							<img
+							<Image
 								src="/map.png"
-								className="w-full h-full object-fill select-none"
 								alt="Game Map"
+								fill
+								unoptimized
 								draggable={false}
-								style={{
-									transform: `translate(${mapPanX}px, ${mapPanY}px) scale(${mapZoom})`,
-									transformOrigin: 'left top',
-									transition: 'scale 0.15s ease-out',
-								}}
+								className="object-fill select-none"
 							/>
-
-							{/* Zoom level indicator */}
-							{mapZoom > 1 && (
-								<div className="absolute top-2 right-2 bg-black/70 text-white px-3 py-1 rounded-full text-xs font-bold pointer-events-none">
-									{`${Math.round(mapZoom * 100)}%`}
-								</div>
-							)}
-
-							{/* Hover effect prompt */}
-							{gameState === 'playing' && (
-								<div className="absolute top-4 left-1/2 -translate-x-1/2 bg-white/90 backdrop-blur px-4 py-2 rounded-full shadow-lg font-bold text-gray-700 pointer-events-none opacity-0 group-hover:opacity-100 transition-opacity z-10 whitespace-nowrap">
-									{mapZoom > 1 ? 'Click to guess · Hold right click to pan' : 'Click where you think this is!'}
-								</div>
-							)}
-
-							{/* Result Visualization */}
-							{result && (
-								<>
-									{showAccuracyOverlay && (
-										<>
-											{/* Circles showing how close your guess needs to be */}
-											<svg className="absolute inset-0 pointer-events-none w-full h-full" style={{ zIndex: 8 }}>
-												<ellipse
-													cx={result.displayCorrectX * mapZoom + mapPanX}
-													cy={result.displayCorrectY * mapZoom + mapPanY}
-													rx={result.displayCloseRadiusX * mapZoom}
-													ry={result.displayCloseRadiusY * mapZoom}
-													fill="rgba(245, 158, 11, 0.18)"
-													stroke="rgba(217, 119, 6, 0.7)"
-													strokeWidth="2"
-												/>
-												<ellipse
-													cx={result.displayCorrectX * mapZoom + mapPanX}
-													cy={result.displayCorrectY * mapZoom + mapPanY}
-													rx={result.displaySpotOnRadiusX * mapZoom}
-													ry={result.displaySpotOnRadiusY * mapZoom}
-													fill="rgba(34, 197, 94, 0.26)"
-													stroke="rgba(22, 163, 74, 0.9)"
-													strokeWidth="2"
-												/>
-											</svg>
-
-											<div className="absolute left-2 bottom-2 z-20 bg-white/92 backdrop-blur rounded-lg border border-gray-200 px-2 py-1 text-[10px] md:text-xs font-semibold text-gray-700 pointer-events-none">
-												<div className="flex items-center gap-2">
-													<span className="inline-block w-3 h-3 rounded-full bg-green-500/70 border border-green-700/70" />
-													<span>Correct</span>
-												</div>
-												<div className="flex items-center gap-2 mt-0.5">
-													<span className="inline-block w-3 h-3 rounded-full bg-amber-400/70 border border-amber-700/70" />
-													<span>Close</span>
-												</div>
-											</div>
-										</>
-									)}
-
-									{/* Line connecting them */}
-									<svg className="absolute inset-0 pointer-events-none w-full h-full" style={{ zIndex: 10 }}>
-										<line
-											x1={result.displayGuessX * mapZoom + mapPanX}
-											y1={result.displayGuessY * mapZoom + mapPanY}
-											x2={result.displayCorrectX * mapZoom + mapPanX}
-											y2={result.displayCorrectY * mapZoom + mapPanY}
-											stroke="#FF7A00"
-											strokeWidth="3"
-											strokeDasharray="5,5"
-										/>
-									</svg>
-
-									{/* User Guess */}
-									<div
-										className={`absolute w-6 h-6 rounded-full border-4 border-white shadow-lg flex items-center justify-center transform -translate-x-1/2 -translate-y-1/2 z-20 ${
-											result.tier === 'Spot-on!' ? 'bg-green-500' :
-											result.tier === 'Close enough' ? 'bg-amber-500' :
-											'bg-red-500'
-										}`}
-										style={{
-											left: result.displayGuessX * mapZoom + mapPanX,
-											top: result.displayGuessY * mapZoom + mapPanY
-										}}
-									>
-										<X className="w-4 h-4 text-white" />
-									</div>
-
-									{/* Location */}
-									<div
-										className="absolute w-8 h-8 bg-green-500 rounded-full border-4 border-white shadow-lg flex items-center justify-center transform -translate-x-1/2 -translate-y-1/2 z-20 animate-bounce"
-										onMouseEnter={() => setShowAccuracyOverlay(true)}
-										onMouseLeave={() => setShowAccuracyOverlay(false)}
-										style={{
-											left: result.displayCorrectX * mapZoom + mapPanX,
-											top: result.displayCorrectY * mapZoom + mapPanY
-										}}
-									>
-										<Lightbulb className="w-5 h-5 text-white" />
-									</div>
-								</>
-							)}
-						</div>
+						</PanZoomViewport>
 					</div>
 				</div>
 
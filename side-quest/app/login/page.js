@@ -3,7 +3,7 @@
 	Description: Page to prompt user to log in.
 	Programmers: Alejandro Sandoval, Pashia Vang
 	Date: 10/25/2025
-	Revisions: Update UI style - 10/26/206
+	Revisions: Update UI style - 10/26/206, Return to the ?next= page after login - 10/19/2026, Forgot password link - 10/19/2026, Single sign-on buttons - 10/19/2026, Two-factor code step - 10/19/2026
 	Errors: N/A
 	Input: Global user progress data from the server
 	Output: Leaderboard page displaying user rankings
@@ -14,16 +14,49 @@ import { useState, useEffect } from "react";
 import { useRouter } from "next/navigation";
 import Link from "next/link";
 import { motion } from "framer-motion";
-import { Map, Compass } from "lucide-react";
+import { Map, Compass, KeyRound } from "lucide-react";
+import { safeNextPath } from "../../lib/redirects";
+
+// Page the middleware was sending the user to before it asked them to log in
+function nextPath(fallback) {
+	return safeNextPath(new URLSearchParams(window.location.search).get("next"), fallback);
+}
 
 export default function LoginPage() {
 	// Local state for form fields and error handling
 	const [email, setEmail] = useState("");
 	const [password, setPassword] = useState("");
 	const [err, setErr] = useState("");
+	const [providers, setProviders] = useState([]);
+	// Second step for users with two-factor on: the password (or SSO) was accepted
+	// and the server is waiting for an authenticator or recovery code
+	const [mfaStep, setMfaStep] = useState(false);
+	const [code, setCode] = useState("");
 	const router = useRouter();
 
-	// Redirect to homepage if already logged in
+	// Show single sign-on buttons for the configured providers, and any error
+	// the oauth callback sent back with ?error=
+	useEffect(() => {
+		const params = new URLSearchParams(window.location.search);
+		if (params.get("error")) setErr(params.get("error"));
+		// The SSO callback sends two-factor users here with ?mfa=1
+		if (params.get("mfa") === "1") setMfaStep(true);
+
+		fetch("/api/auth/oauth/providers")
+			.then(res => (res.ok ? res.json() : { providers: [] }))
+			.then(data => {
+				const next = encodeURIComponent(nextPath("/map"));
+				setProviders((data.providers || []).map(p => ({
+					...p,
+					href: `/api/auth/oauth/start?provider=${encodeURIComponent(p.id)}&next=${next}`,
+				})));
+			})
+			.catch(() => {
+				// ignore network errors, password login still works
+			});
+	}, []);
+
+	// Redirect back (or to homepage) if already logged in
 	useEffect(() => {
 		let mounted = true;
 		(async () => {
@@ -32,7 +65,7 @@ export default function LoginPage() {
 				if (!mounted) return;
 				if (res.ok) {
 					const { user } = await res.json();
-					if (user) router.replace("/");
+					if (user) router.replace(nextPath("/"));
 				}
 			} catch (e) {
 				// ignore network errors
@@ -55,8 +88,14 @@ export default function LoginPage() {
 			body: JSON.stringify({ email, password }),
 		});
 		if (res.ok) {
-			// Proceed to map page
-			router.push("/map");
+			const payload = await res.json();
+			// Password was right, ask for the authenticator code next
+			if (payload.mfa_required) {
+				setMfaStep(true);
+				return;
+			}
+			// Proceed to the page the user came from, or the map page
+			router.push(nextPath("/map"));
 			router.refresh();
 		} else {
 			// Show login error
@@ -65,6 +104,30 @@ export default function LoginPage() {
 		}
 	}
 
+	// Submit the two-factor code to finish logging in
+	async function submitCode(e) {
+		e.preventDefault();
+		setErr("");
+		const res = await fetch("/api/auth/mfa/verify", {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			credentials: "include",
+			body: JSON.stringify({ code }),
+		});
+		if (res.ok) {
+			router.push(nextPath("/map"));
+			router.refresh();
+		} else {
+			const payload = await res.json();
+			// The pending login ran out, so start over from the password
+			if (res.status === 401) {
+				setMfaStep(false);
+				setCode("");
+			}
+			setErr(payload?.error || "Verification failed");
+		}
+	}
+
 	return (
 		// Full-screen layout with visual split for branding + login card
 		<div className="min-h-[calc(100vh-80px)] flex items-center justify-center bg-[#FFF6D8] py-10">
@@ -95,34 +158,90 @@ export default function LoginPage() {
 					transition={{ duration: 0.6, ease: "easeOut" }}
 					className="w-full md:w-[400px] bg-white border-4 border-[#FF7A00] rounded-3xl p-8 shadow-[8px_8px_0_#00AEEF]"
 				>
-					<h2 className="text-3xl font-bold text-center text-[#FF7A00] mb-6">
-						Log In to Your Quest
-					</h2>
-					<form onSubmit={submit} className="flex flex-col gap-4">
-						<input
-							type="email"
-							placeholder="Email"
-							value={email}
-							onChange={(e) => setEmail(e.target.value)}
-							className="border-2 border-[#00AEEF] focus:border-[#FF7A00] rounded-xl px-4 py-3 text-gray-700 focus:outline-none"
-							required
-						/>
-						<input
-							type="password"
-							placeholder="Password"
-							value={password}
-							onChange={(e) => setPassword(e.target.value)}
-							className="border-2 border-[#00AEEF] focus:border-[#FF7A00] rounded-xl px-4 py-3 text-gray-700 focus:outline-none"
-							required
-						/>
-						{err && <div className="text-red-600 text-sm bg-red-50 p-3 rounded-xl border border-red-200">{err}</div>}
-						<button
-							type="submit"
-							className="bg-[#FF7A00] hover:bg-[#FF9500] hover:scale-105 text-white font-bold text-lg py-3 rounded-xl shadow-md mt-2 cursor-pointer transition-all duration-200"
-						>
-							Start Quest
-						</button>
-					</form>
+					{mfaStep ? (
+						<>
+							<h2 className="text-3xl font-bold text-center text-[#FF7A00] mb-2">
+								Two-Factor Check
+							</h2>
+							<p className="text-center text-sm text-gray-600 mb-6">
+								Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+							</p>
+							<form onSubmit={submitCode} className="flex flex-col gap-4">
+								<input
+									type="text"
+									inputMode="numeric"
+									autoComplete="one-time-code"
+									placeholder="123456"
+									value={code}
+									onChange={(e) => setCode(e.target.value)}
+									className="border-2 border-[#00AEEF] focus:border-[#FF7A00] rounded-xl px-4 py-3 text-gray-700 text-center tracking-widest focus:outline-none"
+									autoFocus
+									required
+								/>
+								{err && <div className="text-red-600 text-sm bg-red-50 p-3 rounded-xl border border-red-200">{err}</div>}
+								<button
+									type="submit"
+									className="bg-[#FF7A00] hover:bg-[#FF9500] hover:scale-105 text-white font-bold text-lg py-3 rounded-xl shadow-md mt-2 cursor-pointer transition-all duration-200"
+								>
+									Verify
+								</button>
+							</form>
+						</>
+					) : (
+						<>
+							<h2 className="text-3xl font-bold text-center text-[#FF7A00] mb-6">
+								Log In to Your Quest
+							</h2>
+							<form onSubmit={submit} className="flex flex-col gap-4">
+								<input
+									type="email"
+									placeholder="Email"
+									value={email}
+									onChange={(e) => setEmail(e.target.value)}
+									className="border-2 border-[#00AEEF] focus:border-[#FF7A00] rounded-xl px-4 py-3 text-gray-700 focus:outline-none"
+									required
+								/>
+								<input
+									type="password"
+									placeholder="Password"
+									value={password}
+									onChange={(e) => setPassword(e.target.value)}
+									className="border-2 border-[#00AEEF] focus:border-[#FF7A00] rounded-xl px-4 py-3 text-gray-700 focus:outline-none"
+									required
+								/>
+								<Link href="/forgot-password" className="self-end -mt-2 text-sm text-[#00AEEF] font-semibold hover:underline">
+									Forgot password?
+								</Link>
+								{err && <div className="text-red-600 text-sm bg-red-50 p-3 rounded-xl border border-red-200">{err}</div>}
+								<button
+									type="submit"
+									className="bg-[#FF7A00] hover:bg-[#FF9500] hover:scale-105 text-white font-bold text-lg py-3 rounded-xl shadow-md mt-2 cursor-pointer transition-all duration-200"
+								>
+									Start Quest
+								</button>
+							</form>
+
+							{providers.length > 0 && (
+								<div className="mt-4 flex flex-col gap-2">
+									<div className="flex items-center gap-3 text-sm text-gray-500">
+										<div className="flex-1 border-t-2 border-[#FFDA00]" />
+										or
+										<div className="flex-1 border-t-2 border-[#FFDA00]" />
+									</div>
+									{providers.map((p) => (
+										<a
+											key={p.id}
+											href={p.href}
+											className="flex items-center justify-center gap-2 border-2 border-[#00AEEF] hover:bg-[#00AEEF] hover:text-white text-[#00AEEF] font-bold py-3 rounded-xl transition-colors"
+										>
+											<KeyRound className="w-5 h-5" />
+											Continue with {p.name}
+										</a>
+									))}
+								</div>
+							)}
+						</>
+					)}
 
 					<p className="text-center text-sm text-gray-700 mt-4">
 						New explorer?{" "}
@@ -0,0 +1,137 @@
+/*
+	Name: RoutePanel.js
+	Description: Panel for the suggested walking route through the locations
+	             with incomplete quests: stops in order, walking time and
+	             distance, and export as a GPX file or a plain list.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Say when copying the list fails - 10/19/2026
+	Errors: Export buttons are disabled when no stop has a GPS position; a blocked clipboard shows a message
+	Input: A planned route from lib/routePlanner and the stops' details
+	Output: RoutePanel component
+*/
+
+"use client";
+
+import { useState } from "react";
+import { Check, Copy, Download, X } from "lucide-react";
+import { routeToGpx, walkingMinutes } from "@/lib/routePlanner";
+import { formatDistance } from "@/lib/geo";
+
+/*
+	Function: downloadFile
+	Description: Saves text as a file through a temporary link.
+	Arguments:
+		name - file name
+		type - MIME type
+		text - file contents
+*/
+function downloadFile(name, type, text) {
+	const url = URL.createObjectURL(new Blob([text], { type }));
+	const a = document.createElement("a");
+	a.href = url;
+	a.download = name;
+	a.click();
+	URL.revokeObjectURL(url);
+}
+
+/*
+	Component: RoutePanel
+	Arguments:
+		route - from planRoute, with length in meters when measured is true
+		measured - distances are real meters (the map is tied to GPS)
+		stops - { [nodeId]: { label, quests, gps } }; gps is { latitude, longitude } or null
+		track - [{ latitude, longitude }] along route.path, for the GPX file
+		onClose - hide the route
+*/
+export default function RoutePanel({ route, measured, stops, track, onClose }) {
+	const [copied, setCopied] = useState(false);
+	const [copyError, setCopyError] = useState("");
+	const name = "Side Quest walking route";
+	const listText = [
+		measured ? `${name} (about ${walkingMinutes(route.length)} min, ${formatDistance(route.length)})` : name,
+		...route.order.map((id, i) => `${i + 1}. ${stops[id].label}: ${stops[id].quests.join("; ")}`),
+	].join("\n");
+	const waypoints = route.order
+		.filter(id => stops[id].gps)
+		.map(id => ({ name: stops[id].label, ...stops[id].gps }));
+
+	async function copyList() {
+		setCopyError("");
+		try {
+			await navigator.clipboard.writeText(listText);
+		} catch {
+			// No clipboard access (permission denied, or not a secure page)
+			setCopyError("Couldn't copy the list. Your browser blocked the clipboard.");
+			return;
+		}
+		setCopied(true);
+		setTimeout(() => setCopied(false), 2000);
+	}
+
+	return (
+		<div className="bg-white/95 rounded-lg shadow-lg border px-3 py-2 text-sm">
+			<div className="flex items-center gap-2 mb-1">
+				<span className="flex-1 text-[11px] font-semibold uppercase tracking-wide text-gray-500">
+					Suggested route
+					{route.order.length > 0 && measured && ` · about ${walkingMinutes(route.length)} min walk · ${formatDistance(route.length)}`}
+				</span>
+				<button type="button" onClick={onClose} title="Hide route" className="text-gray-500 cursor-pointer">
+					<X className="w-4 h-4" />
+				</button>
+			</div>
+
+			{route.order.length === 0 ? (
+				<p className="text-gray-600">No incomplete quests to walk to. Nice work!</p>
+			) : (
+				<ol className="max-h-32 overflow-y-auto space-y-0.5">
+					{route.order.map((id, i) => (
+						<li key={id} className="flex gap-2">
+							<span className="w-5 h-5 rounded-full bg-[#00AEEF] text-white text-xs font-bold flex items-center justify-center flex-shrink-0">
+								{i + 1}
+							</span>
+							<span className="min-w-0 truncate">
+								<span className="font-semibold text-gray-800">{stops[id].label}</span>
+								<span className="text-gray-600"> · {stops[id].quests.length} quest{stops[id].quests.length === 1 ? "" : "s"}</span>
+							</span>
+						</li>
+					))}
+				</ol>
+			)}
+
+			{route.straight && route.order.length > 1 && (
+				<p className="text-xs text-gray-500 mt-1">No walking paths are drawn yet, so this goes as the crow flies.</p>
+			)}
+			{!measured && route.order.length > 1 && (
+				<p className="text-xs text-gray-500 mt-1">Walking time shows once the map is tied to GPS.</p>
+			)}
+			{route.unreachable.length > 0 && (
+				<p className="text-xs text-amber-700 mt-1">
+					No path reaches {route.unreachable.map(id => stops[id].label).join(", ")} yet.
+				</p>
+			)}
+
+			{route.order.length > 0 && (
+				<div className="flex gap-2 mt-2">
+					<button
+						type="button"
+						onClick={() => downloadFile("side-quest-route.gpx", "application/gpx+xml", routeToGpx({ name, stops: waypoints, track }))}
+						disabled={!waypoints.length}
+						title={waypoints.length ? "Open the route in a maps or fitness app" : "None of these places has a GPS position yet"}
+						className="flex items-center gap-1 px-2 py-1 rounded border border-[#00AEEF] text-[#00AEEF] text-xs font-semibold cursor-pointer disabled:opacity-50"
+					>
+						<Download className="w-3.5 h-3.5" /> GPX
+					</button>
+					<button
+						type="button"
+						onClick={copyList}
+						className="flex items-center gap-1 px-2 py-1 rounded border border-gray-300 text-gray-700 text-xs font-semibold cursor-pointer"
+					>
+						{copied ? <Check className="w-3.5 h-3.5" /> : <Copy className="w-3.5 h-3.5" />} {copied ? "Copied" : "Copy list"}
+					</button>
+				</div>
+			)}
+			{copyError && <p className="text-xs text-red-600 mt-1">{copyError}</p>}
+		</div>
+	);
+}
@@ -0,0 +1,71 @@
+/*
+	Name: TileLayer.js
+	Description: Street map background. Draws the slippy map tiles covering the
+	             visible part of the map from the local tile directory, at the
+	             tile zoom level nearest the viewport zoom. Missing tiles are left
+	             blank so a partial download still works.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Follow the shared pan/zoom viewport at any zoom - 10/19/2026
+	Errors: N/A
+	Input: Viewport view, viewport size and the world-pixel origin of the map content
+	Output: Tile images positioned in screen coordinates
+*/
+
+"use client";
+
+import Image from "next/image";
+import { TILE_SIZE, DEFAULT_ZOOM, MIN_ZOOM, MAX_ZOOM, tileUrl, tilesInView } from "@/lib/tiles";
+
+/*
+	Component: TileLayer
+	Arguments:
+		view - { x, y, scale } from PanZoomViewport; content is in world pixels at DEFAULT_ZOOM
+		origin - world pixel { x, y } at DEFAULT_ZOOM of the content's top-left
+		width, height - size of the viewport in pixels
+*/
+export default function TileLayer({ view, origin, width, height }) {
+	// Tile level closest to the current scale, and world pixels at that level per content pixel
+	const zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, Math.round(DEFAULT_ZOOM + Math.log2(view.scale))));
+	const factor = 2 ** (zoom - DEFAULT_ZOOM);
+	const toLevel = (screen, offset, originAxis) => (originAxis + (screen - offset) / view.scale) * factor;
+	const toScreen = (level, offset, originAxis) => Math.round(offset + (level / factor - originAxis) * view.scale);
+
+	const left = toLevel(0, view.x, origin.x);
+	const top = toLevel(0, view.y, origin.y);
+	const tiles = tilesInView({
+		left,
+		top,
+		width: toLevel(width, view.x, origin.x) - left,
+		height: toLevel(height, view.y, origin.y) - top,
+	}, zoom);
+
+	return (
+		<div className="absolute inset-0 pointer-events-none select-none" style={{ zIndex: 0 }}>
+			{tiles.map(tile => {
+				// Rounded edges so neighbouring tiles meet without seams
+				const x = toScreen(tile.left, view.x, origin.x);
+				const y = toScreen(tile.top, view.y, origin.y);
+				return (
+					<Image
+						key={tile.key}
+						src={tileUrl(tile.z, tile.x, tile.y)}
+						width={TILE_SIZE}
+						height={TILE_SIZE}
+						alt=""
+						draggable={false}
+						unoptimized
+						className="absolute max-w-none"
+						style={{
+							left: x,
+							top: y,
+							width: toScreen(tile.left + TILE_SIZE, view.x, origin.x) - x,
+							height: toScreen(tile.top + TILE_SIZE, view.y, origin.y) - y,
+						}}
+						onError={e => { e.currentTarget.style.visibility = "hidden"; }}
+					/>
+				);
+			})}
+		</div>
+	);
+}
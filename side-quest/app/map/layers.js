@@ -0,0 +1,194 @@
+/*
+	Name: layers.js
+	Description: Map layers that pick out locations: completed ones, ones with
+	             locked quests, open multiplayer quests, time-limited quests or
+	             GeoThinkr photos. Each layer has its own marker color and icon,
+	             and the chosen layers are kept in the URL (?layers=...&only=1)
+	             so a filtered map can be bookmarked or shared.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Unknown layer names in the URL are ignored
+	Input: Nodes from useMapData and quest completion by quest_id
+	Output: LAYERS, nodeLayers, URL helpers and the LayerControl component
+*/
+
+"use client";
+
+import { useState } from "react";
+import { Camera, CircleCheck, Clock, Layers, Lock, Swords } from "lucide-react";
+import { prerequisitesMet } from "./node";
+
+// In legend order. matches(node, toggles) says whether a location is on the layer.
+export const LAYERS = [
+	{
+		id: "completed",
+		label: "Completed",
+		description: "Every quest here is done",
+		color: "#16a34a",
+		Icon: CircleCheck,
+		matches: (node, toggles) => node.questIds.length > 0 && node.questIds.every(id => toggles[id]),
+	},
+	{
+		id: "locked",
+		label: "Locked quests",
+		description: "Quests waiting on a prerequisite",
+		color: "#6b7280",
+		Icon: Lock,
+		matches: (node, toggles) => node.questIds.some((id, i) => !toggles[id] && !prerequisitesMet(node, i, toggles)),
+	},
+	{
+		id: "multiplayer",
+		label: "Multiplayer",
+		description: "Multiplayer quests nobody has won yet",
+		color: "#9333ea",
+		Icon: Swords,
+		matches: node => (node.multiplayer || []).some(Boolean),
+	},
+	{
+		id: "timed",
+		label: "Time-limited",
+		description: "Unfinished quests that end or reset",
+		color: "#d97706",
+		Icon: Clock,
+		matches: (node, toggles) => node.questIds.some((id, i) => node.deadlines?.[i] && !toggles[id]),
+	},
+	{
+		id: "geothinkr",
+		label: "GeoThinkr",
+		description: "GeoThinkr photos were taken here",
+		color: "#00AEEF",
+		Icon: Camera,
+		matches: node => node.geothinkrPhotos > 0,
+	},
+];
+
+const LAYER_IDS = LAYERS.map(l => l.id);
+
+/*
+	Function: nodeLayers
+	Description: The enabled layers a location is on.
+	Arguments:
+		node - node from useMapData
+		toggles - completion by quest_id
+		enabled - layer ids that are switched on
+	Returns: layer definitions, in legend order
+*/
+export function nodeLayers(node, toggles, enabled) {
+	return LAYERS.filter(layer => enabled.includes(layer.id) && layer.matches(node, toggles));
+}
+
+/*
+	Function: readLayerParams
+	Description: Layer settings from a query string.
+	Arguments:
+		search - e.g. window.location.search
+	Returns: { layers: [ids], only: boolean }
+*/
+export function readLayerParams(search) {
+	const params = new URLSearchParams(search);
+	const layers = (params.get("layers") || "").split(",").filter(id => LAYER_IDS.includes(id));
+	return { layers: [...new Set(layers)], only: layers.length > 0 && params.get("only") === "1" };
+}
+
+/*
+	Function: writeLayerParams
+	Description: Puts layer settings in the address bar without a navigation,
+	             keeping any other parameters.
+	Arguments:
+		settings - { layers, only }
+*/
+export function writeLayerParams({ layers, only }) {
+	const url = new URL(window.location.href);
+	if (layers.length) url.searchParams.set("layers", LAYER_IDS.filter(id => layers.includes(id)).join(","));
+	else url.searchParams.delete("layers");
+	if (only && layers.length) url.searchParams.set("only", "1");
+	else url.searchParams.delete("only");
+	window.history.replaceState(window.history.state, "", url);
+}
+
+/*
+	Component: LayerControl
+	Description: Button opening the layer switches, which double as the legend.
+	             While closed, the layers that are on stay listed as a legend.
+	Arguments:
+		layers - ids switched on
+		only - hide locations on none of the layers (else they are dimmed)
+		counts - { [layerId]: locations on it }
+		onChange({ layers, only }) - new settings
+*/
+export function LayerControl({ layers, only, counts, onChange }) {
+	const [open, setOpen] = useState(false);
+
+	function toggleLayer(id) {
+		const next = layers.includes(id) ? layers.filter(l => l !== id) : [...layers, id];
+		onChange({ layers: next, only: only && next.length > 0 });
+	}
+
+	return (
+		<div className="flex flex-col items-end gap-2">
+			<button
+				onPointerDown={e => e.stopPropagation()}
+				onClick={() => setOpen(v => !v)}
+				aria-expanded={open}
+				title="Map layers"
+				className={`relative w-10 h-10 rounded-md shadow flex items-center justify-center hover:brightness-105 transition cursor-pointer ${
+					layers.length ? "bg-[#007AFF] text-white" : "bg-white text-[#007AFF]"
+				}`}
+			>
+				<Layers className="w-5 h-5" />
+				{layers.length > 0 && (
+					<span className="absolute -top-1 -right-1 w-4 h-4 rounded-full bg-[#FF7A00] text-white text-[10px] font-bold flex items-center justify-center">
+						{layers.length}
+					</span>
+				)}
+			</button>
+
+			{open ? (
+				<div className="w-56 bg-white rounded-lg shadow-lg border p-2 text-sm" onPointerDown={e => e.stopPropagation()}>
+					<span className="block text-[11px] font-semibold uppercase tracking-wide text-gray-500 mb-1">Layers</span>
+					<ul className="space-y-1">
+						{LAYERS.map(({ id, label, description, color, Icon }) => (
+							<li key={id}>
+								<label className="flex items-center gap-2 cursor-pointer" title={description}>
+									<input
+										type="checkbox"
+										checked={layers.includes(id)}
+										onChange={() => toggleLayer(id)}
+										className="cursor-pointer"
+									/>
+									<span className="w-5 h-5 rounded-full flex items-center justify-center flex-shrink-0" style={{ background: color }}>
+										<Icon className="w-3 h-3 text-white" aria-hidden="true" />
+									</span>
+									<span className="flex-1">{label}</span>
+									<span className="text-xs text-gray-500">{counts[id] ?? 0}</span>
+								</label>
+							</li>
+						))}
+					</ul>
+					<label className={`flex items-center gap-2 mt-2 pt-2 border-t text-xs ${layers.length ? "cursor-pointer" : "text-gray-400"}`}>
+						<input
+							type="checkbox"
+							checked={only}
+							disabled={!layers.length}
+							onChange={e => onChange({ layers, only: e.target.checked })}
+							className="cursor-pointer"
+						/>
+						Hide other locations
+					</label>
+				</div>
+			) : layers.length > 0 && (
+				<ul className="bg-white/90 rounded-md shadow px-2 py-1 text-[11px] text-gray-700 space-y-0.5" aria-label="Map legend">
+					{LAYERS.filter(l => layers.includes(l.id)).map(({ id, label, color, Icon }) => (
+						<li key={id} className="flex items-center gap-1.5">
+							<span className="w-3.5 h-3.5 rounded-full flex items-center justify-center" style={{ background: color }}>
+								<Icon className="w-2.5 h-2.5 text-white" aria-hidden="true" />
+							</span>
+							{label}
+						</li>
+					))}
+				</ul>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,237 @@
+/*
+	Name: location.js
+	Description: The player's live position on the map. Tracking is opt-in and
+	             remembered on this device only; readings are never sent anywhere.
+	             Draws a "you are here" dot with its accuracy circle and heading,
+	             and a panel pointing to the nearest incomplete quest.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Positioned by the map page, stacked with the route panel - 10/19/2026
+	Errors: Denied permission turns tracking off and explains how to allow it;
+	        a lost GPS fix keeps the last position and says so
+	Input: navigator.geolocation
+	Output: useLiveLocation hook, LocationMarker and LocationPanel components
+*/
+
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { Navigation, X } from "lucide-react";
+import { bearingDegrees, compassPoint, formatDistance, haversineMeters } from "@/lib/geo";
+
+// localStorage key holding "on" while the player shares their location
+const STORAGE_KEY = "shareLocation";
+// Below this speed (m/s) the GPS heading is noise
+const MIN_HEADING_SPEED = 0.5;
+// Walk this far (m) before a heading is worked out from movement
+const MIN_HEADING_STEP = 5;
+
+/*
+	Function: useLiveLocation
+	Description: Watches the player's position while sharing is on.
+	Returns: {
+		sharing - whether tracking is on
+		position - { latitude, longitude, accuracy, heading, timestamp } or null;
+		           heading is degrees clockwise from north, or null when unknown
+		status - "off", "locating", "on", "lost" (no fix right now), "denied" or "unsupported"
+		setSharing(on) - turn tracking on or off (remembered on this device)
+		dismiss() - clear a "denied" or "unsupported" status
+	}
+*/
+export function useLiveLocation() {
+	const [sharing, setSharingState] = useState(false);
+	const [position, setPosition] = useState(null);
+	const [problem, setProblem] = useState(null);
+	// Last reading a movement heading was measured from
+	const anchorRef = useRef(null);
+
+	useEffect(() => {
+		if (localStorage.getItem(STORAGE_KEY) === "on") setSharingState(true);
+	}, []);
+
+	useEffect(() => {
+		if (!sharing) {
+			setPosition(null);
+			anchorRef.current = null;
+			return;
+		}
+		if (!navigator.geolocation) {
+			localStorage.removeItem(STORAGE_KEY);
+			setProblem("unsupported");
+			setSharingState(false);
+			return;
+		}
+
+		const watchId = navigator.geolocation.watchPosition(
+			pos => {
+				const reading = {
+					latitude: pos.coords.latitude,
+					longitude: pos.coords.longitude,
+					accuracy: pos.coords.accuracy,
+					timestamp: pos.timestamp,
+				};
+				// GPS heading while moving; otherwise the direction walked since the anchor
+				const anchor = anchorRef.current;
+				let heading = null;
+				if (Number.isFinite(pos.coords.heading) && pos.coords.speed >= MIN_HEADING_SPEED) {
+					heading = pos.coords.heading;
+				} else if (anchor && haversineMeters(anchor, reading) >= MIN_HEADING_STEP) {
+					heading = bearingDegrees(anchor, reading);
+				}
+				if (!anchor || heading !== null) anchorRef.current = reading;
+				setProblem(null);
+				setPosition(prev => ({ ...reading, heading: heading ?? prev?.heading ?? null }));
+			},
+			err => {
+				if (err.code === err.PERMISSION_DENIED) {
+					localStorage.removeItem(STORAGE_KEY);
+					setProblem("denied");
+					setSharingState(false);
+				} else {
+					// Timeouts and lost signal: keep watching, the next fix clears this
+					setProblem("lost");
+				}
+			},
+			{ enableHighAccuracy: true, maximumAge: 5000, timeout: 20000 }
+		);
+		return () => navigator.geolocation.clearWatch(watchId);
+	}, [sharing]);
+
+	function setSharing(on) {
+		if (on) localStorage.setItem(STORAGE_KEY, "on");
+		else localStorage.removeItem(STORAGE_KEY);
+		setProblem(null);
+		setSharingState(on);
+	}
+
+	let status = "off";
+	if (problem === "denied" || problem === "unsupported") status = problem;
+	else if (sharing) status = !position ? "locating" : problem === "lost" ? "lost" : "on";
+
+	return { sharing, position, status, setSharing, dismiss: () => setProblem(null) };
+}
+
+/*
+	Function: relativeDirection
+	Description: Turns a bearing into directions relative to where the player faces.
+	Arguments:
+		angle - target bearing minus heading, in degrees
+	Returns: string
+*/
+function relativeDirection(angle) {
+	const a = ((angle % 360) + 360) % 360;
+	if (a < 30 || a > 330) return "straight ahead";
+	if (a <= 150) return "to your right";
+	if (a < 210) return "behind you";
+	return "to your left";
+}
+
+/*
+	Component: LocationMarker
+	Arguments:
+		point - { x, y } screen position of the player
+		radius - accuracy in screen pixels
+		heading - screen angle the player faces (0 = up, clockwise), or null
+		stale - true while the GPS fix is lost; the marker greys out
+*/
+export function LocationMarker({ point, radius, heading, stale = false }) {
+	const color = stale ? "#9ca3af" : "#007AFF";
+	return (
+		<div
+			className="absolute pointer-events-none"
+			style={{ left: point.x, top: point.y, zIndex: 5 }}
+			role="img"
+			aria-label="You are here"
+		>
+			{/* Accuracy circle */}
+			<div
+				className="absolute rounded-full -translate-x-1/2 -translate-y-1/2"
+				style={{ width: radius * 2, height: radius * 2, background: `${color}22`, border: `1px solid ${color}66` }}
+			/>
+			{/* Heading cone */}
+			{heading !== null && (
+				<svg
+					className="absolute"
+					width="48"
+					height="48"
+					viewBox="-24 -24 48 48"
+					style={{ left: -24, top: -24, transform: `rotate(${heading}deg)` }}
+				>
+					<path d="M 0 0 L -12 -22 A 25 25 0 0 1 12 -22 Z" fill={`${color}55`} />
+				</svg>
+			)}
+			<div
+				className="absolute w-4 h-4 rounded-full border-2 border-white shadow -translate-x-1/2 -translate-y-1/2"
+				style={{ background: color }}
+			/>
+		</div>
+	);
+}
+
+/*
+	Component: LocationPanel
+	Arguments:
+		status - from useLiveLocation
+		nearest - { label, quest, remaining, distance, bearing } for the nearest
+		          location with an incomplete quest, or null
+		heading - compass heading of the player, or null
+		onShow - show the nearest location on the map
+		onDismiss - hide a "denied" or "unsupported" message
+*/
+export function LocationPanel({ status, nearest, heading, onShow, onDismiss }) {
+	if (status === "off") return null;
+
+	if (status === "denied" || status === "unsupported") {
+		return (
+			<div className="bg-white rounded-lg shadow-lg border px-3 py-2 text-sm text-gray-700 flex items-start gap-2">
+				<span className="flex-1">
+					{status === "denied"
+						? "Location access is blocked. Allow it for this site in your browser settings to see where you are."
+						: "This browser can't share its location."}
+				</span>
+				<button type="button" onClick={onDismiss} title="Dismiss" className="text-gray-500 cursor-pointer">
+					<X className="w-4 h-4" />
+				</button>
+			</div>
+		);
+	}
+
+	let body;
+	if (status === "locating") {
+		body = <span className="text-gray-600">Finding your location...</span>;
+	} else if (!nearest) {
+		body = <span className="text-gray-600">No incomplete quests on the map. Nice work!</span>;
+	} else {
+		// Arrow points the way to walk: relative to the player when the heading is known, else from north
+		const turn = heading === null ? nearest.bearing : nearest.bearing - heading;
+		body = (
+			<button type="button" onClick={onShow} className="flex items-center gap-3 text-left w-full cursor-pointer">
+				<Navigation
+					className="w-6 h-6 text-[#FF7A00] flex-shrink-0"
+					style={{ transform: `rotate(${turn - 45}deg)` }}
+					aria-hidden="true"
+				/>
+				<span className="flex-1 min-w-0">
+					<span className="block font-semibold text-gray-800 truncate">{nearest.quest}</span>
+					<span className="block text-xs text-gray-600">
+						{nearest.label} · {formatDistance(nearest.distance)} {compassPoint(nearest.bearing)}
+						{heading !== null && `, ${relativeDirection(turn)}`}
+						{nearest.remaining > 1 && ` · ${nearest.remaining} quests there`}
+					</span>
+				</span>
+			</button>
+		);
+	}
+
+	return (
+		<div
+			className="bg-white/95 rounded-lg shadow-lg border px-3 py-2 text-sm"
+			aria-live="polite"
+		>
+			<span className="block text-[11px] font-semibold uppercase tracking-wide text-gray-500 mb-1">
+				Nearest quest{status === "lost" && " · GPS signal lost"}
+			</span>
+			{body}
+		</div>
+	);
+}
@@ -3,13 +3,15 @@
 	Description: Defines the node map of the KU campus.
 	Programmers: Alejandro Sandoval
 	Date: 10/25/2025
-	Revisions: N/A
+	Revisions: Flag quests that need a GPS reading to complete - 10/19/2026, Flag quests that need a photo proof - 10/19/2026, Flag quests completed by QR scan - 10/19/2026, Several and cross-location prerequisites - 10/19/2026, Quest ids alongside quest texts - 10/19/2026, When each quest ends or resets - 10/19/2026, Quest category, difficulty and tags - 10/19/2026, Longer quest content - 10/19/2026, Storylines and the links between their steps - 10/19/2026, GPS position for the street map - 10/19/2026, Links are the walkable paths admins draw - 10/19/2026, Open multiplayer quests and GeoThinkr photo counts for the map layers - 10/19/2026
 	Errors: N/A
 	Input: None (static map def)
 	Output: Map object containing campus nodes, quests, links, and background info
 */
 
 import { useEffect, useState } from "react";
+import { prerequisiteMap } from "@/lib/questGraph";
+import { hasQuestContent } from "@/lib/questContent";
 
 
 // Primary map configuration object
@@ -54,11 +56,11 @@ const initMapData = {
 		},
 	],
 
-	// link pairs by id
-	links: [
-		// ["lee", "chi"],
-		// ["lee", "eat"],
-	],
+	// link pairs by id: walkable paths admins draw between locations (see /admin)
+	links: [],
+
+	// Published storylines: { id, title, bonusPoints, steps: [{ questId, nodeId }] }
+	storylines: [],
 
 	// Background image
 	background: {
@@ -92,6 +94,12 @@ export function useMapData() {
 				}
 				const locations = payload.locations;
 				const quests = payload.quests;
+				const prerequisites = prerequisiteMap(payload.dependencies);
+
+				// Where each quest lives, so prerequisites at other locations can be found
+				const nodeIdFor = location => location.name.slice(0,3).toLowerCase();
+				const locationById = Object.fromEntries(locations.map(l => [l.location_id, l]));
+				const questById = Object.fromEntries(quests.map(q => [q.quest_id, q]));
 
 				// construct a node for each location
 				const nodes = locations.map((location, i) => {
@@ -99,33 +107,104 @@ export function useMapData() {
 					const locationQuests = quests.filter(q => q.location_id === location.location_id);
 					console.log(quests, location);
 					const questTexts = locationQuests.map(q => q.text ?? "");
-					// Build dependencies
+					// Per quest index: the quest_id progress is saved and looked up by
+					const questIds = locationQuests.map(q => q.quest_id);
+					// Per quest index: true when completing it needs the player's GPS position
+					const presence = locationQuests.map(q => !!(q.require_presence || location.require_presence));
+					// Per quest index: true when completing it needs a photo reviewed by staff
+					const proof = locationQuests.map(q => !!q.requires_proof);
+					// Per quest index: true when it is completed by scanning a QR code on site
+					const checkin = locationQuests.map(q => !!q.requires_checkin);
+					// Per quest index: { at, kind } when the quest ends or resets, else null
+					const deadlines = locationQuests.map(q => q.deadline ?? null);
+					// Per quest index: true for a multiplayer quest nobody has won yet
+					const multiplayer = locationQuests.map(q => !!q.multiplayer_open);
+					// Per quest index: category, difficulty and tags for the quest list filters
+					const categories = locationQuests.map(q => q.category ?? null);
+					const difficulties = locationQuests.map(q => q.difficulty ?? null);
+					const tags = locationQuests.map(q => q.tags ?? []);
+					// Per quest index: description, image, hints and accessibility note, or null when it has none
+					const details = locationQuests.map(q => (hasQuestContent(q) ? {
+						description: q.description,
+						imageUrl: q.image_url,
+						hints: q.hints ?? [],
+						accessibilityNote: q.accessibility_note,
+					} : null));
+					// Build dependencies: indices of prerequisites at this location, and
+					// { questId, quest, location } for prerequisites somewhere else
 					const dependencies = {};
+					const crossDependencies = {};
 					locationQuests.forEach((q, i) => {
-						if (q.dependency !== undefined && q.dependency !== null) {
-							const depIndex = locationQuests.findIndex(dq => dq.quest_id === q.dependency);
+						for (const prereqId of prerequisites[q.quest_id] || []) {
+							const depIndex = locationQuests.findIndex(dq => dq.quest_id === prereqId);
 							if (depIndex !== -1) {
-								dependencies[i] = [depIndex];
+								(dependencies[i] = dependencies[i] || []).push(depIndex);
+								continue;
+							}
+							const prereq = questById[prereqId];
+							const prereqLocation = prereq && locationById[prereq.location_id];
+							if (prereqLocation) {
+								(crossDependencies[i] = crossDependencies[i] || []).push({
+									questId: prereqId,
+									quest: prereq.text,
+									location: prereqLocation.name,
+								});
 							}
 						}
 					});
 
 					return {
-						id: location.name.slice(0,3).toLowerCase(),
+						id: nodeIdFor(location),
 						x: Number(location.x_coordinate ?? 0)*SCALE,
 						y: Number(location.y_coordinate ?? 0)*SCALE,
 						label: location.name ?? `Location ${loc.location_id}`,
+						// GPS position for the street map; null until placed or calibrated
+						latitude: location.latitude ?? null,
+						longitude: location.longitude ?? null,
 						quests: questTexts,
+						questIds,
 						dependencies,
+						crossDependencies,
+						presence,
+						proof,
+						checkin,
+						deadlines,
+						multiplayer,
+						// Verified GeoThinkr photos taken here
+						geothinkrPhotos: location.geothinkr_photos ?? 0,
+						categories,
+						difficulties,
+						tags,
+						details,
 					};
 				});
 
-				// Preserve frontend background/size and fallback links
+				// Storyline steps in order, with the node each one is at
+				const storylines = (payload.storylines || []).map(s => ({
+					id: s.storyline_id,
+					title: s.title,
+					bonusPoints: s.bonus_points,
+					steps: s.steps
+						.map(questId => {
+							const location = locationById[questById[questId]?.location_id];
+							return location ? { questId, nodeId: nodeIdFor(location) } : null;
+						})
+						.filter(Boolean),
+				}));
+
+				// One link per walkable path, between locations that are both on the map
+				const links = (payload.paths || [])
+					.map(p => [locationById[p.from_location_id], locationById[p.to_location_id]])
+					.filter(([a, b]) => a && b)
+					.map(([a, b]) => [nodeIdFor(a), nodeIdFor(b)]);
+
+				// Preserve frontend background/size
 				const result = {
 					width: initMapData.width,
 					height: initMapData.height,
 					background: initMapData.background,
-					links: initMapData.links,
+					links,
+					storylines,
 					nodes,
 				};
 				console.log(result)
@@ -3,7 +3,7 @@
 	Description: Definition of node components.
 	Programmers: Alejandro Sandoval, Pashia Vang
 	Date: 10/25/2025
-	Revisions: Add progress bars - 11/06/2025
+	Revisions: Add progress bars - 11/06/2025, Photo upload for quests that need proof - 10/19/2026, Hint for QR check-in quests - 10/19/2026, Prerequisites at other locations - 10/19/2026, Quest state keyed by quest_id - 10/19/2026, Countdown for quests that end or reset - 10/19/2026, Search and category filter for the quest list - 10/19/2026, Quest details with hints - 10/19/2026, Ring on the next storyline step - 10/19/2026, Map layer badges and dimming - 10/19/2026, Proof photos limited to the allowed image types - 10/19/2026
 	Errors: N/A
 	Input: Node data object, user interaction handlers, quest completion info
 	Output: Node component & displaying progress & interactive quests
@@ -13,8 +13,29 @@
 
 import { useState, useRef } from "react";
 import { QuestCheckAnimation } from "./checkAnimation";
+import Countdown from "../components/Countdown";
+import QuestDetails from "../components/QuestDetails";
+import { CATEGORIES, CATEGORY_LABELS, DIFFICULTY_LABELS, matchesQuestFilter } from "@/lib/questTags";
+import { IMAGE_ACCEPT } from "@/lib/questContent";
 
-export function Node({ node, onPointerDown, onClick, completedCount = 0, totalCount = 0 }) {
+/*
+	Function: prerequisitesMet
+	Description: Whether every prerequisite of a quest is done, here and at other locations.
+	Arguments:
+		node - node from useMapData
+		i - quest index at the node
+		toggles - completion by quest_id
+	Returns: boolean
+*/
+export function prerequisitesMet(node, i, toggles) {
+	const raw = node.dependencies?.[i];
+	const deps = Array.isArray(raw) ? raw : raw !== undefined ? [raw] : [];
+	const crossDeps = node.crossDependencies?.[i] || [];
+	return deps.every(index => !!toggles?.[node.questIds[index]])
+		&& crossDeps.every(d => !!toggles?.[d.questId]);
+}
+
+export function Node({ node, onPointerDown, onClick, completedCount = 0, totalCount = 0, nextStep = null, markers = [], dimmed = false }) {
 	/*
 		Name: Node component
 	Description
@@ -24,6 +45,9 @@ export function Node({ node, onPointerDown, onClick, completedCount = 0, totalCo
 		onClick: function
 		completedCount: number of completed quests at this location
 		totalCount: total number of quests at this location
+		nextStep: title of a storyline whose next step is here, or null
+		markers: map layers this location is on, as { id, label, color, Icon }
+		dimmed: true when map layers are on and this location is on none of them
 	Returns:
 		component
 	*/
@@ -47,12 +71,38 @@ export function Node({ node, onPointerDown, onClick, completedCount = 0, totalCo
 		<div
 			onPointerDown={onPointerDown}
 			onClick={onClick}
-			className="absolute -translate-x-1/2 -translate-y-1/2 cursor-pointer select-none"
+			className={`absolute -translate-x-1/2 -translate-y-1/2 cursor-pointer select-none transition-opacity ${dimmed ? "opacity-40" : ""}`}
 			style={{ left: node.x, top: node.y }}
 			role="button"
-			aria-label={node.label}
+			aria-label={[node.label, nextStep && `next step of ${nextStep}`, ...markers.map(m => m.label.toLowerCase())].filter(Boolean).join(", ")}
+			title={nextStep ? `Next step of ${nextStep}` : undefined}
 		>
 			<div className="absolute left-0 top-0 transform -translate-x-1/2 -translate-y-1/2">
+				{/* Ring in the first layer's color, and a badge per layer above the node */}
+				{markers.length > 0 && (
+					<div
+						className="absolute -inset-1 rounded-full border-[3px] pointer-events-none"
+						style={{ borderColor: markers[0].color }}
+					/>
+				)}
+				{markers.length > 0 && (
+					<div className="absolute left-1/2 -top-5 -translate-x-1/2 flex gap-0.5 z-30">
+						{markers.map(({ id, label, color, Icon }) => (
+							<span
+								key={id}
+								className="w-5 h-5 rounded-full border-2 border-white shadow flex items-center justify-center"
+								style={{ background: color }}
+								title={label}
+							>
+								<Icon className="w-3 h-3 text-white" aria-hidden="true" />
+							</span>
+						))}
+					</div>
+				)}
+				{/* Pulsing ring on the next step of a storyline */}
+				{nextStep && (
+					<div className="absolute inset-0 rounded-full border-4 border-[#FF7A00] animate-ping pointer-events-none" />
+				)}
 				{/* Progress ring container - fixed size to ensure proper alignment */}
 				<div className="relative w-12 h-12 flex items-center justify-center">
 					{/* SVG Progress Ring - centered behind the node */}
@@ -118,8 +168,17 @@ export function Node({ node, onPointerDown, onClick, completedCount = 0, totalCo
 	);
 }
 
-export function NodeDialog({ node, containerRef, pan, toggles = {}, onToggle, onClose }) {
+export function NodeDialog({ node, containerRef, pan, toggles = {}, submissions = {}, onToggle, onSubmitProof, onClose }) {
 	const [animMap, setAnimMap] = useState({});
+	// Photo-proof upload form: which quest it is open for and the chosen file
+	const [proofFor, setProofFor] = useState(null);
+	const [proofFile, setProofFile] = useState(null);
+	const [sendingProof, setSendingProof] = useState(false);
+	// Quest list search and category filter
+	const [search, setSearch] = useState("");
+	const [category, setCategory] = useState("");
+	// Which quest's description and hints are open
+	const [detailsFor, setDetailsFor] = useState(null);
 	const dialogRef = useRef(null);
 	if (!node) return null; // node must be defined
 
@@ -145,12 +204,34 @@ export function NodeDialog({ node, containerRef, pan, toggles = {}, onToggle, on
 	const dialogLeft = Math.max(12, Math.min(cw - 280, screenX));
 	const dialogTop = Math.max(12, Math.min(ch - 220, screenY));
 
-	// Calculate progress
-	const completedCount = Object.values(toggles).filter(v => v === true).length;
+	// Send the chosen photo for review, closing the form when it was accepted
+	async function sendProof(questId) {
+		if (!proofFile || sendingProof) return;
+		setSendingProof(true);
+		const sent = await onSubmitProof(questId, proofFile);
+		setSendingProof(false);
+		if (sent) {
+			setProofFor(null);
+			setProofFile(null);
+		}
+	}
+
+	// Calculate progress (toggles is keyed by quest_id and covers every location)
+	const questIds = node.questIds || [];
+	const completedCount = questIds.filter(id => toggles[id] === true).length;
 	const totalCount = node.quests.length;
 	const percentage = totalCount > 0 ? Math.round((completedCount / totalCount) * 100) : 0;
 	const isComplete = completedCount > 0 && completedCount === totalCount;
 
+	// Quests that pass the search and category filter, by index
+	const questInfo = i => ({
+		text: node.quests[i],
+		category: node.categories?.[i],
+		difficulty: node.difficulties?.[i],
+		tags: node.tags?.[i],
+	});
+	const shownCount = node.quests.filter((_, i) => matchesQuestFilter(questInfo(i), { search, category })).length;
+
 	return (
 		<div
 			ref={dialogRef}
@@ -184,10 +265,37 @@ export function NodeDialog({ node, containerRef, pan, toggles = {}, onToggle, on
 			</div>
 
 			<div className="mb-2 text-sm text-gray-600 dark:text-gray-300">Quests</div>
+			{totalCount > 1 && (
+				<div className="flex gap-1 mb-2">
+					<input
+						type="search"
+						className="flex-1 min-w-0 px-2 py-1 border rounded text-xs dark:bg-gray-700"
+						placeholder="Search quests"
+						value={search}
+						onChange={e => setSearch(e.target.value)}
+					/>
+					<select
+						className="px-1 py-1 border rounded text-xs cursor-pointer dark:bg-gray-700"
+						value={category}
+						onChange={e => setCategory(e.target.value)}
+					>
+						<option value="">All</option>
+						{CATEGORIES.map(c => (
+							<option key={c} value={c}>{CATEGORY_LABELS[c]}</option>
+						))}
+					</select>
+				</div>
+			)}
+			{shownCount === 0 && (
+				<div className="text-xs text-gray-500 mb-2">No quests here match.</div>
+			)}
 			<div className="flex flex-col gap-2">
 				{node.quests.map((opt, i) => {
+					if (!matchesQuestFilter(questInfo(i), { search, category })) return null;
+
 					// Is quest checked off?
-					const isCompleted = !!toggles?.[opt];
+					const questId = questIds[i];
+					const isCompleted = !!toggles?.[questId];
 
 					// Normalize dependencies to array of quest indices
 					const rawDeps = node.dependencies?.[i];
@@ -197,13 +305,13 @@ export function NodeDialog({ node, containerRef, pan, toggles = {}, onToggle, on
 							? [rawDeps]
 							: [];
 
-					const depsSatisfied = deps.every(index => {
-						// Check nested quests
-						const quest = node.quests[index];
-						return !!toggles?.[quest];
-					});
+					// Prerequisites at other locations
+					const crossDeps = node.crossDependencies?.[i] || [];
+					const missingCross = crossDeps.filter(d => !toggles?.[d.questId]);
+
+					const depsSatisfied = prerequisitesMet(node, i, toggles);
 
-					const dependentsCompleted = node.quests.some((questText, idx) => {
+					const dependentsCompleted = questIds.some((otherId, idx) => {
 						// Check dependents individually
 						const rawDep = node.dependencies?.[idx];
 						const depList = Array.isArray(rawDep)
@@ -211,66 +319,157 @@ export function NodeDialog({ node, containerRef, pan, toggles = {}, onToggle, on
 							: rawDep !== undefined
 								? [rawDep]
 								: [];
-						return depList.includes(i) && !!toggles?.[questText];
+						return depList.includes(i) && !!toggles?.[otherId];
 					});
 
-					const disabled = (!depsSatisfied && !isCompleted) || dependentsCompleted;
+					// Photo-proof quests are completed by staff approving an upload
+					const needsProof = !!node.proof?.[i];
+					const submission = submissions?.[questId];
+					const awaitingReview = needsProof && !isCompleted && submission?.status === "pending";
+					// QR quests are checked off by scanning the code posted at the location
+					const needsScan = !!node.checkin?.[i] && !isCompleted;
+
+					const disabled = (!depsSatisfied && !isCompleted) || dependentsCompleted || awaitingReview || needsScan;
 
 					const isUnlocked = depsSatisfied; // Have all dependencies been met?
 
 					// Handle checkbox check
 					function handleChange(e) {
+						if (needsProof && !isCompleted) {
+							// Open the upload form instead of checking the quest off
+							setProofFor(proofFor === i ? null : i);
+							setProofFile(null);
+							return;
+						}
                         if (!isCompleted) {
 							// Play animation when quest is completed
                             triggerAnim(i, e.currentTarget);
                         }
-                        onToggle(opt);
+                        onToggle(questId);
                     }
 
 					return (
-						<label 
-							key={opt} 
-							className={`flex items-center gap-2 p-2 rounded transition-colors ${
-								isCompleted ? 'bg-green-50 dark:bg-green-900/20' : ''
-							} ${
-								!isUnlocked && !isCompleted ? 'opacity-60 cursor-not-allowed' : ''
-							}`}
-						>
-							<input 
-								type="checkbox"
-								checked={isCompleted} 
-								disabled={disabled}
-								onChange={(e) => handleChange(e)} 
-								className={`${
-									disabled ? 'cursor-not-allowed' : 'cursor-pointer'
-								}`}
-							/>
-							<span
-								className={`text-sm ${
-									isCompleted ? 'line-through text-gray-500' : ''
-								} ${deps.length > 0 ? 'pl-4' : ''} ${
-									(!isUnlocked && !isCompleted) || dependentsCompleted ? 'text-gray-400' : ''
+						<div key={questId ?? i}>
+							<label 
+								className={`flex items-center gap-2 p-2 rounded transition-colors ${
+									isCompleted ? 'bg-green-50 dark:bg-green-900/20' : ''
+								} ${
+									!isUnlocked && !isCompleted ? 'opacity-60 cursor-not-allowed' : ''
 								}`}
 							>
-								{opt}
-							</span>
-							{/* Render animation */}
-                            {animMap[i]?.active && (
-                                <div
-                                    aria-hidden="true"
-                                    className="absolute pointer-events-none"
-                                    style={{
-                                        left: animMap[i].x,
-                                        top: animMap[i].y,
-                                        transform: "translate(-50%,-50%)",
-                                        width: 160,
-                                        height: 160,
-                                    }}
-                                >
-                                    <QuestCheckAnimation active seed={i + node.label.length} />
-                                </div>
-                            )}
-						</label>
+								<input 
+									type="checkbox"
+									checked={isCompleted} 
+									disabled={disabled}
+									onChange={(e) => handleChange(e)} 
+									className={`${
+										disabled ? 'cursor-not-allowed' : 'cursor-pointer'
+									}`}
+								/>
+								<span
+									className={`text-sm ${
+										isCompleted ? 'line-through text-gray-500' : ''
+									} ${deps.length > 0 ? 'pl-4' : ''} ${
+										(!isUnlocked && !isCompleted) || dependentsCompleted ? 'text-gray-400' : ''
+									}`}
+								>
+									{opt}
+								</span>
+								{/* Render animation */}
+								{animMap[i]?.active && (
+									<div
+										aria-hidden="true"
+										className="absolute pointer-events-none"
+										style={{
+											left: animMap[i].x,
+											top: animMap[i].y,
+											transform: "translate(-50%,-50%)",
+											width: 160,
+											height: 160,
+										}}
+									>
+										<QuestCheckAnimation active seed={i + node.label.length} />
+									</div>
+								)}
+							</label>
+							{!isCompleted && missingCross.length > 0 && (
+								<div className="text-xs px-2 text-gray-500">
+									Requires {missingCross.map(d => `"${d.quest}" at ${d.location}`).join(", ")}
+								</div>
+							)}
+							{needsScan && (
+								<div className="text-xs px-2 text-gray-500">Scan the QR code posted here to complete this quest</div>
+							)}
+							{/* Description, image, hints and accessibility note */}
+							{node.details?.[i] && (
+								<div className="px-2">
+									<button
+										type="button"
+										className="text-xs text-[#00AEEF] underline cursor-pointer"
+										onClick={() => setDetailsFor(detailsFor === i ? null : i)}
+									>
+										{detailsFor === i ? "Hide details" : "Details"}
+									</button>
+									{detailsFor === i && (
+										<QuestDetails
+											className="mt-1"
+											description={node.details[i].description}
+											imageUrl={node.details[i].imageUrl}
+											hints={node.details[i].hints}
+											accessibilityNote={node.details[i].accessibilityNote}
+										/>
+									)}
+								</div>
+							)}
+							{/* Category, difficulty and tags */}
+							{(node.categories?.[i] || node.difficulties?.[i] || node.tags?.[i]?.length > 0) && (
+								<div className="text-xs px-2 text-gray-500">
+									{[
+										CATEGORY_LABELS[node.categories?.[i]],
+										DIFFICULTY_LABELS[node.difficulties?.[i]],
+										...(node.tags?.[i] || []).map(t => `#${t}`),
+									].filter(Boolean).join(" · ")}
+								</div>
+							)}
+							{/* Time left on quests that end or reset */}
+							{node.deadlines?.[i] && (
+								<div className="text-xs px-2 text-gray-500">
+									<Countdown at={node.deadlines[i].at} kind={node.deadlines[i].kind} />
+								</div>
+							)}
+							{/* Review status for photo-proof quests */}
+							{needsProof && !isCompleted && submission && (
+								<div className={`text-xs px-2 ${submission.status === "rejected" ? "text-red-600" : "text-gray-500"}`}>
+									{submission.status === "pending" && "Photo sent, waiting for review"}
+									{submission.status === "rejected" && `Photo rejected${submission.review_note ? `: ${submission.review_note}` : ""}. Try another one.`}
+								</div>
+							)}
+							{/* Upload form for photo-proof quests */}
+							{proofFor === i && !isCompleted && !awaitingReview && (
+								<div className="flex flex-col gap-2 p-2 border rounded text-xs">
+									<span className="text-gray-600 dark:text-gray-300">Take a photo to prove it. Points are added once it&apos;s approved.</span>
+									<input
+										type="file"
+										accept={IMAGE_ACCEPT}
+										capture="environment"
+										onChange={e => setProofFile(e.target.files?.[0] || null)}
+										className="text-xs"
+									/>
+									<div className="flex gap-2">
+										<button
+											onClick={() => sendProof(questId)}
+											disabled={!proofFile || sendingProof}
+											className="px-2 py-1 rounded bg-[#FF7A00] text-white disabled:opacity-60 cursor-pointer"
+										>
+											{sendingProof ? "Sending..." : "Send photo"}
+										</button>
+										<button onClick={() => setProofFor(null)} className="px-2 py-1 border rounded cursor-pointer">
+											Cancel
+										</button>
+									</div>
+								</div>
+							)}
+						</div>
 					);
 				})}
 			</div>
@@ -3,7 +3,7 @@
 	Description: Map viewing page. Main map interface for tracking quest progress.
 	Programmers: Alejandro Sandoval, Pashia Vang
 	Date: 10/25/2025
-	Revisions: Add notifications and progress bars - 11/06/2025, Add navigation buttons and animations - 11/22/2025
+	Revisions: Add notifications and progress bars - 11/06/2025, Add navigation buttons and animations - 11/22/2025, Explain when an unverified email blocks a quest - 10/19/2026, Send a GPS reading for quests that need proof of presence - 10/19/2026, Upload photos for quests that need proof - 10/19/2026, Prerequisites at other locations - 10/19/2026, Track progress by quest_id through /api/v2/progress - 10/19/2026, Storyline paths with the next step highlighted - 10/19/2026, Street map mode on local tiles - 10/19/2026, Shared pan/zoom viewport with pinch, wheel and keyboard zoom and a minimap - 10/19/2026, Live location and nearest quest - 10/19/2026, Walkable paths and a suggested walking route - 10/19/2026, Map layers and filters - 10/19/2026, Route starts from a location on a drawn path and only replans when that changes - 10/19/2026
 	Errors: N/A
 	Input: Map data, user progress from API, user interactions
 	Output: Interactive map UI with nodes, Dialogs, progress indicators, and notifications
@@ -13,9 +13,32 @@
 
 import Image from "next/image";
 import { useRef, useState, useEffect, useMemo } from "react";
+import { LocateFixed, LocateOff, Route } from "lucide-react";
 import { useMapData } from "./mapData";
 import { Node, NodeDialog } from "./node";
+import TileLayer from "./TileLayer";
+import { useLiveLocation, LocationMarker, LocationPanel } from "./location";
+import RoutePanel from "./RoutePanel";
+import { LayerControl, LAYERS, nodeLayers, readLayerParams, writeLayerParams } from "./layers";
+import PanZoomViewport, { PAN_STEP, ZOOM_STEP } from "../components/PanZoomViewport";
 import { useNotifications } from "../contexts/NotificationContext";
+import { CAMPUS_BOUNDS, CAMPUS_CENTER, DEFAULT_ZOOM, MIN_ZOOM, MAX_ZOOM, TILE_ATTRIBUTION, project } from "@/lib/tiles";
+import { fitCalibration, latLngToPixel, pixelToLatLng } from "@/lib/calibration";
+import { planRoute } from "@/lib/routePlanner";
+import { bearingDegrees, haversineMeters, offsetPosition } from "@/lib/geo";
+
+// Zoom limits of the campus map; the street map's follow the tile levels
+const CAMPUS_MIN_ZOOM = 0.3;
+const CAMPUS_MAX_ZOOM = 2.5;
+const STREET_MIN_ZOOM = 2 ** (MIN_ZOOM - DEFAULT_ZOOM);
+const STREET_MAX_ZOOM = 2 ** (MAX_ZOOM - DEFAULT_ZOOM);
+
+// Street map content: the campus area in world pixels at DEFAULT_ZOOM
+const STREET_ORIGIN = project(CAMPUS_BOUNDS.north, CAMPUS_BOUNDS.west, DEFAULT_ZOOM);
+const STREET_CORNER = project(CAMPUS_BOUNDS.south, CAMPUS_BOUNDS.east, DEFAULT_ZOOM);
+const STREET_SIZE = { width: STREET_CORNER.x - STREET_ORIGIN.x, height: STREET_CORNER.y - STREET_ORIGIN.y };
+const STREET_CENTER = project(CAMPUS_CENTER.latitude, CAMPUS_CENTER.longitude, DEFAULT_ZOOM);
+const STREET_VIEW = { center: { x: STREET_CENTER.x - STREET_ORIGIN.x, y: STREET_CENTER.y - STREET_ORIGIN.y }, zoom: 1 };
 
 /*
 	Component: MapPage
@@ -31,6 +54,34 @@ export default function MapPage() {
 	);
 }
 
+/*
+	Function: readPosition
+	Description: Asks the browser for a fresh, high-accuracy GPS reading.
+	Returns: Promise of { latitude, longitude, accuracy, timestamp }
+*/
+function readPosition() {
+	return new Promise((resolve, reject) => {
+		if (!navigator.geolocation) {
+			reject(new Error("Your browser can't share its location."));
+			return;
+		}
+		navigator.geolocation.getCurrentPosition(
+			pos => resolve({
+				latitude: pos.coords.latitude,
+				longitude: pos.coords.longitude,
+				accuracy: pos.coords.accuracy,
+				timestamp: pos.timestamp,
+			}),
+			err => reject(new Error(
+				err.code === err.PERMISSION_DENIED
+					? "Allow location access to complete this quest."
+					: "Couldn't find your location. Please try again."
+			)),
+			{ enableHighAccuracy: true, timeout: 15000, maximumAge: 0 }
+		);
+	});
+}
+
 function LoadingOverlay() {
 	// Loading overlay that displays on the map only.
     return (
@@ -64,79 +115,86 @@ function MapCanvas() {
 		)
 	, [mapData.nodes]);
 
+	// "campus" pans over the PNG map, "street" over GPS-placed tiles
+	const [mode, setMode] = useState("campus");
+	useEffect(() => {
+		if (localStorage.getItem("mapMode") === "street") setMode("street");
+	}, []);
+	function switchMode(next) {
+		localStorage.setItem("mapMode", next);
+		setSelectedId(null);
+		setMode(next);
+	}
+
+	// Nodes in content coordinates for the current mode (street: placed by GPS)
+	const shownNodes = useMemo(() => {
+		if (mode !== "street") return nodes;
+		return nodes
+			.filter(n => n.latitude !== null && n.longitude !== null)
+			.map(n => {
+				const p = project(n.latitude, n.longitude, DEFAULT_ZOOM);
+				return { ...n, x: p.x - STREET_ORIGIN.x, y: p.y - STREET_ORIGIN.y };
+			});
+	}, [nodes, mode]);
+	const unplacedCount = mode === "street" ? nodes.length - shownNodes.length : 0;
+
+	// Map layers that are on, kept in the URL so a filtered map can be shared.
+	// Locations on none of them are dimmed, or hidden with only.
+	const [layerSettings, setLayerSettings] = useState({ layers: [], only: false });
+	useEffect(() => {
+		setLayerSettings(readLayerParams(window.location.search));
+	}, []);
+	function changeLayers(next) {
+		writeLayerParams(next);
+		setLayerSettings(next);
+	}
+
+	// Live location (opt-in), placed by GPS on the street map and through the
+	// locations' own pixel and GPS positions on the campus map
+	const live = useLiveLocation();
+	const campusFit = useMemo(() => fitCalibration(
+		nodes
+			.filter(n => n.latitude !== null && n.longitude !== null)
+			.map(n => ({ x_coordinate: n.x, y_coordinate: n.y, latitude: n.latitude, longitude: n.longitude }))
+	), [nodes]);
+	const toContent = useMemo(() => {
+		if (mode === "street") {
+			return ({ latitude, longitude }) => {
+				const p = project(latitude, longitude, DEFAULT_ZOOM);
+				return { x: p.x - STREET_ORIGIN.x, y: p.y - STREET_ORIGIN.y };
+			};
+		}
+		return campusFit.ok ? ({ latitude, longitude }) => latLngToPixel(campusFit.transform, latitude, longitude) : null;
+	}, [mode, campusFit]);
+
 	// Currently selected node (for dialog display)
 	const [selectedId, setSelectedId] = useState(null);
 
-	// Track per-node quest completion states
-	const [nodeToggles, setNodeToggles] = useState({});
+	// Quest completion states: { [quest_id]: true/false }
+	const [questProgress, setQuestProgress] = useState({});
+
+	// Photo-proof review status: { [quest_id]: { status, review_note } }
+	const [submissions, setSubmissions] = useState({});
 
 	// Loading state for progress
 	const [loadingProgress, setLoadingProgress] = useState(true);
 
-	// Panning
-	const [pan, setPan] = useState({ x: 0, y: 0 });
-	const [isPanning, setIsPanning] = useState(false);
-	const isPanningRef = useRef(false);
-	const lastRef = useRef({ x: 0, y: 0 });
-	const movedRef = useRef(false);
-	// Panning
-	const initialPanRef = useRef(null);
-	const PAN_STEP = 160;
-	function panBy(dx, dy) { // Pan by a set distance
-		setPan(p => ({ x: p.x + dx, y: p.y + dy }));
-	}
-	// reset to initial centered position
-	function resetPosition() {
-		if (initialPanRef.current) {
-			setPan({ ...initialPanRef.current });
-			return;
-		}
-	}
-
-	// Center initial view on first node
-	useEffect(() => {
-		const start = nodes[0];
-		const c = containerRef.current;
-		if (c && start) {
-			setPan({
-				x: c.clientWidth / 2 - start.x,
-				y: c.clientHeight / 2 - start.y,
-			});
-			// store initial pan for reset button
-			initialPanRef.current = {
-				x: c.clientWidth / 2 - start.x,
-				y: c.clientHeight / 2 - start.y,
-			};
-		}
-	}, [nodes]);
+	// Pan and zoom: the viewport owns the view, the page keeps a copy for the dialog
+	const viewportRef = useRef(null);
+	const [view, setView] = useState({ x: 0, y: 0, zoom: 1, scale: 1 });
 
-	// Update node toggles when nodes change
-	useEffect(() => {
-		if (!nodes.length) return;
-		setNodeToggles(prev => {
-			const next = { ...prev };
-			// add or update entries for current nodes
-			for (const n of nodes) {
-				const questsForNode = Array.isArray(n.quests) ? n.quests : [];
-				if (!next[n.id]) {
-					next[n.id] = Object.fromEntries(questsForNode.map(q => [q, false]));
-				} else {
-					// ensure all quests exist
-					for (const q of questsForNode) {
-						if (!(q in next[n.id])) next[n.id][q] = false;
-					}
-				}
-			}
-			return next;
-		});
-	}, [nodes]);
+	// Opens centered on the first node, or on campus on the street map
+	const firstNode = nodes[0];
+	const initialView = mode === "street"
+		? STREET_VIEW
+		: { center: firstNode ? { x: firstNode.x, y: firstNode.y } : null, zoom: 1 };
+	const resetKey = mode === "street" ? "street" : `campus:${firstNode?.id ?? ""}`;
 
-	// Load progress from database on mount and when map data loads
+	// Load progress from database on mount
 	useEffect(() => {
-		if (!nodes.length) return; // Wait for map data
 		async function loadProgress() {
 			try {
-				const response = await fetch("/api/progress");
+				const response = await fetch("/api/v2/progress");
 				if (!response.ok) {
 					// If unauthorized, user is not logged in - that's okay, just use default state
 					if (response.status === 401) {
@@ -148,20 +206,17 @@ function MapCanvas() {
 				const data = await response.json();
 				const progress = data.progress || {};
 
-				// Map database progress to node toggles
-				setNodeToggles(prev => {
-					const updated = { ...prev };
-					for (const n of nodes) {
-						updated[n.id] = updated[n.id] || {};
-						for (const questText of (n.quests || [])) {
-							const locationName = n.label;
-							const locationProgress = progress[locationName] || {};
-							const questProgress = locationProgress[questText];
-							updated[n.id][questText] = !!(questProgress && questProgress.completed);
-						}
-					}
-					return updated;
-				});
+				// Review status of photo proofs; the map still works without it
+				const subsResponse = await fetch("/api/submissions").catch(() => null);
+				if (subsResponse?.ok) {
+					const subsData = await subsResponse.json();
+					setSubmissions(subsData.submissions || {});
+				}
+
+				// Keyed by quest_id, so it doesn't matter which map data is loaded yet
+				setQuestProgress(Object.fromEntries(
+					Object.entries(progress).map(([questId, p]) => [questId, !!p.completed])
+				));
 			} catch (error) {
 				console.error("Error loading progress:", error);
 			} finally {
@@ -170,46 +225,7 @@ function MapCanvas() {
 		}
 
 		loadProgress();
-	}, [nodes]); // re-run when nodes arrive or change
-
-	/* ====== Pointer Event Handlers (for map dragging/panning) ====== */
-
-	function onPointerDown(e) {
-		if (e.button !== 0) return; // left mouse only
-		const interactive = e.target.closest?.("button, a, input, label, [role='button']"); // dont pan with controls
-		if (interactive) return;
-		isPanningRef.current = true;
-		setIsPanning(true);
-		movedRef.current = false;
-		lastRef.current = { x: e.clientX, y: e.clientY };
-		try { // Improve dragging on mobile
-			containerRef.current?.setPointerCapture(e.pointerId);
-		} catch {}
-	}
-
-	function onPointerMove(e) {
-		if (!isPanningRef.current) return;
-		const dx = e.clientX - lastRef.current.x;
-		const dy = e.clientY - lastRef.current.y;
-
-		// Mark as "moved" if drag distance exceeds threshold
-		if (Math.abs(dx) > 2 || Math.abs(dy) > 2) movedRef.current = true;
-
-		lastRef.current = { x: e.clientX, y: e.clientY };
-		setPan(p => ({ x: p.x + dx, y: p.y + dy }));
-	}
-
-	function onPointerUp(e) {
-		if (!isPanningRef.current) return;
-		isPanningRef.current = false;
-		setIsPanning(false);
-		movedRef.current = false;
-		try {
-			containerRef.current.releasePointerCapture(e.pointerId);
-		} catch {
-			// ignore release errors
-		}
-	}
+	}, []);
 
 	/* ====== Node Event Handlers ====== */
 
@@ -219,24 +235,21 @@ function MapCanvas() {
 	}
 
 	function onNodeClick(id) {
-		// Ignore click if user just panned
-		if (movedRef.current) {
-			movedRef.current = false;
-			return;
-		}
+		// The viewport swallows the click that ends a drag
 		setSelectedId(id);
 	}
 
-	async function toggleOption(nodeId, option) {
+	async function toggleOption(nodeId, questId) {
 		// Find the node to get location name
 		const node = nodes.find(n => n.id === nodeId);
 		if (!node) return;
 
-		const questIndex = node.quests.indexOf(option);
+		const questIndex = (node.questIds || []).indexOf(questId);
 		if (questIndex === -1) return;
+		const option = node.quests[questIndex];
 
 		// Get current completion state
-		const currentState = nodeToggles[nodeId]?.[option] || false;
+		const currentState = questProgress[questId] || false;
 		const newState = !currentState;
 
 		// Gather dependencies for the quest being toggled
@@ -247,14 +260,14 @@ function MapCanvas() {
 				? [rawDeps]
 				: [];
 
-		// Helper to check if dependencies are satisfied
+		// Helper to check if dependencies are satisfied, here and at other locations
+		const crossDeps = node.crossDependencies?.[questIndex] || [];
 		const depsSatisfied = deps.every(depIndex => {
-			const depQuest = node.quests[depIndex];
-			return !!nodeToggles[nodeId]?.[depQuest];
-		});
+			return !!questProgress[node.questIds[depIndex]];
+		}) && crossDeps.every(d => !!questProgress[d.questId]);
 
 		// Helper to see if this quest has dependents already completed
-		const dependentLocked = node.quests.some((questText, idx) => {
+		const dependentLocked = node.questIds.some((otherId, idx) => {
 			const otherRawDeps = node.dependencies?.[idx];
 			const otherDeps = Array.isArray(otherRawDeps)
 				? otherRawDeps
@@ -263,7 +276,7 @@ function MapCanvas() {
 					: [];
 			return (
 				otherDeps.includes(questIndex) &&
-				nodeToggles[nodeId]?.[questText]
+				questProgress[otherId]
 			);
 		});
 
@@ -283,23 +296,29 @@ function MapCanvas() {
 			return;
 		}
 
+		// Geofenced quests need proof the player is there
+		let position;
+		if (newState && node.presence?.[questIndex]) {
+			try {
+				position = await readPosition();
+			} catch (err) {
+				addNotification({ type: "warning", message: err.message });
+				return;
+			}
+		}
+
 		// Optimistically update UI
-		setNodeToggles(prev => ({
-			...prev,
-			[nodeId]: { ...prev[nodeId], [option]: newState },
-		}));
+		setQuestProgress(prev => ({ ...prev, [questId]: newState }));
 
 		// Save to database
 		try {
-			const response = await fetch("/api/progress", {
+			const response = await fetch("/api/v2/progress", {
 				method: "POST",
 				headers: {
 					"Content-Type": "application/json",
 				},
 				body: JSON.stringify({
-					location_name: node.label,
-					quest_text: option,
-					completed: newState,
+					updates: [{ quest_id: questId, completed: newState, position }],
 				}),
 			});
 
@@ -309,9 +328,21 @@ function MapCanvas() {
 					console.warn("User not logged in, progress not saved");
 					return;
 				}
+				if (response.status === 403 || response.status === 409) {
+					// Unverified email, not at the location or a locked quest: undo the check and explain why
+					const { error, message } = await response.json().catch(() => ({}));
+					setQuestProgress(prev => ({ ...prev, [questId]: currentState }));
+					addNotification({
+						type: "warning",
+						message: error || message || "You can't complete quests yet.",
+					});
+					return;
+				}
 				throw new Error("Failed to save progress");
 			}
 
+			const { storylines_completed: finished = [] } = await response.json().catch(() => ({}));
+
 			// Show notification based on action
 			if (newState) {
 				addNotification({
@@ -320,11 +351,8 @@ function MapCanvas() {
 				});
 
 				// Check if all quests at this location are now completed
-				const updatedToggles = {
-					...nodeToggles,
-					[nodeId]: { ...nodeToggles[nodeId], [option]: newState },
-				};
-				const completedQuests = Object.values(updatedToggles[nodeId] || {}).filter(v => v === true).length;
+				const updatedProgress = { ...questProgress, [questId]: newState };
+				const completedQuests = node.questIds.filter(id => updatedProgress[id]).length;
 				const totalQuests = node.quests.length;
 				
 				if (completedQuests === totalQuests) {
@@ -335,6 +363,15 @@ function MapCanvas() {
 						});
 					}, 500);
 				}
+
+				finished.forEach(s => {
+					setTimeout(() => {
+						addNotification({
+							type: "success",
+							message: `Storyline finished: "${s.title}" (+${s.bonus_points} points)`,
+						});
+					}, 1000);
+				});
 			} else {
 				addNotification({
 					type: "info",
@@ -344,10 +381,7 @@ function MapCanvas() {
 		} catch (error) {
 			console.error("Error saving progress:", error);
 			// Revert optimistic update on error
-			setNodeToggles(prev => ({
-				...prev,
-				[nodeId]: { ...prev[nodeId], [option]: currentState },
-			}));
+			setQuestProgress(prev => ({ ...prev, [questId]: currentState }));
 			
 			addNotification({
 				type: "error",
@@ -356,12 +390,193 @@ function MapCanvas() {
 		}
 	}
 
+	/*
+		Function: submitProof
+		Description: Uploads a photo for a quest that needs proof. The quest stays
+		             unchecked until staff approve it.
+		Returns: true when the photo was accepted for review
+	*/
+	async function submitProof(nodeId, questId, file) {
+		const node = nodes.find(n => n.id === nodeId);
+		if (!node) return false;
+		const questIndex = (node.questIds || []).indexOf(questId);
+		if (questIndex === -1) return false;
+		const option = node.quests[questIndex];
+
+		const formData = new FormData();
+		formData.append("file", file);
+		formData.append("quest_id", questId);
+
+		// Geofenced quests need proof the player is there as well
+		if (node.presence?.[questIndex]) {
+			try {
+				formData.append("position", JSON.stringify(await readPosition()));
+			} catch (err) {
+				addNotification({ type: "warning", message: err.message });
+				return false;
+			}
+		}
+
+		try {
+			const response = await fetch("/api/submissions", { method: "POST", body: formData });
+			const data = await response.json().catch(() => ({}));
+			if (!response.ok) {
+				addNotification({
+					type: response.status === 401 ? "error" : "warning",
+					message: data.error || data.message || "Failed to send photo. Please try again.",
+				});
+				return false;
+			}
+
+			setSubmissions(prev => ({ ...prev, [questId]: { status: "pending", review_note: null } }));
+			addNotification({
+				type: "success",
+				message: `Photo sent for "${option}". You'll get the points once it's approved.`,
+			});
+			return true;
+		} catch (error) {
+			console.error("Error sending proof:", error);
+			addNotification({ type: "error", message: "Failed to send photo. Please try again." });
+			return false;
+		}
+	}
+
 	function closeDialog() {
 		setSelectedId(null);
 	}
 
-	// Helper: find node by id
-	const findNode = id => nodes.find(n => n.id === id);
+	// Helper: find node by id (positioned for the current map mode)
+	const findNode = id => shownNodes.find(n => n.id === id);
+
+	// Next step of each storyline: the node it is at (with the storyline's
+	// title) and the step before it, to draw the way there
+	const { nextStepAt, activeSteps } = useMemo(() => {
+		const nextStepAt = {};
+		const activeSteps = new Map();
+		for (const storyline of mapData.storylines || []) {
+			const index = storyline.steps.findIndex(s => !questProgress[s.questId]);
+			if (index === -1) continue;
+			const step = storyline.steps[index];
+			nextStepAt[step.nodeId] = nextStepAt[step.nodeId] || storyline.title;
+			const prev = storyline.steps[index - 1];
+			if (prev && prev.nodeId !== step.nodeId) {
+				activeSteps.set([prev.nodeId, step.nodeId].sort().join("|"), [prev.nodeId, step.nodeId]);
+			}
+		}
+		return { nextStepAt, activeSteps: [...activeSteps.values()] };
+	}, [mapData.storylines, questProgress]);
+
+	// Quests still to do at each location: { [nodeId]: [quest text] }
+	const questsToDo = useMemo(() => {
+		const todo = {};
+		for (const n of nodes) {
+			const left = (n.questIds || []).map((id, i) => (questProgress[id] ? null : n.quests[i])).filter(q => q !== null);
+			if (left.length) todo[n.id] = left;
+		}
+		return todo;
+	}, [nodes, questProgress]);
+
+	// GPS position of each location: its own, or where the campus map fit puts it
+	const gpsById = useMemo(() => Object.fromEntries(nodes.map(n => {
+		if (n.latitude !== null && n.longitude !== null) return [n.id, { latitude: n.latitude, longitude: n.longitude }];
+		return [n.id, campusFit.ok ? pixelToLatLng(campusFit.transform, n.x, n.y) : null];
+	})), [nodes, campusFit]);
+
+	// Nearest location with a quest still to do, by walking distance as the crow flies
+	const nearest = useMemo(() => {
+		const here = live.position;
+		if (!here) return null;
+		let best = null;
+		for (const n of nodes) {
+			if (n.latitude === null || n.longitude === null || !questsToDo[n.id]) continue;
+			const distance = haversineMeters(here, n);
+			if (best && best.distance <= distance) continue;
+			const todo = questsToDo[n.id];
+			best = { id: n.id, label: n.label, quest: todo[0], remaining: todo.length, distance, bearing: bearingDegrees(here, n) };
+		}
+		return best;
+	}, [live.position, nodes, questsToDo]);
+
+	// Suggested walking route through every location with quests to do, along
+	// the admin-drawn paths. Meters when every location has a GPS position,
+	// else campus map pixels (only the order is shown then).
+	const [showRoute, setShowRoute] = useState(false);
+	const measured = useMemo(() => nodes.length > 0 && nodes.every(n => gpsById[n.id]), [nodes, gpsById]);
+
+	// Where the route sets off: the location closest to the player that is on a
+	// drawn path (any location while none are drawn), when their position is known
+	const routeStart = useMemo(() => {
+		const here = live.position;
+		if (!showRoute || !here || !measured) return null;
+		const linked = new Set(mapData.links.flat());
+		let best = null;
+		for (const n of nodes) {
+			if (linked.size && !linked.has(n.id)) continue;
+			const distance = haversineMeters(here, gpsById[n.id]);
+			if (!best || distance < best.distance) best = { id: n.id, distance };
+		}
+		return best;
+	}, [showRoute, live.position, measured, mapData.links, nodes, gpsById]);
+	const startId = routeStart?.id ?? null;
+
+	// Replans only when the start location changes, not on every GPS reading
+	const route = useMemo(() => {
+		if (!showRoute) return null;
+		const byId = Object.fromEntries(nodes.map(n => [n.id, n]));
+		const distance = (a, b) => (measured
+			? haversineMeters(gpsById[a], gpsById[b])
+			: Math.hypot(byId[a].x - byId[b].x, byId[a].y - byId[b].y));
+
+		const stopIds = Object.keys(questsToDo);
+		let planned = planRoute({ stops: stopIds, links: mapData.links, distance, start: startId });
+		// The start's paths reach none of the stops: plan without it instead
+		const fromStart = startId !== null && planned.order.length > 0;
+		if (startId !== null && !fromStart) {
+			planned = planRoute({ stops: stopIds, links: mapData.links, distance, start: null });
+		}
+		const stops = Object.fromEntries(stopIds.map(id => [id, {
+			label: byId[id].label,
+			quests: questsToDo[id],
+			gps: gpsById[id],
+		}]));
+		return {
+			planned,
+			fromStart,
+			stops,
+			track: planned.path.map(id => gpsById[id]).filter(Boolean),
+		};
+	}, [showRoute, nodes, gpsById, measured, questsToDo, mapData.links, startId]);
+	// The walk to the start location counts towards the total
+	const routeLength = route ? route.planned.length + (route.fromStart ? routeStart?.distance ?? 0 : 0) : 0;
+
+	function showNearest() {
+		const node = nearest && findNode(nearest.id);
+		if (!node) return;
+		viewportRef.current?.setView({ center: { x: node.x, y: node.y }, zoom: Math.max(view.zoom, 1) });
+		setSelectedId(node.id);
+	}
+
+	// The player's marker in content coordinates: position, accuracy edge and a point ahead
+	const me = useMemo(() => {
+		const here = live.position;
+		if (!here || !toContent) return null;
+		const at = toContent(here);
+		const edge = toContent(offsetPosition(here, 0, here.accuracy));
+		const ahead = here.heading === null ? null : toContent(offsetPosition(here, here.heading, 10));
+		return { at, accuracy: Math.hypot(edge.x - at.x, edge.y - at.y), ahead };
+	}, [live.position, toContent]);
+
+	// Layers each location is on, and how many locations are on each layer
+	const { markersById, layerCounts } = useMemo(() => {
+		const markersById = {};
+		const layerCounts = Object.fromEntries(LAYERS.map(l => [l.id, 0]));
+		for (const n of nodes) {
+			const all = nodeLayers(n, questProgress, LAYERS.map(l => l.id));
+			for (const layer of all) layerCounts[layer.id]++;
+			markersById[n.id] = all.filter(layer => layerSettings.layers.includes(layer.id));
+		}
+		return { markersById, layerCounts };
+	}, [nodes, questProgress, layerSettings.layers]);
 
 	/* ====== Render ====== */
 
@@ -379,89 +594,166 @@ function MapCanvas() {
 		return () => clearTimeout(t);
 	}, [nodes.length]);
 
-	return (
-		<div
-			ref={containerRef}
-			className={`relative w-full h-full ${
-				isPanning ? "cursor-grabbing" : "cursor-grab"
-			} bg-gray-50 overflow-hidden border rounded border border-gray-400`}
-			style={{ touchAction: "none" }}
-			onPointerDown={onPointerDown}
-			onPointerMove={onPointerMove}
-			onPointerUp={onPointerUp}
-		>
-			{/* Panned map content container */}
-			<div
-				className="absolute top-0 left-0"
-				style={{ transform: `translate(${pan.x}px, ${pan.y}px)` }}
-			>
-				{/* Background map image */}
-				<div
-					className="absolute top-0 left-0 pointer-events-none select-none"
-					style={{
-						zIndex: 0,
-						width: mapData.background.width,
-						height: mapData.background.height,
-						opacity: mapData.background.opacity ?? 1,
-					}}
-				>
-					<Image
-						src={mapData.background.src}
-						width={mapData.background.width}
-						height={mapData.background.height}
-						alt="map background"
-						priority
-						unoptimized
+	// Street map: tiles under everything. Lines and nodes are drawn at screen
+	// positions so they keep their size at any zoom.
+	const renderOverlay = v => {
+		const at = n => ({ ...n, x: v.x + n.x * v.scale, y: v.y + n.y * v.scale });
+		// Straight line between two nodes shown in this mode
+		const line = (a, b, style, key = `${a}-${b}`) => {
+			const na = findNode(a);
+			const nb = findNode(b);
+			if (!na || !nb) return null;
+			return (
+				<line
+					key={key}
+					x1={v.x + na.x * v.scale}
+					y1={v.y + na.y * v.scale}
+					x2={v.x + nb.x * v.scale}
+					y2={v.y + nb.y * v.scale}
+					strokeLinecap="round"
+					{...style}
+				/>
+			);
+		};
+		return (
+			<>
+				{mode === "street" && <TileLayer view={v} origin={STREET_ORIGIN} width={v.width} height={v.height} />}
+
+				{/* You are here */}
+				{me && (
+					<LocationMarker
+						point={{ x: v.x + me.at.x * v.scale, y: v.y + me.at.y * v.scale }}
+						radius={Math.max(8, me.accuracy * v.scale)}
+						heading={me.ahead && (Math.atan2(me.ahead.x - me.at.x, me.at.y - me.ahead.y) * 180) / Math.PI}
+						stale={live.status === "lost"}
 					/>
-				</div>
+				)}
 
-				{/* Render node connection lines */}
+				{/* Render walkable paths, the suggested route and the way to each storyline's next step */}
 				<svg
-					width={mapData.width}
-					height={mapData.height}
+					width={v.width}
+					height={v.height}
 					className="absolute top-0 left-0 pointer-events-none"
 					style={{ overflow: "visible" }}
 				>
 					<g>
-						{mapData.links.map(([a, b]) => {
-							const na = findNode(a);
-							const nb = findNode(b);
-							if (!na || !nb) return null;
-							return (
-								<line
-									key={`${a}-${b}`}
-									x1={na.x}
-									y1={na.y}
-									x2={nb.x}
-									y2={nb.y}
-									stroke="#94a3b8"
-									strokeWidth={2}
-									strokeLinecap="round"
-								/>
-							);
-						})}
+						{mapData.links.map(([a, b]) => line(a, b, { stroke: "#94a3b8", strokeWidth: 2 }))}
+					</g>
+					{route && (
+						<g>
+							{route.planned.path.slice(1).map((b, i) => line(route.planned.path[i], b, {
+								stroke: "#00AEEF",
+								strokeWidth: 6,
+								strokeOpacity: 0.75,
+							}, `route-${i}`))}
+						</g>
+					)}
+					<g>
+						{activeSteps.map(([a, b]) => line(a, b, { stroke: "#FF7A00", strokeWidth: 4, strokeDasharray: "10 8" }))}
 					</g>
 				</svg>
 
 				{/* Render map nodes */}
-				{nodes.map(n => {
+				{shownNodes.map(n => {
 					// Calculate progress for this node
-					const nodeProgress = nodeToggles[n.id] || {};
-					const completedCount = Object.values(nodeProgress).filter(v => v === true).length;
+					const completedCount = (n.questIds || []).filter(id => questProgress[id]).length;
 					const totalCount = n.quests.length;
+					const markers = markersById[n.id] || [];
+					const filtered = layerSettings.layers.length > 0 && !markers.length;
+					if (filtered && layerSettings.only) return null;
 					
 					return (
 						<Node
 							key={n.id}
-							node={n}
+							node={at(n)}
 							onPointerDown={onNodePointerDown}
 							onClick={() => onNodeClick(n.id)}
 							completedCount={completedCount}
 							totalCount={totalCount}
+							nextStep={nextStepAt[n.id] ?? null}
+							markers={markers}
+							dimmed={filtered}
 						/>
 					);
 				})}
-			</div>
+
+				{/* Stop numbers along the suggested route */}
+				{route?.planned.order.map((id, i) => {
+					const n = findNode(id);
+					if (!n) return null;
+					return (
+						<span
+							key={`stop-${id}`}
+							className="absolute w-5 h-5 rounded-full bg-[#00AEEF] border-2 border-white text-white text-[10px] font-bold flex items-center justify-center shadow pointer-events-none"
+							style={{ left: v.x + n.x * v.scale + 14, top: v.y + n.y * v.scale - 34 }}
+						>
+							{i + 1}
+						</span>
+					);
+				})}
+			</>
+		);
+	};
+
+	// Minimap: the whole campus map, or the placed nodes over a plain background
+	const minimap = mode === "street" ? (
+		<div className="absolute inset-0 bg-gray-200">
+			{shownNodes.map(n => (
+				<span
+					key={n.id}
+					className="absolute w-1.5 h-1.5 -translate-x-1/2 -translate-y-1/2 rounded-full bg-[#007AFF]"
+					style={{ left: `${(n.x / STREET_SIZE.width) * 100}%`, top: `${(n.y / STREET_SIZE.height) * 100}%` }}
+				/>
+			))}
+		</div>
+	) : (
+		<Image src={mapData.background.src} alt="" fill unoptimized draggable={false} className="object-fill select-none" />
+	);
+
+	const selectedNode = selectedId ? findNode(selectedId) : null;
+
+	return (
+		<div
+			ref={containerRef}
+			className="relative w-full h-full bg-gray-50 overflow-hidden border rounded border border-gray-400"
+		>
+			<PanZoomViewport
+				ref={viewportRef}
+				className="absolute inset-0 cursor-grab"
+				label={mode === "street" ? "Street map" : "Campus map"}
+				contentWidth={mode === "street" ? STREET_SIZE.width : mapData.width}
+				contentHeight={mode === "street" ? STREET_SIZE.height : mapData.height}
+				minZoom={mode === "street" ? STREET_MIN_ZOOM : CAMPUS_MIN_ZOOM}
+				maxZoom={mode === "street" ? STREET_MAX_ZOOM : CAMPUS_MAX_ZOOM}
+				initialView={initialView}
+				resetKey={resetKey}
+				minimap={minimap}
+				onViewChange={setView}
+				overlay={renderOverlay}
+			>
+				{/* Background: the campus map image (street tiles are in the overlay) */}
+				{mode === "campus" && (
+					<div
+						className="absolute top-0 left-0 pointer-events-none select-none"
+						style={{
+							zIndex: 0,
+							width: mapData.background.width,
+							height: mapData.background.height,
+							opacity: mapData.background.opacity ?? 1,
+						}}
+					>
+						<Image
+							src={mapData.background.src}
+							width={mapData.background.width}
+							height={mapData.background.height}
+							alt="map background"
+							draggable={false}
+							priority
+							unoptimized
+						/>
+					</div>
+				)}
+			</PanZoomViewport>
 
 			{/* Pan controls (overlay) */}
 
@@ -469,7 +761,7 @@ function MapCanvas() {
 			<div className="absolute left-4 top-4 z-50">
 				<button
 					onPointerDown={e => e.stopPropagation()}
-					onClick={() => resetPosition()}
+					onClick={() => viewportRef.current?.reset()}
 					title="Reset position"
 					className="w-10 h-10 bg-[#007AFF] text-white rounded-md shadow flex items-center justify-center hover:brightness-105 transition cursor-pointer"
 				>
@@ -485,7 +777,7 @@ function MapCanvas() {
 					{/* Up */}
 					<button
 						onPointerDown={e => e.stopPropagation()}
-						onClick={() => panBy(0, PAN_STEP)}
+						onClick={() => viewportRef.current?.panBy(0, PAN_STEP)}
 						title="Pan Up"
 						className="w-10 h-10 bg-[#FF7A00] text-white rounded-md shadow flex items-center justify-center hover:brightness-105 transition cursor-pointer"
 					>
@@ -497,7 +789,7 @@ function MapCanvas() {
 					{/* Left */}
 					<button
 						onPointerDown={e => e.stopPropagation()}
-						onClick={() => panBy(PAN_STEP, 0)}
+						onClick={() => viewportRef.current?.panBy(PAN_STEP, 0)}
 						title="Pan Left"
 						className="w-10 h-10 bg-[#FF7A00] text-white rounded-md shadow flex items-center justify-center hover:brightness-105 transition cursor-pointer"
 					>
@@ -507,7 +799,7 @@ function MapCanvas() {
 					{/* Down */}
 					<button
 						onPointerDown={e => e.stopPropagation()}
-						onClick={() => panBy(0, -PAN_STEP)}
+						onClick={() => viewportRef.current?.panBy(0, -PAN_STEP)}
 						title="Pan Down"
 						className="w-10 h-10 bg-[#FF7A00] text-white rounded-md shadow flex items-center justify-center hover:brightness-105 transition cursor-pointer"
 					>
@@ -517,7 +809,7 @@ function MapCanvas() {
 					{/* Right */}
 					<button
 						onPointerDown={e => e.stopPropagation()}
-						onClick={() => panBy(-PAN_STEP, 0)}
+						onClick={() => viewportRef.current?.panBy(-PAN_STEP, 0)}
 						title="Pan Right"
 						className="w-10 h-10 bg-[#FF7A00] text-white rounded-md shadow flex items-center justify-center hover:brightness-105 transition cursor-pointer"
 					>
@@ -526,14 +818,113 @@ function MapCanvas() {
 				</div>
 			</div>
 			
+			{/* Map mode switch and zoom */}
+			<div className="absolute right-4 top-4 z-50 flex flex-col items-end gap-2">
+				<div className="flex rounded-md shadow overflow-hidden text-sm font-semibold">
+					{[["campus", "Campus"], ["street", "Street"]].map(([value, label]) => (
+						<button
+							key={value}
+							onPointerDown={e => e.stopPropagation()}
+							onClick={() => switchMode(value)}
+							aria-pressed={mode === value}
+							className={`px-3 py-2 cursor-pointer ${mode === value ? "bg-[#007AFF] text-white" : "bg-white text-gray-700 hover:bg-gray-100"}`}
+						>
+							{label}
+						</button>
+					))}
+				</div>
+				<div className="flex flex-col gap-2">
+					<button
+						onPointerDown={e => e.stopPropagation()}
+						onClick={() => viewportRef.current?.zoomBy(ZOOM_STEP)}
+						disabled={view.zoom >= (mode === "street" ? STREET_MAX_ZOOM : CAMPUS_MAX_ZOOM)}
+						title="Zoom in"
+						className="w-10 h-10 bg-[#007AFF] text-white rounded-md shadow flex items-center justify-center hover:brightness-105 transition cursor-pointer disabled:opacity-50"
+					>
+						+
+					</button>
+					<button
+						onPointerDown={e => e.stopPropagation()}
+						onClick={() => viewportRef.current?.zoomBy(1 / ZOOM_STEP)}
+						disabled={view.zoom <= (mode === "street" ? STREET_MIN_ZOOM : CAMPUS_MIN_ZOOM)}
+						title="Zoom out"
+						className="w-10 h-10 bg-[#007AFF] text-white rounded-md shadow flex items-center justify-center hover:brightness-105 transition cursor-pointer disabled:opacity-50"
+					>
+						−
+					</button>
+					<button
+						onPointerDown={e => e.stopPropagation()}
+						onClick={() => live.setSharing(!live.sharing)}
+						aria-pressed={live.sharing}
+						title={live.sharing ? "Stop showing my location" : "Show my location (stays on this device)"}
+						className={`w-10 h-10 rounded-md shadow flex items-center justify-center hover:brightness-105 transition cursor-pointer ${
+							live.sharing ? "bg-[#007AFF] text-white" : "bg-white text-[#007AFF]"
+						}`}
+					>
+						{live.sharing ? <LocateFixed className="w-5 h-5" /> : <LocateOff className="w-5 h-5" />}
+					</button>
+					<button
+						onPointerDown={e => e.stopPropagation()}
+						onClick={() => setShowRoute(v => !v)}
+						aria-pressed={showRoute}
+						title={showRoute ? "Hide suggested route" : "Suggest a walking route through your quests"}
+						className={`w-10 h-10 rounded-md shadow flex items-center justify-center hover:brightness-105 transition cursor-pointer ${
+							showRoute ? "bg-[#00AEEF] text-white" : "bg-white text-[#00AEEF]"
+						}`}
+					>
+						<Route className="w-5 h-5" />
+					</button>
+					<LayerControl
+						layers={layerSettings.layers}
+						only={layerSettings.only}
+						counts={layerCounts}
+						onChange={changeLayers}
+					/>
+				</div>
+			</div>
+
+			{/* Suggested route, where the player is and the nearest quest still to do */}
+			<div className="absolute left-1/2 bottom-4 -translate-x-1/2 z-50 w-[min(22rem,calc(100%-2rem))] flex flex-col gap-2">
+				{route && (
+					<RoutePanel
+						route={{ ...route.planned, length: routeLength }}
+						measured={measured}
+						stops={route.stops}
+						track={route.track}
+						onClose={() => setShowRoute(false)}
+					/>
+				)}
+				<LocationPanel
+					status={live.status}
+					nearest={nearest}
+					heading={live.position?.heading ?? null}
+					onShow={showNearest}
+					onDismiss={live.dismiss}
+				/>
+			</div>
+
+			{/* Street map credits, and places it can't show yet */}
+			{mode === "street" && (
+				<div className="absolute right-2 bottom-2 z-40 flex flex-col items-end gap-1 text-[11px] pointer-events-none">
+					{unplacedCount > 0 && (
+						<span className="px-2 py-1 rounded bg-white/90 text-gray-700 shadow">
+							{unplacedCount} place{unplacedCount === 1 ? " isn't" : "s aren't"} on the street map yet
+						</span>
+					)}
+					<span className="px-1 bg-white/80 text-gray-600">{TILE_ATTRIBUTION}</span>
+				</div>
+			)}
+
 			{/* Display dialog for selected node */}
-			{selectedId && (
+			{selectedNode && (
 				<NodeDialog
-					node={findNode(selectedId)}
+					node={{ ...selectedNode, x: selectedNode.x * view.scale, y: selectedNode.y * view.scale }}
 					containerRef={containerRef}
-					pan={pan}
-					toggles={nodeToggles[selectedId]}
-					onToggle={opt => toggleOption(selectedId, opt)}
+					pan={view}
+					toggles={questProgress}
+					submissions={submissions}
+					onToggle={questId => toggleOption(selectedId, questId)}
+					onSubmitProof={(questId, file) => submitProof(selectedId, questId, file)}
 					onClose={closeDialog}
 				/>
 			)}
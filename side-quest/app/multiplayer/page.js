@@ -3,7 +3,7 @@
 	Description: Multiplayer quest functionality
 	Programmers: Aiden Barnard
 	Date: 2/09/2026
-	Revisions: N/A
+	Revisions: Use shared session helper - 10/19/2026
 	Errors: N/A
 	Input: 
 		- User auth token (cookie)
@@ -16,8 +16,6 @@
 */
 
 import { requireAuthOrRedirect } from "@/lib/requireAuth";
-import { cookies } from "next/headers";
-import { verifyToken } from "../../lib/auth";
 import { createAdminClient } from "../../lib/supabase/admin";
 import Link from "next/link";
 import { Trophy, Shield, Swords, Crown, User, ArrowRight, Star } from "lucide-react";
@@ -28,13 +26,7 @@ export const metadata = {
 };
 
 export default async function MultiplayerPage() {
-	requireAuthOrRedirect();
-
-	const cookieStore = await cookies();
-	const token = cookieStore.get("sid")?.value;
-	const user = token ? verifyToken(token) : null;
-
-	if (!user) return null;
+	await requireAuthOrRedirect();
 
 	const supabase = createAdminClient();
 
@@ -3,12 +3,13 @@
 	Description: Quests page showing all quests with completion status.
 	Programmers: Pashia Vang
 	Date: 11/06/2025
-	Revisions: N/A
+	Revisions: Use shared session helper - 10/19/2026, Only running quests; repeating quests count this period - 10/19/2026, Search and filter by category, difficulty and tag - 10/19/2026, Quest details with hints - 10/19/2026, Link to storylines - 10/19/2026
 	Errors: N/A
 	Input: 
 		- User auth token (cookie)
 		- Quest data from database (locations, quests)
 		- User progress data (completed quests)
+		- Filters from the URL: ?q=&category=&difficulty=&tag=
 	Output: 
 		- Rendered page showing quests by location
 		- Completion statistics
@@ -16,32 +17,46 @@
 */
 
 import { requireAuthOrRedirect } from "@/lib/requireAuth";
-import { cookies } from "next/headers";
-import { verifyToken } from "../../lib/auth";
 import { createAdminClient } from "../../lib/supabase/admin";
 import Link from "next/link";
 import { CheckCircle2, MapPin, Trophy, Compass, ArrowRight, Star, Sparkles } from "lucide-react";
 import AnimatedProgressBar from "./progress-bar";
+import Countdown from "../components/Countdown";
+import QuestDetails from "../components/QuestDetails";
+import { isQuestActive, isCurrentProgress, questDeadline, RECURRENCE_LABELS } from "@/lib/questSchedule";
+import { CATEGORIES, CATEGORY_LABELS, DIFFICULTIES, DIFFICULTY_LABELS, matchesQuestFilter } from "@/lib/questTags";
+import { hasQuestContent } from "@/lib/questContent";
 
-export default async function QuestsPage() {
-	// redirect if not authenticated
-	requireAuthOrRedirect();
+/*
+	Function: filterHref
+	Description: Link to the quest log with some filters changed. Empty filters are left out.
+	Arguments:
+		filter - current { q, category, difficulty, tag }
+		changes - filters to change
+	Returns: URL string
+*/
+function filterHref(filter, changes) {
+	const params = new URLSearchParams();
+	for (const [key, value] of Object.entries({ ...filter, ...changes })) {
+		if (value) params.set(key, value);
+	}
+	const query = params.toString();
+	return query ? `/quests?${query}` : "/quests";
+}
 
-	// read token from cookie and verify
-	const cookieStore = await cookies();
-	const token = cookieStore.get("sid")?.value;
-	const user = token ? verifyToken(token) : null;
+export default async function QuestsPage({ searchParams }) {
+	// redirect if not authenticated, otherwise get the signed-in user
+	const user = await requireAuthOrRedirect();
 
-	// If the user isn't logged in or the token fails verification,
-	// show a simple message prompting them to log in
-	if (!user) {
-		return (
-			<div className="max-w-4xl mx-auto p-8">
-				<h2 className="text-xl font-semibold">Not logged in</h2>
-				<p>Please <a href="/login" className="text-blue-600">login</a>.</p>
-			</div>
-		);
-	}
+	// Search and filters from the URL; unknown values are ignored
+	const params = await searchParams;
+	const filter = {
+		q: typeof params?.q === "string" ? params.q.trim() : "",
+		category: CATEGORIES.includes(params?.category) ? params.category : "",
+		difficulty: DIFFICULTIES.includes(params?.difficulty) ? params.difficulty : "",
+		tag: typeof params?.tag === "string" ? params.tag.trim().toLowerCase() : "",
+	};
+	const filtering = Object.values(filter).some(Boolean);
 
 	const supabase = createAdminClient();
 
@@ -53,6 +68,16 @@ export default async function QuestsPage() {
 				quest_id,
 				text,
 				location_id,
+				starts_at,
+				ends_at,
+				recurrence,
+				category,
+				difficulty,
+				tags,
+				description,
+				hints,
+				image_url,
+				accessibility_note,
 				locations (
 					location_id,
 					name
@@ -65,20 +90,23 @@ export default async function QuestsPage() {
 				quest_id,
 				completed,
 				completed_at,
+				period_start,
 				quests (
 					quest_id,
 					text,
-					location_id
+					location_id,
+					recurrence
 				)
 			`)
 			.eq("user_id", user.id),
 	]);
 
-	// Create a map of quest_id -> completion status
+	// Create a map of quest_id -> completion status (repeating quests: this period only)
+	const now = new Date();
 	const progressMap = {};
 	progress?.forEach(p => {
 		const quest = Array.isArray(p.quests) ? p.quests[0] : p.quests;
-		if (quest) {
+		if (quest && isCurrentProgress(p, quest, now)) {
 			progressMap[quest.quest_id] = {
 				completed: p.completed,
 				completed_at: p.completed_at
@@ -86,20 +114,20 @@ export default async function QuestsPage() {
 		}
 	});
 
-	// Organize all quests by location
+	// Organize all quests by location (only those matching the filters are listed)
 	const questsByLocation = {};
 	let totalCompleted = 0;
 	let totalQuests = 0;
+	let shownQuests = 0;
 
 	allQuests?.forEach(quest => {
 		// Find quest
 		const location = Array.isArray(quest.locations) ? quest.locations[0] : quest.locations;
 		if (!location) return;
+		// Skip quests that haven't started or have ended
+		if (!isQuestActive(quest, now)) return;
 		// Get quest information
 		const locationName = location.name;
-		if (!questsByLocation[locationName]) {
-			questsByLocation[locationName] = [];
-		}
 
 		const questProgress = progressMap[quest.quest_id];
 		const isCompleted = questProgress?.completed || false;
@@ -110,11 +138,33 @@ export default async function QuestsPage() {
 		}
 		totalQuests++;
 
+		const tags = quest.tags || [];
+		const matchesFilter = matchesQuestFilter(
+			{ text: quest.text, location: locationName, category: quest.category, difficulty: quest.difficulty, tags },
+			{ search: filter.q, category: filter.category, difficulty: filter.difficulty, tag: filter.tag }
+		);
+		if (!matchesFilter) return;
+		shownQuests++;
+
+		if (!questsByLocation[locationName]) {
+			questsByLocation[locationName] = [];
+		}
 		questsByLocation[locationName].push({
 			quest_id: quest.quest_id,
 			text: quest.text,
 			completed: isCompleted,
-			completed_at: questProgress?.completed_at
+			completed_at: questProgress?.completed_at,
+			recurrence: quest.recurrence,
+			deadline: questDeadline(quest, now),
+			category: quest.category,
+			difficulty: quest.difficulty,
+			tags,
+			details: hasQuestContent(quest) ? {
+				description: quest.description,
+				imageUrl: quest.image_url,
+				hints: quest.hints ?? [],
+				accessibilityNote: quest.accessibility_note
+			} : null
 		});
 	});
 
@@ -153,6 +203,9 @@ export default async function QuestsPage() {
 						Your Quests
 					</h1>
 					<p className="text-base text-[#00AEEF] font-semibold">Track your epic campus adventures!</p>
+					<Link href="/storylines" className="inline-block mt-2 text-sm font-semibold text-[#FF7A00] underline">
+						Follow a storyline
+					</Link>
 				</div>
 
 				{/* Statistics Cards - Fun Style */}
@@ -174,8 +227,53 @@ export default async function QuestsPage() {
 					</div>
 				</div>
 
+				{/* Search and filters (a plain GET form, so filtered views can be shared) */}
+				{totalQuests > 0 && (
+					<form method="get" action="/quests" className="bg-white rounded-2xl p-3 mb-4 border-4 border-[#FFDA00] shadow-[6px_6px_0_#00AEEF] flex flex-col md:flex-row md:items-center gap-2 text-sm">
+						<input
+							type="search"
+							name="q"
+							defaultValue={filter.q}
+							placeholder="Search quests, places or tags"
+							className="flex-1 px-3 py-2 border-2 border-gray-200 rounded-lg"
+						/>
+						<select name="category" defaultValue={filter.category} className="px-2 py-2 border-2 border-gray-200 rounded-lg cursor-pointer">
+							<option value="">All categories</option>
+							{CATEGORIES.map(c => (
+								<option key={c} value={c}>{CATEGORY_LABELS[c]}</option>
+							))}
+						</select>
+						<select name="difficulty" defaultValue={filter.difficulty} className="px-2 py-2 border-2 border-gray-200 rounded-lg cursor-pointer">
+							<option value="">Any difficulty</option>
+							{DIFFICULTIES.map(d => (
+								<option key={d} value={d}>{DIFFICULTY_LABELS[d]}</option>
+							))}
+						</select>
+						{filter.tag && <input type="hidden" name="tag" value={filter.tag} />}
+						<button type="submit" className="px-4 py-2 bg-[#00AEEF] text-white font-bold rounded-lg cursor-pointer">
+							Search
+						</button>
+						{filtering && (
+							<Link href="/quests" className="text-center text-[#FF7A00] font-semibold underline">
+								Clear
+							</Link>
+						)}
+					</form>
+				)}
+				{filter.tag && (
+					<div className="mb-4 text-sm text-gray-700">
+						Tagged <span className="font-bold text-[#00AEEF]">#{filter.tag}</span>{" "}
+						<Link href={filterHref(filter, { tag: "" })} className="text-[#FF7A00] underline">remove</Link>
+					</div>
+				)}
+
 				{/* Quests by Location */}
-				{totalQuests > 0 ? (
+				{filtering && totalQuests > 0 && shownQuests === 0 ? (
+					<div className="bg-white rounded-2xl p-8 text-center border-4 border-[#00AEEF] shadow-[6px_6px_0_#FF7A00]">
+						<p className="text-lg font-bold text-gray-600 mb-1">No quests match your search.</p>
+						<Link href="/quests" className="text-sm text-[#FF7A00] underline">Show all quests</Link>
+					</div>
+				) : totalQuests > 0 ? (
 					<div className="space-y-4">
 						{Object.entries(questsByLocation).map(([locationName, quests]) => {
 							const locationCompleted = quests.filter(q => q.completed).length;
@@ -231,7 +329,52 @@ export default async function QuestsPage() {
 															: "text-gray-800"
 													}`}>
 														{quest.text}
+														{quest.recurrence && (
+															<span className="ml-2 px-1.5 py-0.5 rounded bg-[#00AEEF]/10 text-[#00AEEF] text-[11px] font-semibold no-underline inline-block">
+																{RECURRENCE_LABELS[quest.recurrence]}
+															</span>
+														)}
 													</div>
+													{(quest.category || quest.difficulty || quest.tags.length > 0) && (
+														<div className="flex flex-wrap items-center gap-1 mt-1 text-[11px]">
+															{quest.category && (
+																<Link href={filterHref(filter, { category: quest.category })} className="px-1.5 py-0.5 rounded bg-[#FF7A00]/10 text-[#FF7A00] font-semibold">
+																	{CATEGORY_LABELS[quest.category]}
+																</Link>
+															)}
+															{quest.difficulty && (
+																<Link href={filterHref(filter, { difficulty: quest.difficulty })} className="px-1.5 py-0.5 rounded bg-gray-200 text-gray-700 font-semibold">
+																	{DIFFICULTY_LABELS[quest.difficulty]}
+																</Link>
+															)}
+															{quest.tags.map(tag => (
+																<Link key={tag} href={filterHref(filter, { tag })} className="text-[#00AEEF] hover:underline">
+																	#{tag}
+																</Link>
+															))}
+														</div>
+													)}
+													{quest.details && (
+														<details className="mt-1">
+															<summary className="text-[11px] font-semibold text-[#00AEEF] cursor-pointer select-none">
+																Details
+															</summary>
+															<QuestDetails
+																className="mt-1 max-w-md"
+																description={quest.details.description}
+																imageUrl={quest.details.imageUrl}
+																hints={quest.details.hints}
+																accessibilityNote={quest.details.accessibilityNote}
+															/>
+														</details>
+													)}
+													{quest.deadline && (
+														<Countdown
+															at={quest.deadline.at}
+															kind={quest.deadline.kind}
+															className="block text-[11px] text-[#FF7A00] mt-0.5"
+														/>
+													)}
 													{quest.completed && quest.completed_at && (
 														<div className="text-[11px] text-green-600 mt-0.5">
 															Completed {new Date(quest.completed_at).toLocaleDateString('en-US', {
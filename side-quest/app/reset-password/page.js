@@ -0,0 +1,105 @@
+/*
+	Name: reset-password/page.js
+	Description: Page reached from the password reset email to choose a new password.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Shows the API message when the link is invalid, used or expired
+	Input: Reset token from the ?token= query parameter and the new password
+	Output: New password saved and the user sent to the login page
+*/
+
+"use client";
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import { motion } from "framer-motion";
+
+export default function ResetPasswordPage() {
+	// Local state for form fields, submit status and error handling
+	const [password, setPassword] = useState("");
+	const [confirm, setConfirm] = useState("");
+	const [submitting, setSubmitting] = useState(false);
+	const [err, setErr] = useState("");
+	const router = useRouter();
+
+	// Send the token from the emailed link together with the new password
+	async function submit(e) {
+		e.preventDefault();
+		setErr("");
+
+		if (password !== confirm) {
+			setErr("Passwords do not match");
+			return;
+		}
+
+		setSubmitting(true);
+		try {
+			const token = new URLSearchParams(window.location.search).get("token");
+			const res = await fetch("/api/auth/reset", {
+				method: "POST",
+				headers: { "Content-Type": "application/json" },
+				body: JSON.stringify({ token, password }),
+			});
+			if (res.ok) {
+				// Every session was signed out, so log in with the new password
+				router.push("/login");
+			} else {
+				const payload = await res.json();
+				setErr(payload?.message || "Failed to reset password");
+			}
+		} catch (e) {
+			setErr("Failed to reset password");
+		} finally {
+			setSubmitting(false);
+		}
+	}
+
+	return (
+		<div className="min-h-[calc(100vh-80px)] flex items-center justify-center bg-[#FFF6D8] py-10">
+			<motion.div
+				initial={{ scale: 0.9, opacity: 0 }}
+				animate={{ scale: 1, opacity: 1 }}
+				transition={{ duration: 0.6, ease: "easeOut" }}
+				className="w-full md:w-[400px] bg-white border-4 border-[#FF7A00] rounded-3xl p-8 shadow-[8px_8px_0_#00AEEF]"
+			>
+				<h2 className="text-3xl font-bold text-center text-[#FF7A00] mb-6">
+					Choose a New Password
+				</h2>
+				<form onSubmit={submit} className="flex flex-col gap-4">
+					<input
+						type="password"
+						placeholder="New password"
+						value={password}
+						onChange={(e) => setPassword(e.target.value)}
+						className="border-2 border-[#00AEEF] focus:border-[#FF7A00] rounded-xl px-4 py-3 text-gray-700 focus:outline-none"
+						required
+					/>
+					<input
+						type="password"
+						placeholder="Confirm new password"
+						value={confirm}
+						onChange={(e) => setConfirm(e.target.value)}
+						className="border-2 border-[#00AEEF] focus:border-[#FF7A00] rounded-xl px-4 py-3 text-gray-700 focus:outline-none"
+						required
+					/>
+					{err && <div className="text-red-600 text-sm bg-red-50 p-3 rounded-xl border border-red-200">{err}</div>}
+					<button
+						type="submit"
+						disabled={submitting}
+						className="bg-[#FF7A00] hover:bg-[#FF9500] hover:scale-105 text-white font-bold text-lg py-3 rounded-xl shadow-md mt-2 cursor-pointer transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+					>
+						Reset Password
+					</button>
+				</form>
+
+				<p className="text-center text-sm text-gray-700 mt-4">
+					Link expired?{" "}
+					<Link href="/forgot-password" className="text-[#00AEEF] font-semibold hover:underline">
+						Send a new one
+					</Link>
+				</p>
+			</motion.div>
+		</div>
+	);
+}
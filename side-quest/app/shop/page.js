@@ -3,7 +3,7 @@
 	Description: Shop for buying profile customization options with points
 	Programmers: Aiden Barnard
 	Date: 2/09/2026
-	Revisions: N/A
+	Revisions: Use shared session helper - 10/19/2026
 	Errors: N/A
 	Input: 
 		- User auth token (cookie)
@@ -12,9 +12,6 @@
 */
 
 import { requireAuthOrRedirect } from "@/lib/requireAuth";
-import { cookies } from "next/headers";
-import { verifyToken } from "@/lib/auth";
-import { createAdminClient } from "@/lib/supabase/admin";
 import ShopClient from "./ShopClient";
 
 export const metadata = {
@@ -23,26 +20,14 @@ export const metadata = {
 };
 
 export default async function ShopPage() {
-	requireAuthOrRedirect();
-
-	const cookieStore = await cookies();
-	const token = cookieStore.get("sid")?.value;
-	const userPayload = token ? verifyToken(token) : null;
-
-	// Redirection happens in requireAuthOrRedirect if invalid
-	if (!userPayload) return null;
-
-	const supabase = createAdminClient();
-
-	// Fetch fresh user data including profile_picture_url
-	const { data: user, error } = await supabase
-		.from("users")
-		.select("user_id, name, email, profile_picture_url")
-		.eq("user_id", userPayload.id)
-		.single();
-
-	// Fallback if user missing in DB
-	const userData = user || { ...userPayload, profile_picture_url: null };
+	// The session helper already refreshes name, email and profile_picture_url from the db
+	const user = await requireAuthOrRedirect();
+	const userData = {
+		user_id: user.user_id,
+		name: user.name,
+		email: user.email,
+		profile_picture_url: user.profile_picture_url,
+	};
 
 	return (
 		<div className="min-h-screen bg-gradient-to-br from-[#FFF6D8] via-yellow-50 to-orange-50 relative overflow-hidden">
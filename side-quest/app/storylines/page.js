@@ -0,0 +1,203 @@
+/*
+	Name: storylines/page.js
+	Description: Storylines page showing each published storyline's steps in order,
+	             which are done, which one is next and which are still locked.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input:
+		- User auth token (cookie)
+		- Published storylines with their steps, quests and locations
+		- User progress and finished storylines
+	Output:
+		- Rendered page with a progress bar and step list per storyline
+*/
+
+import { requireAuthOrRedirect } from "@/lib/requireAuth";
+import { createAdminClient } from "../../lib/supabase/admin";
+import Link from "next/link";
+import { CheckCircle2, Circle, Lock, MapPin, BookOpen, Trophy, ArrowRight } from "lucide-react";
+import AnimatedProgressBar from "../quests/progress-bar";
+import Markdown from "../components/Markdown";
+import { isCurrentProgress } from "@/lib/questSchedule";
+import { loadStorylines } from "@/lib/storylines";
+
+export default async function StorylinesPage() {
+	// redirect if not authenticated, otherwise get the signed-in user
+	const user = await requireAuthOrRedirect();
+
+	const supabase = createAdminClient();
+	const [result, { data: progress }, { data: finished }] = await Promise.all([
+		loadStorylines({ publishedOnly: true }),
+		supabase
+			.from("progress")
+			.select("quest_id, completed, period_start, quests ( recurrence )")
+			.eq("user_id", user.id),
+		supabase
+			.from("storyline_completions")
+			.select("storyline_id, completed_at")
+			.eq("user_id", user.id),
+	]);
+	const storylines = result.ok ? result.storylines : [];
+
+	const questIds = [...new Set(storylines.flatMap(s => s.steps))];
+	const { data: quests } = questIds.length
+		? await supabase
+			.from("quests")
+			.select("quest_id, text, locations ( name )")
+			.in("quest_id", questIds)
+		: { data: [] };
+	const questById = Object.fromEntries((quests || []).map(q => [q.quest_id, q]));
+
+	// Done quests (repeating quests: this period only)
+	const now = new Date();
+	const done = new Set();
+	progress?.forEach(p => {
+		const quest = Array.isArray(p.quests) ? p.quests[0] : p.quests;
+		if (p.completed && isCurrentProgress(p, quest, now)) done.add(p.quest_id);
+	});
+	const finishedAt = Object.fromEntries((finished || []).map(f => [f.storyline_id, f.completed_at]));
+
+	// Each step is done, the next one to do, or locked behind it
+	const rows = storylines
+		.filter(s => s.steps.length > 0)
+		.map(storyline => {
+			const next = storyline.steps.find(id => !done.has(id));
+			const steps = storyline.steps.map(id => {
+				const quest = questById[id];
+				const location = Array.isArray(quest?.locations) ? quest.locations[0] : quest?.locations;
+				return {
+					quest_id: id,
+					text: quest?.text ?? "Quest",
+					location: location?.name ?? null,
+					state: done.has(id) ? "done" : id === next ? "next" : "locked",
+				};
+			});
+			const doneCount = steps.filter(s => s.state === "done").length;
+			return {
+				...storyline,
+				steps,
+				doneCount,
+				percentage: Math.round((doneCount / steps.length) * 100),
+				finishedAt: finishedAt[storyline.storyline_id] ?? null,
+			};
+		});
+
+	return (
+		<div className="min-h-screen bg-gradient-to-br from-[#FFF6D8] via-yellow-50 to-orange-50 p-6">
+			<div className="max-w-3xl mx-auto">
+				{/* Header */}
+				<div className="mb-6 text-center">
+					<div className="flex items-center justify-center gap-3 mb-3">
+						<BookOpen className="w-8 h-8 text-[#00AEEF]" />
+						<Trophy className="w-8 h-8 text-[#FF7A00]" />
+					</div>
+					<h1 className="text-4xl font-extrabold text-[#FF7A00] drop-shadow-[2px_2px_#FFDA00] mb-2">
+						Storylines
+					</h1>
+					<p className="text-base text-[#00AEEF] font-semibold">Follow a story across campus, one quest at a time.</p>
+				</div>
+
+				{rows.length === 0 ? (
+					<div className="bg-white rounded-2xl p-8 text-center border-4 border-[#00AEEF] shadow-[6px_6px_0_#FF7A00]">
+						<BookOpen className="w-14 h-14 text-gray-300 mx-auto mb-3" />
+						<p className="text-lg font-bold text-gray-600 mb-1">No storylines yet!</p>
+						<p className="text-sm text-gray-500">Check back later for new stories to follow.</p>
+					</div>
+				) : (
+					<div className="space-y-4">
+						{rows.map(storyline => (
+							<div
+								key={storyline.storyline_id}
+								className="bg-white rounded-2xl p-4 border-4 border-[#00AEEF] shadow-[6px_6px_0_#FF7A00]"
+							>
+								<div className="flex items-start justify-between gap-3 mb-2">
+									<div>
+										<h2 className="text-xl font-bold text-gray-900">{storyline.title}</h2>
+										<div className="text-xs font-semibold text-[#FF7A00]">
+											+{storyline.bonus_points} bonus points and an achievement for finishing
+										</div>
+									</div>
+									<div className="text-right">
+										<div className="text-base font-bold text-gray-900 leading-tight">
+											{storyline.doneCount} / {storyline.steps.length}
+										</div>
+										<div className="text-xs font-semibold text-gray-500">{storyline.percentage}%</div>
+									</div>
+								</div>
+
+								{storyline.description && (
+									<Markdown source={storyline.description} className="text-sm text-gray-700 mb-2" />
+								)}
+
+								<AnimatedProgressBar
+									percentage={storyline.percentage}
+									color="#00AEEF"
+									shadowColor="#FF7A00"
+								/>
+
+								{storyline.finishedAt && (
+									<div className="mb-2 text-sm font-semibold text-green-700">
+										Finished {new Date(storyline.finishedAt).toLocaleDateString("en-US", {
+											year: "numeric",
+											month: "short",
+											day: "numeric"
+										})}
+									</div>
+								)}
+
+								<ol className="space-y-1.5">
+									{storyline.steps.map((step, i) => (
+										<li
+											key={step.quest_id}
+											className={`flex items-start gap-3 p-2.5 rounded-lg border ${
+												step.state === "done"
+													? "bg-green-50 border-green-200"
+													: step.state === "next"
+														? "bg-[#FFDA00]/20 border-[#FF7A00]"
+														: "bg-gray-50 border-gray-200 opacity-70"
+											}`}
+										>
+											{step.state === "done" ? (
+												<CheckCircle2 className="w-5 h-5 text-green-600 mt-0.5 flex-shrink-0" />
+											) : step.state === "next" ? (
+												<Circle className="w-5 h-5 text-[#FF7A00] mt-0.5 flex-shrink-0" />
+											) : (
+												<Lock className="w-5 h-5 text-gray-400 mt-0.5 flex-shrink-0" />
+											)}
+											<div className="flex-1">
+												<div className={`text-sm font-medium ${step.state === "done" ? "text-green-800" : "text-gray-800"}`}>
+													{i + 1}. {step.text}
+													{step.state === "next" && (
+														<span className="ml-2 px-1.5 py-0.5 rounded bg-[#FF7A00] text-white text-[11px] font-semibold">
+															Next
+														</span>
+													)}
+												</div>
+												{step.location && (
+													<div className="flex items-center gap-1 text-[11px] text-gray-500 mt-0.5">
+														<MapPin className="w-3 h-3" /> {step.location}
+													</div>
+												)}
+											</div>
+										</li>
+									))}
+								</ol>
+							</div>
+						))}
+					</div>
+				)}
+
+				<div className="mt-6 text-center">
+					<Link
+						href="/map"
+						className="inline-flex items-center gap-2 px-6 py-3 bg-[#FF7A00] text-white font-bold rounded-2xl shadow-[6px_6px_0_#00AEEF] hover:scale-105 transition-all"
+					>
+						Go to Map <ArrowRight className="w-5 h-5" />
+					</Link>
+				</div>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,93 @@
+/*
+	Name: verify-email/page.js
+	Description: Page reached from the verification email. Redeems the link as soon
+	             as it loads.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Shows the API message when the link is invalid, used or expired
+	Input: Verification token from the ?token= query parameter
+	Output: Confirmation that the email is verified
+*/
+
+"use client";
+import { useEffect, useRef, useState } from "react";
+import Link from "next/link";
+import { motion } from "framer-motion";
+import { CheckCircle2, Loader2, XCircle } from "lucide-react";
+
+export default function VerifyEmailPage() {
+	// "pending" while the request is in flight, then "verified" or "failed"
+	const [status, setStatus] = useState("pending");
+	const [err, setErr] = useState("");
+	const started = useRef(false);
+
+	// Redeem the token once on load. Tokens are single-use, so guard against
+	// the effect running twice in development.
+	useEffect(() => {
+		if (started.current) return;
+		started.current = true;
+		const token = new URLSearchParams(window.location.search).get("token");
+		(async () => {
+			try {
+				const res = await fetch("/api/auth/verify", {
+					method: "POST",
+					headers: { "Content-Type": "application/json" },
+					body: JSON.stringify({ token }),
+				});
+				if (res.ok) {
+					setStatus("verified");
+				} else {
+					const payload = await res.json();
+					setErr(payload?.message || "Verification failed");
+					setStatus("failed");
+				}
+			} catch (e) {
+				setErr("Verification failed");
+				setStatus("failed");
+			}
+		})();
+	}, []);
+
+	return (
+		<div className="min-h-[calc(100vh-80px)] flex items-center justify-center bg-[#FFF6D8] py-10">
+			<motion.div
+				initial={{ scale: 0.9, opacity: 0 }}
+				animate={{ scale: 1, opacity: 1 }}
+				transition={{ duration: 0.6, ease: "easeOut" }}
+				className="w-full md:w-[400px] bg-white border-4 border-[#FF7A00] rounded-3xl p-8 shadow-[8px_8px_0_#00AEEF] flex flex-col items-center gap-4 text-center"
+			>
+				<h2 className="text-3xl font-bold text-[#FF7A00]">Verify Email</h2>
+
+				{status === "pending" && <Loader2 className="w-12 h-12 text-[#00AEEF] animate-spin" />}
+
+				{status === "verified" && (
+					<>
+						<CheckCircle2 className="w-12 h-12 text-green-600" />
+						<p className="text-gray-700">Your email is verified. Go complete some quests and start earning points!</p>
+						<Link
+							href="/map"
+							className="bg-[#FF7A00] hover:bg-[#FF9500] hover:scale-105 text-white font-bold text-lg py-3 px-6 rounded-xl shadow-md transition-all duration-200"
+						>
+							Go to Map
+						</Link>
+					</>
+				)}
+
+				{status === "failed" && (
+					<>
+						<XCircle className="w-12 h-12 text-red-500" />
+						<div className="text-red-600 text-sm bg-red-50 p-3 rounded-xl border border-red-200">{err}</div>
+						<p className="text-sm text-gray-700">
+							You can send a new link from your{" "}
+							<Link href="/account" className="text-[#00AEEF] font-semibold hover:underline">
+								account page
+							</Link>
+							.
+						</p>
+					</>
+				)}
+			</motion.div>
+		</div>
+	);
+}
@@ -0,0 +1,96 @@
+/*
+	Name: authTokens.js
+	Description: Hashed, expiring, single-use tokens that are emailed to users
+	             (password reset and email verification links). The raw token
+	             only ever exists in the email; the auth_tokens table stores
+	             its SHA-256 hash.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Email verification purpose - 10/19/2026
+	Errors: Supabase errors are thrown to the caller
+	Input: A user id and token purpose, or a raw token from a link
+	Output: New raw tokens, or the user id a valid token belongs to
+*/
+
+import { createHash, randomBytes } from "crypto";
+import { createAdminClient } from "./supabase/admin";
+
+// What a token may be used for. A reset token can never be redeemed as anything else.
+export const TOKEN_PURPOSES = {
+	PASSWORD_RESET: "password_reset",
+	EMAIL_VERIFY: "email_verify",
+};
+
+/*
+	Function: hashToken
+	Description: Hashes a raw token for storage and lookup.
+	Arguments:
+		token - raw token string
+	Returns: hex SHA-256 digest
+*/
+function hashToken(token) {
+	return createHash("sha256").update(token).digest("hex");
+}
+
+/*
+	Function: issueAuthToken
+	Description: Creates a new token for a user and invalidates any older unused
+	             token they have for the same purpose, so only the latest link works.
+	Arguments:
+		userId - users.user_id
+		purpose - one of TOKEN_PURPOSES
+		ttlMs - how long the token stays valid, in milliseconds
+	Returns: raw token string to put in the emailed link
+*/
+export async function issueAuthToken(userId, purpose, ttlMs) {
+	const supabase = createAdminClient();
+	const now = new Date();
+
+	const { error: clearError } = await supabase
+		.from("auth_tokens")
+		.update({ used_at: now.toISOString() })
+		.eq("user_id", userId)
+		.eq("purpose", purpose)
+		.is("used_at", null);
+	if (clearError) throw clearError;
+
+	const token = randomBytes(32).toString("base64url");
+	const { error } = await supabase
+		.from("auth_tokens")
+		.insert({
+			user_id: userId,
+			purpose,
+			token_hash: hashToken(token),
+			expires_at: new Date(now.getTime() + ttlMs).toISOString(),
+		});
+	if (error) throw error;
+
+	return token;
+}
+
+/*
+	Function: consumeAuthToken
+	Description: Redeems a token. The lookup and the used_at write are one UPDATE,
+	             so two requests racing with the same link cannot both succeed.
+	Arguments:
+		token - raw token string from the link
+		purpose - one of TOKEN_PURPOSES
+	Returns: user id the token was issued to, or null if it is unknown, used or expired
+*/
+export async function consumeAuthToken(token, purpose) {
+	if (typeof token !== "string" || !token) return null;
+
+	const supabase = createAdminClient();
+	const now = new Date().toISOString();
+	const { data, error } = await supabase
+		.from("auth_tokens")
+		.update({ used_at: now })
+		.eq("token_hash", hashToken(token))
+		.eq("purpose", purpose)
+		.is("used_at", null)
+		.gt("expires_at", now)
+		.select("user_id");
+
+	if (error) throw error;
+	return data?.[0]?.user_id || null;
+}
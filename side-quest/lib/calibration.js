@@ -0,0 +1,137 @@
+/*
+	Name: calibration.js
+	Description: Ties the campus PNG map to the real world. Admins place control
+	             points (a pixel on map.png and the GPS position of the same spot)
+	             and a least-squares affine fit turns any location's
+	             x_coordinate / y_coordinate into latitude / longitude.
+	             No server imports: safe for client components.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: GPS position to map pixel for the live location - 10/19/2026
+	Errors: fitCalibration returns { ok: false, message } for too few or lined-up points
+	Input: Control points { x_coordinate, y_coordinate, latitude, longitude }
+	Output: A transform from map pixels to GPS positions, and how far off each point is
+*/
+
+// The campus map image; location x_coordinate / y_coordinate are pixels on it
+export const CAMPUS_MAP = { src: "/map.png", width: 1669, height: 1535 };
+
+// An affine fit has 3 unknowns per axis
+export const MIN_CONTROL_POINTS = 3;
+
+// Points closer to a line than this (in map pixels squared, per point) can't pin down a rotation
+const MIN_SPREAD = 1;
+
+const METERS_PER_DEGREE = 111320;
+
+/*
+	Function: solve3
+	Description: Solves a 3x3 linear system by Cramer's rule.
+	Arguments:
+		m - 3x3 matrix as rows
+		v - right-hand side
+	Returns: [a, b, c], or null when the matrix is singular
+*/
+function solve3(m, v) {
+	const det = a => a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1])
+		- a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0])
+		+ a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+	const d = det(m);
+	if (Math.abs(d) < 1e-9) return null;
+	return [0, 1, 2].map(col => det(m.map((row, i) => row.map((cell, j) => (j === col ? v[i] : cell)))) / d);
+}
+
+/*
+	Function: pixelToLatLng
+	Description: Applies a fitted transform to a map pixel.
+	Arguments:
+		transform - from fitCalibration
+		x, y - pixels on the campus map
+	Returns: { latitude, longitude }
+*/
+export function pixelToLatLng(transform, x, y) {
+	const dx = x - transform.origin.x;
+	const dy = y - transform.origin.y;
+	const [a, b, c] = transform.latitude;
+	const [d, e, f] = transform.longitude;
+	return { latitude: a * dx + b * dy + c, longitude: d * dx + e * dy + f };
+}
+
+/*
+	Function: latLngToPixel
+	Description: The inverse of pixelToLatLng: where a GPS position falls on the map.
+	Arguments:
+		transform - from fitCalibration
+		latitude, longitude - degrees
+	Returns: { x, y } in map pixels
+*/
+export function latLngToPixel(transform, latitude, longitude) {
+	const [a, b, c] = transform.latitude;
+	const [d, e, f] = transform.longitude;
+	const det = a * e - b * d;
+	const lat = latitude - c;
+	const lng = longitude - f;
+	return {
+		x: transform.origin.x + (e * lat - b * lng) / det,
+		y: transform.origin.y + (a * lng - d * lat) / det,
+	};
+}
+
+/*
+	Function: metersBetween
+	Description: Distance between two nearby GPS points, flat-earth approximation
+	             (plenty for campus-sized distances).
+	Arguments:
+		a, b - { latitude, longitude }
+	Returns: meters
+*/
+function metersBetween(a, b) {
+	const dLat = (b.latitude - a.latitude) * METERS_PER_DEGREE;
+	const dLng = (b.longitude - a.longitude) * METERS_PER_DEGREE * Math.cos((a.latitude * Math.PI) / 180);
+	return Math.hypot(dLat, dLng);
+}
+
+/*
+	Function: fitCalibration
+	Description: Least-squares affine fit from map pixels to GPS positions.
+	             Pixels are centered first to keep the numbers well-conditioned.
+	Arguments:
+		points - [{ x_coordinate, y_coordinate, latitude, longitude }]
+	Returns: { ok: true, transform, residuals: [meters per point], rmsMeters }
+	         or { ok: false, message }
+*/
+export function fitCalibration(points) {
+	if (!Array.isArray(points) || points.length < MIN_CONTROL_POINTS) {
+		return { ok: false, message: `Place at least ${MIN_CONTROL_POINTS} control points` };
+	}
+	const n = points.length;
+	const origin = {
+		x: points.reduce((sum, p) => sum + Number(p.x_coordinate), 0) / n,
+		y: points.reduce((sum, p) => sum + Number(p.y_coordinate), 0) / n,
+	};
+
+	// Normal equations for [dx, dy, 1] · [a, b, c] = value
+	const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+	const lat = [0, 0, 0];
+	const lng = [0, 0, 0];
+	for (const p of points) {
+		const row = [Number(p.x_coordinate) - origin.x, Number(p.y_coordinate) - origin.y, 1];
+		for (let i = 0; i < 3; i++) {
+			for (let j = 0; j < 3; j++) m[i][j] += row[i] * row[j];
+			lat[i] += row[i] * p.latitude;
+			lng[i] += row[i] * p.longitude;
+		}
+	}
+	// Spread is the determinant of the pixel covariance: near zero when the points lie on a line
+	const spread = (m[0][0] * m[1][1] - m[0][1] * m[1][0]) / (n * n);
+	const latitude = spread >= MIN_SPREAD ? solve3(m, lat) : null;
+	const longitude = spread >= MIN_SPREAD ? solve3(m, lng) : null;
+	if (!latitude || !longitude) {
+		return { ok: false, message: "The control points are almost in a line; spread them around the map" };
+	}
+
+	const transform = { origin, latitude, longitude };
+	const residuals = points.map(p => metersBetween(p, pixelToLatLng(transform, Number(p.x_coordinate), Number(p.y_coordinate))));
+	const rmsMeters = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / n);
+	return { ok: true, transform, residuals, rmsMeters };
+}
@@ -0,0 +1,134 @@
+/*
+	Name: checkin.js
+	Description: QR-code check-ins for indoor quests where GPS is useless. Each
+	             printed code is a signed token naming a checkin_codes row and its
+	             secret; rotating or revoking the row retires every printout of it.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Resolved quests carry their schedule - 10/19/2026, Rotate codes through the issue_checkin_code RPC - 10/19/2026
+	Errors: Returns { ok: false, status, message } instead of throwing
+	Input: Quest ids from the admin panel, tokens scanned by players
+	Output: Check-in links, QR images, resolved codes
+*/
+
+import { randomBytes, timingSafeEqual } from "crypto";
+import QRCode from "qrcode";
+import { signPayload, verifyToken } from "./auth";
+import { createAdminClient } from "./supabase/admin";
+
+// Marks the token as a check-in code so no other signed token can be used as one
+const TOKEN_TYPE = "checkin";
+const CODE_COLUMNS = "code_id, quest_id, secret, created_at, expires_at, revoked_at";
+
+/*
+	Function: checkinPath
+	Description: Builds the link a code's QR image points at.
+	Arguments:
+		code - checkin_codes row
+	Returns: path like "/checkin/<token>"
+*/
+export function checkinPath(code) {
+	return `/checkin/${signPayload({ typ: TOKEN_TYPE, c: code.code_id, k: code.secret })}`;
+}
+
+/*
+	Function: checkinQr
+	Description: Renders a check-in link as a QR image sized for printing.
+	Arguments:
+		url - absolute check-in URL
+	Returns: PNG data URL
+*/
+export async function checkinQr(url) {
+	return QRCode.toDataURL(url, { margin: 2, width: 480, errorCorrectionLevel: "M" });
+}
+
+/*
+	Function: issueCheckinCode
+	Description: Creates a new code for a quest, revoking the one before it in
+	             the same transaction.
+	Arguments:
+		questId - quests.quest_id
+		options.createdBy - staff user_id
+		options.expiresAt - optional Date after which scans are turned down
+	Returns: { ok: true, code } or { ok: false, status, message }
+*/
+export async function issueCheckinCode(questId, { createdBy, expiresAt = null } = {}) {
+	const supabase = createAdminClient();
+
+	// Revoke and insert in one transaction so a failed insert keeps the old code live
+	const { data: code, error } = await supabase
+		.rpc("issue_checkin_code", {
+			p_quest_id: questId,
+			p_secret: randomBytes(16).toString("base64url"),
+			p_created_by: createdBy ?? null,
+			p_expires_at: expiresAt ? expiresAt.toISOString() : null,
+		})
+		.select(CODE_COLUMNS)
+		.single();
+
+	if (error) {
+		// 23505: someone else issued a code for this quest at the same moment
+		if (error.code === "23505") return { ok: false, status: 409, message: "A code was just issued for this quest, reload and try again" };
+		// 23503: the quest was deleted
+		if (error.code === "23503") return { ok: false, status: 404, message: "Quest not found" };
+		console.error("Failed to issue check-in code:", error);
+		return { ok: false, status: 500, message: "Failed to create code" };
+	}
+	return { ok: true, code };
+}
+
+/*
+	Function: revokeCheckinCode
+	Description: Stops a code from working without issuing a new one.
+	Arguments:
+		codeId - checkin_codes.code_id
+	Returns: true when a live code was revoked
+*/
+export async function revokeCheckinCode(codeId) {
+	const supabase = createAdminClient();
+	const { data } = await supabase
+		.from("checkin_codes")
+		.update({ revoked_at: new Date().toISOString() })
+		.eq("code_id", codeId)
+		.is("revoked_at", null)
+		.select("code_id");
+	return !!data?.length;
+}
+
+/*
+	Function: resolveCheckinCode
+	Description: Checks a scanned token's signature, then that its code is still
+	             live, and finds the quest it completes.
+	Arguments:
+		token - token from the /checkin/<token> link
+	Returns: { ok: true, code, quest } or { ok: false, status, message }
+*/
+export async function resolveCheckinCode(token) {
+	const invalid = { ok: false, status: 400, message: "This QR code isn't a valid Side Quest check-in" };
+
+	const payload = typeof token === "string" ? verifyToken(token) : null;
+	if (payload?.typ !== TOKEN_TYPE || typeof payload.c !== "string" || typeof payload.k !== "string") return invalid;
+
+	const supabase = createAdminClient();
+	const { data: code } = await supabase
+		.from("checkin_codes")
+		.select(`${CODE_COLUMNS}, quests ( quest_id, text, is_multiplayer, reward_points, starts_at, ends_at, recurrence, locations ( name ) )`)
+		.eq("code_id", payload.c)
+		.maybeSingle();
+	if (!code) return invalid;
+
+	const expected = Buffer.from(code.secret);
+	const given = Buffer.from(payload.k);
+	if (expected.length !== given.length || !timingSafeEqual(expected, given)) return invalid;
+
+	if (code.revoked_at) {
+		return { ok: false, status: 410, message: "This QR code has been replaced. Scan the one posted at the location." };
+	}
+	if (code.expires_at && new Date(code.expires_at) <= new Date()) {
+		return { ok: false, status: 410, message: "This QR code has expired" };
+	}
+
+	const quest = Array.isArray(code.quests) ? code.quests[0] : code.quests;
+	if (!quest) return { ok: false, status: 404, message: "Quest not found" };
+	return { ok: true, code, quest };
+}
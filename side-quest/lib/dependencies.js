@@ -0,0 +1,214 @@
+/*
+	Name: dependencies.js
+	Description: Server side of quest prerequisites. Quests can need several other
+	             quests, at any location, to be completed first. Checks read the
+	             quest_prerequisites view, which adds published storyline steps to
+	             the prerequisites admins pick in quest_dependencies.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Check whole progress batches in order - 10/19/2026, Repeating quests count in the current period - 10/19/2026, Storyline steps count as prerequisites - 10/19/2026, Replace prerequisites in one transaction - 10/19/2026
+	Errors: Returns { ok: false, status, message } instead of throwing
+	Input: User and quest ids
+	Output: Missing prerequisites, batch order checks, saved prerequisite lists
+*/
+
+import { createAdminClient } from "./supabase/admin";
+import { prerequisiteMap, findCycle } from "./questGraph";
+import { isCurrentProgress } from "./questSchedule";
+
+/*
+	Function: describeQuests
+	Description: Loads quest texts and location names for messages.
+	Arguments:
+		questIds - array of quest ids
+	Returns: [{ quest_id, text, location }]
+*/
+export async function describeQuests(questIds) {
+	if (!questIds.length) return [];
+	const supabase = createAdminClient();
+	const { data } = await supabase
+		.from("quests")
+		.select("quest_id, text, locations ( name )")
+		.in("quest_id", questIds);
+	return (data || []).map(q => {
+		const location = Array.isArray(q.locations) ? q.locations[0] : q.locations;
+		return { quest_id: q.quest_id, text: q.text, location: location?.name ?? null };
+	});
+}
+
+/*
+	Function: completedQuestIds
+	Description: Which of the given quests the user has completed right now.
+	Arguments:
+		userId - users.user_id
+		questIds - array of quest ids
+	Returns: Set of completed quest ids
+*/
+export async function completedQuestIds(userId, questIds) {
+	if (!questIds.length) return new Set();
+	const supabase = createAdminClient();
+	const { data } = await supabase
+		.from("progress")
+		.select("quest_id, period_start, quests ( recurrence )")
+		.eq("user_id", userId)
+		.eq("completed", true)
+		.in("quest_id", questIds);
+	// Repeating quests only count in the current period
+	const now = new Date();
+	return new Set((data || [])
+		.filter(p => isCurrentProgress(p, Array.isArray(p.quests) ? p.quests[0] : p.quests, now))
+		.map(p => p.quest_id));
+}
+
+/*
+	Function: missingPrerequisites
+	Description: Prerequisites of a quest the user hasn't completed yet.
+	Arguments:
+		userId - users.user_id
+		questId - quest being completed
+	Returns: [{ quest_id, text, location }], empty when the quest is unlocked
+*/
+export async function missingPrerequisites(userId, questId) {
+	const supabase = createAdminClient();
+	const { data } = await supabase
+		.from("quest_prerequisites")
+		.select("prerequisite_id")
+		.eq("quest_id", questId);
+	const ids = (data || []).map(d => d.prerequisite_id);
+
+	const done = await completedQuestIds(userId, ids);
+	return describeQuests(ids.filter(id => !done.has(id)));
+}
+
+/*
+	Function: checkProgressOrder
+	Description: Walks a batch of progress changes in order and stops at the first
+	             one that would break a prerequisite: completing a quest whose
+	             prerequisites aren't done, or unchecking one that a completed
+	             quest needs. Earlier changes in the batch count, so a batch can
+	             complete a quest and then the quest that needs it.
+	Arguments:
+		userId - users.user_id
+		updates - [{ quest_id, completed }] in the order they will be saved
+	Returns: { ok: true } or { ok: false, status, code, message, quests, quest_id }
+*/
+export async function checkProgressOrder(userId, updates) {
+	const ids = [...new Set(updates.map(u => u.quest_id))];
+	if (!ids.length) return { ok: true };
+
+	const supabase = createAdminClient();
+	const [{ data: needs, error }, { data: neededBy, error: neededByError }] = await Promise.all([
+		supabase.from("quest_prerequisites").select("quest_id, prerequisite_id").in("quest_id", ids),
+		supabase.from("quest_prerequisites").select("quest_id, prerequisite_id").in("prerequisite_id", ids),
+	]);
+	if (error || neededByError) {
+		return { ok: false, status: 500, message: "Failed to check prerequisites", error: (error || neededByError).message };
+	}
+
+	const edges = [...(needs || []), ...(neededBy || [])];
+	const related = new Set(ids);
+	edges.forEach(e => {
+		related.add(e.quest_id);
+		related.add(e.prerequisite_id);
+	});
+	const done = await completedQuestIds(userId, [...related]);
+
+	for (const update of updates) {
+		if (update.completed) {
+			const missing = edges
+				.filter(e => e.quest_id === update.quest_id && !done.has(e.prerequisite_id))
+				.map(e => e.prerequisite_id);
+			if (missing.length) {
+				const quests = await describeQuests([...new Set(missing)]);
+				return {
+					ok: false,
+					status: 409,
+					code: "PREREQUISITES_INCOMPLETE",
+					message: `Complete ${listQuestNames(quests)} first.`,
+					quests,
+					quest_id: update.quest_id,
+				};
+			}
+			done.add(update.quest_id);
+		} else {
+			const dependents = edges
+				.filter(e => e.prerequisite_id === update.quest_id && done.has(e.quest_id))
+				.map(e => e.quest_id);
+			if (dependents.length) {
+				const quests = await describeQuests([...new Set(dependents)]);
+				return {
+					ok: false,
+					status: 409,
+					code: "DEPENDENTS_COMPLETED",
+					message: `Uncheck ${listQuestNames(quests)} first.`,
+					quests,
+					quest_id: update.quest_id,
+				};
+			}
+			done.delete(update.quest_id);
+		}
+	}
+	return { ok: true };
+}
+
+/*
+	Function: listQuestNames
+	Description: Joins quests into a readable list for error messages.
+	Arguments:
+		quests - [{ text, location }]
+	Returns: string like "\"Visit the Nest.\" (LEEP2)"
+*/
+export function listQuestNames(quests) {
+	return quests.map(q => `"${q.text}"${q.location ? ` (${q.location})` : ""}`).join(", ");
+}
+
+/*
+	Function: setPrerequisites
+	Description: Replaces a quest's prerequisites after checking they exist and
+	             don't make a loop.
+	Arguments:
+		questId - quest being edited
+		prerequisiteIds - array of quest ids it should need
+	Returns: { ok: true, prerequisites } or { ok: false, status, message, cycle }
+*/
+export async function setPrerequisites(questId, prerequisiteIds) {
+	if (!Array.isArray(prerequisiteIds) || prerequisiteIds.some(id => typeof id !== "string")) {
+		return { ok: false, status: 400, message: "dependencies must be an array of quest ids" };
+	}
+	const ids = [...new Set(prerequisiteIds)];
+	if (ids.includes(questId)) {
+		return { ok: false, status: 400, message: "A quest can't require itself" };
+	}
+
+	const supabase = createAdminClient();
+	const [{ data: found }, { data: rows, error }] = await Promise.all([
+		ids.length
+			? supabase.from("quests").select("quest_id").in("quest_id", ids)
+			: Promise.resolve({ data: [] }),
+		supabase.from("quest_prerequisites").select("quest_id, prerequisite_id"),
+	]);
+	if (error) return { ok: false, status: 500, message: error.message };
+	if ((found || []).length !== ids.length) {
+		return { ok: false, status: 400, message: "Some prerequisites don't exist" };
+	}
+
+	const cycle = findCycle(prerequisiteMap(rows), questId, ids);
+	if (cycle) {
+		const names = await describeQuests([...new Set(cycle)]);
+		const byId = Object.fromEntries(names.map(q => [q.quest_id, q.text]));
+		return {
+			ok: false,
+			status: 409,
+			message: `That would make a loop: ${cycle.map(id => `"${byId[id] ?? id}"`).join(" needs ")}`,
+			cycle,
+		};
+	}
+
+	// One transaction (migrations/22), so a failed insert keeps the old list
+	const { error: saveError } = await supabase.rpc("set_quest_prerequisites", {
+		p_quest_id: questId,
+		p_prerequisite_ids: ids,
+	});
+	if (saveError) return { ok: false, status: 500, message: saveError.message };
+	return { ok: true, prerequisites: ids };
+}
@@ -0,0 +1,62 @@
+/*
+	Name: email.js
+	Description: Email address normalization and validation for signup.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input:
+		Email address typed by the user
+		ALLOWED_EMAIL_DOMAINS - optional comma separated allowlist, e.g. "ku.edu"
+	Output: A normalized address, or the reason it was rejected
+*/
+
+// Deliberately simple: one @, no spaces, and a dot in a domain made of normal labels
+const EMAIL_PATTERN = /^[^\s@]+@([a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+
+/*
+	Function: normalizeEmail
+	Description: Trims and lowercases an email address so lookups match however it was typed.
+	Arguments:
+		email - raw email string
+	Returns: normalized email string ("" when not a string)
+*/
+export function normalizeEmail(email) {
+	return typeof email === "string" ? email.trim().toLowerCase() : "";
+}
+
+/*
+	Function: allowedEmailDomains
+	Description: Reads the signup domain allowlist from the environment.
+	Returns: array of lowercase domains; empty means every domain is allowed
+*/
+export function allowedEmailDomains() {
+	return (process.env.ALLOWED_EMAIL_DOMAINS || "")
+		.split(",")
+		.map(d => d.trim().toLowerCase())
+		.filter(Boolean);
+}
+
+/*
+	Function: validateEmail
+	Description: Checks an email address is well formed and, when an allowlist is
+	             configured, that it belongs to an allowed domain (subdomains count,
+	             so "ku.edu" also allows "mail.ku.edu").
+	Arguments:
+		email - normalized email string
+	Returns: error message string, or null when the address is acceptable
+*/
+export function validateEmail(email) {
+	if (!email || email.length > 254 || !EMAIL_PATTERN.test(email)) {
+		return "Enter a valid email address";
+	}
+
+	const allowed = allowedEmailDomains();
+	if (allowed.length > 0) {
+		const domain = email.slice(email.lastIndexOf("@") + 1);
+		const ok = allowed.some(d => domain === d || domain.endsWith(`.${d}`));
+		if (!ok) return `Sign up with an email address from ${allowed.join(" or ")}`;
+	}
+
+	return null;
+}
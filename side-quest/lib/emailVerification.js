@@ -0,0 +1,58 @@
+/*
+	Name: emailVerification.js
+	Description: Sends the "verify your email" link and marks accounts verified
+	             when the link comes back.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Links use APP_URL only - 10/19/2026
+	Errors: Supabase, mailer and missing APP_URL errors are thrown to the caller
+	Input: A user row, or a raw token from a link
+	Output: A sent verification email, or the verified user's id
+*/
+
+import { createAdminClient } from "./supabase/admin";
+import { issueAuthToken, consumeAuthToken, TOKEN_PURPOSES } from "./authTokens";
+import { sendMail } from "./mailer";
+import { verifyEmailEmail } from "./mailer/templates";
+import { emailLink } from "./redirects";
+
+// Verification links work for two days
+const VERIFY_TTL_HOURS = 48;
+
+/*
+	Function: sendVerificationEmail
+	Description: Issues a fresh verification token (older links stop working) and
+	             emails it to the user's current address.
+	Arguments:
+		user - row with user_id, name and email
+	Returns: nothing
+*/
+export async function sendVerificationEmail(user) {
+	const token = await issueAuthToken(user.user_id, TOKEN_PURPOSES.EMAIL_VERIFY, VERIFY_TTL_HOURS * 60 * 60 * 1000);
+	const link = emailLink(`/verify-email?token=${encodeURIComponent(token)}`);
+	await sendMail({
+		to: user.email,
+		...verifyEmailEmail({ name: user.name, link, expiresInHours: VERIFY_TTL_HOURS }),
+	});
+}
+
+/*
+	Function: verifyEmailToken
+	Description: Redeems a verification link and stamps users.email_verified_at.
+	Arguments:
+		token - raw token string from the link
+	Returns: verified user id, or null if the link is invalid, used or expired
+*/
+export async function verifyEmailToken(token) {
+	const userId = await consumeAuthToken(token, TOKEN_PURPOSES.EMAIL_VERIFY);
+	if (!userId) return null;
+
+	const supabase = createAdminClient();
+	const { error } = await supabase
+		.from("users")
+		.update({ email_verified_at: new Date().toISOString() })
+		.eq("user_id", userId);
+	if (error) throw error;
+
+	return userId;
+}
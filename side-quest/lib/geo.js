@@ -0,0 +1,95 @@
+/*
+	Name: geo.js
+	Description: Distances and directions between GPS positions, for the
+	             geofence checks on the server and the "you are here" guidance
+	             on the map. No server imports: safe for client components.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: Positions { latitude, longitude } in degrees
+	Output: Meters, compass bearings and labels for them
+*/
+
+const EARTH_RADIUS_M = 6371000;
+
+// Meters per degree of latitude (and of longitude at the equator)
+export const METERS_PER_DEGREE = 111320;
+
+const COMPASS_POINTS = ["north", "north-east", "east", "south-east", "south", "south-west", "west", "north-west"];
+
+const toRad = deg => (deg * Math.PI) / 180;
+const toDeg = rad => (rad * 180) / Math.PI;
+
+/*
+	Function: haversineMeters
+	Description: Great-circle distance between two GPS points.
+	Arguments:
+		a, b - { latitude, longitude } in degrees
+	Returns: distance in meters
+*/
+export function haversineMeters(a, b) {
+	const dLat = toRad(b.latitude - a.latitude);
+	const dLng = toRad(b.longitude - a.longitude);
+	const h = Math.sin(dLat / 2) ** 2
+		+ Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+	return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/*
+	Function: bearingDegrees
+	Description: Initial compass bearing from one GPS point to another.
+	Arguments:
+		from, to - { latitude, longitude } in degrees
+	Returns: degrees clockwise from north, 0..360
+*/
+export function bearingDegrees(from, to) {
+	const lat1 = toRad(from.latitude);
+	const lat2 = toRad(to.latitude);
+	const dLng = toRad(to.longitude - from.longitude);
+	const y = Math.sin(dLng) * Math.cos(lat2);
+	const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+	return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+/*
+	Function: offsetPosition
+	Description: The point a short distance away in a given direction
+	             (flat-earth, fine for the few meters it is used for).
+	Arguments:
+		from - { latitude, longitude }
+		bearing - degrees clockwise from north
+		meters - distance
+	Returns: { latitude, longitude }
+*/
+export function offsetPosition(from, bearing, meters) {
+	const north = Math.cos(toRad(bearing)) * meters;
+	const east = Math.sin(toRad(bearing)) * meters;
+	return {
+		latitude: from.latitude + north / METERS_PER_DEGREE,
+		longitude: from.longitude + east / (METERS_PER_DEGREE * Math.cos(toRad(from.latitude))),
+	};
+}
+
+/*
+	Function: compassPoint
+	Description: Names a bearing, e.g. 40 -> "north-east".
+	Arguments:
+		bearing - degrees clockwise from north
+	Returns: string
+*/
+export function compassPoint(bearing) {
+	return COMPASS_POINTS[Math.round((((bearing % 360) + 360) % 360) / 45) % 8];
+}
+
+/*
+	Function: formatDistance
+	Description: Short walking distance label.
+	Arguments:
+		meters - number
+	Returns: string, e.g. "80 m" or "1.2 km"
+*/
+export function formatDistance(meters) {
+	if (meters < 1000) return `${Math.max(10, Math.round(meters / 10) * 10)} m`;
+	return `${(meters / 1000).toFixed(1)} km`;
+}
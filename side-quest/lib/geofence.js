@@ -0,0 +1,149 @@
+/*
+	Name: geofence.js
+	Description: Proof of presence for quest completion. Checks a browser
+	             Geolocation reading against a location's GPS position and radius,
+	             and logs every rejection for staff to review.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Distance math moved to geo.js - 10/19/2026
+	Errors: Logging failures are printed and swallowed so they never block a request
+	Input:
+		Location rows with latitude, longitude, geofence_radius_m
+		Readings { latitude, longitude, accuracy, timestamp } from navigator.geolocation
+		GEOFENCE_MAX_ACCURACY_M - worst accuracy accepted in meters (default 100)
+		GEOFENCE_MAX_AGE_S - oldest reading accepted in seconds (default 120)
+	Output: { ok } or { ok: false, reason, message } plus the measured distance
+*/
+
+import { createAdminClient } from "./supabase/admin";
+import { clientIp } from "./requestInfo";
+import { haversineMeters } from "./geo";
+
+// A reading timestamped this far in the future means the device clock is off or the reading was forged
+const MAX_FUTURE_MS = 30 * 1000;
+
+// Why a reading was turned down. Stored in geofence_rejections.reason.
+export const REJECTION_REASONS = {
+	MISSING: "missing",          // no reading sent (location permission denied, old client)
+	INVALID: "invalid",          // not numbers, or outside -90..90 / -180..180
+	STALE: "stale",              // reading is too old, or from the future
+	LOW_ACCURACY: "low_accuracy",// GPS fix too poor to tell where the player is
+	TOO_FAR: "too_far",          // outside the geofence even allowing for accuracy
+	UNMAPPED: "unmapped",        // presence is required but the location has no GPS position
+};
+
+/*
+	Function: geofenceSettings
+	Description: Reads the thresholds from the environment.
+	Returns: { maxAccuracyM, maxAgeMs }
+*/
+function geofenceSettings() {
+	return {
+		maxAccuracyM: Number(process.env.GEOFENCE_MAX_ACCURACY_M) || 100,
+		maxAgeMs: (Number(process.env.GEOFENCE_MAX_AGE_S) || 120) * 1000,
+	};
+}
+
+/*
+	Function: isValidCoordinate
+	Description: Checks a latitude / longitude pair is a real place.
+	Arguments:
+		latitude, longitude - numbers in degrees
+	Returns: boolean
+*/
+export function isValidCoordinate(latitude, longitude) {
+	return Number.isFinite(latitude) && Number.isFinite(longitude)
+		&& Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+}
+
+/*
+	Function: presenceRequired
+	Description: Whether completing a quest needs a GPS reading. Admins can turn
+	             it on for a whole location or for single quests.
+	Arguments:
+		quest - quest row with require_presence
+		location - location row with require_presence
+	Returns: boolean
+*/
+export function presenceRequired(quest, location) {
+	return !!(quest?.require_presence || location?.require_presence);
+}
+
+/*
+	Function: checkPresence
+	Description: Decides whether a reading puts the player inside a location's
+	             geofence. The reported accuracy is added to the radius, so an
+	             honest but fuzzy fix at the edge still counts, while fixes too
+	             poor to mean anything are turned down outright.
+	Arguments:
+		location - row with latitude, longitude, geofence_radius_m
+		reading - { latitude, longitude, accuracy, timestamp } from the browser
+	Returns: { ok, reason, message, distance }
+*/
+export function checkPresence(location, reading) {
+	const { maxAccuracyM, maxAgeMs } = geofenceSettings();
+	const reject = (reason, message, distance = null) => ({ ok: false, reason, message, distance });
+
+	if (!isValidCoordinate(location?.latitude, location?.longitude)) {
+		return reject(REJECTION_REASONS.UNMAPPED, "This location can't check your position yet. Ask an admin to set its GPS position.");
+	}
+	if (!reading) {
+		return reject(REJECTION_REASONS.MISSING, "Allow location access to complete this quest.");
+	}
+
+	const latitude = Number(reading.latitude);
+	const longitude = Number(reading.longitude);
+	const accuracy = Number(reading.accuracy);
+	const timestamp = Number(reading.timestamp);
+	if (!isValidCoordinate(latitude, longitude) || !Number.isFinite(accuracy) || accuracy < 0 || !Number.isFinite(timestamp)) {
+		return reject(REJECTION_REASONS.INVALID, "Your location reading was invalid. Please try again.");
+	}
+
+	const distance = haversineMeters({ latitude, longitude }, location);
+	const age = Date.now() - timestamp;
+	if (age > maxAgeMs || age < -MAX_FUTURE_MS) {
+		return reject(REJECTION_REASONS.STALE, "Your location reading is out of date. Please try again.", distance);
+	}
+	if (accuracy > maxAccuracyM) {
+		return reject(REJECTION_REASONS.LOW_ACCURACY, "Your GPS signal is too weak. Step outside or wait a moment and try again.", distance);
+	}
+
+	const radius = location.geofence_radius_m || 75;
+	if (distance > radius + accuracy) {
+		return reject(REJECTION_REASONS.TOO_FAR, `You need to be at ${location.name || "this location"} to complete this quest.`, distance);
+	}
+	return { ok: true, reason: null, message: null, distance };
+}
+
+/*
+	Function: logGeofenceRejection
+	Description: Records a rejected completion with the reading that was sent.
+	Arguments:
+		req - incoming request (for IP and user agent)
+		details - { userId, quest, location, reading, result }
+	Returns: nothing
+*/
+export async function logGeofenceRejection(req, { userId, quest, location, reading, result }) {
+	const number = value => (Number.isFinite(Number(value)) && value !== null && value !== "" ? Number(value) : null);
+	const readingAt = number(reading?.timestamp);
+	const ip = clientIp(req);
+
+	const supabase = createAdminClient();
+	const { error } = await supabase
+		.from("geofence_rejections")
+		.insert({
+			user_id: userId,
+			quest_id: quest?.quest_id ?? null,
+			location_id: location?.location_id ?? null,
+			reason: result.reason,
+			latitude: number(reading?.latitude),
+			longitude: number(reading?.longitude),
+			accuracy_m: number(reading?.accuracy),
+			distance_m: result.distance,
+			reading_at: readingAt !== null && !Number.isNaN(new Date(readingAt).getTime()) ? new Date(readingAt).toISOString() : null,
+			ip_address: ip === "unknown" ? null : ip,
+			user_agent: req.headers.get("user-agent")?.slice(0, 512) || null,
+		});
+
+	if (error) console.error("Failed to log geofence rejection:", error);
+}
@@ -0,0 +1,26 @@
+/*
+	Name: mailer/console.js
+	Description: Default transport for the mailer that prints each message to the
+	             server log. Nothing leaves the machine.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: N/A
+	Output: Message printed with console.log
+*/
+
+/*
+	Function: createConsoleTransport
+	Description: Builds a transport that logs messages.
+	Returns: transport object with a send(message) method
+*/
+export function createConsoleTransport() {
+	return {
+		async send(message) {
+			console.log(
+				`\n--- Email (MAIL_TRANSPORT=console) ---\nFrom: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n--------------------------------------\n`
+			);
+		},
+	};
+}
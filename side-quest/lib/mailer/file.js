@@ -0,0 +1,32 @@
+/*
+	Name: mailer/file.js
+	Description: Local transport for the mailer that writes each message to a JSON
+	             file instead of sending it. Useful for testing the email links offline.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Throws when the mail directory cannot be written
+	Input: MAIL_DIR - folder to write messages to (default .mail in the project root)
+	Output: One <timestamp>-<recipient>.json file per message
+*/
+
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+
+/*
+	Function: createFileTransport
+	Description: Builds a transport that saves messages to disk.
+	Returns: transport object with a send(message) method
+*/
+export function createFileTransport() {
+	const dir = process.env.MAIL_DIR || path.join(process.cwd(), ".mail");
+
+	return {
+		async send(message) {
+			await mkdir(dir, { recursive: true });
+			const safeTo = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, "_");
+			const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+			await writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+		},
+	};
+}
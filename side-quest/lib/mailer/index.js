@@ -0,0 +1,61 @@
+/*
+	Name: mailer/index.js
+	Description: Sends email through whichever transport MAIL_TRANSPORT selects.
+	             "smtp" delivers for real; "file" and "console" keep mail on this
+	             machine so the auth flows can be tested offline.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Throws when MAIL_TRANSPORT names an unknown transport, or the transport fails
+	Input:
+		MAIL_TRANSPORT - "smtp", "file" or "console" (defaults to console)
+		MAIL_FROM - sender address
+		SMTP_* / MAIL_DIR - transport settings, see each transport file
+	Output: A sent (or saved, or logged) message
+*/
+
+import { createSmtpTransport } from "./smtp";
+import { createFileTransport } from "./file";
+import { createConsoleTransport } from "./console";
+
+const TRANSPORTS = {
+	smtp: createSmtpTransport,
+	file: createFileTransport,
+	console: createConsoleTransport,
+};
+
+const DEFAULT_FROM = "Side Quest <no-reply@sidequest.local>";
+
+let transport;
+
+/*
+	Function: getTransport
+	Description: Builds the configured transport the first time mail is sent.
+	Returns: transport object with a send(message) method
+*/
+function getTransport() {
+	if (!transport) {
+		const name = process.env.MAIL_TRANSPORT || "console";
+		const create = TRANSPORTS[name];
+		if (!create) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+		transport = create();
+	}
+	return transport;
+}
+
+/*
+	Function: sendMail
+	Description: Sends one email.
+	Arguments:
+		message - { to, subject, text, html }
+	Returns: nothing
+*/
+export async function sendMail({ to, subject, text, html }) {
+	await getTransport().send({
+		from: process.env.MAIL_FROM || DEFAULT_FROM,
+		to,
+		subject,
+		text,
+		html,
+	});
+}
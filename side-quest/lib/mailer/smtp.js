@@ -0,0 +1,40 @@
+/*
+	Name: mailer/smtp.js
+	Description: SMTP transport for the mailer, backed by nodemailer.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Throws when SMTP_HOST is not set or the server rejects the message
+	Input:
+		SMTP_HOST, SMTP_PORT (default 587), SMTP_USER, SMTP_PASS
+		SMTP_SECURE - "true" for implicit TLS (usually port 465)
+	Output: Message delivered to the SMTP server
+*/
+
+import nodemailer from "nodemailer";
+
+/*
+	Function: createSmtpTransport
+	Description: Builds an SMTP transport from the environment.
+	Returns: transport object with a send(message) method
+*/
+export function createSmtpTransport() {
+	if (!process.env.SMTP_HOST) {
+		throw new Error("SMTP_HOST must be set when MAIL_TRANSPORT is smtp");
+	}
+
+	const client = nodemailer.createTransport({
+		host: process.env.SMTP_HOST,
+		port: Number(process.env.SMTP_PORT) || 587,
+		secure: process.env.SMTP_SECURE === "true",
+		auth: process.env.SMTP_USER
+			? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+			: undefined,
+	});
+
+	return {
+		async send(message) {
+			await client.sendMail(message);
+		},
+	};
+}
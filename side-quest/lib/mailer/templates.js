@@ -0,0 +1,61 @@
+/*
+	Name: mailer/templates.js
+	Description: Subject and body text for the emails the app sends.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Email verification template - 10/19/2026
+	Errors: N/A
+	Input: Recipient name and the link to put in the email
+	Output: { subject, text, html } ready for sendMail
+*/
+
+/*
+	Function: escapeHtml
+	Description: Escapes text before it goes into the HTML body.
+	Arguments:
+		value - string
+	Returns: escaped string
+*/
+function escapeHtml(value) {
+	return String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+/*
+	Function: passwordResetEmail
+	Description: Email with the one-time password reset link.
+	Arguments:
+		name - user's display name
+		link - absolute reset URL
+		expiresInMinutes - how long the link works
+	Returns: { subject, text, html }
+*/
+export function passwordResetEmail({ name, link, expiresInMinutes }) {
+	const greeting = name ? `Hi ${name},` : "Hi,";
+	return {
+		subject: "Reset your Side Quest password",
+		text: `${greeting}\n\nSomeone asked to reset the password for your Side Quest account. If it was you, open this link to choose a new one:\n\n${link}\n\nThe link works once and expires in ${expiresInMinutes} minutes. Resetting your password signs you out on every device.\n\nIf you did not ask for this, you can ignore this email.`,
+		html: `<p>${escapeHtml(greeting)}</p><p>Someone asked to reset the password for your Side Quest account. If it was you, use the link below to choose a new one:</p><p><a href="${escapeHtml(link)}">Reset my password</a></p><p>The link works once and expires in ${expiresInMinutes} minutes. Resetting your password signs you out on every device.</p><p>If you did not ask for this, you can ignore this email.</p>`,
+	};
+}
+
+/*
+	Function: verifyEmailEmail
+	Description: Email with the link that confirms the user owns their address.
+	Arguments:
+		name - user's display name
+		link - absolute verification URL
+		expiresInHours - how long the link works
+	Returns: { subject, text, html }
+*/
+export function verifyEmailEmail({ name, link, expiresInHours }) {
+	const greeting = name ? `Hi ${name},` : "Hi,";
+	return {
+		subject: "Verify your Side Quest email",
+		text: `${greeting}\n\nWelcome to Side Quest! Open this link to verify your email address and start earning points:\n\n${link}\n\nThe link expires in ${expiresInHours} hours. If you did not sign up, you can ignore this email.`,
+		html: `<p>${escapeHtml(greeting)}</p><p>Welcome to Side Quest! Verify your email address to start earning points:</p><p><a href="${escapeHtml(link)}">Verify my email</a></p><p>The link expires in ${expiresInHours} hours. If you did not sign up, you can ignore this email.</p>`,
+	};
+}
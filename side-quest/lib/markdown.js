@@ -0,0 +1,170 @@
+/*
+	Name: markdown.js
+	Description: Parses the small markdown subset used in quest descriptions into a
+	             plain tree for components/Markdown.js to render. There is no raw
+	             HTML: anything that isn't markdown stays text, and links only keep
+	             http(s), mailto and same-site URLs, so admin-written content can't
+	             inject scripts. Pure functions, safe to import from client components.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Same-site links go through the redirect path check - 10/19/2026
+	Errors: N/A
+	Input: Markdown text: # headings, paragraphs, - and 1. lists, **bold**, *italic*,
+	       `code` and [links](https://...)
+	Output: Array of block nodes
+*/
+
+import { safeNextPath } from "./redirects";
+
+// Characters a backslash can escape
+const ESCAPABLE = /[\\`*_[\]()#\-.!>+]/;
+
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+
+/*
+	Function: safeHref
+	Description: Keeps a link URL only if it can't run script: http(s), mailto,
+	             or a path on this site. Paths get the same check as ?next=, so
+	             "/\evil.com" (read by browsers as "//evil.com") is refused.
+	Arguments:
+		url - URL written in the markdown
+	Returns: the URL, or null when it isn't allowed
+*/
+export function safeHref(url) {
+	const href = String(url ?? "").trim();
+	if (/^https?:\/\/[^\s]+$/i.test(href)) return href;
+	if (/^mailto:[^\s]+$/i.test(href)) return href;
+	if (/^\/[^\s]*$/.test(href) && safeNextPath(href, null) !== null) return href;
+	return null;
+}
+
+/*
+	Function: parseInline
+	Description: Splits a line into text, bold, italic, code and link nodes.
+	Arguments:
+		text - one line or paragraph of markdown
+		inLink - true inside a link label, where links aren't allowed
+	Returns: array of inline nodes
+*/
+export function parseInline(text, inLink = false) {
+	const nodes = [];
+	let buffer = "";
+	const flush = () => {
+		if (buffer) nodes.push({ type: "text", text: buffer });
+		buffer = "";
+	};
+
+	let i = 0;
+	while (i < text.length) {
+		const ch = text[i];
+
+		if (ch === "\\" && ESCAPABLE.test(text[i + 1] ?? "")) {
+			buffer += text[i + 1];
+			i += 2;
+			continue;
+		}
+
+		if (ch === "`") {
+			const end = text.indexOf("`", i + 1);
+			if (end > i + 1) {
+				flush();
+				nodes.push({ type: "code", text: text.slice(i + 1, end) });
+				i = end + 1;
+				continue;
+			}
+		}
+
+		if (text.startsWith("**", i)) {
+			const end = text.indexOf("**", i + 2);
+			if (end > i + 2) {
+				flush();
+				nodes.push({ type: "strong", children: parseInline(text.slice(i + 2, end), inLink) });
+				i = end + 2;
+				continue;
+			}
+		}
+
+		// *italic* or _italic_, but not snake_case words
+		if ((ch === "*" || (ch === "_" && !/\w/.test(text[i - 1] ?? ""))) && text[i + 1] && text[i + 1] !== " ") {
+			const end = text.indexOf(ch, i + 1);
+			if (end > i + 1 && (ch === "*" || !/\w/.test(text[end + 1] ?? ""))) {
+				flush();
+				nodes.push({ type: "em", children: parseInline(text.slice(i + 1, end), inLink) });
+				i = end + 1;
+				continue;
+			}
+		}
+
+		if (ch === "[" && !inLink) {
+			const close = text.indexOf("](", i + 1);
+			const end = close === -1 ? -1 : text.indexOf(")", close + 2);
+			if (close > i && end > close) {
+				flush();
+				const children = parseInline(text.slice(i + 1, close), true);
+				const href = safeHref(text.slice(close + 2, end));
+				// A link that isn't allowed keeps its label as plain text
+				if (href) nodes.push({ type: "link", href, children });
+				else nodes.push(...children);
+				i = end + 1;
+				continue;
+			}
+		}
+
+		buffer += ch;
+		i++;
+	}
+	flush();
+	return nodes;
+}
+
+/*
+	Function: parseMarkdown
+	Description: Splits markdown into headings, lists and paragraphs. Single line
+	             breaks inside a paragraph are kept.
+	Arguments:
+		source - markdown text
+	Returns: array of { type: "heading", level, children } | { type: "list", ordered, items }
+	         | { type: "paragraph", lines }
+*/
+export function parseMarkdown(source) {
+	const lines = String(source ?? "").replace(/\r\n?/g, "\n").split("\n");
+	const blocks = [];
+	let i = 0;
+
+	while (i < lines.length) {
+		const line = lines[i];
+		if (!line.trim()) {
+			i++;
+			continue;
+		}
+
+		const heading = line.match(HEADING);
+		if (heading) {
+			blocks.push({ type: "heading", level: heading[1].length, children: parseInline(heading[2].trim()) });
+			i++;
+			continue;
+		}
+
+		const listPattern = BULLET.test(line) ? BULLET : NUMBERED.test(line) ? NUMBERED : null;
+		if (listPattern) {
+			const items = [];
+			while (i < lines.length && listPattern.test(lines[i])) {
+				items.push(parseInline(lines[i].match(listPattern)[1].trim()));
+				i++;
+			}
+			blocks.push({ type: "list", ordered: listPattern === NUMBERED, items });
+			continue;
+		}
+
+		const paragraph = [];
+		while (i < lines.length && lines[i].trim() && !HEADING.test(lines[i]) && !BULLET.test(lines[i]) && !NUMBERED.test(lines[i])) {
+			paragraph.push(parseInline(lines[i].trim()));
+			i++;
+		}
+		blocks.push({ type: "paragraph", lines: paragraph });
+	}
+
+	return blocks;
+}
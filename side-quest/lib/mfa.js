@@ -0,0 +1,299 @@
+/*
+	Name: mfa.js
+	Description: Two-factor authentication with an authenticator app (TOTP) plus
+	             one-time recovery codes. Also the short-lived cookie that
+	             remembers who passed the password step while they type their code.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Supabase errors are thrown to the caller
+	Input: User ids and rows, codes typed by the user
+	Output: New secrets and recovery codes, or whether a code is valid
+*/
+
+import { createHash, randomBytes } from "crypto";
+import QRCode from "qrcode";
+import { createAdminClient } from "./supabase/admin";
+import { signPayload, verifyToken } from "./auth";
+import { generateTotpSecret, totpUri, verifyTotp } from "./totp";
+import { createLockout } from "./rateLimit";
+
+const RECOVERY_CODE_COUNT = 10;
+// No 0/o, 1/l/i so codes survive being written down
+const RECOVERY_ALPHABET = "abcdefghjkmnpqrstuvwxyz23456789";
+
+// A 6 digit code is guessable without a limit, so wrong codes back off like wrong passwords
+const wrongCodes = createLockout({ name: "mfa" });
+
+const PENDING_COOKIE = "mfa_pending";
+// Time allowed between the password step and typing the code
+const PENDING_MAX_AGE = 5 * 60;
+
+/*
+	Function: normalizeRecoveryCode
+	Description: Lowercases a recovery code and drops the dash and spaces.
+	Arguments:
+		code - code as typed
+	Returns: string
+*/
+function normalizeRecoveryCode(code) {
+	return String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/*
+	Function: hashRecoveryCode
+	Description: Hashes a recovery code for storage and lookup.
+	Arguments:
+		code - code as typed or generated
+	Returns: hex SHA-256 digest
+*/
+function hashRecoveryCode(code) {
+	return createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+}
+
+/*
+	Function: randomRecoveryCode
+	Description: Makes one code in the form "abcde-fghjk".
+	Returns: string
+*/
+function randomRecoveryCode() {
+	const bytes = randomBytes(10);
+	const chars = [...bytes].map(b => RECOVERY_ALPHABET[b % RECOVERY_ALPHABET.length]).join("");
+	return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+}
+
+/*
+	Function: startTotpEnrollment
+	Description: Stores a new, not yet enabled secret for the user and builds the
+	             QR code their authenticator app scans. Calling it again replaces
+	             the pending secret.
+	Arguments:
+		user - signed-in user from lib/session
+	Returns: { secret, uri, qr } where qr is a PNG data URL
+*/
+export async function startTotpEnrollment(user) {
+	const supabase = createAdminClient();
+	const secret = generateTotpSecret();
+
+	const { error } = await supabase
+		.from("users")
+		.update({ totp_secret: secret, totp_enabled_at: null, totp_last_step: null })
+		.eq("user_id", user.id);
+	if (error) throw error;
+
+	const uri = totpUri(secret, user.email);
+	const qr = await QRCode.toDataURL(uri, { margin: 1, width: 220 });
+	return { secret, uri, qr };
+}
+
+/*
+	Function: checkTotp
+	Description: Checks an authenticator code and records its time step so the
+	             same code cannot be replayed.
+	Arguments:
+		supabase - admin client
+		userId - users.user_id
+		code - 6 digit code
+	Returns: boolean
+*/
+async function checkTotp(supabase, userId, code) {
+	const { data: user } = await supabase
+		.from("users")
+		.select("totp_secret, totp_last_step")
+		.eq("user_id", userId)
+		.maybeSingle();
+	if (!user?.totp_secret) return false;
+
+	const step = verifyTotp(user.totp_secret, code, user.totp_last_step);
+	if (step === null) return false;
+
+	// Only one request can move totp_last_step past this step
+	const { data, error } = await supabase
+		.from("users")
+		.update({ totp_last_step: step })
+		.eq("user_id", userId)
+		.or(`totp_last_step.is.null,totp_last_step.lt.${step}`)
+		.select("user_id");
+	if (error) throw error;
+	return data.length > 0;
+}
+
+/*
+	Function: generateRecoveryCodes
+	Description: Replaces all of a user's recovery codes with a fresh set.
+	Arguments:
+		userId - users.user_id
+	Returns: array of raw codes, shown to the user once
+*/
+export async function generateRecoveryCodes(userId) {
+	const supabase = createAdminClient();
+	const codes = Array.from({ length: RECOVERY_CODE_COUNT }, randomRecoveryCode);
+
+	const { error: clearError } = await supabase
+		.from("mfa_recovery_codes")
+		.delete()
+		.eq("user_id", userId);
+	if (clearError) throw clearError;
+
+	const { error } = await supabase
+		.from("mfa_recovery_codes")
+		.insert(codes.map(code => ({ user_id: userId, code_hash: hashRecoveryCode(code) })));
+	if (error) throw error;
+
+	return codes;
+}
+
+/*
+	Function: countRecoveryCodes
+	Description: Counts the recovery codes a user has not used yet.
+	Arguments:
+		userId - users.user_id
+	Returns: number
+*/
+export async function countRecoveryCodes(userId) {
+	const supabase = createAdminClient();
+	const { count } = await supabase
+		.from("mfa_recovery_codes")
+		.select("code_id", { count: "exact", head: true })
+		.eq("user_id", userId)
+		.is("used_at", null);
+	return count || 0;
+}
+
+/*
+	Function: withLockout
+	Description: Runs a code check behind the wrong-code lockout.
+	Arguments:
+		userId - users.user_id
+		check - async function returning true when the code was right
+	Returns: { ok, locked, retryAfter }
+*/
+async function withLockout(userId, check) {
+	const lock = await wrongCodes.check(userId);
+	if (lock.locked) return { ok: false, ...lock };
+
+	if (await check()) {
+		await wrongCodes.reset(userId);
+		return { ok: true, locked: false, retryAfter: 0 };
+	}
+	const failure = await wrongCodes.fail(userId);
+	return { ok: false, ...failure };
+}
+
+/*
+	Function: enableTotp
+	Description: Finishes setup once the user proves their app shows the right
+	             code, and issues their first recovery codes.
+	Arguments:
+		userId - users.user_id
+		code - 6 digit code from the app
+	Returns: { ok, locked, retryAfter, recoveryCodes }
+*/
+export async function enableTotp(userId, code) {
+	const supabase = createAdminClient();
+	const result = await withLockout(userId, () => checkTotp(supabase, userId, code));
+	if (!result.ok) return result;
+
+	const { error } = await supabase
+		.from("users")
+		.update({ totp_enabled_at: new Date().toISOString() })
+		.eq("user_id", userId);
+	if (error) throw error;
+
+	return { ...result, recoveryCodes: await generateRecoveryCodes(userId) };
+}
+
+/*
+	Function: verifySecondFactor
+	Description: Accepts either an authenticator code or an unused recovery code.
+	             A recovery code is burned as soon as it is accepted.
+	Arguments:
+		userId - users.user_id
+		code - 6 digit code or recovery code
+	Returns: boolean
+*/
+async function verifySecondFactor(userId, code) {
+	const supabase = createAdminClient();
+	if (/^\s*\d{3}\s?\d{3}\s*$/.test(String(code || ""))) {
+		return checkTotp(supabase, userId, code);
+	}
+
+	const normalized = normalizeRecoveryCode(code);
+	if (!normalized) return false;
+
+	// One UPDATE marks the code used, so two requests cannot both redeem it
+	const { data, error } = await supabase
+		.from("mfa_recovery_codes")
+		.update({ used_at: new Date().toISOString() })
+		.eq("user_id", userId)
+		.eq("code_hash", hashRecoveryCode(normalized))
+		.is("used_at", null)
+		.select("code_id");
+	if (error) throw error;
+	return data.length > 0;
+}
+
+/*
+	Function: attemptSecondFactor
+	Description: verifySecondFactor behind a lockout, for every place a user types a code.
+	Arguments:
+		userId - users.user_id
+		code - 6 digit code or recovery code
+	Returns: { ok, locked, retryAfter }
+*/
+export function attemptSecondFactor(userId, code) {
+	return withLockout(userId, () => verifySecondFactor(userId, code));
+}
+
+/*
+	Function: disableTotp
+	Description: Turns two-factor authentication off and deletes the recovery codes.
+	Arguments:
+		userId - users.user_id
+	Returns: nothing
+*/
+export async function disableTotp(userId) {
+	const supabase = createAdminClient();
+	const { error } = await supabase
+		.from("users")
+		.update({ totp_secret: null, totp_enabled_at: null, totp_last_step: null })
+		.eq("user_id", userId);
+	if (error) throw error;
+
+	await supabase.from("mfa_recovery_codes").delete().eq("user_id", userId);
+}
+
+/*
+	Function: mfaPendingCookie
+	Description: Remembers a user who passed the password (or SSO) step but still
+	             has to enter their code. No session exists until they do.
+	Arguments:
+		userId - users.user_id
+	Returns: cookie string
+*/
+export function mfaPendingCookie(userId) {
+	const token = signPayload({ id: userId, purpose: "mfa", exp: Date.now() + PENDING_MAX_AGE * 1000 });
+	return `${PENDING_COOKIE}=${token}; Path=/api/auth/mfa; HttpOnly; SameSite=Lax; Max-Age=${PENDING_MAX_AGE}`;
+}
+
+/*
+	Function: readMfaPending
+	Description: Gets the user id from the pending cookie.
+	Arguments:
+		req - incoming NextRequest
+	Returns: user id, or null when missing or expired
+*/
+export function readMfaPending(req) {
+	const token = req.cookies.get(PENDING_COOKIE)?.value;
+	const payload = token ? verifyToken(token) : null;
+	return payload?.purpose === "mfa" ? payload.id : null;
+}
+
+/*
+	Function: clearedMfaPendingCookie
+	Description: Builds the Set-Cookie value that removes the pending cookie.
+	Returns: cookie string
+*/
+export function clearedMfaPendingCookie() {
+	return `${PENDING_COOKIE}=deleted; Path=/api/auth/mfa; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
@@ -0,0 +1,175 @@
+/*
+	Name: oauth/identities.js
+	Description: Maps a verified OIDC identity to a row in the users table. Known
+	             identities sign straight in; new ones are linked to the signed-in
+	             user, or to the verified account with the same email, or get a
+	             new account.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Only link by email to accounts that verified it - 10/19/2026, SSO accounts are marked as having no password, confirmIdentity for re-sign-in - 10/19/2026
+	Errors: OidcError with a user-facing message when the identity cannot be used
+	Input: Provider config, verified ID token claims and the current user (if any)
+	Output: The users row to start a session for
+*/
+
+import { randomBytes } from "crypto";
+import bcrypt from "bcryptjs";
+import { createAdminClient } from "../supabase/admin";
+import { normalizeEmail, validateEmail } from "../email";
+import { OidcError } from "./oidc";
+
+/*
+	Function: loadUser
+	Description: Gets a full users row by id.
+	Arguments:
+		supabase - admin client
+		userId - users.user_id
+	Returns: users row or null
+*/
+async function loadUser(supabase, userId) {
+	const { data } = await supabase
+		.from("users")
+		.select("*")
+		.eq("user_id", userId)
+		.is("deleted_at", null)
+		.maybeSingle();
+	return data;
+}
+
+/*
+	Function: linkIdentity
+	Description: Records that a provider account belongs to a user.
+	Arguments:
+		supabase - admin client
+		userId - users.user_id
+		provider - provider config
+		claims - ID token claims
+	Returns: nothing
+*/
+async function linkIdentity(supabase, userId, provider, claims) {
+	const { error } = await supabase
+		.from("user_identities")
+		.insert({
+			user_id: userId,
+			provider: provider.id,
+			subject: claims.sub,
+			email: normalizeEmail(claims.email) || null,
+		});
+	if (error) throw error;
+}
+
+/*
+	Function: confirmIdentity
+	Description: Checks a provider sign-in belongs to the signed-in user, for
+	             confirming who they are before account changes.
+	Arguments:
+		provider - provider config
+		claims - verified ID token claims
+		userId - signed-in user's user_id
+	Returns: nothing; throws OidcError when the identity is someone else's or not linked
+*/
+export async function confirmIdentity(provider, claims, userId) {
+	const supabase = createAdminClient();
+	const { data: identity, error } = await supabase
+		.from("user_identities")
+		.select("identity_id, user_id")
+		.eq("provider", provider.id)
+		.eq("subject", claims.sub)
+		.maybeSingle();
+	if (error) throw error;
+	if (!identity || identity.user_id !== userId) {
+		throw new OidcError(`Sign in with the ${provider.name} account linked to this account`);
+	}
+	await supabase
+		.from("user_identities")
+		.update({ last_login_at: new Date().toISOString() })
+		.eq("identity_id", identity.identity_id);
+}
+
+/*
+	Function: resolveIdentityUser
+	Description: Finds or creates the user for a provider identity.
+	Arguments:
+		provider - provider config
+		claims - verified ID token claims
+		currentUser - signed-in user when linking from the account page, else null
+	Returns: users row
+*/
+export async function resolveIdentityUser(provider, claims, currentUser) {
+	const supabase = createAdminClient();
+
+	// 1. Identity seen before: sign in as its owner
+	const { data: identity } = await supabase
+		.from("user_identities")
+		.select("identity_id, user_id")
+		.eq("provider", provider.id)
+		.eq("subject", claims.sub)
+		.maybeSingle();
+
+	if (identity) {
+		if (currentUser && currentUser.id !== identity.user_id) {
+			throw new OidcError(`This ${provider.name} account is already linked to another user`);
+		}
+		await supabase
+			.from("user_identities")
+			.update({ last_login_at: new Date().toISOString() })
+			.eq("identity_id", identity.identity_id);
+
+		const user = await loadUser(supabase, identity.user_id);
+		if (!user) throw new OidcError("This account has been deleted");
+		return user;
+	}
+
+	// 2. Signed in already: add this identity to the current account
+	if (currentUser) {
+		await linkIdentity(supabase, currentUser.id, provider, claims);
+		return loadUser(supabase, currentUser.id);
+	}
+
+	// Only trust an email the provider has verified, otherwise anyone could
+	// claim a student's address and take over their account
+	const email = normalizeEmail(claims.email);
+	if (!email || claims.email_verified !== true) {
+		throw new OidcError(`${provider.name} did not share a verified email address`);
+	}
+
+	// 3. Same email as an account that proved it owns the address: link to it.
+	// An unverified account could have been registered by someone else with
+	// this address, so its owner has to log in with the password and link
+	// the provider from the account page instead.
+	const { data: existing } = await supabase
+		.from("users")
+		.select("user_id, email_verified_at")
+		.eq("email", email)
+		.is("deleted_at", null)
+		.maybeSingle();
+
+	if (existing) {
+		if (!existing.email_verified_at) {
+			throw new OidcError(`An account already uses this email. Log in with your password, then link ${provider.name} from your account page`);
+		}
+		await linkIdentity(supabase, existing.user_id, provider, claims);
+		return loadUser(supabase, existing.user_id);
+	}
+
+	// 4. New player: create an account with no usable password
+	const emailError = validateEmail(email);
+	if (emailError) throw new OidcError(emailError);
+
+	const name = (claims.name || claims.preferred_username || email.split("@")[0]).slice(0, 50);
+	const { data: user, error } = await supabase
+		.from("users")
+		.insert({
+			name,
+			email,
+			password_hash: await bcrypt.hash(randomBytes(32).toString("hex"), 10),
+			email_verified_at: new Date().toISOString(),
+			has_password: false,
+		})
+		.select()
+		.single();
+	if (error) throw error;
+
+	await linkIdentity(supabase, user.user_id, provider, claims);
+	return user;
+}
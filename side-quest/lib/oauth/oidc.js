@@ -0,0 +1,206 @@
+/*
+	Name: oauth/oidc.js
+	Description: OpenID Connect authorization code flow with PKCE: builds the
+	             provider login URL, swaps the returned code for tokens and
+	             verifies the ID token (signature, issuer, audience, expiry, nonce).
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: OidcError when the provider misbehaves or the ID token does not check out
+	Input: Provider configs from lib/oauth/providers.js
+	Output: Verified ID token claims (sub, email, email_verified, name)
+*/
+
+import { createHash, createPublicKey, randomBytes, verify } from "crypto";
+
+// Provider metadata and signing keys rarely change, so keep them for an hour
+const CACHE_MS = 60 * 60 * 1000;
+// Allow a little clock drift between us and the provider
+const CLOCK_SKEW_S = 60;
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+export class OidcError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "OidcError";
+	}
+}
+
+/*
+	Function: randomToken
+	Description: Random URL-safe string for state, nonce and the PKCE verifier.
+	Returns: string
+*/
+export function randomToken() {
+	return randomBytes(32).toString("base64url");
+}
+
+/*
+	Function: fetchJson
+	Description: GETs or POSTs and parses JSON, turning HTTP errors into OidcError.
+	Arguments:
+		url - URL to fetch
+		options - fetch options
+	Returns: parsed JSON body
+*/
+async function fetchJson(url, options) {
+	const res = await fetch(url, { ...options, cache: "no-store" });
+	const body = await res.json().catch(() => null);
+	if (!res.ok || !body) {
+		console.warn(`OIDC request to ${url} failed with ${res.status}`, body?.error || "");
+		throw new OidcError("The sign-in provider rejected the request, please try again");
+	}
+	return body;
+}
+
+/*
+	Function: discover
+	Description: Loads the provider's /.well-known/openid-configuration.
+	Arguments:
+		provider - provider config
+	Returns: discovery document
+*/
+async function discover(provider) {
+	const cached = discoveryCache.get(provider.issuer);
+	if (cached && cached.expires > Date.now()) return cached.value;
+
+	const url = `${provider.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`;
+	const value = await fetchJson(url);
+	discoveryCache.set(provider.issuer, { value, expires: Date.now() + CACHE_MS });
+	return value;
+}
+
+/*
+	Function: getSigningKey
+	Description: Finds the provider's public key for a kid, refetching the key set
+	             once in case the provider rotated keys.
+	Arguments:
+		jwksUri - jwks_uri from discovery
+		kid - key id from the ID token header
+	Returns: KeyObject
+*/
+async function getSigningKey(jwksUri, kid) {
+	for (let attempt = 0; attempt < 2; attempt++) {
+		let cached = jwksCache.get(jwksUri);
+		if (!cached || cached.expires < Date.now() || attempt > 0) {
+			const { keys } = await fetchJson(jwksUri);
+			cached = { keys: keys || [], expires: Date.now() + CACHE_MS };
+			jwksCache.set(jwksUri, cached);
+		}
+		const jwk = cached.keys.find(k => !kid || k.kid === kid);
+		if (jwk) return createPublicKey({ key: jwk, format: "jwk" });
+	}
+	throw new OidcError("No matching signing key for ID token");
+}
+
+/*
+	Function: buildAuthorizationUrl
+	Description: Builds the URL that sends the user to the provider to sign in.
+	Arguments:
+		provider - provider config
+		options.redirectUri - our callback URL
+		options.state, options.nonce, options.verifier - values remembered in the state cookie
+	Returns: URL string
+*/
+export async function buildAuthorizationUrl(provider, { redirectUri, state, nonce, verifier }) {
+	const { authorization_endpoint } = await discover(provider);
+	const url = new URL(authorization_endpoint);
+	url.searchParams.set("response_type", "code");
+	url.searchParams.set("client_id", provider.clientId);
+	url.searchParams.set("redirect_uri", redirectUri);
+	url.searchParams.set("scope", provider.scope);
+	url.searchParams.set("state", state);
+	url.searchParams.set("nonce", nonce);
+	url.searchParams.set("code_challenge", createHash("sha256").update(verifier).digest("base64url"));
+	url.searchParams.set("code_challenge_method", "S256");
+	return url.toString();
+}
+
+/*
+	Function: verifyIdToken
+	Description: Checks an ID token's signature against the provider's keys and
+	             validates its standard claims.
+	Arguments:
+		provider - provider config
+		idToken - compact JWT from the token response
+		nonce - nonce sent with the authorization request
+	Returns: token claims
+*/
+export async function verifyIdToken(provider, idToken, nonce) {
+	const parts = typeof idToken === "string" ? idToken.split(".") : [];
+	if (parts.length !== 3) throw new OidcError("Malformed ID token");
+	const [headerB64, payloadB64, signatureB64] = parts;
+
+	let header, claims;
+	try {
+		header = JSON.parse(Buffer.from(headerB64, "base64url").toString("utf8"));
+		claims = JSON.parse(Buffer.from(payloadB64, "base64url").toString("utf8"));
+	} catch (e) {
+		throw new OidcError("Malformed ID token");
+	}
+
+	// RS256 is what OIDC providers must support; ES256 is common enough to accept too
+	const algorithms = {
+		RS256: { hash: "sha256" },
+		ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+	};
+	const alg = algorithms[header.alg];
+	if (!alg) throw new OidcError(`Unsupported ID token algorithm ${header.alg}`);
+
+	const { jwks_uri } = await discover(provider);
+	const key = await getSigningKey(jwks_uri, header.kid);
+	const valid = verify(
+		alg.hash,
+		Buffer.from(`${headerB64}.${payloadB64}`),
+		alg.dsaEncoding ? { key, dsaEncoding: alg.dsaEncoding } : key,
+		Buffer.from(signatureB64, "base64url")
+	);
+	if (!valid) throw new OidcError("ID token signature is invalid");
+
+	const now = Math.floor(Date.now() / 1000);
+	const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+	if (String(claims.iss).replace(/\/$/, "") !== provider.issuer.replace(/\/$/, "")) {
+		throw new OidcError("ID token issuer does not match");
+	}
+	if (!audiences.includes(provider.clientId)) throw new OidcError("ID token audience does not match");
+	if (!claims.exp || claims.exp + CLOCK_SKEW_S < now) throw new OidcError("ID token has expired");
+	if (claims.nonce !== nonce) throw new OidcError("ID token nonce does not match");
+	if (!claims.sub) throw new OidcError("ID token has no subject");
+
+	return claims;
+}
+
+/*
+	Function: exchangeCode
+	Description: Swaps the authorization code for tokens and verifies the ID token.
+	Arguments:
+		provider - provider config
+		options.code - code from the callback query string
+		options.redirectUri - the same callback URL sent in the authorization request
+		options.verifier - PKCE verifier from the state cookie
+		options.nonce - nonce from the state cookie
+	Returns: ID token claims
+*/
+export async function exchangeCode(provider, { code, redirectUri, verifier, nonce }) {
+	const { token_endpoint } = await discover(provider);
+
+	const body = new URLSearchParams({
+		grant_type: "authorization_code",
+		code,
+		redirect_uri: redirectUri,
+		client_id: provider.clientId,
+		code_verifier: verifier,
+	});
+	if (provider.clientSecret) body.set("client_secret", provider.clientSecret);
+
+	const tokens = await fetchJson(token_endpoint, {
+		method: "POST",
+		headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+		body,
+	});
+	if (!tokens.id_token) throw new OidcError("Token response has no id_token");
+
+	return verifyIdToken(provider, tokens.id_token, nonce);
+}
@@ -0,0 +1,46 @@
+/*
+	Name: oauth/providers.js
+	Description: The OAuth2 / OpenID Connect sign-in providers offered next to
+	             email and password. Any OIDC-compliant provider can be added with
+	             another entry here; a provider only shows up once its issuer and
+	             client id are set in the environment.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input:
+		OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET - university SSO registration
+		OIDC_NAME - button label (default "University SSO")
+	Output: Provider configs used by lib/oauth/oidc.js and the oauth routes
+*/
+
+const PROVIDERS = [
+	{
+		id: "sso",
+		name: process.env.OIDC_NAME || "University SSO",
+		issuer: process.env.OIDC_ISSUER,
+		clientId: process.env.OIDC_CLIENT_ID,
+		clientSecret: process.env.OIDC_CLIENT_SECRET,
+		scope: "openid email profile",
+	},
+];
+
+/*
+	Function: getProviders
+	Description: Lists the providers that are configured.
+	Returns: array of provider configs
+*/
+export function getProviders() {
+	return PROVIDERS.filter(p => p.issuer && p.clientId);
+}
+
+/*
+	Function: getProvider
+	Description: Looks up one configured provider.
+	Arguments:
+		id - provider id from the URL
+	Returns: provider config, or null when unknown or not configured
+*/
+export function getProvider(id) {
+	return getProviders().find(p => p.id === id) || null;
+}
@@ -0,0 +1,53 @@
+/*
+	Name: oauth/state.js
+	Description: Short-lived signed cookie that carries the OIDC state, nonce and
+	             PKCE verifier from the start of a sign-in to its callback.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: Values created when the sign-in starts
+	Output: Set-Cookie values, or the verified values on the way back
+*/
+
+import { signPayload, verifyToken } from "../auth";
+
+const STATE_COOKIE = "oauth_state";
+// The user has ten minutes to finish signing in at the provider
+const STATE_MAX_AGE = 10 * 60;
+const COOKIE_PATH = "/api/auth/oauth";
+
+/*
+	Function: stateCookie
+	Description: Signs the sign-in values into a Set-Cookie value. SameSite=Lax so
+	             the cookie is sent when the provider redirects back to us.
+	Arguments:
+		values - { provider, state, nonce, verifier, next, link, reauth }
+	Returns: cookie string
+*/
+export function stateCookie(values) {
+	const token = signPayload({ ...values, exp: Date.now() + STATE_MAX_AGE * 1000 });
+	return `${STATE_COOKIE}=${token}; Path=${COOKIE_PATH}; HttpOnly; SameSite=Lax; Max-Age=${STATE_MAX_AGE}`;
+}
+
+/*
+	Function: readStateCookie
+	Description: Reads and verifies the sign-in values on the callback request.
+	Arguments:
+		req - incoming NextRequest
+	Returns: values object, or null when missing, tampered with or expired
+*/
+export function readStateCookie(req) {
+	const token = req.cookies.get(STATE_COOKIE)?.value;
+	return token ? verifyToken(token) : null;
+}
+
+/*
+	Function: clearedStateCookie
+	Description: Builds the Set-Cookie value that removes the state cookie, so a
+	             callback URL cannot be replayed.
+	Returns: cookie string
+*/
+export function clearedStateCookie() {
+	return `${STATE_COOKIE}=deleted; Path=${COOKIE_PATH}; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
@@ -0,0 +1,72 @@
+/*
+	Name: passwordPolicy.js
+	Description: Password strength rules shared by signup, password reset and
+	             account settings. Each rule can be tuned from the environment.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input:
+		PASSWORD_MIN_LENGTH - minimum length (default 8)
+		PASSWORD_REQUIRE_NUMBER - "false" to allow passwords without a letter and a number
+		PASSWORD_REQUIRE_SYMBOL - "true" to also require a symbol
+	Output: The reason a password was rejected, or a description of the rules
+*/
+
+// bcrypt ignores everything after 72 bytes, so longer passwords are not any stronger
+const MAX_PASSWORD_BYTES = 72;
+
+/*
+	Function: passwordPolicy
+	Description: Reads the current rules from the environment.
+	Returns: { minLength, requireNumber, requireSymbol }
+*/
+export function passwordPolicy() {
+	return {
+		minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+		requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== "false",
+		requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === "true",
+	};
+}
+
+/*
+	Function: describePasswordPolicy
+	Description: One sentence describing the rules, for forms to show under the field.
+	Returns: string
+*/
+export function describePasswordPolicy() {
+	const { minLength, requireNumber, requireSymbol } = passwordPolicy();
+	const parts = [`at least ${minLength} characters`];
+	if (requireNumber) parts.push("a letter and a number");
+	if (requireSymbol) parts.push("a symbol");
+	return `Use ${parts.join(", ")}.`;
+}
+
+/*
+	Function: validatePassword
+	Description: Checks a new password against the policy.
+	Arguments:
+		password - candidate password
+		email - the account's email, which the password may not equal (optional)
+	Returns: error message string, or null when the password is acceptable
+*/
+export function validatePassword(password, email) {
+	const { minLength, requireNumber, requireSymbol } = passwordPolicy();
+
+	if (typeof password !== "string" || password.length < minLength) {
+		return `Password must be at least ${minLength} characters`;
+	}
+	if (new TextEncoder().encode(password).length > MAX_PASSWORD_BYTES) {
+		return `Password must be at most ${MAX_PASSWORD_BYTES} bytes`;
+	}
+	if (requireNumber && !(/[a-zA-Z]/.test(password) && /[0-9]/.test(password))) {
+		return "Password must contain a letter and a number";
+	}
+	if (requireSymbol && !/[^a-zA-Z0-9]/.test(password)) {
+		return "Password must contain a symbol";
+	}
+	if (email && password.toLowerCase() === email.toLowerCase()) {
+		return "Password cannot be your email address";
+	}
+	return null;
+}
@@ -0,0 +1,82 @@
+/*
+	Name: points.js
+	Description: Writes to the point_transactions ledger. users.points is the
+	             running total the database keeps from the ledger, so nothing
+	             updates it directly. Quest rewards are paid inside
+	             save_progress_batch; this covers GeoThinkr, admin grants and
+	             storyline bonuses.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Storyline bonuses - 10/19/2026, heldPoints for undoing bonuses - 10/19/2026
+	Errors: Returns { ok: false, status, message } instead of throwing
+	Input: User ids, amounts, where the points came from and an idempotency key
+	Output: Whether the transaction was applied
+*/
+
+import { createAdminClient } from "./supabase/admin";
+
+// Must match the CHECK on point_transactions.source
+export const POINT_SOURCES = ["opening_balance", "quest", "geothinkr", "admin", "storyline"];
+
+export const MAX_REASON_LENGTH = 500;
+
+/*
+	Function: awardPoints
+	Description: Adds (or with a negative amount, removes) points through the
+	             ledger. A key that was already used changes nothing, so callers
+	             can retry safely.
+	Arguments:
+		details - { userId, amount, source, referenceId, idempotencyKey, reason, createdBy }
+	Returns: { ok: true, applied } or { ok: false, status, message }
+*/
+export async function awardPoints({ userId, amount, source, referenceId = null, idempotencyKey, reason = null, createdBy = null }) {
+	if (!Number.isInteger(amount)) {
+		return { ok: false, status: 400, message: "Points must be a whole number" };
+	}
+	if (!POINT_SOURCES.includes(source) || !idempotencyKey) {
+		return { ok: false, status: 500, message: "Invalid point transaction" };
+	}
+	if (amount === 0) return { ok: true, applied: false };
+
+	const supabase = createAdminClient();
+	const { data, error } = await supabase.rpc("award_points", {
+		p_user_id: userId,
+		p_amount: amount,
+		p_source: source,
+		p_reference_id: referenceId === null ? null : String(referenceId),
+		p_idempotency_key: String(idempotencyKey).slice(0, 200),
+		p_reason: typeof reason === "string" && reason.trim() ? reason.trim().slice(0, MAX_REASON_LENGTH) : null,
+		p_created_by: createdBy,
+	});
+
+	if (error) {
+		console.error("award_points failed:", error);
+		return { ok: false, status: 500, message: "Failed to update points" };
+	}
+	return { ok: true, applied: data === true };
+}
+
+/*
+	Function: heldPoints
+	Description: What one thing (a storyline, say) has paid a player so far,
+	             net of reversals. The entry count makes the next idempotency
+	             key, the way save_progress_batch keys quest rewards, so paying,
+	             undoing and paying again are three separate entries.
+	Arguments:
+		details - { userId, source, referenceId }
+	Returns: { ok: true, held, entries } or { ok: false, status, message }
+*/
+export async function heldPoints({ userId, source, referenceId }) {
+	const supabase = createAdminClient();
+	const { data, error } = await supabase
+		.from("point_transactions")
+		.select("amount")
+		.eq("user_id", userId)
+		.eq("source", source)
+		.eq("reference_id", String(referenceId));
+	if (error) {
+		console.error("Failed to load point transactions:", error);
+		return { ok: false, status: 500, message: "Failed to load points" };
+	}
+	return { ok: true, held: (data || []).reduce((sum, t) => sum + t.amount, 0), entries: (data || []).length };
+}
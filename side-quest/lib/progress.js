@@ -0,0 +1,207 @@
+/*
+	Name: progress.js
+	Description: Saves a player's quest progress and awards the quest's points.
+	             Shared by /api/progress, /api/v2/progress, QR check-ins and staff
+	             approving proof submissions, so every path claims multiplayer
+	             quests and pays out the same way.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Enforce quest prerequisites - 10/19/2026, Batches by quest_id saved in one transaction - 10/19/2026, Points paid through the ledger - 10/19/2026, Time-limited and repeating quests - 10/19/2026, Storyline bonuses - 10/19/2026, Storyline bonuses taken back with an unchecked step - 10/19/2026
+	Errors: Returns { ok: false, status, message, code } instead of throwing
+	Input: User id and [{ quest_id, completed, position }] changes
+	Output: The saved progress rows
+*/
+
+import { createAdminClient } from "./supabase/admin";
+import { presenceRequired, checkPresence, logGeofenceRejection } from "./geofence";
+import { checkProgressOrder } from "./dependencies";
+import { isQuestActive, periodStart } from "./questSchedule";
+import { settleStorylines } from "./storylines";
+
+// More than a player can tick off in one sitting; keeps a single request cheap
+export const MAX_PROGRESS_BATCH = 50;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/*
+	Function: saveProgressBatch
+	Description: Saves several progress changes in one transaction through the
+	             save_progress_batch database function. Either every change is
+	             saved and paid out, or none are. Points go through the
+	             point_transactions ledger, and unchecking a quest takes back what
+	             it paid. Repeating quests save into the row for the current
+	             period. Prerequisites are checked first, in batch order. Storylines
+	             finished by the batch pay their bonus afterwards.
+	Arguments:
+		userId - player's user_id
+		updates - [{ quest_id, completed }] in the order to save them
+	Returns: { ok: true, progress: [rows], storylines: [finished] } or { ok: false, status, message, code, quests, quest_id, error }
+*/
+export async function saveProgressBatch(userId, updates) {
+	const order = await checkProgressOrder(userId, updates);
+	if (!order.ok) return order;
+
+	const supabase = createAdminClient();
+	const { data: quests, error: questError } = await supabase
+		.from("quests")
+		.select("quest_id, recurrence")
+		.in("quest_id", updates.map(u => u.quest_id));
+	if (questError) {
+		return { ok: false, status: 500, message: "Failed to load quests", error: questError.message };
+	}
+	const byId = Object.fromEntries((quests || []).map(q => [q.quest_id, q]));
+
+	const now = new Date();
+	const { data, error } = await supabase.rpc("save_progress_batch", {
+		p_user_id: userId,
+		p_updates: updates.map(u => ({
+			quest_id: u.quest_id,
+			completed: u.completed,
+			period_start: periodStart(byId[u.quest_id], now),
+		})),
+	});
+
+	if (error) {
+		// The function raises "<CODE>:<quest_id>" for problems with one quest
+		const [code, questId] = (error.message || "").split(":");
+		if (code === "QUEST_CLAIMED") {
+			return { ok: false, status: 409, code, quest_id: questId, message: "This quest has already been claimed by another player!" };
+		}
+		if (code === "QUEST_NOT_FOUND") {
+			return { ok: false, status: 404, code, quest_id: questId, message: "Quest not found" };
+		}
+		console.error("save_progress_batch failed:", error);
+		return { ok: false, status: 500, message: "Failed to save progress", error: error.message };
+	}
+
+	// Pays storyline bonuses, or takes them back when a step was unchecked
+	const storylines = await settleStorylines(userId, updates.map(u => u.quest_id));
+	return { ok: true, progress: data || [], storylines };
+}
+
+/*
+	Function: saveQuestProgress
+	Description: Saves one quest's progress. Used by paths that have already
+	             decided the player earned it (QR check-in, approved photo).
+	Arguments:
+		userId - player's user_id
+		quest - row with quest_id
+		completed - true to complete, false to uncheck
+	Returns: { ok: true, progress, storylines } or { ok: false, status, message, code, quests, error }
+*/
+export async function saveQuestProgress(userId, quest, completed) {
+	const result = await saveProgressBatch(userId, [{ quest_id: quest.quest_id, completed }]);
+	if (!result.ok) return result;
+	return { ok: true, progress: result.progress[0] ?? null, storylines: result.storylines };
+}
+
+/*
+	Function: applyProgressUpdates
+	Description: Checks a player's own check-offs against each quest's rules
+	             (running now, photo, QR scan, being on site) and saves them as
+	             one batch. If any change is refused nothing is saved.
+	Arguments:
+		req - incoming request, for the geofence rejection log
+		userId - player's user_id
+		updates - [{ quest_id, completed, position }]
+	Returns: { ok: true, progress: [rows], storylines } or { ok: false, status, message, code, reason, quests, quest_id }
+*/
+export async function applyProgressUpdates(req, userId, updates) {
+	if (!Array.isArray(updates) || updates.length === 0) {
+		return { ok: false, status: 400, message: "updates must be a non-empty array" };
+	}
+	if (updates.length > MAX_PROGRESS_BATCH) {
+		return { ok: false, status: 400, message: `At most ${MAX_PROGRESS_BATCH} updates per request` };
+	}
+	for (const update of updates) {
+		if (typeof update?.quest_id !== "string" || !UUID_PATTERN.test(update.quest_id) || typeof update.completed !== "boolean") {
+			return { ok: false, status: 400, message: "Each update needs a quest_id and a completed flag" };
+		}
+	}
+	const ids = updates.map(u => u.quest_id);
+	if (new Set(ids).size !== ids.length) {
+		return { ok: false, status: 400, message: "Each quest can only appear once per batch" };
+	}
+
+	const supabase = createAdminClient();
+	const { data: quests, error } = await supabase
+		.from("quests")
+		.select(`
+			quest_id,
+			text,
+			require_presence,
+			requires_proof,
+			requires_checkin,
+			starts_at,
+			ends_at,
+			locations ( location_id, name, latitude, longitude, geofence_radius_m, require_presence )
+		`)
+		.in("quest_id", ids);
+
+	if (error) {
+		return { ok: false, status: 500, message: "Failed to load quests", error: error.message };
+	}
+	const byId = Object.fromEntries((quests || []).map(q => [q.quest_id, q]));
+
+	for (const update of updates) {
+		const quest = byId[update.quest_id];
+		if (!quest) {
+			return { ok: false, status: 404, message: "Quest not found", quest_id: update.quest_id };
+		}
+
+		// Quests that haven't started or have ended can't change
+		if (!isQuestActive(quest)) {
+			return {
+				ok: false,
+				status: 409,
+				code: "QUEST_INACTIVE",
+				message: "This quest isn't running right now.",
+				quest_id: quest.quest_id,
+			};
+		}
+
+		// Unchecking is always allowed
+		if (!update.completed) continue;
+
+		// Photo-proof quests are completed when staff approve a submission (/api/submissions)
+		if (quest.requires_proof) {
+			return {
+				ok: false,
+				status: 409,
+				code: "PROOF_REQUIRED",
+				message: "This quest needs a photo. Upload one for review instead.",
+				quest_id: quest.quest_id,
+			};
+		}
+
+		// QR quests are completed by scanning the code posted there (/checkin/[code])
+		if (quest.requires_checkin) {
+			return {
+				ok: false,
+				status: 409,
+				code: "CHECKIN_REQUIRED",
+				message: "Scan the QR code at this location to complete this quest.",
+				quest_id: quest.quest_id,
+			};
+		}
+
+		// Geofenced quests can only be completed on site
+		const location = Array.isArray(quest.locations) ? quest.locations[0] : quest.locations;
+		if (location && presenceRequired(quest, location)) {
+			const presence = checkPresence(location, update.position);
+			if (!presence.ok) {
+				await logGeofenceRejection(req, { userId, quest, location, reading: update.position, result: presence });
+				return {
+					ok: false,
+					status: 403,
+					code: "NOT_AT_LOCATION",
+					message: presence.message,
+					reason: presence.reason,
+					quest_id: quest.quest_id,
+				};
+			}
+		}
+	}
+
+	return saveProgressBatch(userId, updates);
+}
@@ -0,0 +1,96 @@
+/*
+	Name: questContent.js
+	Description: Limits and clean-up for the longer quest content: the markdown
+	             description, progressive hints, accessibility note and cover image.
+	             Pure functions, safe to import from client components.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Cover images limited to JPEG, PNG, WebP and GIF - 10/19/2026, Same check for quest proofs, extension from the MIME type - 10/19/2026
+	Errors: normalizeContent returns { error } instead of throwing
+	Input: Quest content sent by the admin panel
+	Output: Cleaned fields ready to save
+*/
+
+// Public bucket created by migrations/18_add_quest_content.sql
+export const QUEST_IMAGE_BUCKET = "quest-images";
+
+export const MAX_DESCRIPTION_LENGTH = 5000;
+export const MAX_HINTS = 5;
+export const MAX_HINT_LENGTH = 300;
+export const MAX_ACCESSIBILITY_LENGTH = 500;
+// Cover images are shown small; phones make photos well under this
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+// Raster formats only, by MIME type with the extensions each may use. SVG is
+// left out on purpose: it can carry script, and the bucket is public.
+export const IMAGE_TYPES = {
+	"image/jpeg": ["jpg", "jpeg"],
+	"image/png": ["png"],
+	"image/webp": ["webp"],
+	"image/gif": ["gif"],
+};
+// For <input type="file" accept>
+export const IMAGE_ACCEPT = Object.keys(IMAGE_TYPES).join(",");
+
+/*
+	Function: imageExtension
+	Description: Checks an uploaded image (cover image or quest proof) against
+	             IMAGE_TYPES; both the MIME type and the file name's extension
+	             have to match. The stored extension comes from the checked MIME
+	             type, never from the file name.
+	Arguments:
+		file - File from the upload form
+	Returns: extension to store the file under, or null when not allowed
+*/
+export function imageExtension(file) {
+	const extensions = IMAGE_TYPES[file?.type];
+	const name = String(file?.name || "");
+	const ext = name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+	return extensions?.includes(ext) ? extensions[0] : null;
+}
+
+/*
+	Function: hasQuestContent
+	Description: Whether a quest has anything to show beyond its one-line text.
+	Arguments:
+		quest - row with description, image_url, hints, accessibility_note
+	Returns: boolean
+*/
+export function hasQuestContent(quest) {
+	return !!(quest?.description || quest?.image_url || quest?.hints?.length || quest?.accessibility_note);
+}
+
+/*
+	Function: normalizeContent
+	Description: Trims the content fields that were sent and checks their lengths.
+	             Empty text becomes null; blank hints are dropped.
+	Arguments:
+		body - { description?, hints?, accessibility_note? }
+	Returns: { updates } with only the fields that were sent, or { error }
+*/
+export function normalizeContent({ description, hints, accessibility_note }) {
+	const updates = {};
+	if (description !== undefined) {
+		const text = String(description ?? "").trim();
+		if (text.length > MAX_DESCRIPTION_LENGTH) {
+			return { error: `Descriptions can be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+		}
+		updates.description = text || null;
+	}
+	if (hints !== undefined) {
+		if (hints !== null && !Array.isArray(hints)) return { error: "hints must be a list" };
+		const cleaned = (hints || []).map(h => String(h ?? "").trim()).filter(Boolean);
+		if (cleaned.length > MAX_HINTS) return { error: `A quest can have at most ${MAX_HINTS} hints` };
+		if (cleaned.some(h => h.length > MAX_HINT_LENGTH)) {
+			return { error: `Hints can be at most ${MAX_HINT_LENGTH} characters` };
+		}
+		updates.hints = cleaned;
+	}
+	if (accessibility_note !== undefined) {
+		const text = String(accessibility_note ?? "").trim();
+		if (text.length > MAX_ACCESSIBILITY_LENGTH) {
+			return { error: `Accessibility notes can be at most ${MAX_ACCESSIBILITY_LENGTH} characters` };
+		}
+		updates.accessibility_note = text || null;
+	}
+	return { updates };
+}
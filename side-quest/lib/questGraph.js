@@ -0,0 +1,59 @@
+/*
+	Name: questGraph.js
+	Description: Quest prerequisite graph helpers. Has no server imports so the
+	             admin panel can run the same cycle check before saving.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: quest_dependencies rows { quest_id, prerequisite_id }
+	Output: Prerequisite maps and cycle paths
+*/
+
+/*
+	Function: prerequisiteMap
+	Description: Groups dependency rows by the quest that needs them.
+	Arguments:
+		rows - [{ quest_id, prerequisite_id }]
+	Returns: { [quest_id]: [prerequisite_id, ...] }
+*/
+export function prerequisiteMap(rows) {
+	const map = {};
+	for (const { quest_id, prerequisite_id } of rows || []) {
+		(map[quest_id] = map[quest_id] || []).push(prerequisite_id);
+	}
+	return map;
+}
+
+/*
+	Function: findCycle
+	Description: Checks whether giving a quest these prerequisites would make a
+	             loop, where a quest ends up (indirectly) requiring itself.
+	Arguments:
+		prerequisites - current { [quest_id]: [prerequisite_id] } map
+		questId - quest being edited
+		newPrerequisites - the prerequisites it would have
+	Returns: the loop as [questId, ..., questId], or null when there is none
+*/
+export function findCycle(prerequisites, questId, newPrerequisites) {
+	const graph = { ...prerequisites, [questId]: newPrerequisites };
+	const visited = new Set();
+
+	// Depth-first search from questId's prerequisites looking for a way back to it
+	function visit(id, path) {
+		if (id === questId) return [...path, id];
+		if (visited.has(id)) return null;
+		visited.add(id);
+		for (const next of graph[id] || []) {
+			const found = visit(next, [...path, id]);
+			if (found) return found;
+		}
+		return null;
+	}
+
+	for (const id of newPrerequisites) {
+		const found = visit(id, [questId]);
+		if (found) return found;
+	}
+	return null;
+}
@@ -0,0 +1,184 @@
+/*
+	Name: questSchedule.js
+	Description: When quests run. A quest can have a start and end time and can
+	             repeat daily, weekly or each semester; a repeating quest gets a
+	             fresh progress row every period. Periods follow campus time so a
+	             "Daily Side Quest" resets at midnight in Lawrence, not UTC.
+	             Pure functions, safe to import from client components.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: Quest rows with starts_at, ends_at, recurrence
+	Output: Whether a quest is running, its current period and countdown text
+*/
+
+export const RECURRENCES = ["daily", "weekly", "semester"];
+
+export const RECURRENCE_LABELS = {
+	daily: "Daily",
+	weekly: "Weekly",
+	semester: "Each semester",
+};
+
+export const CAMPUS_TIME_ZONE = "America/Chicago";
+
+// Semesters start on these [month index, day] in campus time: spring, summer, fall
+const SEMESTER_STARTS = [[0, 1], [5, 1], [7, 1]];
+
+/*
+	Function: zoneOffsetMs
+	Description: How far the campus clock is ahead of UTC at an instant.
+	Arguments:
+		ms - epoch milliseconds
+	Returns: offset in milliseconds (negative in the US)
+*/
+function zoneOffsetMs(ms) {
+	const parts = Object.fromEntries(
+		new Intl.DateTimeFormat("en-US", {
+			timeZone: CAMPUS_TIME_ZONE,
+			hourCycle: "h23",
+			year: "numeric",
+			month: "numeric",
+			day: "numeric",
+			hour: "numeric",
+			minute: "numeric",
+			second: "numeric",
+		}).formatToParts(new Date(ms)).map(p => [p.type, p.value])
+	);
+	const wall = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+	return wall - Math.floor(ms / 1000) * 1000;
+}
+
+/*
+	Function: campusMidnight
+	Description: The instant a campus calendar day starts. Out of range days and
+	             months roll over like Date.UTC.
+	Arguments:
+		year, month, day - campus calendar date (month is 0-based)
+	Returns: Date
+*/
+function campusMidnight(year, month, day) {
+	const wall = Date.UTC(year, month, day);
+	// Twice, in case the first guess lands on the other side of a DST change
+	const guess = wall - zoneOffsetMs(wall);
+	return new Date(wall - zoneOffsetMs(guess));
+}
+
+/*
+	Function: currentPeriod
+	Description: The period a repeating quest is in at a given time.
+	Arguments:
+		recurrence - "daily", "weekly" or "semester"
+		now - Date, defaults to the current time
+	Returns: { start, end } Dates, or null for a quest that doesn't repeat
+*/
+export function currentPeriod(recurrence, now = new Date()) {
+	if (!RECURRENCES.includes(recurrence)) return null;
+
+	const wall = new Date(now.getTime() + zoneOffsetMs(now.getTime()));
+	const year = wall.getUTCFullYear();
+	const month = wall.getUTCMonth();
+	const day = wall.getUTCDate();
+
+	if (recurrence === "daily") {
+		return { start: campusMidnight(year, month, day), end: campusMidnight(year, month, day + 1) };
+	}
+	if (recurrence === "weekly") {
+		// Weeks start on Monday
+		const sinceMonday = (wall.getUTCDay() + 6) % 7;
+		return {
+			start: campusMidnight(year, month, day - sinceMonday),
+			end: campusMidnight(year, month, day - sinceMonday + 7),
+		};
+	}
+
+	let index = SEMESTER_STARTS.length - 1;
+	while (index > 0 && (month < SEMESTER_STARTS[index][0] || (month === SEMESTER_STARTS[index][0] && day < SEMESTER_STARTS[index][1]))) {
+		index--;
+	}
+	const [startMonth, startDay] = SEMESTER_STARTS[index];
+	const [endMonth, endDay] = SEMESTER_STARTS[(index + 1) % SEMESTER_STARTS.length];
+	return {
+		start: campusMidnight(year, startMonth, startDay),
+		end: campusMidnight(index === SEMESTER_STARTS.length - 1 ? year + 1 : year, endMonth, endDay),
+	};
+}
+
+/*
+	Function: isQuestActive
+	Description: Whether a quest is running: after its start and before its end.
+	Arguments:
+		quest - row with starts_at, ends_at
+		now - Date, defaults to the current time
+	Returns: boolean
+*/
+export function isQuestActive(quest, now = new Date()) {
+	if (quest?.starts_at && new Date(quest.starts_at) > now) return false;
+	if (quest?.ends_at && new Date(quest.ends_at) <= now) return false;
+	return true;
+}
+
+/*
+	Function: periodStart
+	Description: Which progress row a quest uses right now.
+	Arguments:
+		quest - row with recurrence
+		now - Date, defaults to the current time
+	Returns: ISO string of the current period's start, or null for one-shot quests
+*/
+export function periodStart(quest, now = new Date()) {
+	return currentPeriod(quest?.recurrence, now)?.start.toISOString() ?? null;
+}
+
+/*
+	Function: isCurrentProgress
+	Description: Whether a progress row counts now. Repeating quests only count
+	             the row for the current period; older rows are history.
+	Arguments:
+		row - progress row with period_start
+		quest - row with recurrence
+		now - Date, defaults to the current time
+	Returns: boolean
+*/
+export function isCurrentProgress(row, quest, now = new Date()) {
+	const start = periodStart(quest, now);
+	if (!start) return !row.period_start;
+	return !!row.period_start && new Date(row.period_start).getTime() === new Date(start).getTime();
+}
+
+/*
+	Function: questDeadline
+	Description: The next time a running quest changes: it ends, or (for a
+	             repeating quest) progress resets.
+	Arguments:
+		quest - row with ends_at, recurrence
+		now - Date, defaults to the current time
+	Returns: { at: ISO string, kind: "ends" | "resets" } or null when it never changes
+*/
+export function questDeadline(quest, now = new Date()) {
+	const ends = quest?.ends_at ? new Date(quest.ends_at) : null;
+	const resets = currentPeriod(quest?.recurrence, now)?.end ?? null;
+	if (resets && (!ends || resets < ends)) return { at: resets.toISOString(), kind: "resets" };
+	if (ends) return { at: ends.toISOString(), kind: "ends" };
+	return null;
+}
+
+/*
+	Function: formatCountdown
+	Description: Short time-left text, e.g. "2d 4h", "3h 12m", "45s".
+	Arguments:
+		ms - milliseconds left
+	Returns: string
+*/
+export function formatCountdown(ms) {
+	const total = Math.max(0, Math.floor(ms / 1000));
+	const days = Math.floor(total / 86400);
+	const hours = Math.floor((total % 86400) / 3600);
+	const minutes = Math.floor((total % 3600) / 60);
+	const seconds = total % 60;
+	if (days > 0) return `${days}d ${hours}h`;
+	if (hours > 0) return `${hours}h ${minutes}m`;
+	if (minutes > 0) return `${minutes}m ${seconds}s`;
+	return `${seconds}s`;
+}
@@ -0,0 +1,100 @@
+/*
+	Name: questTags.js
+	Description: Quest categories, difficulty levels and free-form tags, and the
+	             search/filter used by the quest log and the map's quest list.
+	             Pure functions, safe to import from client components.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: Quest rows with text, category, difficulty, tags
+	Output: Labels, default rewards, cleaned tag lists and filter matches
+*/
+
+export const CATEGORIES = ["food", "history", "athletics", "hidden_gems"];
+
+export const CATEGORY_LABELS = {
+	food: "Food",
+	history: "History",
+	athletics: "Athletics",
+	hidden_gems: "Hidden gems",
+};
+
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+export const DIFFICULTY_LABELS = {
+	easy: "Easy",
+	medium: "Medium",
+	hard: "Hard",
+};
+
+// Points a quest pays by default at each difficulty; admins can still override it
+export const DIFFICULTY_REWARDS = {
+	easy: 50,
+	medium: 100,
+	hard: 200,
+};
+
+// What quests without a difficulty have always paid
+export const DEFAULT_REWARD = 100;
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+/*
+	Function: defaultReward
+	Description: The reward a quest gets for its difficulty unless an admin sets one.
+	Arguments:
+		difficulty - "easy", "medium", "hard" or null
+	Returns: points
+*/
+export function defaultReward(difficulty) {
+	return DIFFICULTY_REWARDS[difficulty] ?? DEFAULT_REWARD;
+}
+
+/*
+	Function: normalizeTags
+	Description: Cleans tags typed by an admin: lowercase, trimmed, no leading "#",
+	             no duplicates. Accepts an array or a comma-separated string.
+	Arguments:
+		input - array of strings or "a, b, c"
+	Returns: { tags } or { error } when there are too many or one is too long
+*/
+export function normalizeTags(input) {
+	const raw = Array.isArray(input) ? input : String(input ?? "").split(",");
+	const tags = [];
+	for (const value of raw) {
+		const tag = String(value ?? "").trim().replace(/^#+/, "").replace(/\s+/g, " ").toLowerCase();
+		if (!tag || tags.includes(tag)) continue;
+		if (tag.length > MAX_TAG_LENGTH) return { error: `Tags can be at most ${MAX_TAG_LENGTH} characters` };
+		tags.push(tag);
+	}
+	if (tags.length > MAX_TAGS) return { error: `A quest can have at most ${MAX_TAGS} tags` };
+	return { tags };
+}
+
+/*
+	Function: matchesQuestFilter
+	Description: Whether a quest passes the quest log / map filters. Empty filters
+	             match everything; search looks at the text, location and tags.
+	Arguments:
+		quest - { text, category, difficulty, tags, location }
+		filter - { search, category, difficulty, tag }
+	Returns: boolean
+*/
+export function matchesQuestFilter(quest, { search, category, difficulty, tag } = {}) {
+	if (category && quest.category !== category) return false;
+	if (difficulty && quest.difficulty !== difficulty) return false;
+	const tags = quest.tags || [];
+	if (tag && !tags.includes(tag.toLowerCase())) return false;
+
+	const terms = String(search ?? "").toLowerCase().split(/\s+/).filter(Boolean);
+	if (terms.length === 0) return true;
+	const haystack = [
+		quest.text,
+		quest.location,
+		CATEGORY_LABELS[quest.category],
+		...tags,
+	].filter(Boolean).join(" ").toLowerCase();
+	return terms.every(term => haystack.includes(term));
+}
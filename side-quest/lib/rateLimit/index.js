@@ -0,0 +1,146 @@
+/*
+	Name: rateLimit/index.js
+	Description: Sliding-window rate limits and temporary lockouts for endpoints
+	             that are expensive or worth brute forcing (login, signup, uploads,
+	             GeoThinkr guesses). Each route defines its own limiter with a name
+	             and picks the key to count by (client IP, email, user id).
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Backend failures are logged and the request is allowed through, so an
+	        outage of the counter store never locks everyone out
+	Input: RATE_LIMIT_BACKEND - "memory" (default) or "postgres"
+	Output: Whether a request may proceed and how many seconds to wait if not
+*/
+
+import { createMemoryBackend } from "./memory";
+import { createPostgresBackend } from "./postgres";
+
+const BACKENDS = {
+	memory: createMemoryBackend,
+	postgres: createPostgresBackend,
+};
+
+let backend;
+
+/*
+	Function: getBackend
+	Description: Builds the configured backend the first time a limit is checked.
+	Returns: backend object
+*/
+function getBackend() {
+	if (!backend) {
+		const name = process.env.RATE_LIMIT_BACKEND || "memory";
+		const create = BACKENDS[name];
+		if (!create) throw new Error(`Unknown RATE_LIMIT_BACKEND "${name}"`);
+		backend = create();
+	}
+	return backend;
+}
+
+/*
+	Function: secondsUntil
+	Description: Whole seconds from now until a timestamp, at least 1.
+	Arguments:
+		timestamp - time in ms
+	Returns: number of seconds
+*/
+function secondsUntil(timestamp) {
+	return Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+}
+
+/*
+	Function: createRateLimiter
+	Description: Builds a sliding-window limiter: at most `limit` requests per key
+	             in any `windowMs` period.
+	Arguments:
+		options.name - prefix that keeps this limiter's keys apart from others
+		options.limit - requests allowed per window
+		options.windowMs - window length in milliseconds
+	Returns: limiter with check(key) -> { allowed, remaining, retryAfter }
+*/
+export function createRateLimiter({ name, limit, windowMs }) {
+	return {
+		async check(key) {
+			try {
+				const result = await getBackend().hit(`${name}:${key}`, limit, windowMs);
+				return {
+					allowed: result.allowed,
+					remaining: Math.max(0, limit - result.count),
+					retryAfter: result.allowed ? 0 : secondsUntil(result.oldest + windowMs),
+				};
+			} catch (err) {
+				console.error(`Rate limiter "${name}" failed, allowing request:`, err);
+				return { allowed: true, remaining: limit, retryAfter: 0 };
+			}
+		},
+	};
+}
+
+/*
+	Function: createLockout
+	Description: Builds a lockout that counts failed attempts per key (e.g. wrong
+	             passwords for one email). Every `threshold` failures locks the key
+	             for `baseMs`, doubling with each lockout up to `maxMs`. A key left
+	             alone for `decayMs` starts over.
+	Arguments:
+		options.name - prefix that keeps this lockout's keys apart from others
+		options.threshold - failures allowed before locking
+		options.baseMs - first lockout length in milliseconds
+		options.maxMs - longest lockout in milliseconds
+		options.decayMs - quiet period after which the failure history is forgotten
+	Returns: lockout with check(key), fail(key) -> { locked, retryAfter } and reset(key)
+*/
+export function createLockout({
+	name,
+	threshold = 5,
+	baseMs = 30 * 1000,
+	maxMs = 60 * 60 * 1000,
+	decayMs = 24 * 60 * 60 * 1000,
+}) {
+	const settings = { threshold, baseMs, maxMs, decayMs };
+	const lockState = (lockedUntil) => (
+		lockedUntil && lockedUntil > Date.now()
+			? { locked: true, retryAfter: secondsUntil(lockedUntil) }
+			: { locked: false, retryAfter: 0 }
+	);
+
+	return {
+		async check(key) {
+			try {
+				return lockState(await getBackend().getLockout(`${name}:${key}`));
+			} catch (err) {
+				console.error(`Lockout "${name}" check failed, allowing request:`, err);
+				return { locked: false, retryAfter: 0 };
+			}
+		},
+
+		async fail(key) {
+			try {
+				return lockState(await getBackend().recordFailure(`${name}:${key}`, settings));
+			} catch (err) {
+				console.error(`Lockout "${name}" failed to record a failure:`, err);
+				return { locked: false, retryAfter: 0 };
+			}
+		},
+
+		async reset(key) {
+			try {
+				await getBackend().clearLockout(`${name}:${key}`);
+			} catch (err) {
+				console.error(`Lockout "${name}" failed to reset:`, err);
+			}
+		},
+	};
+}
+
+/*
+	Function: retryAfterHeaders
+	Description: Standard headers for a 429 response.
+	Arguments:
+		result - value returned by a limiter or lockout check
+	Returns: headers object with Retry-After in seconds
+*/
+export function retryAfterHeaders(result) {
+	return { "Retry-After": String(result.retryAfter) };
+}
@@ -0,0 +1,99 @@
+/*
+	Name: rateLimit/memory.js
+	Description: In-memory backend for the rate limiter. Counters live in this
+	             server process, so they reset on restart and are not shared
+	             between instances; use the Postgres backend for that.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: Limiter keys and window settings from rateLimit/index.js
+	Output: Same results as the Postgres backend
+*/
+
+// key -> { times: hit timestamps (ms) oldest first, windowMs }
+const hits = new Map();
+
+// key -> { failures, level, lockedUntil, updatedAt, decayMs }
+const lockouts = new Map();
+
+// Drop stale keys every this many calls so one-off IPs do not pile up forever
+const SWEEP_EVERY = 1000;
+let callsSinceSweep = 0;
+
+/*
+	Function: sweep
+	Description: Removes keys whose hits have all left their window and lockouts
+	             that have expired and decayed.
+	Arguments:
+		now - current time in ms
+	Returns: nothing
+*/
+function sweep(now) {
+	if (++callsSinceSweep < SWEEP_EVERY) return;
+	callsSinceSweep = 0;
+
+	for (const [key, entry] of hits) {
+		if (entry.times[entry.times.length - 1] <= now - entry.windowMs) hits.delete(key);
+	}
+	for (const [key, entry] of lockouts) {
+		if ((entry.lockedUntil || 0) < now && entry.updatedAt < now - entry.decayMs) lockouts.delete(key);
+	}
+}
+
+/*
+	Function: createMemoryBackend
+	Description: Builds the in-memory backend.
+	Returns: backend object (hit, getLockout, recordFailure, clearLockout)
+*/
+export function createMemoryBackend() {
+	return {
+		async hit(key, limit, windowMs) {
+			const now = Date.now();
+			sweep(now);
+			const recent = (hits.get(key)?.times || []).filter(t => t > now - windowMs);
+
+			if (recent.length >= limit) {
+				hits.set(key, { times: recent, windowMs });
+				return { allowed: false, count: recent.length, oldest: recent[0] };
+			}
+
+			recent.push(now);
+			hits.set(key, { times: recent, windowMs });
+			return { allowed: true, count: recent.length, oldest: recent[0] };
+		},
+
+		async getLockout(key) {
+			const entry = lockouts.get(key);
+			return entry?.lockedUntil || null;
+		},
+
+		async recordFailure(key, { threshold, baseMs, maxMs, decayMs }) {
+			const now = Date.now();
+			sweep(now);
+			let entry = lockouts.get(key);
+			if (!entry || entry.updatedAt < now - decayMs) {
+				entry = { failures: 0, level: 0, lockedUntil: null };
+			}
+
+			entry.failures += 1;
+			entry.updatedAt = now;
+			entry.decayMs = decayMs;
+
+			let lockedUntil = null;
+			if (entry.failures >= threshold) {
+				lockedUntil = now + Math.min(baseMs * 2 ** Math.min(entry.level, 20), maxMs);
+				entry.lockedUntil = lockedUntil;
+				entry.level += 1;
+				entry.failures = 0;
+			}
+
+			lockouts.set(key, entry);
+			return lockedUntil;
+		},
+
+		async clearLockout(key) {
+			lockouts.delete(key);
+		},
+	};
+}
@@ -0,0 +1,75 @@
+/*
+	Name: rateLimit/postgres.js
+	Description: Postgres backend for the rate limiter. Counters live in the
+	             rate_limit_hits and rate_limit_lockouts tables and are updated
+	             through RPCs, so every server instance shares them.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Supabase errors are thrown to the caller
+	Input: Limiter keys and window settings from rateLimit/index.js
+	Output: Same results as the in-memory backend
+*/
+
+import { createAdminClient } from "../supabase/admin";
+
+/*
+	Function: createPostgresBackend
+	Description: Builds the Postgres backend (see migrations/06_create_rate_limits.sql).
+	Returns: backend object (hit, getLockout, recordFailure, clearLockout)
+*/
+export function createPostgresBackend() {
+	return {
+		async hit(key, limit, windowMs) {
+			const supabase = createAdminClient();
+			const { data, error } = await supabase.rpc("rate_limit_hit", {
+				p_key: key,
+				p_limit: limit,
+				p_window_ms: windowMs,
+			});
+			if (error) throw error;
+
+			const row = Array.isArray(data) ? data[0] : data;
+			return {
+				allowed: row.allowed,
+				count: row.hit_count,
+				oldest: new Date(row.oldest_hit).getTime(),
+			};
+		},
+
+		async getLockout(key) {
+			const supabase = createAdminClient();
+			const { data, error } = await supabase
+				.from("rate_limit_lockouts")
+				.select("locked_until")
+				.eq("key", key)
+				.maybeSingle();
+			if (error) throw error;
+
+			return data?.locked_until ? new Date(data.locked_until).getTime() : null;
+		},
+
+		async recordFailure(key, { threshold, baseMs, maxMs, decayMs }) {
+			const supabase = createAdminClient();
+			const { data, error } = await supabase.rpc("rate_limit_record_failure", {
+				p_key: key,
+				p_threshold: threshold,
+				p_base_ms: baseMs,
+				p_max_ms: maxMs,
+				p_decay_ms: decayMs,
+			});
+			if (error) throw error;
+
+			return data ? new Date(data).getTime() : null;
+		},
+
+		async clearLockout(key) {
+			const supabase = createAdminClient();
+			const { error } = await supabase
+				.from("rate_limit_lockouts")
+				.delete()
+				.eq("key", key);
+			if (error) throw error;
+		},
+	};
+}
@@ -0,0 +1,72 @@
+/*
+	Name: redirects.js
+	Description: Validates the ?next= return URL passed to the login page so it can
+	             only send users back to a page on this site.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: absoluteUrl for links in emails - 10/19/2026, Refuse backslashes and control characters anywhere in next - 10/19/2026, emailLink only trusts APP_URL - 10/19/2026
+	Errors: N/A
+	Input: Untrusted return path from the query string
+	Output: A safe same-site path
+*/
+
+// Stand-in origin for resolving paths; only its sameness matters
+const PATH_BASE = "http://same-site.invalid";
+
+/*
+	Function: safeNextPath
+	Description: Accepts only relative paths like "/map?tab=1". Backslashes and
+	             control characters are refused outright (browsers and URL parsers
+	             read "/\evil.com" and "/\t/evil.com" as "//evil.com"), then the
+	             path must resolve to this site. Anything else falls back to the default.
+	Arguments:
+		next - value of the ?next= query parameter
+		fallback - path to use when next is missing or unsafe
+	Returns: path string
+*/
+export function safeNextPath(next, fallback = "/") {
+	if (typeof next !== "string" || !next.startsWith("/")) return fallback;
+	if ([...next].some(c => c === "\\" || c.charCodeAt(0) < 0x20 || c.charCodeAt(0) === 0x7f)) return fallback;
+	let url;
+	try {
+		url = new URL(next, PATH_BASE);
+	} catch {
+		return fallback;
+	}
+	// "/.//evil.com" resolves to the path "//evil.com", which would leave the site once returned
+	if (url.origin !== PATH_BASE || url.pathname.startsWith("//")) return fallback;
+	return `${url.pathname}${url.search}${url.hash}`;
+}
+
+/*
+	Function: absoluteUrl
+	Description: Builds a full link to a page on this site for redirects and
+	             printed codes. APP_URL wins so links are right behind a proxy;
+	             otherwise the origin of the incoming request is used. Links
+	             sent by email use emailLink instead.
+	Arguments:
+		req - incoming request
+		pathname - path on this site, e.g. "/reset-password?token=..."
+	Returns: absolute URL string
+*/
+export function absoluteUrl(req, pathname) {
+	const origin = process.env.APP_URL || new URL(req.url).origin;
+	return new URL(pathname, origin).toString();
+}
+
+/*
+	Function: emailLink
+	Description: Builds a full link to a page on this site for an email. Only
+	             APP_URL is trusted: the request origin comes from the Host
+	             header, so a forged one would send reset links to another site.
+	Arguments:
+		pathname - path on this site, e.g. "/reset-password?token=..."
+	Returns: absolute URL string
+	Errors: Throws when APP_URL is not set
+*/
+export function emailLink(pathname) {
+	if (!process.env.APP_URL) {
+		throw new Error("APP_URL must be set to send links by email");
+	}
+	return new URL(pathname, process.env.APP_URL).toString();
+}
@@ -0,0 +1,35 @@
+/*
+	Name: requestInfo.js
+	Description: Reads details about who sent a request from its headers.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Count x-forwarded-for from the trusted proxy end - 10/19/2026
+	Errors: N/A
+	Input: Incoming request, TRUSTED_PROXY_COUNT
+	Output: Client IP address
+*/
+
+/*
+	Function: clientIp
+	Description: Gets the client IP. Each proxy appends the address it got the
+	             request from to x-forwarded-for, and anything before that is
+	             whatever the client sent, so the entry is counted from the right:
+	             TRUSTED_PROXY_COUNT proxies in front of the app (default 1) means
+	             the client is that many entries from the end.
+	Arguments:
+		req - incoming request (may be undefined)
+	Returns: IP string, or "unknown" when the headers do not say
+*/
+export function clientIp(req) {
+	const headers = req?.headers;
+	if (!headers) return "unknown";
+	const hops = (headers.get("x-forwarded-for") || "")
+		.split(",")
+		.map(hop => hop.trim())
+		.filter(Boolean);
+	if (hops.length) {
+		const proxies = Math.max(1, Math.floor(Number(process.env.TRUSTED_PROXY_COUNT)) || 1);
+		return hops[Math.max(0, hops.length - proxies)];
+	}
+	return headers.get("x-real-ip") || "unknown";
+}
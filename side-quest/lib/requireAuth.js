@@ -1,13 +1,43 @@
-import { cookies } from "next/headers";
+/*
+	Name: requireAuth.js
+	Description: Page guards for server components.
+	Programmers: Alejandro Sandoval
+	Date: 10/25/2025
+	Revisions: Use the shared session helper, add staff guard - 10/19/2026, Admins are sent to two-factor setup - 10/19/2026
+	Errors: N/A
+	Input: The "sid" cookie of the page request
+	Output: The signed-in user, or a redirect
+*/
+
 import { redirect } from "next/navigation";
-import { verifyToken } from "./auth";
+import { getSession, needsMfa } from "./session";
+import { hasRole } from "./roles";
 
+/*
+	Function: requireAuthOrRedirect
+	Description: Sends signed-out visitors to the login page.
+	Returns: the signed-in user
+*/
 export async function requireAuthOrRedirect() {
-	// Retrieve session token from cookies
-	const cookieStore = await cookies();
-	const token = cookieStore.get("sid")?.value;
-	// Verify token; redirect if invalid or missing
-	if (!token || !verifyToken(token)) {
-		redirect("/login");
-	}
+	const session = await getSession();
+	if (!session) redirect("/login");
+	return session.user;
+}
+
+/*
+	Function: requireAdminOrRedirect
+	Description: Sends signed-out visitors to the login page, users without
+	             one of the allowed staff roles back to the homepage and admins
+	             who have not passed two-factor authentication to its setup page.
+	Arguments:
+		allowedRoles - array of ROLES values allowed to view the page
+		path - page to come back to after two-factor (defaults to /admin)
+	Returns: the signed-in staff user
+*/
+export async function requireAdminOrRedirect(allowedRoles, path = "/admin") {
+	const session = await getSession();
+	if (!session) redirect("/login");
+	if (!hasRole(session.user.role, allowedRoles)) redirect("/");
+	if (needsMfa(session)) redirect(`/account/two-factor?next=${encodeURIComponent(path)}`);
+	return session.user;
 }
@@ -0,0 +1,54 @@
+/*
+	Name: roles.js
+	Description: Staff role definitions and permission checks for the admin tools.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: A user row from the users table
+	Output: The user's effective role and whether it grants access to a feature
+*/
+
+// Every role a user can hold. Admins are still flagged with users.is_admin,
+// the other staff roles live in users.role.
+export const ROLES = {
+	PLAYER: "player",
+	CONTENT_EDITOR: "content_editor",
+	MODERATOR: "moderator",
+	ADMIN: "admin",
+};
+
+// Roles that may open the admin page at all
+export const STAFF_ROLES = [ROLES.ADMIN, ROLES.MODERATOR, ROLES.CONTENT_EDITOR];
+
+// Roles allowed to create, edit and delete locations, quests and GeoThinkr photos
+export const CONTENT_ROLES = [ROLES.ADMIN, ROLES.CONTENT_EDITOR];
+
+// Roles allowed to review GeoThinkr photos (verify or remove them)
+export const MODERATION_ROLES = [ROLES.ADMIN, ROLES.MODERATOR, ROLES.CONTENT_EDITOR];
+
+/*
+	Function: resolveRole
+	Description: Works out the effective role of a user row.
+	Arguments:
+		dbUser - row with is_admin and role columns
+	Returns: one of the ROLES values
+*/
+export function resolveRole(dbUser) {
+	if (!dbUser) return ROLES.PLAYER;
+	if (dbUser.is_admin) return ROLES.ADMIN;
+	return Object.values(ROLES).includes(dbUser.role) ? dbUser.role : ROLES.PLAYER;
+}
+
+/*
+	Function: hasRole
+	Description: Checks if a role is one of the allowed roles. Admins are always allowed.
+	Arguments:
+		role - role string from resolveRole
+		allowedRoles - array of ROLES values
+	Returns: boolean
+*/
+export function hasRole(role, allowedRoles) {
+	if (role === ROLES.ADMIN) return true;
+	return allowedRoles.includes(role);
+}
@@ -0,0 +1,261 @@
+/*
+	Name: routePlanner.js
+	Description: Plans a walking tour through the locations a player still has
+	             quests at. Walks only along the paths admins drew between
+	             locations: shortest paths between stops (Dijkstra), a
+	             nearest-neighbor tour, then 2-opt to take out crossings.
+	             No server imports: safe for client components.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: Stops the paths can't reach are returned in unreachable, not routed
+	Input: Stop ids, links [[a, b]] and a distance function between two ids
+	Output: The order of the stops, the full walk and its length; GPX for export
+*/
+
+// Average walking pace, a little under 5 km/h to allow for crossings and stairs
+export const WALKING_SPEED_MPS = 1.3;
+
+// 2-opt passes before settling for what it has (a pass is O(n^2))
+const MAX_TWO_OPT_PASSES = 50;
+
+/*
+	Function: buildGraph
+	Description: Adjacency lists for the links, weighted by distance.
+	Arguments:
+		links - [[a, b]] pairs of ids, walkable both ways
+		distance - (a, b) => length of the link
+	Returns: Map of id -> [{ to, length }]
+*/
+function buildGraph(links, distance) {
+	const graph = new Map();
+	const add = (a, b, length) => {
+		if (!graph.has(a)) graph.set(a, []);
+		graph.get(a).push({ to: b, length });
+	};
+	for (const [a, b] of links) {
+		if (a === b) continue;
+		const length = distance(a, b);
+		add(a, b, length);
+		add(b, a, length);
+	}
+	return graph;
+}
+
+/*
+	Function: shortestPaths
+	Description: Dijkstra from one id. The graphs here have tens of nodes, so a
+	             plain scan for the closest unvisited node is fast enough.
+	Arguments:
+		graph - from buildGraph
+		source - id to start from
+	Returns: { dist: Map id -> length, prev: Map id -> id before it }
+*/
+function shortestPaths(graph, source) {
+	const dist = new Map([[source, 0]]);
+	const prev = new Map();
+	const done = new Set();
+	for (;;) {
+		let current = null;
+		for (const [id, d] of dist) {
+			if (!done.has(id) && (current === null || d < dist.get(current))) current = id;
+		}
+		if (current === null) break;
+		done.add(current);
+		for (const { to, length } of graph.get(current) || []) {
+			const next = dist.get(current) + length;
+			if (!dist.has(to) || next < dist.get(to)) {
+				dist.set(to, next);
+				prev.set(to, current);
+			}
+		}
+	}
+	return { dist, prev };
+}
+
+/*
+	Function: tourLength
+	Description: Length of an open tour (no walk back to the start).
+	Arguments:
+		order - ids in visiting order
+		cost - (a, b) => length between two stops
+	Returns: number
+*/
+function tourLength(order, cost) {
+	let total = 0;
+	for (let i = 1; i < order.length; i++) total += cost(order[i - 1], order[i]);
+	return total;
+}
+
+/*
+	Function: nearestNeighbor
+	Description: Greedy tour: always walk to the closest stop not visited yet.
+	Arguments:
+		first - id to start from
+		stops - ids to visit (may include first)
+		cost - (a, b) => length
+	Returns: ids in visiting order
+*/
+function nearestNeighbor(first, stops, cost) {
+	const order = [first];
+	const left = new Set(stops.filter(s => s !== first));
+	while (left.size) {
+		const here = order[order.length - 1];
+		let best = null;
+		for (const s of left) {
+			if (best === null || cost(here, s) < cost(here, best)) best = s;
+		}
+		order.push(best);
+		left.delete(best);
+	}
+	return order;
+}
+
+/*
+	Function: twoOpt
+	Description: Reverses stretches of an open tour while that makes it shorter.
+	Arguments:
+		order - ids in visiting order
+		cost - (a, b) => length
+		fixedStart - true to keep the first stop first
+	Returns: the improved order (a new array)
+*/
+function twoOpt(order, cost, fixedStart) {
+	const tour = [...order];
+	const edge = (a, b) => (a === undefined || b === undefined ? 0 : cost(a, b));
+	for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass++) {
+		let improved = false;
+		for (let i = fixedStart ? 1 : 0; i < tour.length - 1; i++) {
+			for (let k = i + 1; k < tour.length; k++) {
+				// Reversing tour[i..k] swaps the edges on either side of the stretch
+				const before = edge(tour[i - 1], tour[i]) + edge(tour[k], tour[k + 1]);
+				const after = edge(tour[i - 1], tour[k]) + edge(tour[i], tour[k + 1]);
+				if (after < before - 1e-9) {
+					const stretch = tour.slice(i, k + 1).reverse();
+					tour.splice(i, stretch.length, ...stretch);
+					improved = true;
+				}
+			}
+		}
+		if (!improved) break;
+	}
+	return tour;
+}
+
+/*
+	Function: planRoute
+	Description: Suggests the order to visit stops in and the walk between them.
+	             Without any links it goes as the crow flies between stops.
+	Arguments:
+		stops - ids to visit
+		links - [[a, b]] walkable paths between ids
+		distance - (a, b) => length of a straight walk between two ids
+		start - id to set off from, or null to start wherever is best
+	Returns: {
+		order - stops in visiting order (after start, if it isn't a stop itself)
+		path - every id walked through, from start to the last stop
+		length - total length of path
+		legs - [{ from, to, length }] between consecutive stops
+		unreachable - stops no path leads to
+		straight - true when there were no links to follow
+	}
+*/
+export function planRoute({ stops, links, distance, start = null }) {
+	const unique = [...new Set(stops)];
+	const straight = !links.length;
+	const required = start !== null && !unique.includes(start) ? [start, ...unique] : unique;
+	const graph = straight
+		? buildGraph(required.flatMap((a, i) => required.slice(i + 1).map(b => [a, b])), distance)
+		: buildGraph(links, distance);
+
+	const paths = new Map(required.map(id => [id, shortestPaths(graph, id)]));
+	const cost = (a, b) => paths.get(a).dist.get(b);
+	const reaches = (a, b) => a === b || paths.get(a).dist.has(b);
+
+	// Stops to route: the ones reachable from start, or else the biggest group joined by paths
+	let routed;
+	if (start !== null) {
+		routed = unique.filter(s => reaches(start, s));
+	} else {
+		routed = [];
+		for (const s of unique) {
+			const group = unique.filter(t => reaches(s, t));
+			if (group.length > routed.length) routed = group;
+		}
+	}
+	const unreachable = unique.filter(s => !routed.includes(s));
+
+	let order = [];
+	if (start !== null) {
+		order = twoOpt(nearestNeighbor(start, routed, cost), cost, true);
+	} else {
+		// Every stop is tried as the first one; the groups are small
+		for (const first of routed) {
+			const tour = twoOpt(nearestNeighbor(first, routed, cost), cost, false);
+			if (!order.length || tourLength(tour, cost) < tourLength(order, cost)) order = tour;
+		}
+	}
+
+	// Expand each leg into the ids walked through
+	const path = order.length ? [order[0]] : [];
+	const legs = [];
+	for (let i = 1; i < order.length; i++) {
+		const from = order[i - 1];
+		const to = order[i];
+		const { prev } = paths.get(from);
+		const walk = [];
+		for (let id = to; id !== from; id = prev.get(id)) walk.unshift(id);
+		path.push(...walk);
+		legs.push({ from, to, length: cost(from, to) });
+	}
+
+	return {
+		order: start !== null && !unique.includes(start) ? order.slice(1) : order,
+		path,
+		length: tourLength(order, cost),
+		legs,
+		unreachable,
+		straight,
+	};
+}
+
+/*
+	Function: walkingMinutes
+	Description: Rough walking time for a distance.
+	Arguments:
+		meters - number
+	Returns: whole minutes, at least 1
+*/
+export function walkingMinutes(meters) {
+	return Math.max(1, Math.round(meters / WALKING_SPEED_MPS / 60));
+}
+
+const escapeXml = text => String(text)
+	.replace(/&/g, "&amp;")
+	.replace(/</g, "&lt;")
+	.replace(/>/g, "&gt;")
+	.replace(/"/g, "&quot;");
+
+/*
+	Function: routeToGpx
+	Description: GPX 1.1 file of a route, for maps and fitness apps.
+	Arguments:
+		name - route name
+		stops - [{ name, latitude, longitude }] waypoints in visiting order
+		track - [{ latitude, longitude }] the walk itself
+	Returns: XML string
+*/
+export function routeToGpx({ name, stops, track }) {
+	const point = p => `lat="${p.latitude.toFixed(7)}" lon="${p.longitude.toFixed(7)}"`;
+	return [
+		`<?xml version="1.0" encoding="UTF-8"?>`,
+		`<gpx version="1.1" creator="Side Quest" xmlns="http://www.topografix.com/GPX/1/1">`,
+		`  <metadata><name>${escapeXml(name)}</name></metadata>`,
+		...stops.map((s, i) => `  <wpt ${point(s)}><name>${escapeXml(`${i + 1}. ${s.name}`)}</name></wpt>`),
+		`  <trk><name>${escapeXml(name)}</name><trkseg>`,
+		...track.map(p => `    <trkpt ${point(p)}/>`),
+		`  </trkseg></trk>`,
+		`</gpx>`,
+		"",
+	].join("\n");
+}
@@ -0,0 +1,58 @@
+/*
+	Name: session/cookie.js
+	Description: Reads and writes the "sid" session cookie. Has no Node-only
+	             imports so middleware.js can use it in the edge runtime.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: Incoming requests or a freshly signed token
+	Output: The raw session token, or Set-Cookie header values
+*/
+
+export const SESSION_COOKIE = "sid";
+
+// Sessions last 30 days
+export const SESSION_MAX_AGE = 60 * 60 * 24 * 30;
+
+/*
+	Function: readSessionToken
+	Description: Gets the session token from a request. Works with NextRequest
+	             (middleware) and plain Request objects (route handlers).
+	Arguments:
+		req - incoming request
+	Returns: token string or null
+*/
+export function readSessionToken(req) {
+	if (!req) return null;
+
+	// NextRequest exposes a parsed cookie store
+	if (req.cookies?.get) {
+		return req.cookies.get(SESSION_COOKIE)?.value || null;
+	}
+
+	// Fall back to parsing the raw header
+	const cookie = req.headers?.get("cookie") || "";
+	const match = cookie.split(";").map(s => s.trim()).find(s => s.startsWith(`${SESSION_COOKIE}=`));
+	return match ? match.slice(SESSION_COOKIE.length + 1) : null;
+}
+
+/*
+	Function: sessionCookie
+	Description: Builds the Set-Cookie value that stores a session token.
+	Arguments:
+		token - signed session token
+	Returns: cookie string
+*/
+export function sessionCookie(token) {
+	return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_MAX_AGE}`;
+}
+
+/*
+	Function: clearedSessionCookie
+	Description: Builds the Set-Cookie value that removes the session cookie.
+	Returns: cookie string
+*/
+export function clearedSessionCookie() {
+	return `${SESSION_COOKIE}=deleted; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
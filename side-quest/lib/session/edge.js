@@ -0,0 +1,83 @@
+/*
+	Name: session/edge.js
+	Description: Verifies session tokens with Web Crypto so middleware.js can check
+	             the signature and expiry in the edge runtime, where the Node
+	             crypto module used by lib/auth.js is not available.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: Raw session token from the "sid" cookie
+	Output: The decoded token payload, or null when it is forged or expired
+*/
+
+// Must match the secret lib/auth.js signs with
+const SECRET = process.env.AUTH_SECRET || "missing-secret";
+
+const encoder = new TextEncoder();
+let keyPromise;
+
+/*
+	Function: getKey
+	Description: Imports the HMAC key once and reuses it for every request.
+	Returns: Promise<CryptoKey>
+*/
+function getKey() {
+	if (!keyPromise) {
+		keyPromise = crypto.subtle.importKey(
+			"raw",
+			encoder.encode(SECRET),
+			{ name: "HMAC", hash: "SHA-256" },
+			false,
+			["verify"]
+		);
+	}
+	return keyPromise;
+}
+
+/*
+	Function: base64urlToBytes
+	Description: Decodes a base64url string (no padding) into bytes.
+	Arguments:
+		input - base64url string
+	Returns: Uint8Array
+*/
+function base64urlToBytes(input) {
+	const base64 = input.replace(/-/g, "+").replace(/_/g, "/");
+	const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+	const binary = atob(padded);
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+	return bytes;
+}
+
+/*
+	Function: verifySessionToken
+	Description: Checks the HMAC signature and exp claim of a session token.
+	             This does not look up the sessions table, so a revoked token
+	             still passes here; getSession catches those on the server.
+	Arguments:
+		token - string in format payload.signature
+	Returns: decoded payload object if valid; null otherwise
+*/
+export async function verifySessionToken(token) {
+	try {
+		const [payloadB64, sig] = token.split(".");
+		if (!payloadB64 || !sig) return null;
+
+		// subtle.verify compares in constant time
+		const valid = await crypto.subtle.verify(
+			"HMAC",
+			await getKey(),
+			base64urlToBytes(sig),
+			encoder.encode(payloadB64)
+		);
+		if (!valid) return null;
+
+		const payload = JSON.parse(new TextDecoder().decode(base64urlToBytes(payloadB64)));
+		if (payload.exp && Date.now() > payload.exp) return null;
+		return payload;
+	} catch (e) {
+		return null;
+	}
+}
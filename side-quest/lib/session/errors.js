@@ -0,0 +1,43 @@
+/*
+	Name: session/errors.js
+	Description: Error types thrown by the session helpers.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: N/A
+	Output: Error classes that carry the HTTP status to answer with
+*/
+
+/*
+	Class: AuthError
+	Description: Base class for authentication and authorization failures.
+	Arguments:
+		message - human readable reason
+		status - HTTP status code the route should respond with
+		code - stable machine readable code for clients
+*/
+export class AuthError extends Error {
+	constructor(message, status, code) {
+		super(message);
+		this.name = "AuthError";
+		this.status = status;
+		this.code = code;
+	}
+}
+
+// No session, or the session token is invalid or expired
+export class UnauthorizedError extends AuthError {
+	constructor(message = "Unauthorized") {
+		super(message, 401, "UNAUTHORIZED");
+		this.name = "UnauthorizedError";
+	}
+}
+
+// Signed in, but not allowed to do this
+export class ForbiddenError extends AuthError {
+	constructor(message = "Forbidden", code = "FORBIDDEN") {
+		super(message, 403, code);
+		this.name = "ForbiddenError";
+	}
+}
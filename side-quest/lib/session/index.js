@@ -0,0 +1,209 @@
+/*
+	Name: session/index.js
+	Description: One place to read the signed-in user. Used by route handlers,
+	             server components and the admin guard so the token format and
+	             expiry only ever change here.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Tokens name a row in the sessions table and revoked sessions are rejected - 10/19/2026, Role claim for the middleware admin check - 10/19/2026, Email verification status and requireVerifiedUser - 10/19/2026, Admins must pass two-factor authentication - 10/19/2026, Two-factor required by resolved role - 10/19/2026, Whether the account has a password - 10/19/2026
+	Errors: UnauthorizedError (401), ForbiddenError (403)
+	Input: Incoming request, or the page cookies when called from a server component
+	Output: The current user refreshed from the users table
+*/
+
+import { cookies } from "next/headers";
+import { NextResponse } from "next/server";
+import { signPayload, verifyToken } from "../auth";
+import { createAdminClient } from "../supabase/admin";
+import { resolveRole, hasRole, ROLES } from "../roles";
+import { readSessionToken, sessionCookie, SESSION_COOKIE } from "./cookie";
+import { AuthError, UnauthorizedError, ForbiddenError } from "./errors";
+import { createSession, isSessionActive, touchSession } from "./store";
+
+export { AuthError, UnauthorizedError, ForbiddenError };
+export { readSessionToken, sessionCookie, clearedSessionCookie, SESSION_COOKIE } from "./cookie";
+export { listSessions, revokeSession, revokeAllSessions, markSessionMfaVerified, markSessionReauthenticated } from "./store";
+
+/*
+	Function: createSessionToken
+	Description: Signs a session token for a user row and the session row it belongs to.
+	Arguments:
+		user - row from the users table
+		session - row from the sessions table
+	Returns: signed token string
+*/
+export function createSessionToken(user, session) {
+	return signPayload({
+		id: user.user_id,
+		sess: session.session_id,
+		// Only used by middleware.js to turn players away from /admin early;
+		// server code always reads the current role from the database
+		role: resolveRole(user),
+		email: user.email,
+		name: user.name,
+		exp: new Date(session.expires_at).getTime(),
+	});
+}
+
+/*
+	Function: createSessionCookie
+	Description: Starts a server-side session for a user and wraps its token in a
+	             Set-Cookie value.
+	Arguments:
+		user - row from the users table
+		req - incoming request, used to record the device
+		options.mfa - true when the user also passed two-factor authentication
+		options.reauthenticated - true when the user just signed in with a provider
+	Returns: cookie string
+*/
+export async function createSessionCookie(user, req, options) {
+	const session = await createSession(user, req, options);
+	return sessionCookie(createSessionToken(user, session));
+}
+
+/*
+	Function: getSession
+	Description: Verifies the session token, checks its session row has not been
+	             revoked, and refreshes the user from the database so changes to
+	             name, points or roles show up without signing in again.
+	Arguments:
+		req - incoming request; omit it in server components to read the page cookies
+	Returns: { token, session, user } or null when signed out
+*/
+export async function getSession(req) {
+	let token;
+	if (req) {
+		token = readSessionToken(req);
+	} else {
+		const cookieStore = await cookies();
+		token = cookieStore.get(SESSION_COOKIE)?.value;
+	}
+
+	const payload = token ? verifyToken(token) : null;
+	// Tokens without a session id predate the sessions table and cannot be revoked
+	if (!payload?.id || !payload.sess) return null;
+
+	const supabase = createAdminClient();
+	const [sessionResult, userResult] = await Promise.all([
+		supabase
+			.from("sessions")
+			.select("session_id, user_id, last_seen_at, expires_at, revoked_at, mfa_verified_at, reauthenticated_at")
+			.eq("session_id", payload.sess)
+			.maybeSingle(),
+		supabase
+			.from("users")
+			.select("user_id, name, email, is_admin, role, points, profile_picture_url, email_verified_at, totp_enabled_at, has_password")
+			.eq("user_id", payload.id)
+			.single(),
+	]);
+
+	// Signed out, signed out everywhere, or the session ran out
+	const session = sessionResult.data;
+	if (sessionResult.error || !isSessionActive(session) || session.user_id !== payload.id) return null;
+
+	// The account was deleted after the token was issued
+	const { data, error } = userResult;
+	if (error || !data) return null;
+
+	await touchSession(session);
+
+	const user = {
+		...data,
+		id: data.user_id,
+		is_admin: !!data.is_admin,
+		role: resolveRole(data),
+		points: data.points || 0,
+		email_verified: !!data.email_verified_at,
+		mfa_enabled: !!data.totp_enabled_at,
+		// False for accounts made by single sign-on, which have no password to type
+		has_password: data.has_password !== false,
+	};
+	return { token: payload, session, user };
+}
+
+/*
+	Function: requireSession
+	Description: Gets the current session or throws. Use this over requireUser when
+	             the caller needs to know which session row it is acting on.
+	Arguments:
+		req - incoming request (optional in server components)
+	Returns: { token, session, user }
+*/
+export async function requireSession(req) {
+	const session = await getSession(req);
+	if (!session) throw new UnauthorizedError();
+	return session;
+}
+
+/*
+	Function: requireUser
+	Description: Gets the signed-in user or throws.
+	Arguments:
+		req - incoming request (optional in server components)
+	Returns: user object
+*/
+export async function requireUser(req) {
+	const { user } = await requireSession(req);
+	return user;
+}
+
+/*
+	Function: requireVerifiedUser
+	Description: Gets the signed-in user and checks they have verified their email
+	             or throws. Guards anything that awards points.
+	Arguments:
+		req - incoming request (optional in server components)
+	Returns: user object
+*/
+export async function requireVerifiedUser(req) {
+	const user = await requireUser(req);
+	if (!user.email_verified) {
+		throw new ForbiddenError("Verify your email address to earn points", "EMAIL_UNVERIFIED");
+	}
+	return user;
+}
+
+/*
+	Function: needsMfa
+	Description: Admins can award points and delete content, so their session must
+	             have passed two-factor authentication before admin tools serve them.
+	Arguments:
+		current - { session, user } from getSession
+	Returns: true when the session still has to pass (or set up) two-factor
+*/
+export function needsMfa({ session, user }) {
+	// user.role comes from resolveRole, so admins by users.role count as well as is_admin
+	return user.role === ROLES.ADMIN && !(user.mfa_enabled && session.mfa_verified_at);
+}
+
+/*
+	Function: requireAdmin
+	Description: Gets the signed-in user and checks their staff role or throws.
+	Arguments:
+		req - incoming request (optional in server components)
+		allowedRoles - array of ROLES values, defaults to full admins only
+	Returns: user object
+*/
+export async function requireAdmin(req, allowedRoles = [ROLES.ADMIN]) {
+	const current = await requireSession(req);
+	if (!hasRole(current.user.role, allowedRoles)) throw new ForbiddenError();
+	if (needsMfa(current)) {
+		throw new ForbiddenError("Two-factor authentication is required for admin tools", "MFA_REQUIRED");
+	}
+	return current.user;
+}
+
+/*
+	Function: authErrorResponse
+	Description: Turns an AuthError into a JSON response. Any other error is rethrown
+	             so real bugs are not hidden behind a 401.
+	Arguments:
+		err - caught error
+	Returns: NextResponse
+*/
+export function authErrorResponse(err) {
+	if (err instanceof AuthError) {
+		return NextResponse.json({ error: err.message, code: err.code }, { status: err.status });
+	}
+	throw err;
+}
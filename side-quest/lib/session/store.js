@@ -0,0 +1,203 @@
+/*
+	Name: session/store.js
+	Description: Server-side session rows. Each session token names one row in the
+	             sessions table, so signing out (or signing out everywhere) can
+	             revoke a token before it expires.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Client IP read through lib/requestInfo - 10/19/2026, Sessions record when they passed two-factor authentication - 10/19/2026, Sessions record a fresh sign-in with a provider - 10/19/2026
+	Errors: Supabase errors are thrown to the caller
+	Input: User rows, session ids and the incoming request (for device info)
+	Output: Session rows from the sessions table
+*/
+
+import { createAdminClient } from "../supabase/admin";
+import { SESSION_MAX_AGE } from "./cookie";
+import { clientIp } from "../requestInfo";
+
+// last_seen_at is only written when it is older than this, so a busy page
+// does not turn every request into a database write
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const SESSION_COLUMNS = "session_id, user_id, user_agent, ip_address, created_at, last_seen_at, expires_at, revoked_at, mfa_verified_at, reauthenticated_at";
+
+/*
+	Function: requestDevice
+	Description: Pulls the user agent and client IP off a request.
+	Arguments:
+		req - incoming request (may be undefined)
+	Returns: { user_agent, ip_address }
+*/
+function requestDevice(req) {
+	const headers = req?.headers;
+	if (!headers) return { user_agent: null, ip_address: null };
+	const ip = clientIp(req);
+	return {
+		user_agent: headers.get("user-agent")?.slice(0, 512) || null,
+		ip_address: ip === "unknown" ? null : ip,
+	};
+}
+
+/*
+	Function: createSession
+	Description: Inserts a new session row for a user who just signed in.
+	Arguments:
+		user - row from the users table
+		req - incoming request, used for the user agent and IP
+		options.mfa - true when the user also passed two-factor authentication
+		options.reauthenticated - true when the user just signed in with a provider
+	Returns: session row
+*/
+export async function createSession(user, req, { mfa = false, reauthenticated = false } = {}) {
+	const supabase = createAdminClient();
+	const { data, error } = await supabase
+		.from("sessions")
+		.insert({
+			user_id: user.user_id,
+			...requestDevice(req),
+			expires_at: new Date(Date.now() + SESSION_MAX_AGE * 1000).toISOString(),
+			mfa_verified_at: mfa ? new Date().toISOString() : null,
+			reauthenticated_at: reauthenticated ? new Date().toISOString() : null,
+		})
+		.select(SESSION_COLUMNS)
+		.single();
+
+	if (error) throw error;
+	return data;
+}
+
+/*
+	Function: isSessionActive
+	Description: Checks that a session row has not been revoked or expired.
+	Arguments:
+		session - row from the sessions table
+	Returns: boolean
+*/
+export function isSessionActive(session) {
+	if (!session || session.revoked_at) return false;
+	return new Date(session.expires_at).getTime() > Date.now();
+}
+
+/*
+	Function: touchSession
+	Description: Updates last_seen_at, at most once every few minutes per session.
+	Arguments:
+		session - row from the sessions table
+	Returns: nothing
+*/
+export async function touchSession(session) {
+	const lastSeen = new Date(session.last_seen_at).getTime();
+	if (Date.now() - lastSeen < TOUCH_INTERVAL_MS) return;
+
+	const supabase = createAdminClient();
+	const { error } = await supabase
+		.from("sessions")
+		.update({ last_seen_at: new Date().toISOString() })
+		.eq("session_id", session.session_id);
+
+	// Last-seen is only informational, so a failed write should not sign anyone out
+	if (error) console.error("Failed to update session last_seen_at:", error);
+}
+
+/*
+	Function: markSessionMfaVerified
+	Description: Records that an existing session just passed two-factor
+	             authentication (after setting it up, or a step-up check).
+	Arguments:
+		sessionId - sessions.session_id
+	Returns: nothing
+*/
+export async function markSessionMfaVerified(sessionId) {
+	const supabase = createAdminClient();
+	const { error } = await supabase
+		.from("sessions")
+		.update({ mfa_verified_at: new Date().toISOString() })
+		.eq("session_id", sessionId);
+
+	if (error) throw error;
+}
+
+/*
+	Function: markSessionReauthenticated
+	Description: Records that an existing session just signed in with a provider
+	             again, which stands in for the password of accounts without one.
+	Arguments:
+		sessionId - sessions.session_id
+	Returns: nothing
+*/
+export async function markSessionReauthenticated(sessionId) {
+	const supabase = createAdminClient();
+	const { error } = await supabase
+		.from("sessions")
+		.update({ reauthenticated_at: new Date().toISOString() })
+		.eq("session_id", sessionId);
+
+	if (error) throw error;
+}
+
+/*
+	Function: listSessions
+	Description: Lists a user's sessions that are still active, newest activity first.
+	Arguments:
+		userId - users.user_id
+	Returns: array of session rows
+*/
+export async function listSessions(userId) {
+	const supabase = createAdminClient();
+	const { data, error } = await supabase
+		.from("sessions")
+		.select(SESSION_COLUMNS)
+		.eq("user_id", userId)
+		.is("revoked_at", null)
+		.gt("expires_at", new Date().toISOString())
+		.order("last_seen_at", { ascending: false });
+
+	if (error) throw error;
+	return data || [];
+}
+
+/*
+	Function: revokeSession
+	Description: Revokes one session. Scoped to the user so nobody can revoke
+	             someone else's session by guessing its id.
+	Arguments:
+		userId - users.user_id
+		sessionId - sessions.session_id
+	Returns: true if a session was revoked
+*/
+export async function revokeSession(userId, sessionId) {
+	const supabase = createAdminClient();
+	const { data, error } = await supabase
+		.from("sessions")
+		.update({ revoked_at: new Date().toISOString() })
+		.eq("user_id", userId)
+		.eq("session_id", sessionId)
+		.is("revoked_at", null)
+		.select("session_id");
+
+	if (error) throw error;
+	return (data || []).length > 0;
+}
+
+/*
+	Function: revokeAllSessions
+	Description: Revokes every active session a user has ("sign out of all devices").
+	Arguments:
+		userId - users.user_id
+		options.exceptSessionId - session to keep signed in (optional)
+	Returns: number of sessions revoked
+*/
+export async function revokeAllSessions(userId, { exceptSessionId } = {}) {
+	const supabase = createAdminClient();
+	let query = supabase
+		.from("sessions")
+		.update({ revoked_at: new Date().toISOString() })
+		.eq("user_id", userId)
+		.is("revoked_at", null);
+
+	if (exceptSessionId) query = query.neq("session_id", exceptSessionId);
+
+	const { data, error } = await query.select("session_id");
+	if (error) throw error;
+	return (data || []).length;
+}
@@ -0,0 +1,269 @@
+/*
+	Name: storylines.js
+	Description: Storylines are ordered chains of quests across locations, such as
+	             "History of Jayhawk Boulevard". Each step needs the one before it
+	             (through the quest_prerequisites view), and finishing every step
+	             pays a bonus and earns the storyline's achievement; unchecking a
+	             step takes the bonus back.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Take the bonus back when a finished storyline loses a step - 10/19/2026, Replace steps in one transaction - 10/19/2026
+	Errors: Returns { ok: false, status, message } instead of throwing
+	Input: Storyline ids, ordered quest ids, player ids
+	Output: Storylines with their steps, loop checks, newly finished storylines
+*/
+
+import { createAdminClient } from "./supabase/admin";
+import { prerequisiteMap, findCycle } from "./questGraph";
+import { completedQuestIds, describeQuests } from "./dependencies";
+import { awardPoints, heldPoints } from "./points";
+
+export const MAX_STORYLINE_STEPS = 20;
+export const MAX_TITLE_LENGTH = 120;
+
+/*
+	Function: storylineAchievementKey
+	Description: achievements.key for a storyline's achievement.
+	Arguments:
+		storylineId - storylines.storyline_id
+	Returns: string
+*/
+export function storylineAchievementKey(storylineId) {
+	return `storyline_${storylineId}`;
+}
+
+/*
+	Function: loadStorylines
+	Description: Loads storylines with their steps in order.
+	Arguments:
+		options - { publishedOnly } to leave out drafts
+	Returns: { ok: true, storylines: [{ ...row, steps: [quest_id] }] } or { ok: false, status, message }
+*/
+export async function loadStorylines({ publishedOnly = false } = {}) {
+	const supabase = createAdminClient();
+	let query = supabase
+		.from("storylines")
+		.select("storyline_id, title, description, bonus_points, achievement_id, is_published, created_at, storyline_steps ( position, quest_id )")
+		.order("created_at", { ascending: true });
+	if (publishedOnly) query = query.eq("is_published", true);
+
+	const { data, error } = await query;
+	if (error) return { ok: false, status: 500, message: error.message };
+
+	const storylines = (data || []).map(({ storyline_steps, ...storyline }) => ({
+		...storyline,
+		steps: [...(storyline_steps || [])]
+			.sort((a, b) => a.position - b.position)
+			.map(s => s.quest_id),
+	}));
+	return { ok: true, storylines };
+}
+
+/*
+	Function: checkStorylineSteps
+	Description: Checks an ordered list of steps: real, distinct quests that
+	             don't make a prerequisite loop with the admin-picked
+	             prerequisites and other published storylines.
+	Arguments:
+		storylineId - storyline being edited (its current steps are ignored), or null for a new one
+		questIds - steps in order
+	Returns: { ok: true, steps } or { ok: false, status, message, cycle }
+*/
+export async function checkStorylineSteps(storylineId, questIds) {
+	if (!Array.isArray(questIds) || questIds.some(id => typeof id !== "string")) {
+		return { ok: false, status: 400, message: "steps must be an array of quest ids" };
+	}
+	if (new Set(questIds).size !== questIds.length) {
+		return { ok: false, status: 400, message: "A quest can only be one step of a storyline" };
+	}
+	if (questIds.length > MAX_STORYLINE_STEPS) {
+		return { ok: false, status: 400, message: `A storyline can have at most ${MAX_STORYLINE_STEPS} steps` };
+	}
+
+	const supabase = createAdminClient();
+	let stepsQuery = supabase
+		.from("storyline_steps")
+		.select("storyline_id, position, quest_id, storylines!inner ( is_published )")
+		.eq("storylines.is_published", true);
+	if (storylineId) stepsQuery = stepsQuery.neq("storyline_id", storylineId);
+	const [{ data: found, error: questError }, { data: picked, error: pickedError }, { data: otherSteps, error: stepsError }] = await Promise.all([
+		questIds.length
+			? supabase.from("quests").select("quest_id").in("quest_id", questIds)
+			: Promise.resolve({ data: [] }),
+		supabase.from("quest_dependencies").select("quest_id, prerequisite_id"),
+		stepsQuery,
+	]);
+	const error = questError || pickedError || stepsError;
+	if (error) return { ok: false, status: 500, message: error.message };
+	if ((found || []).length !== questIds.length) {
+		return { ok: false, status: 400, message: "Some steps aren't quests" };
+	}
+
+	// Prerequisites as they'd be without this storyline, then add its steps one by one
+	const rows = [...(picked || []), ...chainEdges(otherSteps)];
+	const prerequisites = prerequisiteMap(rows);
+	for (let i = 1; i < questIds.length; i++) {
+		const questId = questIds[i];
+		const next = [...(prerequisites[questId] || []), questIds[i - 1]];
+		const cycle = findCycle(prerequisites, questId, next);
+		if (cycle) {
+			const names = await describeQuests([...new Set(cycle)]);
+			const byId = Object.fromEntries(names.map(q => [q.quest_id, q.text]));
+			return {
+				ok: false,
+				status: 409,
+				message: `That order would make a loop: ${cycle.map(id => `"${byId[id] ?? id}"`).join(" needs ")}`,
+				cycle,
+			};
+		}
+		prerequisites[questId] = next;
+	}
+	return { ok: true, steps: questIds };
+}
+
+/*
+	Function: chainEdges
+	Description: Turns storyline steps into prerequisite rows, each step needing
+	             the one before it in the same storyline.
+	Arguments:
+		steps - [{ storyline_id, position, quest_id }]
+	Returns: [{ quest_id, prerequisite_id }]
+*/
+function chainEdges(steps) {
+	const byStoryline = {};
+	for (const step of steps || []) {
+		(byStoryline[step.storyline_id] = byStoryline[step.storyline_id] || []).push(step);
+	}
+	const edges = [];
+	for (const list of Object.values(byStoryline)) {
+		list.sort((a, b) => a.position - b.position);
+		for (let i = 1; i < list.length; i++) {
+			edges.push({ quest_id: list[i].quest_id, prerequisite_id: list[i - 1].quest_id });
+		}
+	}
+	return edges;
+}
+
+/*
+	Function: saveStorylineSteps
+	Description: Replaces a storyline's steps. Call checkStorylineSteps first.
+	Arguments:
+		storylineId - storylines.storyline_id
+		questIds - steps in order
+	Returns: { ok: true, steps } or { ok: false, status, message }
+*/
+export async function saveStorylineSteps(storylineId, questIds) {
+	const supabase = createAdminClient();
+	// One transaction (migrations/23), so a failed insert keeps the old steps
+	const { error } = await supabase.rpc("set_storyline_steps", {
+		p_storyline_id: storylineId,
+		p_quest_ids: questIds,
+	});
+	if (error) return { ok: false, status: 500, message: error.message };
+	return { ok: true, steps: questIds };
+}
+
+/*
+	Function: settleStorylines
+	Description: After a player's quests change, pays or takes back the bonus of
+	             each published storyline those quests belong to. A storyline
+	             with every step done pays its bonus and achievement; one that
+	             was finished and now has a step unchecked gets a negative
+	             ledger entry and loses its completion row (the achievement is
+	             kept, like other achievements). Safe to call again: what the
+	             storyline holds decides, and each entry has its own key.
+	Arguments:
+		userId - player's user_id
+		questIds - quests just completed or unchecked
+	Returns: [{ storyline_id, title, bonus_points }] newly finished
+*/
+export async function settleStorylines(userId, questIds) {
+	if (!questIds.length) return [];
+	const supabase = createAdminClient();
+
+	const { data: touched, error } = await supabase
+		.from("storyline_steps")
+		.select("storyline_id, storylines!inner ( is_published )")
+		.eq("storylines.is_published", true)
+		.in("quest_id", questIds);
+	if (error) {
+		console.error("Failed to look up storylines:", error);
+		return [];
+	}
+	const storylineIds = [...new Set((touched || []).map(t => t.storyline_id))];
+	if (!storylineIds.length) return [];
+
+	const { data: storylines, error: storylineError } = await supabase
+		.from("storylines")
+		.select("storyline_id, title, bonus_points, achievement_id, storyline_steps ( quest_id )")
+		.in("storyline_id", storylineIds);
+	if (storylineError) {
+		console.error("Failed to load storylines:", storylineError);
+		return [];
+	}
+
+	const finished = [];
+	for (const storyline of storylines || []) {
+		const steps = (storyline.storyline_steps || []).map(s => s.quest_id);
+		const done = await completedQuestIds(userId, steps);
+		const complete = steps.length > 0 && steps.every(id => done.has(id));
+
+		// What the bonus has paid so far, net of reversals
+		const ledger = await heldPoints({ userId, source: "storyline", referenceId: storyline.storyline_id });
+		if (!ledger.ok) continue;
+		const idempotencyKey = `storyline:${userId}:${storyline.storyline_id}:${ledger.entries}`;
+
+		if (!complete) {
+			if (ledger.held !== 0) {
+				const reversal = await awardPoints({
+					userId,
+					amount: -ledger.held,
+					source: "storyline",
+					referenceId: storyline.storyline_id,
+					idempotencyKey,
+					reason: `Unfinished "${storyline.title}"`,
+				});
+				if (!reversal.ok) continue;
+				await supabase
+					.from("storyline_completions")
+					.delete()
+					.eq("user_id", userId)
+					.eq("storyline_id", storyline.storyline_id);
+			}
+			continue;
+		}
+
+		if (ledger.held === 0) {
+			const bonus = await awardPoints({
+				userId,
+				amount: storyline.bonus_points,
+				source: "storyline",
+				referenceId: storyline.storyline_id,
+				idempotencyKey,
+				reason: `Finished "${storyline.title}"`,
+			});
+			if (!bonus.ok) continue;
+		}
+
+		if (storyline.achievement_id) {
+			const { data: earned } = await supabase
+				.from("user_achievements")
+				.select("achievement_id")
+				.eq("user_id", userId)
+				.eq("achievement_id", storyline.achievement_id)
+				.maybeSingle();
+			if (!earned) {
+				await supabase.from("user_achievements").insert([{ user_id: userId, achievement_id: storyline.achievement_id }]);
+			}
+		}
+
+		const { data: added } = await supabase
+			.from("storyline_completions")
+			.upsert({ user_id: userId, storyline_id: storyline.storyline_id }, { onConflict: "user_id,storyline_id", ignoreDuplicates: true })
+			.select("storyline_id");
+		if (added?.length) {
+			finished.push({ storyline_id: storyline.storyline_id, title: storyline.title, bonus_points: storyline.bonus_points });
+		}
+	}
+	return finished;
+}
@@ -0,0 +1,159 @@
+/*
+	Name: submissions.js
+	Description: Photo proofs for quests flagged requires_proof. Players upload a
+	             photo, staff approve or reject it, and approval completes the
+	             quest through the same path as /api/progress.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Only JPEG, PNG, WebP and GIF proofs - 10/19/2026
+	Errors: Upload and validation problems are returned as { ok: false, status, message }
+	Input: Image files from multipart forms, submission rows
+	Output: Storage paths, signed image URLs, review results
+*/
+
+import { randomBytes } from "crypto";
+import { createAdminClient } from "./supabase/admin";
+import { saveQuestProgress } from "./progress";
+import { imageExtension } from "./questContent";
+
+// Private bucket created by migrations/11_create_quest_submissions.sql
+export const PROOF_BUCKET = "quest-proofs";
+export const SUBMISSION_STATUSES = ["pending", "approved", "rejected"];
+
+// Phone photos are a few MB; anything much bigger is not a photo
+const MAX_PROOF_BYTES = 10 * 1024 * 1024;
+// Long enough to review a queue, short enough that leaked links go stale
+const SIGNED_URL_SECONDS = 60 * 60;
+const MAX_NOTE_LENGTH = 500;
+
+/*
+	Function: uploadProof
+	Description: Checks an uploaded file is an allowed image and stores it in the proof bucket.
+	Arguments:
+		userId - uploader's user_id, used as the folder name
+		file - File from formData
+	Returns: { ok: true, path } or { ok: false, status, message }
+*/
+export async function uploadProof(userId, file) {
+	if (!file || typeof file === "string") {
+		return { ok: false, status: 400, message: "No file provided" };
+	}
+	// Only raster photos: an SVG could carry script
+	const fileExt = imageExtension(file);
+	if (!fileExt) {
+		return { ok: false, status: 400, message: "Proof must be a JPEG, PNG, WebP or GIF image" };
+	}
+	if (file.size > MAX_PROOF_BYTES) {
+		return { ok: false, status: 413, message: "Image is too large (10 MB max)" };
+	}
+
+	const supabase = createAdminClient();
+	const path = `${userId}/${Date.now()}_${randomBytes(4).toString("hex")}.${fileExt}`;
+
+	// Convert file to buffer for upload
+	const arrayBuffer = await file.arrayBuffer();
+	const buffer = Buffer.from(arrayBuffer);
+
+	const { error } = await supabase.storage
+		.from(PROOF_BUCKET)
+		.upload(path, buffer, {
+			contentType: file.type,
+			upsert: false
+		});
+
+	if (error) {
+		console.error("Proof upload error:", error);
+		return { ok: false, status: 500, message: "Upload failed" };
+	}
+	return { ok: true, path };
+}
+
+/*
+	Function: removeProofs
+	Description: Deletes stored photos. Failures are logged, not thrown.
+	Arguments:
+		paths - array of storage paths
+	Returns: nothing
+*/
+export async function removeProofs(paths) {
+	if (!paths.length) return;
+	const supabase = createAdminClient();
+	const { error } = await supabase.storage.from(PROOF_BUCKET).remove(paths);
+	if (error) console.error("Failed to remove proof photos:", error);
+}
+
+/*
+	Function: signedProofUrls
+	Description: Adds a temporary image_url to each submission so staff can see
+	             photos from the private bucket.
+	Arguments:
+		submissions - rows with storage_path
+	Returns: the same rows with image_url (null when signing failed)
+*/
+export async function signedProofUrls(submissions) {
+	if (!submissions.length) return submissions;
+	const supabase = createAdminClient();
+	const { data, error } = await supabase.storage
+		.from(PROOF_BUCKET)
+		.createSignedUrls(submissions.map(s => s.storage_path), SIGNED_URL_SECONDS);
+	if (error) console.error("Failed to sign proof URLs:", error);
+
+	const urls = Object.fromEntries((data || []).map(d => [d.path, d.signedUrl]));
+	return submissions.map(s => ({ ...s, image_url: urls[s.storage_path] || null }));
+}
+
+/*
+	Function: reviewSubmission
+	Description: Approves or rejects a pending submission. The status changes only
+	             while it is still pending, so two reviewers can't both pay out.
+	             Approving completes the quest and awards its points; if that
+	             fails the submission goes back to pending.
+	Arguments:
+		submissionId - quest_submissions.submission_id
+		reviewerId - staff user_id
+		decision - "approved" or "rejected"
+		note - optional message shown to the player
+	Returns: { ok: true, submission } or { ok: false, status, message }
+*/
+export async function reviewSubmission(submissionId, reviewerId, decision, note) {
+	if (decision !== "approved" && decision !== "rejected") {
+		return { ok: false, status: 400, message: "status must be approved or rejected" };
+	}
+
+	const supabase = createAdminClient();
+	const { data: submission, error } = await supabase
+		.from("quest_submissions")
+		.update({
+			status: decision,
+			review_note: typeof note === "string" && note.trim() ? note.trim().slice(0, MAX_NOTE_LENGTH) : null,
+			reviewed_by: reviewerId,
+			reviewed_at: new Date().toISOString(),
+		})
+		.eq("submission_id", submissionId)
+		.eq("status", "pending")
+		.select("submission_id, user_id, quest_id, status, review_note, reviewed_at, quests ( quest_id, is_multiplayer, reward_points )")
+		.maybeSingle();
+
+	if (error) {
+		console.error("Failed to review submission:", error);
+		return { ok: false, status: 500, message: "Failed to save review" };
+	}
+	if (!submission) {
+		return { ok: false, status: 409, message: "This submission was already reviewed" };
+	}
+	if (decision === "rejected") return { ok: true, submission };
+
+	const quest = Array.isArray(submission.quests) ? submission.quests[0] : submission.quests;
+	const result = quest
+		? await saveQuestProgress(submission.user_id, quest, true)
+		: { ok: false, status: 404, message: "Quest not found" };
+
+	if (!result.ok) {
+		await supabase
+			.from("quest_submissions")
+			.update({ status: "pending", review_note: null, reviewed_by: null, reviewed_at: null })
+			.eq("submission_id", submissionId);
+		return { ok: false, status: result.status, message: result.message };
+	}
+	return { ok: true, submission };
+}
@@ -0,0 +1,125 @@
+/*
+	Name: tiles.js
+	Description: Slippy map tiles for the street map mode. Tiles are served from
+	             a local directory so the map works offline and in tests. By
+	             default that is the committed placeholder set in
+	             public/tiles/fixture (campus, zoom 15 to 17); point
+	             NEXT_PUBLIC_TILE_URL at public/tiles once scripts/fetch_tiles.mjs
+	             has filled it.
+	             Web Mercator math is here so the map and admin tools agree.
+	             No server imports: safe for client components.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Default to the committed fixture tiles - 10/19/2026
+	Errors: N/A
+	Input:
+		NEXT_PUBLIC_TILE_URL - tile URL template with {z}, {x} and {y} (default /tiles/fixture/{z}/{x}/{y}.png)
+		NEXT_PUBLIC_TILE_ATTRIBUTION - credit shown on the map for the tile source
+	Output: Projection helpers and the tiles covering a view
+*/
+
+export const TILE_SIZE = 256;
+export const TILE_URL = process.env.NEXT_PUBLIC_TILE_URL || "/tiles/fixture/{z}/{x}/{y}.png";
+export const TILE_ATTRIBUTION = process.env.NEXT_PUBLIC_TILE_ATTRIBUTION || "© OpenStreetMap contributors";
+
+// Zoom levels the tile directory holds; campus fits on screen at 16
+export const MIN_ZOOM = 15;
+export const MAX_ZOOM = 19;
+export const DEFAULT_ZOOM = 17;
+
+// Where the street map opens: the middle of KU's Lawrence campus
+export const CAMPUS_CENTER = { latitude: 38.9575, longitude: -95.2502 };
+
+// Area scripts/fetch_tiles.mjs downloads
+export const CAMPUS_BOUNDS = { north: 38.9665, south: 38.9470, west: -95.2650, east: -95.2380 };
+
+// Web Mercator can't show the poles
+const MAX_LATITUDE = 85.05112878;
+
+/*
+	Function: project
+	Description: Converts a GPS position to world pixels at a zoom level.
+	Arguments:
+		latitude, longitude - degrees
+		zoom - tile zoom level
+	Returns: { x, y } from the top-left of the world
+*/
+export function project(latitude, longitude, zoom) {
+	const size = TILE_SIZE * 2 ** zoom;
+	const lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude));
+	const sin = Math.sin((lat * Math.PI) / 180);
+	return {
+		x: ((longitude + 180) / 360) * size,
+		y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size,
+	};
+}
+
+/*
+	Function: unproject
+	Description: Converts world pixels back to a GPS position.
+	Arguments:
+		x, y - world pixels at the zoom level
+		zoom - tile zoom level
+	Returns: { latitude, longitude }
+*/
+export function unproject(x, y, zoom) {
+	const size = TILE_SIZE * 2 ** zoom;
+	const n = Math.PI - (2 * Math.PI * y) / size;
+	return {
+		latitude: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+		longitude: (x / size) * 360 - 180,
+	};
+}
+
+/*
+	Function: tileUrl
+	Description: URL of one tile.
+	Arguments:
+		z, x, y - tile zoom and column / row
+	Returns: URL string
+*/
+export function tileUrl(z, x, y) {
+	return TILE_URL.replace("{z}", z).replace("{x}", x).replace("{y}", y);
+}
+
+/*
+	Function: tilesInView
+	Description: Tiles covering a rectangle of world pixels.
+	Arguments:
+		view - { left, top, width, height } in world pixels
+		zoom - tile zoom level
+	Returns: [{ key, z, x, y, left, top }] with left / top in world pixels
+*/
+export function tilesInView({ left, top, width, height }, zoom) {
+	const count = 2 ** zoom;
+	const minX = Math.max(0, Math.floor(left / TILE_SIZE));
+	const minY = Math.max(0, Math.floor(top / TILE_SIZE));
+	const maxX = Math.min(count - 1, Math.floor((left + width) / TILE_SIZE));
+	const maxY = Math.min(count - 1, Math.floor((top + height) / TILE_SIZE));
+	const tiles = [];
+	for (let y = minY; y <= maxY; y++) {
+		for (let x = minX; x <= maxX; x++) {
+			tiles.push({ key: `${zoom}/${x}/${y}`, z: zoom, x, y, left: x * TILE_SIZE, top: y * TILE_SIZE });
+		}
+	}
+	return tiles;
+}
+
+/*
+	Function: tileRange
+	Description: Column and row range of the tiles covering an area.
+	Arguments:
+		bounds - { north, south, west, east } in degrees
+		zoom - tile zoom level
+	Returns: { minX, maxX, minY, maxY }
+*/
+export function tileRange({ north, south, west, east }, zoom) {
+	const topLeft = project(north, west, zoom);
+	const bottomRight = project(south, east, zoom);
+	return {
+		minX: Math.floor(topLeft.x / TILE_SIZE),
+		maxX: Math.floor(bottomRight.x / TILE_SIZE),
+		minY: Math.floor(topLeft.y / TILE_SIZE),
+		maxY: Math.floor(bottomRight.y / TILE_SIZE),
+	};
+}
@@ -0,0 +1,140 @@
+/*
+	Name: totp.js
+	Description: Time-based one-time passwords (RFC 6238) as used by Google
+	             Authenticator, Authy, 1Password and friends: 6 digits, SHA-1,
+	             30 second steps.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: Base32 secrets and codes typed by the user
+	Output: Secrets, otpauth:// URLs and the time step a code matched
+*/
+
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code too, for phones whose clocks drift
+const DRIFT_STEPS = 1;
+
+/*
+	Function: base32Encode
+	Description: RFC 4648 base32 without padding, the format authenticator apps expect.
+	Arguments:
+		buffer - bytes to encode
+	Returns: string
+*/
+function base32Encode(buffer) {
+	let bits = 0, value = 0, out = "";
+	for (const byte of buffer) {
+		value = (value << 8) | byte;
+		bits += 8;
+		while (bits >= 5) {
+			out += BASE32[(value >>> (bits - 5)) & 31];
+			bits -= 5;
+		}
+	}
+	if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+	return out;
+}
+
+/*
+	Function: base32Decode
+	Description: Decodes a base32 secret, ignoring spaces, case and padding.
+	Arguments:
+		text - base32 string
+	Returns: Buffer
+*/
+function base32Decode(text) {
+	const clean = text.toUpperCase().replace(/[\s=]/g, "");
+	let bits = 0, value = 0;
+	const bytes = [];
+	for (const char of clean) {
+		const index = BASE32.indexOf(char);
+		if (index === -1) throw new Error("Invalid base32 secret");
+		value = (value << 5) | index;
+		bits += 5;
+		if (bits >= 8) {
+			bytes.push((value >>> (bits - 8)) & 255);
+			bits -= 8;
+		}
+	}
+	return Buffer.from(bytes);
+}
+
+/*
+	Function: generateTotpSecret
+	Description: Makes a new random 160-bit secret.
+	Returns: base32 string
+*/
+export function generateTotpSecret() {
+	return base32Encode(randomBytes(20));
+}
+
+/*
+	Function: totpCode
+	Description: Computes the code for one time step.
+	Arguments:
+		secret - base32 secret
+		step - time step number (seconds since epoch / 30)
+	Returns: zero-padded 6 digit string
+*/
+export function totpCode(secret, step) {
+	const counter = Buffer.alloc(8);
+	counter.writeBigUInt64BE(BigInt(step));
+	const hmac = createHmac("sha1", base32Decode(secret)).update(counter).digest();
+
+	// Dynamic truncation from RFC 4226
+	const offset = hmac[hmac.length - 1] & 0xf;
+	const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+	return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/*
+	Function: currentStep
+	Description: Time step for a moment in time.
+	Arguments:
+		now - time in ms (defaults to now)
+	Returns: integer step
+*/
+export function currentStep(now = Date.now()) {
+	return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/*
+	Function: verifyTotp
+	Description: Checks a code against the current step and its neighbours.
+	Arguments:
+		secret - base32 secret
+		code - code typed by the user (spaces allowed)
+		lastStep - step of the last accepted code, which is not accepted again
+	Returns: the matching step, or null when the code is wrong or reused
+*/
+export function verifyTotp(secret, code, lastStep = null) {
+	const digits = String(code || "").replace(/\s/g, "");
+	if (!secret || !/^\d{6}$/.test(digits)) return null;
+
+	const now = currentStep();
+	for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+		if (lastStep !== null && step <= lastStep) continue;
+		if (timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(digits))) return step;
+	}
+	return null;
+}
+
+/*
+	Function: totpUri
+	Description: Builds the otpauth:// URL that authenticator apps scan as a QR code.
+	Arguments:
+		secret - base32 secret
+		account - label shown in the app, usually the email
+		issuer - app name shown in the app
+	Returns: URL string
+*/
+export function totpUri(secret, account, issuer = "Side Quest") {
+	const label = encodeURIComponent(`${issuer}:${account}`);
+	const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: String(DIGITS), period: String(STEP_SECONDS) });
+	return `otpauth://totp/${label}?${params}`;
+}
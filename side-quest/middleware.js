@@ -3,7 +3,7 @@
 	Description: Website middleware to direct users.
 	Programmers: Alejandro Sandoval
 	Date: 10/25/2025
-	Revisions: N/A
+	Revisions: Read the session cookie through lib/session - 10/19/2026, Verify the token signature and staff role, return to ?next= after login - 10/19/2026, Password reset and email verification pages are public - 10/19/2026
 	Errors: N/A
 	Input: Incoming page requests
 	Output:
@@ -12,11 +12,14 @@
 */
 
 import { NextResponse } from "next/server";
+import { readSessionToken, clearedSessionCookie } from "./lib/session/cookie";
+import { verifySessionToken } from "./lib/session/edge";
+import { hasRole, STAFF_ROLES } from "./lib/roles";
 
-export function middleware(request) {
-	const { pathname } = request.nextUrl;
+export async function middleware(request) {
+	const { pathname, search } = request.nextUrl;
 
-	// allow public/static and login/api/signup/landing page
+	// allow public/static and login/api/signup/password reset/email verification/landing page
 	if (
 		pathname.startsWith("/_next") ||
 		pathname.startsWith("/static") ||
@@ -24,20 +27,33 @@ export function middleware(request) {
 		pathname.startsWith("/api") ||
 		pathname === "/login" ||
 		pathname === "/signup" ||
+		pathname === "/forgot-password" ||
+		pathname === "/reset-password" ||
+		pathname === "/verify-email" ||
 		pathname === "/"
 	) {
 		return NextResponse.next();
 	}
-	// Retrieve session token from cookies
-	const token = request.cookies.get("sid")?.value;
+	// Retrieve session token from cookies and check it was signed by us and has not expired
+	const token = readSessionToken(request);
+	const payload = token ? await verifySessionToken(token) : null;
 
-	// Redirect to login if no token found
-	if (!token) {
+	// Redirect to login if the token is missing or invalid, remembering where the user was going
+	if (!payload) {
 		const url = new URL("/login", request.url);
-		return NextResponse.redirect(url);
+		url.searchParams.set("next", pathname + search);
+		const response = NextResponse.redirect(url);
+		// Drop a forged or expired cookie so it is not sent again
+		if (token) response.headers.set("Set-Cookie", clearedSessionCookie());
+		return response;
+	}
+
+	// Keep players out of the admin page before it renders; the page re-checks the role from the database
+	if (pathname.startsWith("/admin") && !hasRole(payload.role, STAFF_ROLES)) {
+		return NextResponse.redirect(new URL("/", request.url));
 	}
 	
-	// Allow request to continue if token exists
+	// Allow request to continue if token is valid
 	return NextResponse.next();
 }
 
@@ -0,0 +1,10 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Staff roles for the admin tools. Admins keep using is_admin;
+--    other staff get 'moderator' or 'content_editor' here.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'player';
+
+-- 2. Only allow known roles
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+	CHECK (role IN ('player', 'moderator', 'content_editor', 'admin'));
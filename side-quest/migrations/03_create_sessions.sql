@@ -0,0 +1,21 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Server-side sessions. Every "sid" token carries the session_id of a row
+--    here, so a session can be revoked before its token expires.
+--    Tokens issued before this table existed are rejected; users sign in again.
+CREATE TABLE IF NOT EXISTS sessions (
+    session_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+-- 2. Sessions are always listed and revoked per user
+CREATE INDEX IF NOT EXISTS sessions_user_id_idx ON sessions(user_id);
+
+-- 3. Only the service role (API routes) touches this table
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,20 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. One-time tokens sent to users by email (password reset for now).
+--    Only a SHA-256 hash of the token is stored, so a leaked table cannot be
+--    used to take over accounts.
+CREATE TABLE IF NOT EXISTS auth_tokens (
+    token_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    purpose TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE
+);
+
+-- 2. Issuing a new token clears out the user's older ones for the same purpose
+CREATE INDEX IF NOT EXISTS auth_tokens_user_purpose_idx ON auth_tokens(user_id, purpose);
+
+-- 3. Only the service role (API routes) touches this table
+ALTER TABLE auth_tokens ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,18 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. When the user clicked the link in their verification email.
+--    NULL means unverified: they can browse but cannot earn points.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+
+-- 2. Accounts created before verification existed keep their access
+UPDATE users SET email_verified_at = NOW() WHERE email_verified_at IS NULL;
+
+-- 3. Signup, login and password reset now lowercase emails before looking them up.
+--    Lowercase existing addresses too, skipping any that would clash with another account.
+UPDATE users u
+SET email = LOWER(TRIM(u.email))
+WHERE u.email <> LOWER(TRIM(u.email))
+  AND NOT EXISTS (
+    SELECT 1 FROM users o
+    WHERE o.user_id <> u.user_id AND o.email = LOWER(TRIM(u.email))
+  );
@@ -0,0 +1,94 @@
+-- Run this in the Supabase SQL Editor
+-- Only needed when RATE_LIMIT_BACKEND=postgres (the default backend keeps counters in memory)
+
+-- 1. One row per request that a sliding-window limiter let through
+CREATE TABLE IF NOT EXISTS rate_limit_hits (
+    hit_id BIGSERIAL PRIMARY KEY,
+    key TEXT NOT NULL,
+    hit_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_hits_key_idx ON rate_limit_hits(key, hit_at);
+
+-- 2. Failed attempt counters and temporary lockouts (e.g. per login email)
+CREATE TABLE IF NOT EXISTS rate_limit_lockouts (
+    key TEXT PRIMARY KEY,
+    failures INTEGER NOT NULL DEFAULT 0,
+    level INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- 3. Only the service role (API routes) touches these tables
+ALTER TABLE rate_limit_hits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rate_limit_lockouts ENABLE ROW LEVEL SECURITY;
+
+-- 4. Create RPC function for a sliding-window hit (safe concurrency)
+--    Drops expired hits for the key, then records this one if there is room.
+--    Returns whether it was allowed, the hits now in the window and the oldest one.
+CREATE OR REPLACE FUNCTION rate_limit_hit(p_key TEXT, p_limit INTEGER, p_window_ms INTEGER)
+RETURNS TABLE (allowed BOOLEAN, hit_count INTEGER, oldest_hit TIMESTAMP WITH TIME ZONE) AS $$
+DECLARE
+    v_window_start TIMESTAMP WITH TIME ZONE := NOW() - make_interval(secs => p_window_ms / 1000.0);
+    v_count INTEGER;
+    v_oldest TIMESTAMP WITH TIME ZONE;
+BEGIN
+    -- Serialize concurrent requests for the same key
+    PERFORM pg_advisory_xact_lock(hashtext(p_key));
+
+    DELETE FROM rate_limit_hits WHERE key = p_key AND hit_at <= v_window_start;
+
+    SELECT COUNT(*), MIN(hit_at) INTO v_count, v_oldest
+    FROM rate_limit_hits WHERE key = p_key;
+
+    IF v_count >= p_limit THEN
+        RETURN QUERY SELECT FALSE, v_count, v_oldest;
+        RETURN;
+    END IF;
+
+    INSERT INTO rate_limit_hits (key) VALUES (p_key);
+    RETURN QUERY SELECT TRUE, v_count + 1, COALESCE(v_oldest, NOW());
+END;
+$$ LANGUAGE plpgsql;
+
+-- 5. Create RPC function for recording a failed attempt (safe concurrency)
+--    Every p_threshold failures locks the key for p_base_ms, doubling with each
+--    lockout up to p_max_ms. Counters left alone for p_decay_ms start over.
+--    Returns locked_until (NULL when this failure did not trigger a lockout).
+CREATE OR REPLACE FUNCTION rate_limit_record_failure(
+    p_key TEXT, p_threshold INTEGER, p_base_ms INTEGER, p_max_ms INTEGER, p_decay_ms INTEGER
+)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+DECLARE
+    v_row rate_limit_lockouts%ROWTYPE;
+    v_lock_ms BIGINT;
+BEGIN
+    INSERT INTO rate_limit_lockouts (key) VALUES (p_key) ON CONFLICT (key) DO NOTHING;
+
+    SELECT * INTO v_row FROM rate_limit_lockouts WHERE key = p_key FOR UPDATE;
+
+    IF v_row.updated_at < NOW() - make_interval(secs => p_decay_ms / 1000.0) THEN
+        v_row.failures := 0;
+        v_row.level := 0;
+    END IF;
+
+    v_row.failures := v_row.failures + 1;
+    v_row.locked_until := NULL;
+
+    IF v_row.failures >= p_threshold THEN
+        v_lock_ms := LEAST(p_base_ms::BIGINT * POWER(2, LEAST(v_row.level, 20))::BIGINT, p_max_ms::BIGINT);
+        v_row.locked_until := NOW() + make_interval(secs => v_lock_ms / 1000.0);
+        v_row.level := v_row.level + 1;
+        v_row.failures := 0;
+    END IF;
+
+    UPDATE rate_limit_lockouts
+    SET failures = v_row.failures,
+        level = v_row.level,
+        locked_until = COALESCE(v_row.locked_until, locked_until),
+        updated_at = NOW()
+    WHERE key = p_key;
+
+    RETURN v_row.locked_until;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,6 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. When the user deleted their account. Deleted accounts are anonymized rather
+--    than removed, so leaderboards, GeoThinkr history and multiplayer quest
+--    winners keep pointing at a real (but nameless) row.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
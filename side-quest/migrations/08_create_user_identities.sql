@@ -0,0 +1,21 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. External sign-in identities (OIDC / university SSO). A user can have any
+--    number of them next to their password; each provider account belongs to
+--    exactly one user.
+CREATE TABLE IF NOT EXISTS user_identities (
+    identity_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    provider TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    email TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_login_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (provider, subject)
+);
+
+-- 2. Identities are listed per user on the account page
+CREATE INDEX IF NOT EXISTS user_identities_user_id_idx ON user_identities(user_id);
+
+-- 3. Only the service role (API routes) touches this table
+ALTER TABLE user_identities ENABLE ROW LEVEL SECURITY;
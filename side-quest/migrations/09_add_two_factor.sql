@@ -0,0 +1,26 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. TOTP (authenticator app) secret per user. totp_secret is set when setup
+--    starts and totp_enabled_at once the user has proven their app works.
+--    totp_last_step stops the same code from being used twice.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+-- 2. One-time recovery codes for when the authenticator app is lost.
+--    Only SHA-256 hashes are stored; the codes are shown to the user once.
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    code_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    used_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (user_id, code_hash)
+);
+
+-- 3. Sessions remember whether they passed the second factor.
+--    Admin pages and /api/admin/* only serve admins whose session has.
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS mfa_verified_at TIMESTAMP WITH TIME ZONE;
+
+-- 4. Only the service role (API routes) touches this table
+ALTER TABLE mfa_recovery_codes ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,37 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Real-world position of each location. x_coordinate / y_coordinate stay as
+--    the position on the map image; these are GPS coordinates in degrees.
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION;
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS geofence_radius_m INTEGER NOT NULL DEFAULT 75;
+
+-- 2. Proof of presence. A quest needs a GPS reading inside the geofence when
+--    either the quest or its location has require_presence turned on.
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS require_presence BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE quests ADD COLUMN IF NOT EXISTS require_presence BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- 3. Every rejected completion, with the reading that was sent, so staff can
+--    tell honest GPS drift (close, poor accuracy) from spoofing (far away,
+--    suspiciously perfect accuracy, many attempts)
+CREATE TABLE IF NOT EXISTS geofence_rejections (
+    rejection_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(user_id) ON DELETE CASCADE,
+    quest_id UUID REFERENCES quests(quest_id) ON DELETE SET NULL,
+    location_id UUID REFERENCES locations(location_id) ON DELETE SET NULL,
+    reason TEXT NOT NULL,
+    latitude DOUBLE PRECISION,
+    longitude DOUBLE PRECISION,
+    accuracy_m DOUBLE PRECISION,
+    distance_m DOUBLE PRECISION,
+    reading_at TIMESTAMP WITH TIME ZONE,
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS geofence_rejections_created_at_idx ON geofence_rejections(created_at DESC);
+CREATE INDEX IF NOT EXISTS geofence_rejections_user_id_idx ON geofence_rejections(user_id);
+
+-- 4. Only the service role (API routes) touches this table
+ALTER TABLE geofence_rejections ENABLE ROW LEVEL SECURITY;
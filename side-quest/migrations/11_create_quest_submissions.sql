@@ -0,0 +1,32 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Quests that need a photo as evidence. Players upload one instead of
+--    checking the quest off, and points are awarded when staff approve it.
+ALTER TABLE quests ADD COLUMN IF NOT EXISTS requires_proof BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- 2. Private storage bucket for the photos. Staff see them through short-lived
+--    signed URLs, so players' photos are never publicly listed.
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('quest-proofs', 'quest-proofs', FALSE)
+ON CONFLICT (id) DO NOTHING;
+
+-- 3. One row per upload. status moves from pending to approved or rejected once.
+CREATE TABLE IF NOT EXISTS quest_submissions (
+    submission_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    quest_id UUID NOT NULL REFERENCES quests(quest_id) ON DELETE CASCADE,
+    storage_path TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    review_note TEXT,
+    reviewed_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 4. A player can only have one submission waiting per quest
+CREATE UNIQUE INDEX IF NOT EXISTS quest_submissions_one_pending_idx
+    ON quest_submissions(user_id, quest_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS quest_submissions_status_created_at_idx ON quest_submissions(status, created_at);
+
+-- 5. Only the service role (API routes) touches this table
+ALTER TABLE quest_submissions ENABLE ROW LEVEL SECURITY;
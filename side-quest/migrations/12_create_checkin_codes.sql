@@ -0,0 +1,25 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Quests completed by scanning a printed QR code, for indoor spots where
+--    GPS is useless. Players can't check these off by hand.
+ALTER TABLE quests ADD COLUMN IF NOT EXISTS requires_checkin BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- 2. One row per printed code. The QR holds a token signed with AUTH_SECRET
+--    that names the row and its secret. Rotating a code revokes the old row
+--    and creates a new one, so reprinting makes old printouts stop working.
+CREATE TABLE IF NOT EXISTS checkin_codes (
+    code_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    quest_id UUID NOT NULL REFERENCES quests(quest_id) ON DELETE CASCADE,
+    secret TEXT NOT NULL,
+    created_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+-- 3. At most one live code per quest
+CREATE UNIQUE INDEX IF NOT EXISTS checkin_codes_one_active_idx
+    ON checkin_codes(quest_id) WHERE revoked_at IS NULL;
+
+-- 4. Only the service role (API routes) touches this table
+ALTER TABLE checkin_codes ENABLE ROW LEVEL SECURITY;
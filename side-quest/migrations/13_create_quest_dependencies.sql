@@ -0,0 +1,24 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Prerequisites as a join table so a quest can need several quests,
+--    including quests at other locations. The server refuses to complete a
+--    quest until every prerequisite is done.
+CREATE TABLE IF NOT EXISTS quest_dependencies (
+    quest_id UUID NOT NULL REFERENCES quests(quest_id) ON DELETE CASCADE,
+    prerequisite_id UUID NOT NULL REFERENCES quests(quest_id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (quest_id, prerequisite_id),
+    CHECK (quest_id <> prerequisite_id)
+);
+
+CREATE INDEX IF NOT EXISTS quest_dependencies_prerequisite_id_idx ON quest_dependencies(prerequisite_id);
+
+-- 2. Copy the old single-prerequisite column over. quests.dependency is no
+--    longer read and can be dropped once nothing else writes it.
+INSERT INTO quest_dependencies (quest_id, prerequisite_id)
+SELECT quest_id, dependency FROM quests
+WHERE dependency IS NOT NULL AND dependency <> quest_id
+ON CONFLICT DO NOTHING;
+
+-- 3. Only the service role (API routes) touches this table
+ALTER TABLE quest_dependencies ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,75 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Saves several progress changes for one player in a single transaction.
+--    p_updates is a JSON array of { quest_id, completed }. If any change fails
+--    (unknown quest, multiplayer quest already won) none of them are saved.
+--    Points are awarded only when a quest goes from not completed to completed,
+--    so unchecking and checking a quest again doesn't pay twice.
+CREATE OR REPLACE FUNCTION save_progress_batch(p_user_id UUID, p_updates JSONB)
+RETURNS SETOF progress
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_update JSONB;
+    v_quest quests%ROWTYPE;
+    v_completed BOOLEAN;
+    v_progress_id UUID;
+    v_was_completed BOOLEAN;
+    v_claimed BOOLEAN;
+    v_row progress%ROWTYPE;
+    v_now TIMESTAMP WITH TIME ZONE := NOW();
+BEGIN
+    FOR v_update IN SELECT * FROM jsonb_array_elements(p_updates) LOOP
+        v_completed := (v_update->>'completed')::BOOLEAN;
+
+        SELECT * INTO v_quest FROM quests WHERE quest_id = (v_update->>'quest_id')::UUID;
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'QUEST_NOT_FOUND:%', v_update->>'quest_id';
+        END IF;
+
+        -- Lock the player's row for this quest so two requests can't both pay out
+        v_progress_id := NULL;
+        v_was_completed := FALSE;
+        SELECT progress_id, completed INTO v_progress_id, v_was_completed
+        FROM progress
+        WHERE user_id = p_user_id AND quest_id = v_quest.quest_id
+        ORDER BY updated_at DESC NULLS LAST
+        LIMIT 1
+        FOR UPDATE;
+
+        IF v_progress_id IS NOT NULL THEN
+            UPDATE progress
+            SET completed = v_completed,
+                completed_at = CASE WHEN v_completed THEN v_now ELSE NULL END,
+                updated_at = v_now
+            WHERE progress_id = v_progress_id
+            RETURNING * INTO v_row;
+        ELSE
+            INSERT INTO progress (user_id, quest_id, completed, completed_at, updated_at)
+            VALUES (p_user_id, v_quest.quest_id, v_completed, CASE WHEN v_completed THEN v_now ELSE NULL END, v_now)
+            RETURNING * INTO v_row;
+        END IF;
+
+        IF v_completed AND NOT COALESCE(v_was_completed, FALSE) THEN
+            IF v_quest.is_multiplayer THEN
+                -- claim_quest picks the single winner and awards their points
+                IF to_regprocedure('claim_quest(uuid, uuid)') IS NOT NULL THEN
+                    EXECUTE 'SELECT claim_quest($1, $2)' INTO v_claimed USING v_quest.quest_id, p_user_id;
+                    IF v_claimed = FALSE THEN
+                        RAISE EXCEPTION 'QUEST_CLAIMED:%', v_quest.quest_id;
+                    END IF;
+                END IF;
+            ELSE
+                UPDATE users
+                SET points = COALESCE(points, 0) + COALESCE(NULLIF(v_quest.reward_points, 0), 100)
+                WHERE user_id = p_user_id;
+            END IF;
+        END IF;
+
+        RETURN NEXT v_row;
+    END LOOP;
+END;
+$$;
+
+-- 2. Only the service role (API routes) may call it; it trusts p_user_id
+REVOKE EXECUTE ON FUNCTION save_progress_batch(UUID, JSONB) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,223 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Create point_transactions table: every change to a player's points.
+--    users.points is kept as the running total of these rows and is never
+--    written directly any more.
+--    source: where the points came from
+--      opening_balance - what the player had before the ledger existed
+--      quest           - completing (or unchecking) a quest; reference_id is the quest_id
+--      geothinkr       - a GeoThinkr guess; reference_id is the geothinkr_history row
+--      admin           - handed out by an admin; created_by is the admin
+--    idempotency_key: a retried request with the same key changes nothing
+CREATE TABLE IF NOT EXISTS point_transactions (
+    transaction_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    amount INTEGER NOT NULL CHECK (amount <> 0),
+    source TEXT NOT NULL CHECK (source IN ('opening_balance', 'quest', 'geothinkr', 'admin')),
+    reference_id TEXT,
+    idempotency_key TEXT NOT NULL UNIQUE,
+    reason TEXT,
+    created_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 2. Create indexes for a player's history and for the points a quest paid out
+CREATE INDEX IF NOT EXISTS point_transactions_user_idx ON point_transactions (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS point_transactions_reference_idx ON point_transactions (user_id, source, reference_id);
+
+-- 3. Backfill, before the balance trigger exists so users.points isn't counted twice.
+--    Quests players have already completed get their own rows so unchecking them
+--    later takes the right amount back; whatever is left is the opening balance.
+DROP TRIGGER IF EXISTS point_transactions_apply ON point_transactions;
+
+INSERT INTO point_transactions (user_id, amount, source, reference_id, idempotency_key, reason, created_at)
+SELECT p.user_id,
+       COALESCE(NULLIF(q.reward_points, 0), 100),
+       'quest',
+       q.quest_id::TEXT,
+       'quest:' || p.user_id || ':' || q.quest_id || ':0',
+       'Completed before the points ledger',
+       COALESCE(p.completed_at, NOW())
+FROM (
+    SELECT DISTINCT ON (user_id, quest_id) user_id, quest_id, completed, completed_at
+    FROM progress
+    ORDER BY user_id, quest_id, updated_at DESC NULLS LAST
+) p
+JOIN quests q ON q.quest_id = p.quest_id
+WHERE p.completed
+  AND (NOT COALESCE(q.is_multiplayer, FALSE) OR q.winner_id = p.user_id)
+  AND NOT EXISTS (SELECT 1 FROM point_transactions t WHERE t.user_id = p.user_id)
+ON CONFLICT (idempotency_key) DO NOTHING;
+
+INSERT INTO point_transactions (user_id, amount, source, idempotency_key, reason)
+SELECT u.user_id,
+       COALESCE(u.points, 0) - COALESCE(SUM(t.amount), 0),
+       'opening_balance',
+       'opening_balance:' || u.user_id,
+       'Balance before the points ledger'
+FROM users u
+LEFT JOIN point_transactions t ON t.user_id = u.user_id
+GROUP BY u.user_id, u.points
+HAVING COALESCE(u.points, 0) - COALESCE(SUM(t.amount), 0) <> 0
+ON CONFLICT (idempotency_key) DO NOTHING;
+
+-- 4. Keep users.points equal to the sum of the ledger
+CREATE OR REPLACE FUNCTION apply_point_transaction()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    UPDATE users SET points = COALESCE(points, 0) + NEW.amount WHERE user_id = NEW.user_id;
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER point_transactions_apply
+AFTER INSERT ON point_transactions
+FOR EACH ROW EXECUTE FUNCTION apply_point_transaction();
+
+-- 5. Ledger rows are never edited; mistakes are fixed with a correcting row
+CREATE OR REPLACE FUNCTION reject_point_transaction_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RAISE EXCEPTION 'point_transactions rows cannot be changed; add a correcting transaction instead';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS point_transactions_no_update ON point_transactions;
+CREATE TRIGGER point_transactions_no_update
+BEFORE UPDATE ON point_transactions
+FOR EACH ROW EXECUTE FUNCTION reject_point_transaction_update();
+
+-- 6. award_points: the one way to change points. Returns FALSE when the
+--    idempotency key was already used, so retries don't pay twice.
+CREATE OR REPLACE FUNCTION award_points(
+    p_user_id UUID,
+    p_amount INTEGER,
+    p_source TEXT,
+    p_reference_id TEXT,
+    p_idempotency_key TEXT,
+    p_reason TEXT DEFAULT NULL,
+    p_created_by UUID DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF p_amount = 0 THEN
+        RETURN FALSE;
+    END IF;
+
+    INSERT INTO point_transactions (user_id, amount, source, reference_id, idempotency_key, reason, created_by)
+    VALUES (p_user_id, p_amount, p_source, p_reference_id, p_idempotency_key, p_reason, p_created_by)
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    RETURN FOUND;
+END;
+$$;
+
+-- 7. claim_quest only picks the winner of a multiplayer quest now; the points
+--    go through the ledger in save_progress_batch. The winner can uncheck and
+--    check it again.
+CREATE OR REPLACE FUNCTION claim_quest(p_quest_id UUID, p_user_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_is_multiplayer BOOLEAN;
+    v_winner_id UUID;
+BEGIN
+    SELECT is_multiplayer, winner_id INTO v_is_multiplayer, v_winner_id
+    FROM quests WHERE quest_id = p_quest_id;
+
+    IF NOT COALESCE(v_is_multiplayer, FALSE) THEN RETURN TRUE; END IF;
+    IF v_winner_id IS NOT NULL THEN RETURN v_winner_id = p_user_id; END IF;
+
+    UPDATE quests SET winner_id = p_user_id WHERE quest_id = p_quest_id AND winner_id IS NULL;
+    RETURN FOUND;
+END;
+$$;
+
+-- 8. save_progress_batch (migration 14) pays through the ledger. A quest holds
+--    its reward while completed; unchecking it takes back what it paid, so
+--    toggling a quest off and on never adds up to more than one reward.
+CREATE OR REPLACE FUNCTION save_progress_batch(p_user_id UUID, p_updates JSONB)
+RETURNS SETOF progress
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_update JSONB;
+    v_quest quests%ROWTYPE;
+    v_completed BOOLEAN;
+    v_progress_id UUID;
+    v_row progress%ROWTYPE;
+    v_held INTEGER;
+    v_entries INTEGER;
+    v_key TEXT;
+    v_now TIMESTAMP WITH TIME ZONE := NOW();
+BEGIN
+    FOR v_update IN SELECT * FROM jsonb_array_elements(p_updates) LOOP
+        v_completed := (v_update->>'completed')::BOOLEAN;
+
+        SELECT * INTO v_quest FROM quests WHERE quest_id = (v_update->>'quest_id')::UUID;
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'QUEST_NOT_FOUND:%', v_update->>'quest_id';
+        END IF;
+
+        -- Lock the player's row for this quest so two requests can't both pay out
+        v_progress_id := NULL;
+        SELECT progress_id INTO v_progress_id
+        FROM progress
+        WHERE user_id = p_user_id AND quest_id = v_quest.quest_id
+        ORDER BY updated_at DESC NULLS LAST
+        LIMIT 1
+        FOR UPDATE;
+
+        IF v_progress_id IS NOT NULL THEN
+            UPDATE progress
+            SET completed = v_completed,
+                completed_at = CASE WHEN v_completed THEN v_now ELSE NULL END,
+                updated_at = v_now
+            WHERE progress_id = v_progress_id
+            RETURNING * INTO v_row;
+        ELSE
+            INSERT INTO progress (user_id, quest_id, completed, completed_at, updated_at)
+            VALUES (p_user_id, v_quest.quest_id, v_completed, CASE WHEN v_completed THEN v_now ELSE NULL END, v_now)
+            RETURNING * INTO v_row;
+        END IF;
+
+        -- What this quest has paid the player so far, and how many ledger rows that took
+        SELECT COALESCE(SUM(amount), 0), COUNT(*) INTO v_held, v_entries
+        FROM point_transactions
+        WHERE user_id = p_user_id AND source = 'quest' AND reference_id = v_quest.quest_id::TEXT;
+        v_key := 'quest:' || p_user_id || ':' || v_quest.quest_id || ':' || v_entries;
+
+        IF v_completed AND v_held = 0 THEN
+            IF NOT claim_quest(v_quest.quest_id, p_user_id) THEN
+                RAISE EXCEPTION 'QUEST_CLAIMED:%', v_quest.quest_id;
+            END IF;
+            PERFORM award_points(p_user_id, COALESCE(NULLIF(v_quest.reward_points, 0), 100), 'quest',
+                v_quest.quest_id::TEXT, v_key, 'Quest completed', NULL);
+        ELSIF NOT v_completed AND v_held <> 0 THEN
+            PERFORM award_points(p_user_id, -v_held, 'quest',
+                v_quest.quest_id::TEXT, v_key, 'Quest unchecked', NULL);
+        END IF;
+
+        RETURN NEXT v_row;
+    END LOOP;
+END;
+$$;
+
+-- 9. Points only change through award_points now. The three-argument
+--    claim_quest from the old multiplayer setup script also paid out directly.
+DROP FUNCTION IF EXISTS increment_points(UUID, INTEGER);
+DROP FUNCTION IF EXISTS claim_quest(UUID, UUID, INTEGER);
+
+-- 10. Only the service role (API routes) may call these; they trust the ids passed in
+REVOKE EXECUTE ON FUNCTION award_points(UUID, INTEGER, TEXT, TEXT, TEXT, TEXT, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION claim_quest(UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- 11. Only the service role (API routes) touches this table
+ALTER TABLE point_transactions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,127 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Add schedule columns to quests.
+--    starts_at / ends_at: when the quest runs; NULL means no limit on that side.
+--    recurrence: NULL for one-shot quests, or how often progress resets
+--    (periods are worked out in campus time by lib/questSchedule.js).
+ALTER TABLE quests ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE quests ADD COLUMN IF NOT EXISTS ends_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE quests ADD COLUMN IF NOT EXISTS recurrence TEXT;
+
+ALTER TABLE quests DROP CONSTRAINT IF EXISTS quests_recurrence_check;
+ALTER TABLE quests ADD CONSTRAINT quests_recurrence_check
+    CHECK (recurrence IS NULL OR recurrence IN ('daily', 'weekly', 'semester'));
+
+ALTER TABLE quests DROP CONSTRAINT IF EXISTS quests_schedule_check;
+ALTER TABLE quests ADD CONSTRAINT quests_schedule_check
+    CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at);
+
+-- 2. Add period_start to progress. One-shot quests keep a single row with
+--    period_start NULL; repeating quests get a row per period, so past periods
+--    stay as history.
+ALTER TABLE progress ADD COLUMN IF NOT EXISTS period_start TIMESTAMP WITH TIME ZONE;
+
+-- 3. A player now has several rows per repeating quest, so drop any unique
+--    constraint on (user_id, quest_id) alone
+DO $$
+DECLARE
+    v_name TEXT;
+BEGIN
+    FOR v_name IN
+        SELECT c.conname
+        FROM pg_constraint c
+        WHERE c.conrelid = 'progress'::regclass
+          AND c.contype = 'u'
+          AND (
+              SELECT array_agg(a.attname::TEXT ORDER BY a.attname)
+              FROM pg_attribute a
+              WHERE a.attrelid = c.conrelid AND a.attnum = ANY (c.conkey)
+          ) = ARRAY['quest_id', 'user_id']
+    LOOP
+        EXECUTE format('ALTER TABLE progress DROP CONSTRAINT %I', v_name);
+    END LOOP;
+END;
+$$;
+
+CREATE INDEX IF NOT EXISTS progress_user_quest_period_idx ON progress (user_id, quest_id, period_start);
+
+-- 4. save_progress_batch (migration 15) saves into the row for the period the
+--    API passes as period_start. Each period of a repeating quest pays its
+--    reward once; the ledger reference is "<quest_id>@<period start>".
+CREATE OR REPLACE FUNCTION save_progress_batch(p_user_id UUID, p_updates JSONB)
+RETURNS SETOF progress
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_update JSONB;
+    v_quest quests%ROWTYPE;
+    v_completed BOOLEAN;
+    v_period TIMESTAMP WITH TIME ZONE;
+    v_reference TEXT;
+    v_progress_id UUID;
+    v_row progress%ROWTYPE;
+    v_held INTEGER;
+    v_entries INTEGER;
+    v_key TEXT;
+    v_now TIMESTAMP WITH TIME ZONE := NOW();
+BEGIN
+    FOR v_update IN SELECT * FROM jsonb_array_elements(p_updates) LOOP
+        v_completed := (v_update->>'completed')::BOOLEAN;
+        v_period := (v_update->>'period_start')::TIMESTAMP WITH TIME ZONE;
+
+        SELECT * INTO v_quest FROM quests WHERE quest_id = (v_update->>'quest_id')::UUID;
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'QUEST_NOT_FOUND:%', v_update->>'quest_id';
+        END IF;
+
+        v_reference := v_quest.quest_id::TEXT
+            || COALESCE('@' || to_char(v_period AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS"Z"'), '');
+
+        -- Two requests for the same player and quest wait for each other, so
+        -- neither can insert a duplicate row or pay out twice
+        PERFORM pg_advisory_xact_lock(hashtext(p_user_id::TEXT || ':' || v_quest.quest_id::TEXT));
+
+        v_progress_id := NULL;
+        SELECT progress_id INTO v_progress_id
+        FROM progress
+        WHERE user_id = p_user_id
+          AND quest_id = v_quest.quest_id
+          AND period_start IS NOT DISTINCT FROM v_period
+        ORDER BY updated_at DESC NULLS LAST
+        LIMIT 1
+        FOR UPDATE;
+
+        IF v_progress_id IS NOT NULL THEN
+            UPDATE progress
+            SET completed = v_completed,
+                completed_at = CASE WHEN v_completed THEN v_now ELSE NULL END,
+                updated_at = v_now
+            WHERE progress_id = v_progress_id
+            RETURNING * INTO v_row;
+        ELSE
+            INSERT INTO progress (user_id, quest_id, period_start, completed, completed_at, updated_at)
+            VALUES (p_user_id, v_quest.quest_id, v_period, v_completed, CASE WHEN v_completed THEN v_now ELSE NULL END, v_now)
+            RETURNING * INTO v_row;
+        END IF;
+
+        -- What this quest (this period) has paid the player so far
+        SELECT COALESCE(SUM(amount), 0), COUNT(*) INTO v_held, v_entries
+        FROM point_transactions
+        WHERE user_id = p_user_id AND source = 'quest' AND reference_id = v_reference;
+        v_key := 'quest:' || p_user_id || ':' || v_reference || ':' || v_entries;
+
+        IF v_completed AND v_held = 0 THEN
+            IF NOT claim_quest(v_quest.quest_id, p_user_id) THEN
+                RAISE EXCEPTION 'QUEST_CLAIMED:%', v_quest.quest_id;
+            END IF;
+            PERFORM award_points(p_user_id, COALESCE(NULLIF(v_quest.reward_points, 0), 100), 'quest',
+                v_reference, v_key, 'Quest completed', NULL);
+        ELSIF NOT v_completed AND v_held <> 0 THEN
+            PERFORM award_points(p_user_id, -v_held, 'quest',
+                v_reference, v_key, 'Quest unchecked', NULL);
+        END IF;
+
+        RETURN NEXT v_row;
+    END LOOP;
+END;
+$$;
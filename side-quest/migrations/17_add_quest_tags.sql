@@ -0,0 +1,21 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Add a category and difficulty to quests; NULL means not set.
+--    The lists match lib/questTags.js.
+ALTER TABLE quests ADD COLUMN IF NOT EXISTS category TEXT;
+ALTER TABLE quests ADD COLUMN IF NOT EXISTS difficulty TEXT;
+
+ALTER TABLE quests DROP CONSTRAINT IF EXISTS quests_category_check;
+ALTER TABLE quests ADD CONSTRAINT quests_category_check
+    CHECK (category IS NULL OR category IN ('food', 'history', 'athletics', 'hidden_gems'));
+
+ALTER TABLE quests DROP CONSTRAINT IF EXISTS quests_difficulty_check;
+ALTER TABLE quests ADD CONSTRAINT quests_difficulty_check
+    CHECK (difficulty IS NULL OR difficulty IN ('easy', 'medium', 'hard'));
+
+-- 2. Add free-form tags (lowercase, cleaned by the admin API)
+ALTER TABLE quests ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+-- 3. Index for filtering the quest log by category and tag
+CREATE INDEX IF NOT EXISTS quests_category_idx ON quests (category);
+CREATE INDEX IF NOT EXISTS quests_tags_idx ON quests USING GIN (tags);
@@ -0,0 +1,28 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Add longer content to quests. All optional; limits match lib/questContent.js.
+--    description: markdown, rendered without HTML by app/components/Markdown.js
+--    hints: shown to players one at a time
+--    accessibility_note: e.g. step-free route, where the ramp or elevator is
+ALTER TABLE quests ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE quests ADD COLUMN IF NOT EXISTS hints TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE quests ADD COLUMN IF NOT EXISTS accessibility_note TEXT;
+
+ALTER TABLE quests DROP CONSTRAINT IF EXISTS quests_content_length_check;
+ALTER TABLE quests ADD CONSTRAINT quests_content_length_check
+    CHECK (
+        (description IS NULL OR char_length(description) <= 5000)
+        AND cardinality(hints) <= 5
+        AND (accessibility_note IS NULL OR char_length(accessibility_note) <= 500)
+    );
+
+-- 2. Cover image. image_path is the file in the bucket, kept so it can be
+--    removed when the image is replaced or the quest is deleted.
+ALTER TABLE quests ADD COLUMN IF NOT EXISTS image_url TEXT;
+ALTER TABLE quests ADD COLUMN IF NOT EXISTS image_path TEXT;
+
+-- 3. Public storage bucket for cover images, like geothinkr-images. Only the
+--    service role (admin API routes) uploads to it.
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('quest-images', 'quest-images', TRUE)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,65 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Storylines: an ordered chain of quests, possibly across several locations.
+--    Finishing every step pays bonus_points once and earns the storyline's
+--    achievement (created with it by /api/admin/storylines).
+--    Drafts (is_published = FALSE) are hidden from players and lock nothing.
+CREATE TABLE IF NOT EXISTS storylines (
+    storyline_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title TEXT NOT NULL CHECK (char_length(title) BETWEEN 1 AND 120),
+    description TEXT CHECK (description IS NULL OR char_length(description) <= 5000),
+    bonus_points INTEGER NOT NULL DEFAULT 250 CHECK (bonus_points >= 0),
+    achievement_id UUID REFERENCES achievements(achievement_id) ON DELETE SET NULL,
+    is_published BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 2. Steps in order. A quest appears at most once per storyline.
+CREATE TABLE IF NOT EXISTS storyline_steps (
+    storyline_id UUID NOT NULL REFERENCES storylines(storyline_id) ON DELETE CASCADE,
+    position INTEGER NOT NULL CHECK (position >= 0),
+    quest_id UUID NOT NULL REFERENCES quests(quest_id) ON DELETE CASCADE,
+    PRIMARY KEY (storyline_id, position),
+    UNIQUE (storyline_id, quest_id)
+);
+
+CREATE INDEX IF NOT EXISTS storyline_steps_quest_id_idx ON storyline_steps (quest_id);
+
+-- 3. Who has finished which storyline; the primary key makes the bonus and
+--    achievement happen once per player.
+CREATE TABLE IF NOT EXISTS storyline_completions (
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    storyline_id UUID NOT NULL REFERENCES storylines(storyline_id) ON DELETE CASCADE,
+    completed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, storyline_id)
+);
+
+-- 4. Every prerequisite in one place: the ones admins pick per quest, plus each
+--    published storyline step needing the step before it. The prerequisite
+--    checks, loop checks and map read this instead of quest_dependencies.
+CREATE OR REPLACE VIEW quest_prerequisites
+WITH (security_invoker = true)
+AS
+SELECT quest_id, prerequisite_id FROM quest_dependencies
+UNION
+SELECT s.quest_id, s.prerequisite_id
+FROM (
+    SELECT st.storyline_id,
+           st.quest_id,
+           LAG(st.quest_id) OVER (PARTITION BY st.storyline_id ORDER BY st.position) AS prerequisite_id
+    FROM storyline_steps st
+) s
+JOIN storylines sl ON sl.storyline_id = s.storyline_id
+WHERE sl.is_published AND s.prerequisite_id IS NOT NULL;
+
+-- 5. Storyline bonuses are paid through the ledger (migration 15)
+ALTER TABLE point_transactions DROP CONSTRAINT IF EXISTS point_transactions_source_check;
+ALTER TABLE point_transactions ADD CONSTRAINT point_transactions_source_check
+    CHECK (source IN ('opening_balance', 'quest', 'geothinkr', 'admin', 'storyline'));
+
+-- 6. Only the service role (API routes) touches these tables
+REVOKE ALL ON quest_prerequisites FROM anon, authenticated;
+ALTER TABLE storylines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE storyline_steps ENABLE ROW LEVEL SECURITY;
+ALTER TABLE storyline_completions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,19 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Control points tie the campus map image to the real world: a pixel on
+--    map.png and the GPS position of the same spot. Three or more let the
+--    admin calibration tool work out latitude / longitude for every location
+--    from its x_coordinate / y_coordinate.
+CREATE TABLE IF NOT EXISTS map_control_points (
+    control_point_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    label TEXT CHECK (label IS NULL OR char_length(label) <= 80),
+    x_coordinate DOUBLE PRECISION NOT NULL,
+    y_coordinate DOUBLE PRECISION NOT NULL,
+    latitude DOUBLE PRECISION NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+    longitude DOUBLE PRECISION NOT NULL CHECK (longitude BETWEEN -180 AND 180),
+    created_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 2. Only the service role (API routes) touches this table
+ALTER TABLE map_control_points ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,19 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Walkable paths between locations, drawn by admins on the campus map.
+--    The map draws them, and the route planner only walks along them.
+--    Paths go both ways; each pair is stored once with the smaller id first.
+CREATE TABLE IF NOT EXISTS map_paths (
+    path_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    from_location_id UUID NOT NULL REFERENCES locations(location_id) ON DELETE CASCADE,
+    to_location_id UUID NOT NULL REFERENCES locations(location_id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (from_location_id < to_location_id),
+    UNIQUE (from_location_id, to_location_id)
+);
+
+CREATE INDEX IF NOT EXISTS map_paths_to_location_id_idx ON map_paths (to_location_id);
+
+-- 2. Only the service role (API routes) touches this table
+ALTER TABLE map_paths ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,20 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Replaces a quest's prerequisites in a single transaction. The server
+--    checks the list first (quests exist, no loops); if the insert fails the
+--    old prerequisites are kept instead of being left wiped.
+CREATE OR REPLACE FUNCTION set_quest_prerequisites(p_quest_id UUID, p_prerequisite_ids UUID[])
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    DELETE FROM quest_dependencies WHERE quest_id = p_quest_id;
+
+    INSERT INTO quest_dependencies (quest_id, prerequisite_id)
+    SELECT p_quest_id, prerequisite_id
+    FROM unnest(COALESCE(p_prerequisite_ids, ARRAY[]::UUID[])) AS prerequisite_id;
+END;
+$$;
+
+-- 2. Only the service role (API routes) may call it
+REVOKE EXECUTE ON FUNCTION set_quest_prerequisites(UUID, UUID[]) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,21 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Replaces a storyline's steps in a single transaction. The server checks
+--    the list first (quests exist, no loops); if the insert fails the old steps
+--    are kept, and so are the prerequisites quest_prerequisites builds from them.
+--    Positions follow the order of p_quest_ids, starting at 0.
+CREATE OR REPLACE FUNCTION set_storyline_steps(p_storyline_id UUID, p_quest_ids UUID[])
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    DELETE FROM storyline_steps WHERE storyline_id = p_storyline_id;
+
+    INSERT INTO storyline_steps (storyline_id, position, quest_id)
+    SELECT p_storyline_id, step.ordinality - 1, step.quest_id
+    FROM unnest(COALESCE(p_quest_ids, ARRAY[]::UUID[])) WITH ORDINALITY AS step(quest_id, ordinality);
+END;
+$$;
+
+-- 2. Only the service role (API routes) may call it
+REVOKE EXECUTE ON FUNCTION set_storyline_steps(UUID, UUID[]) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,19 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Accounts created by single sign-on get a random password nobody knows.
+--    has_password tells the account settings to ask for another proof instead
+--    (signing in with the provider again, or a two-factor code).
+ALTER TABLE users ADD COLUMN IF NOT EXISTS has_password BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- 2. Existing accounts whose first identity was linked as the account was made
+--    were created by single sign-on. Setting a password turns the flag back on.
+UPDATE users u
+SET has_password = FALSE
+WHERE EXISTS (
+    SELECT 1 FROM user_identities i
+    WHERE i.user_id = u.user_id
+      AND i.created_at <= u.created_at + INTERVAL '1 minute'
+);
+
+-- 3. When a session last signed in with a provider again to confirm who it is
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS reauthenticated_at TIMESTAMP WITH TIME ZONE;
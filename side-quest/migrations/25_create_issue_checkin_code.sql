@@ -0,0 +1,29 @@
+-- Run this in the Supabase SQL Editor
+
+-- 1. Rotates a quest's check-in code in a single transaction: the live code is
+--    revoked and the new one inserted together, so a failed insert leaves the
+--    old printout working instead of the quest with no code at all. Two rotations
+--    at once still trip checkin_codes_one_active_idx (23505) and roll back.
+CREATE OR REPLACE FUNCTION issue_checkin_code(
+    p_quest_id UUID,
+    p_secret TEXT,
+    p_created_by UUID,
+    p_expires_at TIMESTAMPTZ
+)
+RETURNS SETOF checkin_codes
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    UPDATE checkin_codes
+    SET revoked_at = NOW()
+    WHERE quest_id = p_quest_id AND revoked_at IS NULL;
+
+    RETURN QUERY
+    INSERT INTO checkin_codes (quest_id, secret, created_by, expires_at)
+    VALUES (p_quest_id, p_secret, p_created_by, p_expires_at)
+    RETURNING *;
+END;
+$$;
+
+-- 2. Only the service role (API routes) may call it
+REVOKE EXECUTE ON FUNCTION issue_checkin_code(UUID, TEXT, UUID, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
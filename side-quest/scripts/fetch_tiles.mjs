@@ -0,0 +1,91 @@
+/*
+	Name: fetch_tiles.mjs
+	Description: Downloads the street map tiles for campus into public/tiles, so
+	             the street map is served locally and works offline and in tests.
+	             Tiles already on disk are skipped, so it can be re-run to resume.
+	             The tiles are git-ignored; run this on each deploy instead and set
+	             NEXT_PUBLIC_TILE_URL=/tiles/{z}/{x}/{y}.png to use them over the
+	             placeholder tiles in public/tiles/fixture.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: Tiles kept out of git - 10/19/2026, Placeholder tiles served until these are fetched - 10/19/2026
+	Errors: Exits with code 1 without a tile source; failed tiles are listed and skipped
+	Input:
+		TILE_SOURCE_URL - tile server template with {z}, {x} and {y}. Use a server whose
+		                  terms allow bulk downloads (your own, or a paid provider).
+		TILE_USER_AGENT - sent with each request (default "side-quest tile fetcher")
+	Output: public/tiles/{z}/{x}/{y}.png
+	Usage: TILE_SOURCE_URL="https://tiles.example.com/{z}/{x}/{y}.png" node scripts/fetch_tiles.mjs
+*/
+
+import { mkdir, writeFile, access } from "node:fs/promises";
+import path from "node:path";
+
+// Same area and zoom levels as CAMPUS_BOUNDS, MIN_ZOOM and MAX_ZOOM in lib/tiles.js
+const BOUNDS = { north: 38.9665, south: 38.9470, west: -95.2650, east: -95.2380 };
+const MIN_ZOOM = 15;
+const MAX_ZOOM = 19;
+// Pause between requests, to go easy on the tile server
+const DELAY_MS = 100;
+
+const SOURCE = process.env.TILE_SOURCE_URL;
+const USER_AGENT = process.env.TILE_USER_AGENT || "side-quest tile fetcher";
+const OUT_DIR = path.join(process.cwd(), "public", "tiles");
+
+if (!SOURCE) {
+	console.error("Set TILE_SOURCE_URL to a tile server template, e.g. https://tiles.example.com/{z}/{x}/{y}.png");
+	process.exit(1);
+}
+
+function tileXY(latitude, longitude, zoom) {
+	const n = 2 ** zoom;
+	const sin = Math.sin((latitude * Math.PI) / 180);
+	return {
+		x: Math.floor(((longitude + 180) / 360) * n),
+		y: Math.floor((0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * n),
+	};
+}
+
+async function exists(file) {
+	try {
+		await access(file);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+async function fetchTiles() {
+	let fetched = 0;
+	let skipped = 0;
+	const failed = [];
+	for (let z = MIN_ZOOM; z <= MAX_ZOOM; z++) {
+		const topLeft = tileXY(BOUNDS.north, BOUNDS.west, z);
+		const bottomRight = tileXY(BOUNDS.south, BOUNDS.east, z);
+		for (let x = topLeft.x; x <= bottomRight.x; x++) {
+			for (let y = topLeft.y; y <= bottomRight.y; y++) {
+				const file = path.join(OUT_DIR, String(z), String(x), `${y}.png`);
+				if (await exists(file)) {
+					skipped++;
+					continue;
+				}
+				const url = SOURCE.replace("{z}", z).replace("{x}", x).replace("{y}", y);
+				try {
+					const res = await fetch(url, { headers: { "User-Agent": USER_AGENT } });
+					if (!res.ok) throw new Error(`HTTP ${res.status}`);
+					await mkdir(path.dirname(file), { recursive: true });
+					await writeFile(file, Buffer.from(await res.arrayBuffer()));
+					fetched++;
+				} catch (err) {
+					failed.push(`${z}/${x}/${y}: ${err.message}`);
+				}
+				await new Promise(resolve => setTimeout(resolve, DELAY_MS));
+			}
+		}
+		console.log(`Zoom ${z} done`);
+	}
+	console.log(`Fetched ${fetched} tiles, ${skipped} already there, ${failed.length} failed`);
+	failed.forEach(f => console.log(`  ${f}`));
+}
+
+fetchTiles();
@@ -0,0 +1,101 @@
+/*
+	Name: make_fixture_tiles.mjs
+	Description: Draws the placeholder tiles in public/tiles/fixture, the tile set
+	             the street map uses by default. They cover campus at the zoom
+	             levels it opens at, so the map is never blank offline or in tests
+	             before real tiles are fetched. Each tile is a plain grid with a
+	             border, so tile placement can be checked by eye.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input: None
+	Output: public/tiles/fixture/{z}/{x}/{y}.png (committed to git)
+	Usage: node scripts/make_fixture_tiles.mjs
+*/
+
+import { mkdir, writeFile } from "node:fs/promises";
+import { deflateSync, crc32 } from "node:zlib";
+import path from "node:path";
+
+// Same area as CAMPUS_BOUNDS in lib/tiles.js. Only the low zoom levels, to keep the
+// committed set small; scripts/fetch_tiles.mjs gets the rest.
+const BOUNDS = { north: 38.9665, south: 38.9470, west: -95.2650, east: -95.2380 };
+const MIN_ZOOM = 15;
+const MAX_ZOOM = 17;
+const TILE_SIZE = 256;
+const GRID = 64;
+
+const LAND = [242, 239, 233];
+const GRID_LINE = [224, 220, 212];
+const BORDER = [200, 194, 184];
+
+const OUT_DIR = path.join(process.cwd(), "public", "tiles", "fixture");
+
+function tileXY(latitude, longitude, zoom) {
+	const n = 2 ** zoom;
+	const sin = Math.sin((latitude * Math.PI) / 180);
+	return {
+		x: Math.floor(((longitude + 180) / 360) * n),
+		y: Math.floor((0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * n),
+	};
+}
+
+function chunk(type, data) {
+	const length = Buffer.alloc(4);
+	length.writeUInt32BE(data.length);
+	const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+	const crc = Buffer.alloc(4);
+	crc.writeUInt32BE(crc32(body));
+	return Buffer.concat([length, body, crc]);
+}
+
+// Every placeholder tile looks the same, so it is encoded once
+function placeholderPng() {
+	const header = Buffer.alloc(13);
+	header.writeUInt32BE(TILE_SIZE, 0);
+	header.writeUInt32BE(TILE_SIZE, 4);
+	header[8] = 8; // bit depth
+	header[9] = 2; // RGB
+
+	const row = 1 + TILE_SIZE * 3;
+	const pixels = Buffer.alloc(row * TILE_SIZE);
+	for (let y = 0; y < TILE_SIZE; y++) {
+		pixels[y * row] = 0; // no filter
+		for (let x = 0; x < TILE_SIZE; x++) {
+			const edge = x === 0 || y === 0 || x === TILE_SIZE - 1 || y === TILE_SIZE - 1;
+			const color = edge ? BORDER : x % GRID === 0 || y % GRID === 0 ? GRID_LINE : LAND;
+			const offset = y * row + 1 + x * 3;
+			pixels[offset] = color[0];
+			pixels[offset + 1] = color[1];
+			pixels[offset + 2] = color[2];
+		}
+	}
+
+	return Buffer.concat([
+		Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+		chunk("IHDR", header),
+		chunk("IDAT", deflateSync(pixels, { level: 9 })),
+		chunk("IEND", Buffer.alloc(0)),
+	]);
+}
+
+async function makeFixtureTiles() {
+	const png = placeholderPng();
+	let written = 0;
+	for (let z = MIN_ZOOM; z <= MAX_ZOOM; z++) {
+		const topLeft = tileXY(BOUNDS.north, BOUNDS.west, z);
+		const bottomRight = tileXY(BOUNDS.south, BOUNDS.east, z);
+		for (let x = topLeft.x; x <= bottomRight.x; x++) {
+			const dir = path.join(OUT_DIR, String(z), String(x));
+			await mkdir(dir, { recursive: true });
+			for (let y = topLeft.y; y <= bottomRight.y; y++) {
+				await writeFile(path.join(dir, `${y}.png`), png);
+				written++;
+			}
+		}
+	}
+	console.log(`Wrote ${written} fixture tiles to ${OUT_DIR}`);
+}
+
+makeFixtureTiles();
@@ -0,0 +1,165 @@
+/*
+	Name: mock_oidc_server.mjs
+	Description: Tiny OpenID Connect provider for trying single sign-on locally
+	             without a real university SSO. The authorize page asks for an
+	             email and name and signs you in as that person.
+	Programmers: Alejandro Sandoval
+	Date: 10/19/2026
+	Revisions: N/A
+	Errors: N/A
+	Input:
+		MOCK_OIDC_PORT (default 4011), MOCK_OIDC_CLIENT_ID (default "side-quest")
+	Output: OIDC endpoints at http://localhost:<port>
+
+	Usage:
+		node scripts/mock_oidc_server.mjs
+		then start the app with
+		OIDC_ISSUER=http://localhost:4011 OIDC_CLIENT_ID=side-quest OIDC_NAME="Mock SSO" npm run dev
+*/
+
+import http from "http";
+import { createHash, generateKeyPairSync, randomBytes, sign } from "crypto";
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 4011;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || "side-quest";
+const ISSUER = `http://localhost:${PORT}`;
+
+// A fresh signing key every run; the app refetches the key set when the kid changes
+const { privateKey, publicKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+const KID = randomBytes(8).toString("hex");
+
+// Authorization codes waiting to be exchanged, by code
+const codes = new Map();
+
+function sendJson(res, status, body) {
+	res.writeHead(status, { "Content-Type": "application/json" });
+	res.end(JSON.stringify(body));
+}
+
+function escapeHtml(value) {
+	return String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function readForm(req) {
+	return new Promise((resolve) => {
+		let data = "";
+		req.on("data", chunk => { data += chunk; });
+		req.on("end", () => resolve(new URLSearchParams(data)));
+	});
+}
+
+function signIdToken(claims) {
+	const encode = obj => Buffer.from(JSON.stringify(obj)).toString("base64url");
+	const input = `${encode({ alg: "RS256", typ: "JWT", kid: KID })}.${encode(claims)}`;
+	return `${input}.${sign("sha256", Buffer.from(input), privateKey).toString("base64url")}`;
+}
+
+// Login form shown instead of a real SSO page; the query string is carried through as hidden fields
+function authorizePage(params) {
+	const hidden = [...params].map(([k, v]) => `<input type="hidden" name="${escapeHtml(k)}" value="${escapeHtml(v)}">`).join("");
+	return `<!doctype html>
+<title>Mock SSO</title>
+<form method="post" action="/authorize" style="font-family:sans-serif;max-width:320px;margin:80px auto;display:flex;flex-direction:column;gap:8px">
+	<h2>Mock SSO sign-in</h2>
+	${hidden}
+	<label>Email <input name="email" type="email" value="student@ku.edu" required></label>
+	<label>Name <input name="name" value="Test Student"></label>
+	<label>Subject <input name="sub" value="" placeholder="defaults to the email"></label>
+	<label><input name="email_verified" type="checkbox" checked> Email verified</label>
+	<button>Sign in</button>
+	<button name="deny" value="1">Cancel</button>
+</form>`;
+}
+
+async function handle(req, res) {
+	const url = new URL(req.url, ISSUER);
+
+	if (url.pathname === "/.well-known/openid-configuration") {
+		return sendJson(res, 200, {
+			issuer: ISSUER,
+			authorization_endpoint: `${ISSUER}/authorize`,
+			token_endpoint: `${ISSUER}/token`,
+			jwks_uri: `${ISSUER}/jwks`,
+			response_types_supported: ["code"],
+			subject_types_supported: ["public"],
+			id_token_signing_alg_values_supported: ["RS256"],
+			code_challenge_methods_supported: ["S256"],
+		});
+	}
+
+	if (url.pathname === "/jwks") {
+		return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: "jwk" }), kid: KID, use: "sig", alg: "RS256" }] });
+	}
+
+	if (url.pathname === "/authorize" && req.method === "GET") {
+		if (url.searchParams.get("client_id") !== CLIENT_ID) return sendJson(res, 400, { error: "unauthorized_client" });
+		res.writeHead(200, { "Content-Type": "text/html" });
+		return res.end(authorizePage(url.searchParams));
+	}
+
+	if (url.pathname === "/authorize" && req.method === "POST") {
+		const form = await readForm(req);
+		const redirect = new URL(form.get("redirect_uri"));
+		redirect.searchParams.set("state", form.get("state") || "");
+
+		if (form.get("deny")) {
+			redirect.searchParams.set("error", "access_denied");
+		} else {
+			const code = randomBytes(16).toString("base64url");
+			codes.set(code, {
+				redirectUri: form.get("redirect_uri"),
+				challenge: form.get("code_challenge"),
+				nonce: form.get("nonce"),
+				email: form.get("email"),
+				name: form.get("name"),
+				sub: form.get("sub") || `mock|${form.get("email")}`,
+				emailVerified: form.get("email_verified") === "on",
+				expires: Date.now() + 60 * 1000,
+			});
+			redirect.searchParams.set("code", code);
+		}
+		res.writeHead(302, { Location: redirect.toString() });
+		return res.end();
+	}
+
+	if (url.pathname === "/token" && req.method === "POST") {
+		const form = await readForm(req);
+		const grant = codes.get(form.get("code"));
+		codes.delete(form.get("code"));
+
+		if (!grant || grant.expires < Date.now()) return sendJson(res, 400, { error: "invalid_grant" });
+		if (form.get("client_id") !== CLIENT_ID) return sendJson(res, 400, { error: "invalid_client" });
+		if (form.get("redirect_uri") !== grant.redirectUri) return sendJson(res, 400, { error: "invalid_grant" });
+		const challenge = createHash("sha256").update(form.get("code_verifier") || "").digest("base64url");
+		if (challenge !== grant.challenge) return sendJson(res, 400, { error: "invalid_grant" });
+
+		const now = Math.floor(Date.now() / 1000);
+		return sendJson(res, 200, {
+			access_token: randomBytes(16).toString("base64url"),
+			token_type: "Bearer",
+			expires_in: 300,
+			id_token: signIdToken({
+				iss: ISSUER,
+				aud: CLIENT_ID,
+				sub: grant.sub,
+				email: grant.email,
+				email_verified: grant.emailVerified,
+				name: grant.name,
+				nonce: grant.nonce,
+				iat: now,
+				exp: now + 300,
+			}),
+		});
+	}
+
+	sendJson(res, 404, { error: "not_found" });
+}
+
+http.createServer((req, res) => {
+	handle(req, res).catch((err) => {
+		console.error(err);
+		sendJson(res, 500, { error: "server_error" });
+	});
+}).listen(PORT, () => {
+	console.log(`Mock OIDC provider running at ${ISSUER} (client id "${CLIENT_ID}")`);
+});